@@ -0,0 +1,325 @@
+// acoes-lote.js - Ações em lote sobre candidaturas (status, comentário, exclusão)
+import 'dotenv/config';
+import { aplicarFiltros, buscarIdsCandidaturas, excluirCandidaturas, filtrosRestritivos, validarOpcoesListagem } from './candidaturas.js';
+import { alterarStatus } from './workflow-status.js';
+import { ATOR_AUDITORIA, registrarAuditoria } from './auditoria.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+export const ACAO_LOTE = {
+  STATUS: 'status',
+  COMENTARIO: 'comentario',
+  EXCLUIR: 'excluir'
+};
+
+export const STATUS_JOB = {
+  PENDENTE: 'pendente',
+  EXECUTANDO: 'executando',
+  CONCLUIDO: 'concluido',
+  FALHOU: 'falhou'
+};
+
+// Acima deste número de candidaturas a ação vira um job acompanhado por GET /lotes/:id
+export const LIMITE_SINCRONO = Math.max(1, Number(process.env.LOTE_LIMITE_SINCRONO || 50));
+export const LIMITE_LOTE = Math.max(1, Number(process.env.LOTE_MAXIMO || 5000));
+// Job ainda aberto depois deste tempo foi interrompido (a execução vive no processo)
+export const TEMPO_MAXIMO_JOB_MIN = Math.max(1, Number(process.env.LOTE_TEMPO_MAXIMO_MIN || 120));
+
+const TAMANHO_CONSULTA = 200;
+const TAMANHO_EXCLUSAO = 50;
+const CAMPOS_SELECAO = 'id, status, nome, email, vaga, enviado_em, arquivo_path';
+const FILTROS_ACEITOS = ['search', 'vaga', 'cidade', 'transporte', 'status', 'bairro', 'estado', 'data_inicio', 'data_fim', 'triagem', 'resposta', 'raio_km', 'arquivadas', 'spam'];
+// Mesmos campos cadastrais da busca em GET /api/admin/candidaturas
+const CAMPOS_BUSCA = ['nome', 'email', 'cpf', 'telefone'];
+
+/**
+ * Valida o corpo da requisição de ação em lote.
+ * Retorna { ok, acao, selecao, confirmarTotal, parametros } ou { ok: false, message }.
+ */
+export function validarAcaoLote(body = {}) {
+  const { acao, ids, filtros, status, observacao, comentario, notificar_candidato, confirmar_total } = body;
+
+  if (!Object.values(ACAO_LOTE).includes(acao)) {
+    return { ok: false, message: `Ação inválida. Use: ${Object.values(ACAO_LOTE).join(', ')}.` };
+  }
+
+  let selecao;
+  if (Array.isArray(ids)) {
+    const unicos = [...new Set(ids.map(String).filter(Boolean))];
+    if (!unicos.length) return { ok: false, message: 'Informe ao menos uma candidatura.' };
+    if (unicos.length > LIMITE_LOTE) return { ok: false, message: `Máximo de ${LIMITE_LOTE} candidaturas por lote.` };
+    selecao = { ids: unicos };
+  } else if (filtros && typeof filtros === 'object') {
+    // Filtro ignorado ampliaria a seleção sem aviso: chaves desconhecidas são recusadas
+    const desconhecidos = Object.keys(filtros).filter((k) => !FILTROS_ACEITOS.includes(k));
+    if (desconhecidos.length) {
+      return { ok: false, message: `Filtro(s) não suportado(s): ${desconhecidos.join(', ')}. Use: ${FILTROS_ACEITOS.join(', ')}.` };
+    }
+    const opcoes = validarOpcoesListagem(filtros);
+    if (!opcoes.ok) return opcoes;
+
+    if (filtros.triagem && !['aprovada', 'reprovada'].includes(filtros.triagem)) {
+      return { ok: false, message: 'Valor inválido para triagem. Use: aprovada, reprovada.' };
+    }
+    for (const campo of ['data_inicio', 'data_fim']) {
+      if (filtros[campo] && Number.isNaN(new Date(filtros[campo]).getTime())) {
+        return { ok: false, message: `Data inválida em ${campo}.` };
+      }
+    }
+
+    const usados = Object.fromEntries(Object.entries(filtros).filter(([, v]) => v !== '' && v != null));
+    // Evita aplicar a ação em todas as candidaturas por engano ('todas', 'todos' etc. não contam)
+    if (!Object.keys(filtrosRestritivos(usados)).length) {
+      return { ok: false, message: 'Informe ao menos um filtro que restrinja as candidaturas selecionadas.' };
+    }
+    // Exclusão por filtros: o total esperado (visto na listagem) confirma a seleção
+    if (acao === ACAO_LOTE.EXCLUIR && !(Number.isInteger(confirmar_total) && confirmar_total > 0)) {
+      return { ok: false, message: 'Para excluir por filtros, informe em "confirmar_total" o número de candidaturas esperado.' };
+    }
+    selecao = { filtros: usados };
+  } else {
+    return { ok: false, message: 'Informe "ids" ou "filtros" para selecionar as candidaturas.' };
+  }
+
+  if (acao === ACAO_LOTE.STATUS && !status) {
+    return { ok: false, message: 'O novo status é obrigatório.' };
+  }
+
+  if (acao === ACAO_LOTE.COMENTARIO) {
+    const texto = String(comentario || '').trim();
+    if (!texto) return { ok: false, message: 'O comentário é obrigatório.' };
+    if (texto.length > 1000) return { ok: false, message: 'Comentário muito longo. Máximo 1000 caracteres.' };
+  }
+
+  return {
+    ok: true,
+    acao,
+    selecao,
+    confirmarTotal: selecao.filtros && acao === ACAO_LOTE.EXCLUIR ? confirmar_total : null,
+    parametros: {
+      status: status || null,
+      observacao: observacao || null,
+      comentario: acao === ACAO_LOTE.COMENTARIO ? String(comentario).trim() : null,
+      notificar: notificar_candidato === true
+    }
+  };
+}
+
+/**
+ * Carrega as candidaturas selecionadas (por ids ou filtros).
+ * Ids inexistentes voltam em `naoEncontrados` para entrar no relatório.
+ */
+export async function carregarSelecao(supabase, selecao) {
+  const rows = [];
+
+  if (selecao.ids) {
+    for (let i = 0; i < selecao.ids.length; i += TAMANHO_CONSULTA) {
+      const { data, error } = await supabase
+        .from('candidaturas')
+        .select(CAMPOS_SELECAO)
+        .in('id', selecao.ids.slice(i, i + TAMANHO_CONSULTA));
+      if (error) return { error };
+      rows.push(...data);
+    }
+    const encontrados = new Set(rows.map((r) => String(r.id)));
+    return { rows, naoEncontrados: selecao.ids.filter((id) => !encontrados.has(id)), error: null };
+  }
+
+  // Com busca, a seleção vem do mesmo caminho da listagem (campos cadastrais + texto dos currículos)
+  if (selecao.filtros.search) {
+    const { ids, error } = await buscarIdsCandidaturas(supabase, selecao.filtros, { camposBusca: CAMPOS_BUSCA });
+    if (error) return { error };
+    if (ids.length > LIMITE_LOTE) return { error: null, excedeu: true };
+    return carregarSelecao(supabase, { ids: ids.map(String) });
+  }
+
+  for (let offset = 0; ; offset += TAMANHO_CONSULTA) {
+    const { data, error } = await aplicarFiltros(
+      supabase.from('candidaturas').select(CAMPOS_SELECAO).order('enviado_em', { ascending: false }).order('id'),
+      selecao.filtros
+    ).range(offset, offset + TAMANHO_CONSULTA - 1);
+
+    if (error) return { error };
+    rows.push(...data);
+    if (rows.length > LIMITE_LOTE) {
+      return { error: null, excedeu: true };
+    }
+    if (data.length < TAMANHO_CONSULTA) break;
+  }
+
+  return { rows, naoEncontrados: [], error: null };
+}
+
+/* =========================
+   EXECUÇÃO
+========================= */
+
+/**
+ * Aplica a ação item a item e devolve o relatório { total, sucesso, falhas, resultados }.
+ * `aoProgredir` é chamado periodicamente com o relatório parcial (usado pelos jobs).
+ */
+export async function executarAcaoLote(supabase, { acao, parametros, rows, naoEncontrados = [], ator }, aoProgredir = null) {
+  const resultados = naoEncontrados.map((id) => ({ id, ok: false, message: 'Candidatura não encontrada.' }));
+  const total = rows.length + naoEncontrados.length;
+  const relatorio = () => {
+    const sucesso = resultados.filter((r) => r.ok).length;
+    return { total, processados: resultados.length, sucesso, falhas: resultados.length - sucesso, resultados };
+  };
+
+  if (acao === ACAO_LOTE.EXCLUIR) {
+    for (let i = 0; i < rows.length; i += TAMANHO_EXCLUSAO) {
+      const grupo = rows.slice(i, i + TAMANHO_EXCLUSAO);
+      const { error, bloqueadas = [] } = await excluirCandidaturas(supabase, grupo);
+      if (error) console.error('[LOTE] Erro ao excluir grupo:', error);
+      resultados.push(...grupo.map((r) => error
+        ? { id: r.id, ok: false, message: 'Erro ao excluir candidatura.' }
+        : bloqueadas.includes(r.id)
+          ? { id: r.id, ok: false, message: 'Candidatura com bloqueio legal de retenção.' }
+          : { id: r.id, ok: true }));
+      if (aoProgredir) await aoProgredir(relatorio());
+    }
+    return relatorio();
+  }
+
+  for (const [i, candidatura] of rows.entries()) {
+    if (acao === ACAO_LOTE.STATUS) {
+      const resultado = await alterarStatus(supabase, {
+        candidatura,
+        para: parametros.status,
+        ator,
+        observacao: parametros.observacao,
+        notificar: parametros.notificar
+      });
+      if (resultado.error) console.error(`[LOTE] Erro ao alterar status de ${candidatura.id}:`, resultado.error);
+      resultados.push(resultado.ok
+        ? { id: candidatura.id, ok: true, de: candidatura.status, para: parametros.status }
+        : { id: candidatura.id, ok: false, message: resultado.message });
+    }
+
+    if (acao === ACAO_LOTE.COMENTARIO) {
+      const agora = new Date().toISOString();
+      const { error } = await supabase
+        .from('comentarios')
+        .insert([{
+          candidatura_id: candidatura.id,
+          usuario_id: ator.id,
+          comentario: parametros.comentario,
+          tipo: 'observacao',
+          criado_em: agora,
+          atualizado_em: agora
+        }]);
+      if (error) console.error(`[LOTE] Erro ao comentar ${candidatura.id}:`, error);
+      resultados.push(error
+        ? { id: candidatura.id, ok: false, message: 'Erro ao criar comentário.' }
+        : { id: candidatura.id, ok: true });
+    }
+
+    if (aoProgredir && (i + 1) % 25 === 0) await aoProgredir(relatorio());
+  }
+
+  return relatorio();
+}
+
+/* =========================
+   JOBS (lotes grandes)
+========================= */
+
+/**
+ * Marca como falhos os jobs pendentes ou executando criados há mais de TEMPO_MAXIMO_JOB_MIN:
+ * um reinício do servidor interrompe a execução, que não é retomada.
+ * Chamado na inicialização e nas consultas de GET /api/admin/lotes. Retorna quantos foram encerrados.
+ */
+export async function encerrarJobsAbandonados(supabase) {
+  const agora = new Date();
+  const { data, error } = await supabase
+    .from('lotes_jobs')
+    .update({
+      status: STATUS_JOB.FALHOU,
+      erro: 'Execução interrompida antes da conclusão (servidor reiniciado). Confira o resultado parcial e repita a ação.',
+      concluido_em: agora.toISOString()
+    })
+    .in('status', [STATUS_JOB.PENDENTE, STATUS_JOB.EXECUTANDO])
+    .lt('criado_em', new Date(agora.getTime() - TEMPO_MAXIMO_JOB_MIN * 60000).toISOString())
+    .select('id');
+
+  if (error) {
+    console.error('[LOTE] Erro ao encerrar jobs abandonados:', error);
+    return 0;
+  }
+  if (data.length) console.warn(`[LOTE] ${data.length} job(s) interrompido(s) marcado(s) como falho(s).`);
+  return data.length;
+}
+
+async function atualizarJob(supabase, id, campos) {
+  const { error } = await supabase.from('lotes_jobs').update(campos).eq('id', id);
+  if (error) console.error(`[LOTE] Erro ao atualizar job ${id}:`, error);
+}
+
+/**
+ * Registra o job e executa em segundo plano no próprio processo.
+ * O andamento fica em lotes_jobs (total, processados, resultados).
+ */
+export async function iniciarJobLote(supabase, { acao, parametros, selecao, rows, naoEncontrados, ator }) {
+  const { data: job, error } = await supabase
+    .from('lotes_jobs')
+    .insert([{
+      acao,
+      parametros,
+      selecao,
+      status: STATUS_JOB.PENDENTE,
+      total: rows.length + naoEncontrados.length,
+      processados: 0,
+      criado_por: ator.id,
+      criado_em: new Date().toISOString()
+    }])
+    .select('*')
+    .single();
+
+  if (error) return { error };
+
+  setImmediate(async () => {
+    await atualizarJob(supabase, job.id, { status: STATUS_JOB.EXECUTANDO, iniciado_em: new Date().toISOString() });
+    try {
+      const final = await executarAcaoLote(
+        supabase,
+        { acao, parametros, rows, naoEncontrados, ator },
+        (parcial) => atualizarJob(supabase, job.id, {
+          processados: parcial.processados,
+          sucesso: parcial.sucesso,
+          falhas: parcial.falhas
+        })
+      );
+      await atualizarJob(supabase, job.id, {
+        status: STATUS_JOB.CONCLUIDO,
+        processados: final.processados,
+        sucesso: final.sucesso,
+        falhas: final.falhas,
+        resultados: final.resultados,
+        concluido_em: new Date().toISOString()
+      });
+      await registrarAuditoria({
+        acao: 'candidatura.lote.concluido',
+        ator: { tipo: ATOR_AUDITORIA.USUARIO, id: ator.id, nome: ator.nome, nivel: ator.nivel },
+        alvo_tipo: 'lote',
+        alvo_id: job.id,
+        detalhes: {
+          acao,
+          parametros,
+          sucesso: final.sucesso,
+          falhas: final.falhas,
+          ids_processados: final.resultados.filter((r) => r.ok).map((r) => r.id)
+        }
+      }).catch((err) => console.error(`[LOTE] Falha ao auditar job ${job.id}:`, err));
+    } catch (err) {
+      console.error(`[LOTE] Job ${job.id} falhou:`, err);
+      await atualizarJob(supabase, job.id, {
+        status: STATUS_JOB.FALHOU,
+        erro: String(err?.message || err).slice(0, 1000),
+        concluido_em: new Date().toISOString()
+      });
+    }
+  });
+
+  return { job, error: null };
+}
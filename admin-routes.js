@@ -1,15 +1,70 @@
 // admin-routes.js - Rotas administrativas atualizadas
 import 'dotenv/config';
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
+import { supabase } from './dados.js';
+import { normalizarLocalidade, slugify } from './utils.js';
+import {
+  CAMPOS_ARQUIVO,
+  abrirCurriculo,
+  aplicarFiltros,
+  excluirCandidaturas,
+  liberarArquivo,
+  listarCandidaturas,
+  metadadosCurriculo,
+  percorrerCandidaturas,
+  reanalisarArquivo,
+  validarOpcoesListagem
+} from './candidaturas.js';
+import { STATUS_ARQUIVO, TIPOS_CURRICULO } from './verificacao-arquivo.js';
+import { CSP_PREVIEW, obterMiniatura, obterPreVisualizacao } from './pre-visualizacao.js';
+import { FORMATOS_EXPORTACAO, exportarCandidaturas, resolverColunas } from './exportacao.js';
+import { validarVaga } from './vagas.js';
+import { validarPerguntas } from './triagem.js';
+import { alterarStatus } from './workflow-status.js';
+import {
+  LIMITE_LOTE,
+  LIMITE_SINCRONO,
+  carregarSelecao,
+  encerrarJobsAbandonados,
+  executarAcaoLote,
+  iniciarJobLote,
+  validarAcaoLote
+} from './acoes-lote.js';
+import { auditar, listarAuditoria, percorrerAuditoria, verificarCadeia } from './auditoria.js';
+import { definirBloqueio, restaurarCandidatura } from './retencao.js';
+import { revisarSpam } from './antibot.js';
+import {
+  COORDENADAS_MERCADO,
+  ENDERECO_MERCADO,
+  calcularDistanciaEmLinhaReta,
+  calcularDistanciasVaga,
+  calcularTempoEstimado,
+  geocodificarCandidatura,
+  geocodificarEndereco
+} from './geocodificacao.js';
+import {
+  TIPO_LOCALIDADE,
+  adicionarApelido,
+  atualizarLocalidade,
+  buscarLocalidade,
+  criarLocalidade,
+  ehCidadeMercado,
+  listarLocalidades,
+  mesclarLocalidades,
+  removerApelido,
+  renormalizarLocalidades,
+  validarLocalidade
+} from './localidades.js';
+import {
+  CHAVES_TEMPLATE,
+  STATUS_NOTIFICACAO,
+  TEMPLATES_PADRAO,
+  VARIAVEIS_TEMPLATE,
+  obterTemplate
+} from './notificacoes.js';
 
 const adminRouter = express.Router();
 
-// Supabase
-const supabase = createClient(process.env.SUPABASE_URL || '', process.env.SUPABASE_SERVICE_ROLE_KEY || '', {
-  auth: { persistSession: false },
-});
-
 /* =========================
    MIDDLEWARE DE AUTENTICAÇÃO ADMIN SUPABASE
 ========================= */
@@ -63,73 +118,6 @@ async function authAdmin(req, res, next) {
 ========================= */
 const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
-// Endereço fixo do mercado
-const ENDERECO_MERCADO = 'Km 91, AL-220, 948 - Sen. Arnon de Melo, Arapiraca - AL, 57315-745';
-const COORDENADAS_MERCADO = { lat: -9.7512, lon: -36.6574 };
-
-// Geocodificação usando Nominatim (OpenStreetMap) - Gratuito
-async function geocodificarEndereco(endereco) {
-  try {
-    // Delay para respeitar a política de uso do Nominatim
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(endereco)}&limit=1&countrycodes=br&addressdetails=1`,
-      {
-        headers: {
-          'User-Agent': 'SistemaRHCurriculos/1.0',
-          'Accept-Language': 'pt-BR,pt;q=0.9'
-        }
-      }
-    );
-    
-    const data = await response.json();
-    
-    if (data && data.length > 0) {
-      return {
-        lat: parseFloat(data[0].lat),
-        lon: parseFloat(data[0].lon),
-        endereco: data[0].display_name,
-        tipo: data[0].type,
-        importancia: data[0].importance
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error('Erro na geocodificação:', error);
-    return null;
-  }
-}
-
-// Calcular distância em linha reta usando a fórmula de Haversine
-function calcularDistanciaEmLinhaReta(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Raio da Terra em km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distancia = R * c;
-  return distancia;
-}
-
-// Calcular tempo estimado baseado na distância e tipo de área
-function calcularTempoEstimado(distanciaKm, cidadeOrigem) {
-  // Verificar se é na mesma cidade
-  const mesmaCidade = cidadeOrigem.toLowerCase().includes('arapiraca');
-  
-  if (mesmaCidade) {
-    // Em mesma cidade, velocidade média de 30km/h
-    const tempoMinutos = Math.round((distanciaKm / 30) * 60);
-    return Math.max(tempoMinutos, 5); // Mínimo 5 minutos
-  } else {
-    // Entre cidades, velocidade média de 60km/h
-    const tempoMinutos = Math.round((distanciaKm / 60) * 60);
-    return Math.max(tempoMinutos, 15); // Mínimo 15 minutos
-  }
-}
-
 /* =========================
    POST /api/admin/calcular-distancia
 ========================= */
@@ -141,8 +129,8 @@ adminRouter.post('/calcular-distancia', authAdmin, asyncRoute(async (req, res) =
   }
 
   try {
-    // Geocodificar endereço do candidato
-    const coordsCandidato = await geocodificarEndereco(enderecoCandidato);
+    // Geocodificar endereço do candidato (consulta o cache antes do provedor)
+    const coordsCandidato = await geocodificarEndereco(supabase, enderecoCandidato);
     
     if (!coordsCandidato) {
       return res.status(400).json({ 
@@ -212,7 +200,7 @@ adminRouter.get('/geocodificar', authAdmin, asyncRoute(async (req, res) => {
   }
 
   try {
-    const resultado = await geocodificarEndereco(endereco);
+    const resultado = await geocodificarEndereco(supabase, endereco);
     
     if (!resultado) {
       return res.status(404).json({ message: 'Endereço não encontrado.' });
@@ -227,91 +215,90 @@ adminRouter.get('/geocodificar', authAdmin, asyncRoute(async (req, res) => {
 
 /* =========================
    GET /api/admin/stats
+   Cidades e bairros agrupados pelas localidades canônicas (localidades.js).
+   Arquivadas ficam de fora, salvo ?arquivadas=incluir|somente (como na listagem)
 ========================= */
+const LOTE_ESTATISTICAS = 1000;
+
+// Campos usados nos agrupamentos, em lotes (o PostgREST limita cada select)
+async function carregarParaEstatisticas(inicio, fim, { arquivadas } = {}) {
+  const linhas = [];
+
+  for (let de = 0; ; de += LOTE_ESTATISTICAS) {
+    let query = aplicarFiltros(
+      supabase.from('candidaturas').select('vaga, cidade, cidade_id, uf, bairro, bairro_id, transporte, status'),
+      { arquivadas }
+    );
+    if (inicio && fim) query = query.gte('enviado_em', inicio.toISOString()).lte('enviado_em', fim.toISOString());
+
+    const { data, error } = await query.order('id').range(de, de + LOTE_ESTATISTICAS - 1);
+    if (error) throw error;
+    linhas.push(...data);
+    if (data.length < LOTE_ESTATISTICAS) return linhas;
+  }
+}
+
+// Conta por chave mantendo o rótulo da primeira ocorrência
+function agrupar(linhas, chave, rotulo) {
+  const grupos = new Map();
+  for (const linha of linhas) {
+    const k = chave(linha);
+    if (!k) continue;
+    const grupo = grupos.get(k) || { ...rotulo(linha), count: 0 };
+    grupo.count++;
+    grupos.set(k, grupo);
+  }
+  return [...grupos.values()].sort((a, b) => b.count - a.count);
+}
+
 adminRouter.get('/stats', authAdmin, asyncRoute(async (req, res) => {
-  const { data_inicio, data_fim } = req.query;
+  const { data_inicio, data_fim, arquivadas } = req.query;
+
+  const opcoes = validarOpcoesListagem({ arquivadas });
+  if (!opcoes.ok) {
+    return res.status(400).json({ message: opcoes.message });
+  }
   
   try {
-    let queryBase = supabase.from('candidaturas');
+    let inicio = null;
+    let fim = null;
 
     // Aplicar filtro de data se fornecido
     if (data_inicio && data_fim) {
-      const inicio = new Date(data_inicio);
-      const fim = new Date(data_fim);
+      inicio = new Date(data_inicio);
+      fim = new Date(data_fim);
       fim.setHours(23, 59, 59, 999);
-      
-      queryBase = queryBase
-        .gte('enviado_em', inicio.toISOString())
-        .lte('enviado_em', fim.toISOString());
     }
 
-    // Total de candidaturas
-    const { count: total, error: totalError } = await queryBase
-      .select('*', { count: 'exact', head: true });
-
-    if (totalError) throw totalError;
+    const linhas = await carregarParaEstatisticas(inicio, fim, { arquivadas });
 
     // Candidaturas dos últimos 30 dias
     const trintaDiasAtras = new Date();
     trintaDiasAtras.setDate(trintaDiasAtras.getDate() - 30);
     
-    const { count: ultimos30Dias, error: ultimos30Error } = await supabase
-      .from('candidaturas')
-      .select('*', { count: 'exact', head: true })
-      .gte('enviado_em', trintaDiasAtras.toISOString());
+    const { count: ultimos30Dias } = await aplicarFiltros(
+      supabase.from('candidaturas').select('*', { count: 'exact', head: true }),
+      { arquivadas }
+    ).gte('enviado_em', trintaDiasAtras.toISOString());
 
     // Candidaturas por vaga (top 10)
-    const { data: porVaga, error: porVagaError } = await queryBase
-      .select('vaga')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const counts = {};
-        data.forEach(({ vaga }) => {
-          counts[vaga] = (counts[vaga] || 0) + 1;
-        });
-        return { 
-          data: Object.entries(counts)
-            .map(([vaga, count]) => ({ vaga, count }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 10)
-        };
-      });
+    const porVaga = agrupar(linhas, (l) => l.vaga, (l) => ({ vaga: l.vaga })).slice(0, 10);
 
-    // Candidaturas por cidade (top 15)
-    const { data: porCidade, error: porCidadeError } = await queryBase
-      .select('cidade')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const counts = {};
-        data.forEach(({ cidade }) => {
-          counts[cidade] = (counts[cidade] || 0) + 1;
-        });
-        return { 
-          data: Object.entries(counts)
-            .map(([cidade, count]) => ({ cidade, count }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 15)
-        };
-      });
+    // Candidaturas por cidade (top 15); sem associação, agrupa pela grafia normalizada
+    const porCidade = agrupar(
+      linhas,
+      (l) => l.cidade_id || normalizarLocalidade(l.cidade),
+      (l) => ({ cidade: l.cidade, uf: l.uf || null, cidade_id: l.cidade_id || null })
+    ).slice(0, 15);
 
     // Status de transporte
-    const { data: porTransporte, error: porTransporteError } = await queryBase
-      .select('transporte')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const counts = { 'Sim': 0, 'Não': 0 };
-        data.forEach(({ transporte }) => {
-          if (transporte === 'Sim' || transporte === 'Não') {
-            counts[transporte]++;
-          }
-        });
-        return { data: Object.entries(counts).map(([transporte, count]) => ({ transporte, count })) };
-      });
+    const porTransporte = ['Sim', 'Não'].map((transporte) => ({
+      transporte,
+      count: linhas.filter((l) => l.transporte === transporte).length
+    }));
 
     // Candidatos de Arapiraca
-    const { count: arapiracaCount, error: arapiracaError } = await queryBase
-      .select('*', { count: 'exact', head: true })
-      .ilike('cidade', '%arapiraca%');
+    const arapiracaCount = linhas.filter(ehCidadeMercado).length;
 
     // Evolução dos últimos 7 dias
     const evolucao = [];
@@ -321,28 +308,21 @@ adminRouter.get('/stats', authAdmin, asyncRoute(async (req, res) => {
       const inicioDia = new Date(data.setHours(0, 0, 0, 0));
       const fimDia = new Date(data.setHours(23, 59, 59, 999));
       
-      let queryDia = supabase
-        .from('candidaturas')
-        .select('*', { count: 'exact', head: true })
-        .gte('enviado_em', inicioDia.toISOString())
-        .lte('enviado_em', fimDia.toISOString());
-
       // Aplicar filtro de data se fornecido
-      if (data_inicio && data_fim) {
-        const inicioFiltro = new Date(data_inicio);
-        const fimFiltro = new Date(data_fim);
-        fimFiltro.setHours(23, 59, 59, 999);
-        
-        if (inicioDia < inicioFiltro || inicioDia > fimFiltro) {
-          evolucao.push({
-            data: data.toLocaleDateString('pt-BR'),
-            count: 0
-          });
-          continue;
-        }
+      if (inicio && (inicioDia < inicio || inicioDia > fim)) {
+        evolucao.push({
+          data: data.toLocaleDateString('pt-BR'),
+          count: 0
+        });
+        continue;
       }
 
-      const { count, error } = await queryDia;
+      const { count } = await aplicarFiltros(
+        supabase.from('candidaturas').select('*', { count: 'exact', head: true }),
+        { arquivadas }
+      )
+        .gte('enviado_em', inicioDia.toISOString())
+        .lte('enviado_em', fimDia.toISOString());
 
       evolucao.push({
         data: data.toLocaleDateString('pt-BR'),
@@ -351,44 +331,24 @@ adminRouter.get('/stats', authAdmin, asyncRoute(async (req, res) => {
     }
 
     // Estatísticas por status
-    const { data: porStatus, error: porStatusError } = await queryBase
-      .select('status')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const counts = {};
-        data.forEach(({ status }) => {
-          counts[status] = (counts[status] || 0) + 1;
-        });
-        return { data: Object.entries(counts).map(([status, count]) => ({ status, count })) };
-      });
+    const porStatus = agrupar(linhas, (l) => l.status ?? 'null', (l) => ({ status: l.status }));
 
     // Candidaturas por bairro (top 10)
-    const { data: porBairro, error: porBairroError } = await queryBase
-      .select('bairro, cidade')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const counts = {};
-        data.forEach(({ bairro, cidade }) => {
-          const chave = `${bairro} - ${cidade}`;
-          counts[chave] = (counts[chave] || 0) + 1;
-        });
-        return { 
-          data: Object.entries(counts)
-            .map(([local, count]) => ({ local, count }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 10)
-        };
-      });
+    const porBairro = agrupar(
+      linhas,
+      (l) => l.bairro_id || (normalizarLocalidade(l.bairro) && `${normalizarLocalidade(l.bairro)}|${l.cidade_id || normalizarLocalidade(l.cidade)}`),
+      (l) => ({ local: `${l.bairro} - ${l.cidade}`, bairro_id: l.bairro_id || null })
+    ).slice(0, 10);
 
     res.json({
-      total: total || 0,
+      total: linhas.length,
       ultimos30Dias: ultimos30Dias || 0,
-      arapiraca: arapiracaCount || 0,
-      porVaga: porVaga.data || [],
-      porCidade: porCidade.data || [],
-      porTransporte: porTransporte.data || [],
-      porStatus: porStatus.data || [],
-      porBairro: porBairro.data || [],
+      arapiraca: arapiracaCount,
+      porVaga,
+      porCidade,
+      porTransporte,
+      porStatus,
+      porBairro,
       evolucao,
       periodo: {
         data_inicio: data_inicio || null,
@@ -418,41 +378,25 @@ adminRouter.get('/candidaturas', authAdmin, asyncRoute(async (req, res) => {
     status,
     bairro,
     cep,
-    estado 
+    estado,
+    triagem,
+    resposta,
+    raio_km,
+    ordenar,
+    arquivadas,
+    spam
   } = req.query;
-  
-  const offset = (page - 1) * limit;
-
-  let query = supabase
-    .from('candidaturas')
-    .select(`
-      *,
-      usuario_status:usuarios!status_alterado_por(nome, email, cargo, funcao, nivel)
-    `, { count: 'exact' })
-    .order('enviado_em', { ascending: false });
 
-  // Aplicar filtros
-  if (vaga && vaga !== 'todas') query = query.eq('vaga', vaga);
-  if (cidade && cidade !== 'todas') query = query.ilike('cidade', `%${cidade}%`);
-  if (transporte && transporte !== 'todos') query = query.eq('transporte', transporte);
-  if (status && status !== 'todos') query = query.eq('status', status);
-  if (bairro && bairro !== 'todos') query = query.ilike('bairro', `%${bairro}%`);
-  if (estado && estado !== 'todos') query = query.ilike('cidade', `%${estado}%`);
-  
-  if (search) {
-    query = query.or(`nome.ilike.%${search}%,email.ilike.%${search}%,cpf.ilike.%${search}%,telefone.ilike.%${search}%`);
+  const opcoes = validarOpcoesListagem({ raio_km, ordenar, arquivadas, spam });
+  if (!opcoes.ok) {
+    return res.status(400).json({ message: opcoes.message });
   }
   
-  if (data_inicio) {
-    query = query.gte('enviado_em', new Date(data_inicio).toISOString());
-  }
-  if (data_fim) {
-    const endDate = new Date(data_fim);
-    endDate.setHours(23, 59, 59, 999);
-    query = query.lte('enviado_em', endDate.toISOString());
-  }
-
-  const { data, error, count } = await query.range(offset, offset + limit - 1);
+  const { data, error, count } = await listarCandidaturas(
+    supabase,
+    { vaga, cidade, transporte, data_inicio, data_fim, search, status, bairro, cep, estado, triagem, resposta, raio_km, ordenar, arquivadas, spam },
+    { page, limit, camposBusca: ['nome', 'email', 'cpf', 'telefone'] }
+  );
 
   if (error) {
     console.error('[ADMIN CANDIDATURAS] Erro:', error);
@@ -460,309 +404,1403 @@ adminRouter.get('/candidaturas', authAdmin, asyncRoute(async (req, res) => {
   }
 
   res.json({
-    candidaturas: data,
+    candidaturas: data.map((c) => ({
+      ...c,
+      url_miniatura: c.arquivo_path && c.arquivo_status !== STATUS_ARQUIVO.QUARENTENA ? urlMiniatura(c.id) : null
+    })),
     total: count,
     page: Number(page),
     totalPages: Math.ceil(count / limit)
   });
 }));
 
+/* =========================
+   GET /api/admin/candidaturas/exportar
+   Mesmos filtros da listagem, sem paginação: ?formato=csv|xlsx&colunas=nome,cpf,...
+========================= */
+adminRouter.get('/candidaturas/exportar', authAdmin, asyncRoute(async (req, res) => {
+  const {
+    formato = 'csv',
+    colunas: colunasParam,
+    separador = ';',
+    vaga,
+    cidade,
+    transporte,
+    data_inicio,
+    data_fim,
+    search,
+    status,
+    bairro,
+    cep,
+    estado,
+    triagem,
+    resposta,
+    raio_km,
+    ordenar,
+    arquivadas,
+    spam
+  } = req.query;
+
+  if (!FORMATOS_EXPORTACAO.includes(formato)) {
+    return res.status(400).json({ message: `Formato inválido. Use: ${FORMATOS_EXPORTACAO.join(', ')}.` });
+  }
+
+  if (![';', ','].includes(separador)) {
+    return res.status(400).json({ message: 'Separador inválido. Use ";" ou ",".' });
+  }
+
+  const opcoes = validarOpcoesListagem({ raio_km, ordenar, arquivadas, spam });
+  if (!opcoes.ok) {
+    return res.status(400).json({ message: opcoes.message });
+  }
+
+  const { ok, colunas, message } = resolverColunas(colunasParam);
+  if (!ok) {
+    return res.status(400).json({ message });
+  }
+
+  const lotes = percorrerCandidaturas(
+    supabase,
+    { vaga, cidade, transporte, data_inicio, data_fim, search, status, bairro, cep, estado, triagem, resposta, raio_km, ordenar, arquivadas, spam },
+    { camposBusca: ['nome', 'email', 'cpf', 'telefone'] }
+  );
+
+  const data = new Date().toISOString().slice(0, 10);
+  const nomeArquivo = vaga && vaga !== 'todas'
+    ? `candidaturas-${slugify(vaga)}-${data}`
+    : `candidaturas-${data}`;
+
+  try {
+    await exportarCandidaturas(res, lotes, { formato, colunas, nomeArquivo, separador });
+  } catch (error) {
+    console.error('[ADMIN EXPORTAR] Erro:', error);
+    res.status(500).json({ message: 'Erro ao exportar candidaturas.' });
+  }
+}));
+
 /* =========================
    PUT /api/admin/candidaturas/:id/status
 ========================= */
-adminRouter.put('/candidaturas/:id/status', authAdmin, asyncRoute(async (req, res) => {
+adminRouter.put('/candidaturas/:id/status', authAdmin, auditar('candidatura.status', 'candidatura'), asyncRoute(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body; // Novo status a ser aplicado
+  const { status, observacao, notificar_candidato } = req.body; // Novo status a ser aplicado
   
   // Validação básica
   if (!status) {
     return res.status(400).json({ message: 'O novo status é obrigatório.' });
   }
 
-  // O campo status_alterado_por é o ID do usuário Admin logado (req.user.auth_id)
-  const { data, error } = await supabase
+  const { data: candidatura, error: fetchError } = await supabase
     .from('candidaturas')
-    .update({ 
-      status, 
-      status_alterado_em: new Date().toISOString(),
-      status_alterado_por: req.user.auth_id 
-    })
+    .select('id, status, nome, email, vaga, enviado_em')
     .eq('id', id)
-    .select();
+    .maybeSingle();
 
-  if (error) {
-    console.error('[ADMIN STATUS] Erro ao atualizar status:', error);
+  if (fetchError) {
+    console.error('[ADMIN STATUS] Erro ao buscar candidatura:', fetchError);
     return res.status(500).json({ message: 'Erro ao atualizar status da candidatura.' });
   }
 
-  if (data.length === 0) {
+  if (!candidatura) {
     return res.status(404).json({ message: 'Candidatura não encontrada.' });
   }
 
-  res.json(data[0]);
-}));
+  // Mesmo fluxo de PUT /api/users/candidaturas/:id/status, com registro no histórico
+  const resultado = await alterarStatus(supabase, {
+    candidatura,
+    para: status,
+    ator: req.user,
+    observacao,
+    notificar: notificar_candidato === true
+  });
 
-/* =========================
-   GET /api/admin/candidaturas/:id
-========================= */
-adminRouter.get('/candidaturas/:id', authAdmin, asyncRoute(async (req, res) => {
-  const { id } = req.params;
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN STATUS] Erro ao atualizar status:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
 
   const { data, error } = await supabase
     .from('candidaturas')
-    .select(`
-      *,
-      usuario_status:usuarios!status_alterado_por(nome, email, cargo, funcao, nivel)
-    `)
-    .eq('id', id)
-    .single();
+    .select('*')
+    .eq('id', id);
 
   if (error) {
-    console.error('[ADMIN CANDIDATURA] Erro:', error);
-    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
-  }
-
-  if (!data) {
-    return res.status(404).json({ message: 'Candidatura não encontrada.' });
-  }
-
-  // Gerar URL assinada para o arquivo
-  if (data.arquivo_path) {
-    const { data: signedUrl } = await supabase.storage
-      .from('curriculos')
-      .createSignedUrl(data.arquivo_path, 3600); // 1 hora
-
-    data.arquivo_url_assinada = signedUrl?.signedUrl || null;
+    console.error('[ADMIN STATUS] Erro ao buscar candidatura atualizada:', error);
+    return res.status(500).json({ message: 'Erro ao atualizar status da candidatura.' });
   }
 
-  res.json(data);
+  res.locals.auditoria = {
+    antes: { status: candidatura.status },
+    depois: { status, observacao: observacao || null },
+    detalhes: { notificar_candidato: notificar_candidato === true }
+  };
+  res.json(data[0]);
 }));
 
 /* =========================
-   GET /api/admin/curriculo/:id
+   POST /api/admin/candidaturas/lote
+   { acao: status|comentario|excluir, ids: [...] | filtros: {...}, status, observacao, comentario, notificar_candidato }
+   `filtros` aceita os parâmetros da listagem, inclusive search (chave desconhecida = 400);
+   excluir por filtros exige confirmar_total igual ao número de candidaturas selecionadas (409 se diferente)
+   Até LIMITE_SINCRONO itens responde com o relatório; acima disso cria um job (202)
 ========================= */
-adminRouter.get('/curriculo/:id', authAdmin, asyncRoute(async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    // Buscar candidatura para obter o arquivo_path
-    const { data: candidatura, error: candidaturaError } = await supabase
-      .from('candidaturas')
-      .select('arquivo_path, nome')
-      .eq('id', id)
-      .single();
-
-    if (candidaturaError || !candidatura) {
-      return res.status(404).json({ message: 'Candidatura não encontrada.' });
-    }
-
-    if (!candidatura.arquivo_path) {
-      return res.status(404).json({ message: 'Currículo não encontrado.' });
-    }
-
-    // Gerar URL assinada para download
-    const { data: signedUrl, error: signedError } = await supabase.storage
-      .from('curriculos')
-      .createSignedUrl(candidatura.arquivo_path, 3600); // 1 hora
+adminRouter.post('/candidaturas/lote', authAdmin, auditar('candidatura.lote', 'lote'), asyncRoute(async (req, res) => {
+  const valid = validarAcaoLote(req.body);
 
-    if (signedError) {
-      throw signedError;
-    }
+  if (!valid.ok) {
+    return res.status(400).json({ message: valid.message });
+  }
 
-    res.json({
-      url: signedUrl.signedUrl,
-      nome_arquivo: `${candidatura.nome}_curriculo.pdf`,
-      tipo: 'application/pdf'
-    });
+  const { acao, selecao, confirmarTotal, parametros } = valid;
+  const { rows, naoEncontrados, excedeu, error } = await carregarSelecao(supabase, selecao);
 
-  } catch (error) {
-    console.error('[ADMIN CURRICULO] Erro:', error);
-    res.status(500).json({ message: 'Erro ao buscar currículo.' });
+  if (error) {
+    console.error('[ADMIN LOTE] Erro ao selecionar candidaturas:', error);
+    return res.status(500).json({ message: 'Erro ao selecionar candidaturas.' });
   }
-}));
-
-/* =========================
-   DELETE /api/admin/candidaturas/:id
-========================= */
-adminRouter.delete('/candidaturas/:id', authAdmin, asyncRoute(async (req, res) => {
-  const { id } = req.params;
 
-  // Buscar a candidatura para obter o arquivo_path
-  const { data: candidatura, error: fetchError } = await supabase
-    .from('candidaturas')
-    .select('arquivo_path')
-    .eq('id', id)
-    .single();
+  if (excedeu) {
+    return res.status(400).json({ message: `A seleção passa de ${LIMITE_LOTE} candidaturas. Refine os filtros.` });
+  }
 
-  if (fetchError) {
-    console.error('[ADMIN DELETE] Erro ao buscar candidatura:', fetchError);
-    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+  const total = rows.length + naoEncontrados.length;
+  if (!rows.length) {
+    return res.status(404).json({ message: 'Nenhuma candidatura encontrada para a seleção.', total });
   }
 
-  if (!candidatura) {
-    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  if (confirmarTotal != null && confirmarTotal !== total) {
+    return res.status(409).json({
+      message: `Os filtros selecionam ${total} candidatura(s), não ${confirmarTotal}. Confira a seleção e envie o total correto em "confirmar_total".`,
+      total
+    });
   }
 
-  // Excluir o arquivo do storage
-  if (candidatura.arquivo_path) {
-    const { error: storageError } = await supabase.storage
-      .from('curriculos')
-      .remove([candidatura.arquivo_path]);
+  if (total > LIMITE_SINCRONO) {
+    const { job, error: jobError } = await iniciarJobLote(supabase, {
+      acao, parametros, selecao, rows, naoEncontrados, ator: req.user
+    });
 
-    if (storageError) {
-      console.error('[ADMIN DELETE] Erro ao excluir arquivo:', storageError);
+    if (jobError) {
+      console.error('[ADMIN LOTE] Erro ao criar job:', jobError);
+      return res.status(500).json({ message: 'Erro ao iniciar ação em lote.' });
     }
-  }
-
-  // Excluir o registro do banco
-  const { error: deleteError } = await supabase
-    .from('candidaturas')
-    .delete()
-    .eq('id', id);
 
-  if (deleteError) {
-    console.error('[ADMIN DELETE] Erro ao excluir candidatura:', deleteError);
-    return res.status(500).json({ message: 'Erro ao excluir candidatura.' });
+    res.locals.auditoria = { alvo_id: job.id, detalhes: { acao, selecao, parametros, total, job_id: job.id } };
+    return res.status(202).json({
+      message: `Ação em lote iniciada para ${total} candidatura(s).`,
+      job_id: job.id,
+      total
+    });
   }
 
-  res.json({ ok: true, message: 'Candidatura excluída com sucesso.' });
+  const relatorio = await executarAcaoLote(supabase, { acao, parametros, rows, naoEncontrados, ator: req.user });
+  res.locals.auditoria = {
+    detalhes: {
+      acao,
+      selecao,
+      parametros,
+      total,
+      ids_processados: relatorio.resultados.filter((r) => r.ok).map((r) => r.id)
+    }
+  };
+  res.json({ acao, ...relatorio });
 }));
 
 /* =========================
-   GET /api/admin/vagas
+   GET /api/admin/lotes
 ========================= */
-adminRouter.get('/vagas', authAdmin, asyncRoute(async (req, res) => {
+adminRouter.get('/lotes', authAdmin, asyncRoute(async (req, res) => {
+  await encerrarJobsAbandonados(supabase);
+
   const { data, error } = await supabase
-    .from('vagas')
-    .select('*')
-    .order('nome', { ascending: true });
+    .from('lotes_jobs')
+    .select(`
+      id, acao, status, total, processados, sucesso, falhas, erro, criado_em, iniciado_em, concluido_em,
+      usuario:usuarios!criado_por(nome, email)
+    `)
+    .order('criado_em', { ascending: false })
+    .limit(50);
 
   if (error) {
-    console.error('[ADMIN VAGAS] Erro:', error);
-    return res.status(500).json({ message: 'Erro ao buscar vagas.' });
+    console.error('[ADMIN LOTE] Erro ao listar jobs:', error);
+    return res.status(500).json({ message: 'Erro ao buscar ações em lote.' });
   }
 
-  res.json(data || []);
+  res.json(data);
 }));
 
 /* =========================
-   POST /api/admin/vagas
+   GET /api/admin/lotes/:id
+   Andamento e relatório por item do job
 ========================= */
-adminRouter.post('/vagas', authAdmin, asyncRoute(async (req, res) => {
-  const { nome, ativa = true } = req.body;
+adminRouter.get('/lotes/:id', authAdmin, asyncRoute(async (req, res) => {
+  const { id } = req.params;
 
-  if (!nome) {
-    return res.status(400).json({ message: 'Nome da vaga é obrigatório.' });
-  }
+  await encerrarJobsAbandonados(supabase);
 
   const { data, error } = await supabase
-    .from('vagas')
-    .insert([{ nome, ativa }])
-    .select();
+    .from('lotes_jobs')
+    .select(`
+      *,
+      usuario:usuarios!criado_por(nome, email)
+    `)
+    .eq('id', id)
+    .maybeSingle();
 
   if (error) {
-    console.error('[ADMIN VAGAS] Erro ao criar:', error);
-    return res.status(500).json({ message: 'Erro ao criar vaga.' });
+    console.error('[ADMIN LOTE] Erro ao buscar job:', error);
+    return res.status(500).json({ message: 'Erro ao buscar ação em lote.' });
   }
 
-  res.json(data[0]);
+  if (!data) {
+    return res.status(404).json({ message: 'Ação em lote não encontrada.' });
+  }
+
+  res.json(data);
 }));
 
 /* =========================
-   PUT /api/admin/vagas/:id
+   GET /api/admin/candidaturas/:id
 ========================= */
-adminRouter.put('/vagas/:id', authAdmin, asyncRoute(async (req, res) => {
+adminRouter.get('/candidaturas/:id', authAdmin, asyncRoute(async (req, res) => {
   const { id } = req.params;
-  const { nome, ativa } = req.body;
 
   const { data, error } = await supabase
-    .from('vagas')
-    .update({ nome, ativa })
+    .from('candidaturas')
+    .select(`
+      *,
+      usuario_status:usuarios!status_alterado_por(nome, email, cargo, funcao, nivel),
+      responsavel:usuarios!responsavel_id(id, nome, email, nivel)
+    `)
     .eq('id', id)
-    .select();
+    .single();
 
   if (error) {
-    console.error('[ADMIN VAGAS] Erro ao atualizar:', error);
-    return res.status(500).json({ message: 'Erro ao atualizar vaga.' });
+    console.error('[ADMIN CANDIDATURA] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
   }
 
-  if (data.length === 0) {
-    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  if (!data) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
   }
 
-  res.json(data[0]);
+  // Currículo pelo download autenticado (em quarentena, só depois de liberado)
+  if (data.arquivo_path && data.arquivo_status !== STATUS_ARQUIVO.QUARENTENA) {
+    data.arquivo = dadosCurriculo(data);
+  }
+
+  res.json(data);
 }));
 
 /* =========================
-   DELETE /api/admin/vagas/:id
+   POST /api/admin/candidaturas/:id/geocodificar
+   Refaz a geocodificação da candidatura (ex.: após corrigir o endereço)
 ========================= */
-adminRouter.delete('/vagas/:id', authAdmin, asyncRoute(async (req, res) => {
-  const { id } = req.params;
-
-  const { error } = await supabase
-    .from('vagas')
-    .delete()
-    .eq('id', id);
+adminRouter.post('/candidaturas/:id/geocodificar', authAdmin, auditar('candidatura.geocodificar', 'candidatura'), asyncRoute(async (req, res) => {
+  const { data: candidatura, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select('id, rua, bairro, cidade, uf, cep, latitude, longitude, distancia_km, geo_status')
+    .eq('id', req.params.id)
+    .maybeSingle();
 
-  if (error) {
-    console.error('[ADMIN VAGAS] Erro ao deletar:', error);
-    return res.status(500).json({ message: 'Erro ao deletar vaga.' });
+  if (fetchError) {
+    console.error('[ADMIN GEOCODIFICAR] Erro:', fetchError);
+    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+  }
+  if (!candidatura) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
   }
 
-  res.json({ message: 'Vaga deletada com sucesso.' });
+  const { error, ...campos } = await geocodificarCandidatura(supabase, candidatura);
+  if (error) return res.status(500).json({ message: 'Erro ao gravar coordenadas.' });
+
+  res.locals.auditoria = { antes: candidatura, depois: campos };
+  res.json({ ok: true, id: candidatura.id, ...campos });
 }));
 
 /* =========================
-   GET /api/admin/filtros
+   CURRÍCULO
+   GET /api/admin/curriculo/:id                    metadados (nome, tipo e rotas de download)
+   GET /api/admin/curriculo/:id/arquivo            arquivo (?disposicao=inline para visualizar)
+   GET /api/admin/curriculo/:id/visualizar         versão para o navegador (DOC/DOCX convertidos)
+   GET /api/admin/curriculo/:id/miniatura          miniatura da primeira página
+   GET /api/admin/candidaturas/:id/downloads       quem baixou o currículo e quando
+   GET /api/admin/candidaturas/:id/arquivos/:versao versão anterior (substituída pelo candidato)
 ========================= */
-adminRouter.get('/filtros', authAdmin, asyncRoute(async (req, res) => {
-  try {
-    // Buscar valores únicos para os filtros
-    const { data: vagas, error: vagasError } = await supabase
-      .from('candidaturas')
-      .select('vaga')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const unique = [...new Set(data.map(item => item.vaga))];
-        return { data: unique.filter(Boolean) };
-      });
+const DISPOSICOES = ['inline', 'attachment'];
 
-    const { data: cidades, error: cidadesError } = await supabase
-      .from('candidaturas')
-      .select('cidade')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const unique = [...new Set(data.map(item => item.cidade))];
-        return { data: unique.filter(Boolean) };
-      });
+// Só PDF é exibido pelo navegador; DOC/DOCX sempre como anexo
+const exibivel = (tipo) => tipo === TIPOS_CURRICULO.pdf.mime;
 
-    const { data: bairros, error: bairrosError } = await supabase
-      .from('candidaturas')
-      .select('bairro, cidade')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const unique = [...new Set(data.map(item => `${item.bairro} - ${item.cidade}`))];
-        return { data: unique.filter(Boolean) };
-      });
+const urlMiniatura = (id) => `/api/admin/curriculo/${id}/miniatura`;
 
-    const { data: status, error: statusError } = await supabase
-      .from('candidaturas')
-      .select('status')
-      .then(({ data, error }) => {
-        if (error) throw error;
-        const unique = [...new Set(data.map(item => item.status))];
-        return { data: unique.filter(Boolean) };
-      });
+const dadosCurriculo = (candidatura) => ({
+  ...metadadosCurriculo(candidatura),
+  url: `/api/admin/curriculo/${candidatura.id}/arquivo`,
+  url_visualizar: `/api/admin/curriculo/${candidatura.id}/visualizar`,
+  url_miniatura: urlMiniatura(candidatura.id)
+});
 
-    if (vagasError || cidadesError || statusError || bairrosError) {
-      throw vagasError || cidadesError || statusError || bairrosError;
-    }
+// Nome ASCII para navegadores antigos e o original (UTF-8) pelo RFC 6266
+const cabecalhoDisposicao = (disposicao, nome) =>
+  `${disposicao}; filename="${nome.normalize('NFD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '')}"; ` +
+  `filename*=UTF-8''${encodeURIComponent(nome)}`;
+
+// Carrega a candidatura e recusa currículo ausente ou em quarentena (responde e devolve null)
+async function carregarCurriculo(req, res) {
+  const { data: candidatura, error } = await supabase
+    .from('candidaturas')
+    .select('id, nome, arquivo_path, arquivo_tipo, arquivo_sha256, arquivo_status, arquivo_alertas')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ADMIN CURRICULO] Erro:', error);
+    res.status(500).json({ message: 'Erro ao buscar currículo.' });
+    return null;
+  }
+  if (!candidatura) {
+    res.status(404).json({ message: 'Candidatura não encontrada.' });
+    return null;
+  }
+  if (!candidatura.arquivo_path) {
+    res.status(404).json({ message: 'Currículo não encontrado.' });
+    return null;
+  }
+  if (candidatura.arquivo_status === STATUS_ARQUIVO.QUARENTENA) {
+    res.status(423).json({
+      message: 'Currículo em quarentena. Revise os alertas e libere o arquivo antes de baixá-lo.',
+      alertas: candidatura.arquivo_alertas
+    });
+    return null;
+  }
+  return candidatura;
+}
+
+adminRouter.get('/curriculo/:id', authAdmin, asyncRoute(async (req, res) => {
+  const candidatura = await carregarCurriculo(req, res);
+  if (!candidatura) return;
+
+  res.json(dadosCurriculo(candidatura));
+}));
+
+// Transmite o arquivo guardado e completa a entrada da auditoria
+async function transmitirCurriculo(res, candidatura, disposicao, detalhes = {}) {
+  const { nome_arquivo, tipo } = metadadosCurriculo(candidatura);
+  const exibicao = disposicao === 'inline' && exibivel(tipo) ? 'inline' : 'attachment';
+
+  // Interrompe a leitura do Storage se o cliente desistir do download
+  const controle = new AbortController();
+  res.on('close', () => controle.abort());
+
+  const arquivo = await abrirCurriculo(supabase, candidatura.arquivo_path, { signal: controle.signal });
+  if (!arquivo.ok) {
+    if (arquivo.error) console.error('[ADMIN CURRICULO] Erro no Storage:', arquivo.error);
+    return res.status(arquivo.code).json({ message: arquivo.message });
+  }
+
+  res.locals.auditoria = {
+    detalhes: {
+      arquivo_path: candidatura.arquivo_path,
+      arquivo_sha256: candidatura.arquivo_sha256 || null,
+      tipo,
+      disposicao: exibicao,
+      tamanho: arquivo.tamanho,
+      ...detalhes
+    }
+  };
+
+  res.setHeader('Content-Type', tipo);
+  res.setHeader('Content-Disposition', cabecalhoDisposicao(exibicao, nome_arquivo));
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (arquivo.tamanho) res.setHeader('Content-Length', arquivo.tamanho);
+
+  arquivo.stream.on('error', (error) => {
+    if (controle.signal.aborted) return;
+    console.error('[ADMIN CURRICULO] Falha ao transmitir o arquivo:', error.message || error);
+    res.destroy(error);
+  });
+  arquivo.stream.pipe(res);
+}
+
+adminRouter.get('/curriculo/:id/arquivo', authAdmin, auditar('candidatura.curriculo_download', 'candidatura'), asyncRoute(async (req, res) => {
+  const disposicao = req.query.disposicao || 'attachment';
+  if (!DISPOSICOES.includes(disposicao)) {
+    return res.status(400).json({ message: `Disposição inválida. Use: ${DISPOSICOES.join(', ')}.` });
+  }
+
+  const candidatura = await carregarCurriculo(req, res);
+  if (!candidatura) return;
+
+  await transmitirCurriculo(res, candidatura, disposicao);
+}));
+
+// PDF é exibido como está; DOC/DOCX convertidos na primeira consulta (?regenerar=1 refaz a conversão)
+adminRouter.get('/curriculo/:id/visualizar', authAdmin, auditar('candidatura.curriculo_visualizar', 'candidatura'), asyncRoute(async (req, res) => {
+  const candidatura = await carregarCurriculo(req, res);
+  if (!candidatura) return;
+
+  const { tipo, nome_arquivo } = metadadosCurriculo(candidatura);
+  const preview = await obterPreVisualizacao(supabase, candidatura, { mime: tipo, regenerar: req.query.regenerar === '1' });
+  if (!preview.ok) {
+    if (preview.error) console.error('[ADMIN PREVIEW] Erro na conversão:', preview.error.message || preview.error);
+    return res.status(preview.code).json({ message: preview.message });
+  }
+  if (preview.original) return transmitirCurriculo(res, candidatura, 'inline');
+
+  res.locals.auditoria = {
+    detalhes: { arquivo_path: candidatura.arquivo_path, tipo, preview: preview.tipo, cache: preview.cache }
+  };
+
+  res.setHeader('Content-Type', preview.tipo);
+  res.setHeader('Content-Disposition', cabecalhoDisposicao('inline', nome_arquivo.replace(/\.[^.]+$/, `.${preview.extensao}`)));
+  res.setHeader('Content-Security-Policy', CSP_PREVIEW);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(preview.conteudo);
+}));
+
+// Sem auditoria: a listagem pede uma miniatura por candidatura
+adminRouter.get('/curriculo/:id/miniatura', authAdmin, asyncRoute(async (req, res) => {
+  const candidatura = await carregarCurriculo(req, res);
+  if (!candidatura) return;
+
+  const { tipo } = metadadosCurriculo(candidatura);
+  const miniatura = await obterMiniatura(supabase, candidatura, { mime: tipo, regenerar: req.query.regenerar === '1' });
+  if (!miniatura.ok) {
+    if (miniatura.error) console.error('[ADMIN PREVIEW] Erro na miniatura:', miniatura.error.message || miniatura.error);
+    return res.status(miniatura.code).json({ message: miniatura.message });
+  }
+
+  res.setHeader('Content-Type', miniatura.tipo);
+  res.setHeader('Content-Security-Policy', CSP_PREVIEW);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(miniatura.conteudo);
+}));
+
+adminRouter.get('/candidaturas/:id/downloads', authAdmin, asyncRoute(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const { data, error, count } = await listarAuditoria(
+    { acao: 'candidatura.curriculo_download', alvo_tipo: 'candidatura', alvo_id: req.params.id },
+    { page, limit }
+  );
+
+  if (error) {
+    console.error('[ADMIN CURRICULO] Erro ao listar downloads:', error);
+    return res.status(500).json({ message: 'Erro ao buscar os downloads do currículo.' });
+  }
+
+  res.json({
+    downloads: data.map((e) => ({
+      em: e.criado_em,
+      usuario: { id: e.ator_id, nome: e.ator_nome, nivel: e.ator_nivel },
+      ip: e.ip,
+      disposicao: e.detalhes?.disposicao || null,
+      arquivo_path: e.detalhes?.arquivo_path || null,
+      versao: e.detalhes?.versao ?? null
+    })),
+    total: count,
+    page: Number(page),
+    totalPages: Math.ceil(count / limit)
+  });
+}));
+
+// Versões anteriores seguem as mesmas regras do currículo atual (inclusive a quarentena)
+adminRouter.get('/candidaturas/:id/arquivos/:versao', authAdmin, auditar('candidatura.curriculo_download', 'candidatura'), asyncRoute(async (req, res) => {
+  const versao = Number(req.params.versao);
+  if (!Number.isInteger(versao) || versao < 1) {
+    return res.status(400).json({ message: 'Versão inválida.' });
+  }
+
+  const { data: candidatura, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select('id, nome')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (fetchError) {
+    console.error('[ADMIN CURRICULO] Erro:', fetchError);
+    return res.status(500).json({ message: 'Erro ao buscar currículo.' });
+  }
+  if (!candidatura) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  }
+
+  const { data: anterior, error } = await supabase
+    .from('candidatura_arquivos')
+    .select('versao, arquivo_path, arquivo_tipo, arquivo_sha256, arquivo_status, arquivo_alertas')
+    .eq('candidatura_id', candidatura.id)
+    .eq('versao', versao)
+    .maybeSingle();
+  if (error) {
+    console.error('[ADMIN CURRICULO] Erro ao buscar versão:', error);
+    return res.status(500).json({ message: 'Erro ao buscar currículo.' });
+  }
+  if (!anterior) {
+    return res.status(404).json({ message: 'Versão do currículo não encontrada.' });
+  }
+  if (anterior.arquivo_status === STATUS_ARQUIVO.QUARENTENA) {
+    return res.status(423).json({
+      message: 'Esta versão do currículo ficou em quarentena e não pode ser baixada.',
+      alertas: anterior.arquivo_alertas
+    });
+  }
+
+  await transmitirCurriculo(res, { ...anterior, id: candidatura.id, nome: `${candidatura.nome} v${versao}` }, 'attachment', { versao });
+}));
+
+/* =========================
+   ATUALIZAÇÕES PELO CANDIDATO
+   GET /api/admin/candidaturas/:id/alteracoes    alterações feitas no portal e versões do currículo
+   PUT /api/admin/candidaturas/:id/responsavel   { usuario_id } analista avisado das atualizações (null remove)
+========================= */
+adminRouter.get('/candidaturas/:id/alteracoes', authAdmin, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const [alteracoes, versoes] = await Promise.all([
+    supabase
+      .from('candidatura_alteracoes')
+      .select('id, campos, arquivo_versao, criado_em, notificado:usuarios!notificado_usuario_id(id, nome, email)')
+      .eq('candidatura_id', id)
+      .order('criado_em', { ascending: false }),
+    supabase
+      .from('candidatura_arquivos')
+      .select('versao, arquivo_tipo, arquivo_sha256, arquivo_status, enviado_em, substituido_em')
+      .eq('candidatura_id', id)
+      .order('versao', { ascending: false })
+  ]);
+
+  const error = alteracoes.error || versoes.error;
+  if (error) {
+    console.error('[ADMIN ALTERACOES] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar as alterações da candidatura.' });
+  }
+
+  res.json({
+    alteracoes: alteracoes.data,
+    versoes: versoes.data.map((v) => ({
+      ...v,
+      url: v.arquivo_status === STATUS_ARQUIVO.QUARENTENA ? null : `/api/admin/candidaturas/${id}/arquivos/${v.versao}`
+    }))
+  });
+}));
+
+adminRouter.put('/candidaturas/:id/responsavel', authAdmin, auditar('candidatura.responsavel', 'candidatura'), asyncRoute(async (req, res) => {
+  const usuarioId = req.body?.usuario_id ?? null;
+
+  if (usuarioId) {
+    const { data: usuario, error: userError } = await supabase
+      .from('usuarios')
+      .select('id, ativo')
+      .eq('id', usuarioId)
+      .maybeSingle();
+    if (userError) {
+      console.error('[ADMIN RESPONSAVEL] Erro ao buscar usuário:', userError);
+      return res.status(500).json({ message: 'Erro ao atribuir responsável.' });
+    }
+    if (!usuario?.ativo) {
+      return res.status(400).json({ message: 'Usuário não encontrado ou desativado.' });
+    }
+  }
+
+  const { data: atual, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select('id, responsavel_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (fetchError) {
+    console.error('[ADMIN RESPONSAVEL] Erro:', fetchError);
+    return res.status(500).json({ message: 'Erro ao atribuir responsável.' });
+  }
+  if (!atual) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  }
+
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .update({ responsavel_id: usuarioId })
+    .eq('id', atual.id)
+    .select('id, responsavel_id, responsavel:usuarios!responsavel_id(id, nome, email, nivel)')
+    .single();
+  if (error) {
+    console.error('[ADMIN RESPONSAVEL] Erro ao atualizar:', error);
+    return res.status(500).json({ message: 'Erro ao atribuir responsável.' });
+  }
+
+  res.locals.auditoria = { antes: { responsavel_id: atual.responsavel_id }, depois: { responsavel_id: data.responsavel_id } };
+  res.json({ ok: true, candidatura: data });
+}));
+
+/* =========================
+   RETENÇÃO DA CANDIDATURA
+   PUT  /api/admin/candidaturas/:id/retencao { bloqueada, motivo }
+   POST /api/admin/candidaturas/:id/restaurar
+   Com bloqueio legal a candidatura não é arquivada nem excluída. Restaurar
+   devolve a arquivada à listagem; se o prazo da regra já venceu, a próxima
+   execução da retenção volta a arquivá-la (salvo bloqueio ou nova movimentação).
+========================= */
+adminRouter.put('/candidaturas/:id/retencao', authAdmin, auditar('candidatura.retencao_bloqueio', 'candidatura'), asyncRoute(async (req, res) => {
+  const { bloqueada, motivo } = req.body || {};
+  const resultado = await definirBloqueio(supabase, req.params.id, { bloqueada, motivo, usuario: req.user });
+
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN RETENCAO] Erro:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { antes: resultado.antes, depois: resultado.candidatura };
+  res.json({ ok: true, candidatura: resultado.candidatura });
+}));
+
+adminRouter.post('/candidaturas/:id/restaurar', authAdmin, auditar('candidatura.restaurar', 'candidatura'), asyncRoute(async (req, res) => {
+  const resultado = await restaurarCandidatura(supabase, req.params.id);
+
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN RESTAURAR] Erro:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { antes: resultado.antes };
+  res.json({ ok: true, message: 'Candidatura restaurada.' });
+}));
+
+/* =========================
+   PUT /api/admin/candidaturas/:id/spam { legitima }
+   Revisão das suspeitas do antirrobô (GET /api/admin/candidaturas?spam=suspeitas).
+   As confirmadas como spam saem em lote: POST /api/admin/candidaturas/lote
+   com { acao: 'excluir', filtros: { spam: 'confirmadas' } }.
+========================= */
+adminRouter.put('/candidaturas/:id/spam', authAdmin, auditar('candidatura.revisar_spam', 'candidatura'), asyncRoute(async (req, res) => {
+  const resultado = await revisarSpam(supabase, req.params.id, { legitima: req.body?.legitima, usuario: req.user });
+
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN SPAM] Erro:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { antes: resultado.antes, depois: resultado.candidatura };
+  res.json({ ok: true, candidatura: resultado.candidatura });
+}));
+
+/* =========================
+   QUARENTENA DE CURRÍCULOS
+   GET  /api/admin/arquivos/quarentena
+   POST /api/admin/candidaturas/:id/arquivo/liberar
+   POST /api/admin/candidaturas/:id/arquivo/reanalisar
+========================= */
+adminRouter.get('/arquivos/quarentena', authAdmin, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .select(CAMPOS_ARQUIVO)
+    .eq('arquivo_status', STATUS_ARQUIVO.QUARENTENA)
+    .order('enviado_em', { ascending: false });
+
+  if (error) {
+    console.error('[ADMIN QUARENTENA] Erro ao listar:', error);
+    return res.status(500).json({ message: 'Erro ao listar currículos em quarentena.' });
+  }
+
+  res.json(data);
+}));
+
+async function carregarArquivoCandidatura(req, res) {
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .select(CAMPOS_ARQUIVO)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ADMIN QUARENTENA] Erro ao buscar candidatura:', error);
+    res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+    return null;
+  }
+  if (!data?.arquivo_path) {
+    res.status(404).json({ message: data ? 'Currículo não encontrado.' : 'Candidatura não encontrada.' });
+    return null;
+  }
+  return data;
+}
+
+adminRouter.post('/candidaturas/:id/arquivo/liberar', authAdmin, auditar('candidatura.arquivo_liberar', 'candidatura'), asyncRoute(async (req, res) => {
+  const candidatura = await carregarArquivoCandidatura(req, res);
+  if (!candidatura) return;
+
+  const resultado = await liberarArquivo(supabase, candidatura, { usuarioId: req.user.id });
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN QUARENTENA] Erro ao liberar:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { antes: candidatura, depois: resultado.candidatura };
+  res.json(resultado.candidatura);
+}));
+
+adminRouter.post('/candidaturas/:id/arquivo/reanalisar', authAdmin, auditar('candidatura.arquivo_reanalisar', 'candidatura'), asyncRoute(async (req, res) => {
+  const candidatura = await carregarArquivoCandidatura(req, res);
+  if (!candidatura) return;
+
+  const resultado = await reanalisarArquivo(supabase, candidatura, { usuarioId: req.user.id });
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN QUARENTENA] Erro ao reanalisar:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { antes: candidatura, depois: resultado.candidatura, detalhes: { liberado: resultado.liberado } };
+  res.json({
+    ...resultado.candidatura,
+    liberado: resultado.liberado,
+    recusaria_envio: !resultado.inspecao.ok,
+    motivo: resultado.inspecao.ok ? null : resultado.inspecao.message
+  });
+}));
+
+/* =========================
+   DELETE /api/admin/candidaturas/:id
+========================= */
+adminRouter.delete('/candidaturas/:id', authAdmin, auditar('candidatura.excluir', 'candidatura'), asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  // Buscar a candidatura para obter o arquivo_path (e o estado anterior para a auditoria)
+  const { data: candidatura, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (fetchError) {
+    console.error('[ADMIN DELETE] Erro ao buscar candidatura:', fetchError);
+    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+  }
+
+  if (!candidatura) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  }
+
+  // Excluir o arquivo do storage e o registro do banco
+  const { error: deleteError, bloqueadas } = await excluirCandidaturas(supabase, [candidatura]);
+
+  if (deleteError) {
+    console.error('[ADMIN DELETE] Erro ao excluir candidatura:', deleteError);
+    return res.status(500).json({ message: 'Erro ao excluir candidatura.' });
+  }
+  if (bloqueadas.length) {
+    return res.status(409).json({
+      message: 'Candidatura com bloqueio legal de retenção. Remova o bloqueio antes de excluir.',
+      motivo: candidatura.retencao_bloqueio_motivo
+    });
+  }
+
+  res.locals.auditoria = { antes: candidatura };
+  res.json({ ok: true, message: 'Candidatura excluída com sucesso.' });
+}));
+
+/* =========================
+   GET /api/admin/vagas
+========================= */
+adminRouter.get('/vagas', authAdmin, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('vagas')
+    .select('*')
+    .order('nome', { ascending: true });
+
+  if (error) {
+    console.error('[ADMIN VAGAS] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar vagas.' });
+  }
+
+  res.json(data || []);
+}));
+
+/* =========================
+   POST /api/admin/vagas
+========================= */
+adminRouter.post('/vagas', authAdmin, auditar('vaga.criar', 'vaga'), asyncRoute(async (req, res) => {
+  const valid = validarVaga(req.body || {});
+
+  if (!valid.ok) {
+    return res.status(400).json({ message: valid.message });
+  }
+
+  const { data, error } = await supabase
+    .from('vagas')
+    .insert([{ ativa: true, ...valid.vaga }])
+    .select();
+
+  if (error) {
+    console.error('[ADMIN VAGAS] Erro ao criar:', error);
+    return res.status(500).json({ message: 'Erro ao criar vaga.' });
+  }
+
+  res.locals.auditoria = { alvo_id: data[0].id, depois: data[0] };
+  res.json(data[0]);
+}));
+
+/* =========================
+   PUT /api/admin/vagas/:id
+========================= */
+adminRouter.put('/vagas/:id', authAdmin, auditar('vaga.editar', 'vaga'), asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: atual, error: fetchError } = await supabase
+    .from('vagas')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[ADMIN VAGAS] Erro ao buscar:', fetchError);
+    return res.status(500).json({ message: 'Erro ao atualizar vaga.' });
+  }
+
+  if (!atual) {
+    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  }
+
+  const valid = validarVaga(req.body || {}, atual);
+
+  if (!valid.ok) {
+    return res.status(400).json({ message: valid.message });
+  }
+
+  const { data, error } = await supabase
+    .from('vagas')
+    .update(valid.vaga)
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    console.error('[ADMIN VAGAS] Erro ao atualizar:', error);
+    return res.status(500).json({ message: 'Erro ao atualizar vaga.' });
+  }
+
+  if (data.length === 0) {
+    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  }
+
+  res.locals.auditoria = { antes: atual, depois: data[0] };
+  res.json(data[0]);
+}));
+
+/* =========================
+   GET /api/admin/vagas/:id/perguntas
+========================= */
+adminRouter.get('/vagas/:id/perguntas', authAdmin, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await supabase
+    .from('vagas')
+    .select('id, nome, perguntas')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ADMIN PERGUNTAS] Erro ao buscar:', error);
+    return res.status(500).json({ message: 'Erro ao buscar perguntas da vaga.' });
+  }
+
+  if (!data) {
+    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  }
+
+  res.json({ vaga_id: data.id, vaga: data.nome, perguntas: data.perguntas || [] });
+}));
+
+/* =========================
+   POST /api/admin/vagas/:id/distancias
+   Calcula a distância até o mercado de todas as candidaturas da vaga
+   Body opcional: { limite: 100, regeocodificar: false }
+========================= */
+adminRouter.post('/vagas/:id/distancias', authAdmin, auditar('vaga.calcular_distancias', 'vaga'), asyncRoute(async (req, res) => {
+  const limite = Math.min(500, Math.max(0, Number(req.body?.limite ?? 100) || 0));
+  const regeocodificar = req.body?.regeocodificar === true;
+
+  const { data: vaga, error: vagaError } = await supabase
+    .from('vagas')
+    .select('id, nome')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (vagaError) {
+    console.error('[ADMIN DISTANCIAS] Erro ao buscar vaga:', vagaError);
+    return res.status(500).json({ message: 'Erro ao buscar vaga.' });
+  }
+  if (!vaga) {
+    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  }
+
+  const { error, ...resultado } = await calcularDistanciasVaga(supabase, vaga.nome, {
+    limiteGeocodificacao: limite,
+    regeocodificar
+  });
+  if (error) {
+    console.error('[ADMIN DISTANCIAS] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao calcular distâncias.' });
+  }
+
+  res.locals.auditoria = {
+    detalhes: {
+      vaga: vaga.nome,
+      regeocodificar,
+      total: resultado.total,
+      recalculadas: resultado.recalculadas,
+      geocodificadas: resultado.geocodificadas,
+      pendentes: resultado.pendentes
+    }
+  };
+  res.json({ ok: true, vaga_id: vaga.id, vaga: vaga.nome, mercado: ENDERECO_MERCADO, ...resultado });
+}));
+
+/* =========================
+   PUT /api/admin/vagas/:id/perguntas
+========================= */
+adminRouter.put('/vagas/:id/perguntas', authAdmin, auditar('vaga.perguntas', 'vaga'), asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  const valid = validarPerguntas(req.body?.perguntas);
+
+  if (!valid.ok) {
+    return res.status(400).json({ message: valid.message });
+  }
+
+  const { data: atual } = await supabase
+    .from('vagas')
+    .select('perguntas')
+    .eq('id', id)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('vagas')
+    .update({ perguntas: valid.perguntas })
+    .eq('id', id)
+    .select('id, nome, perguntas');
+
+  if (error) {
+    console.error('[ADMIN PERGUNTAS] Erro ao atualizar:', error);
+    return res.status(500).json({ message: 'Erro ao salvar perguntas da vaga.' });
+  }
+
+  if (data.length === 0) {
+    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  }
+
+  res.locals.auditoria = { antes: { perguntas: atual?.perguntas ?? null }, depois: { perguntas: data[0].perguntas } };
+  res.json({ vaga_id: data[0].id, vaga: data[0].nome, perguntas: data[0].perguntas });
+}));
+
+/* =========================
+   DELETE /api/admin/vagas/:id
+========================= */
+adminRouter.delete('/vagas/:id', authAdmin, auditar('vaga.excluir', 'vaga'), asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await supabase
+    .from('vagas')
+    .delete()
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    console.error('[ADMIN VAGAS] Erro ao deletar:', error);
+    return res.status(500).json({ message: 'Erro ao deletar vaga.' });
+  }
+
+  res.locals.auditoria = { antes: data?.[0] ?? null };
+  res.json({ message: 'Vaga deletada com sucesso.' });
+}));
+
+/* =========================
+   GET /api/admin/notificacoes/templates
+   Templates efetivos: personalizado quando existir, senão o padrão
+========================= */
+adminRouter.get('/notificacoes/templates', authAdmin, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('notificacao_templates')
+    .select('chave, assunto, corpo, ativo, atualizado_em');
+
+  if (error) {
+    console.error('[ADMIN NOTIFICACOES] Erro ao buscar templates:', error);
+    return res.status(500).json({ message: 'Erro ao buscar templates de notificação.' });
+  }
+
+  const personalizados = Object.fromEntries((data || []).map((t) => [t.chave, t]));
+  const templates = CHAVES_TEMPLATE.map((chave) => personalizados[chave]
+    ? { ...personalizados[chave], padrao: false }
+    : { chave, ...TEMPLATES_PADRAO[chave], ativo: true, padrao: true });
+
+  res.json({ templates, variaveis: VARIAVEIS_TEMPLATE });
+}));
+
+/* =========================
+   PUT /api/admin/notificacoes/templates/:chave
+========================= */
+adminRouter.put('/notificacoes/templates/:chave', authAdmin, auditar('notificacao_template.editar', 'notificacao_template'), asyncRoute(async (req, res) => {
+  const { chave } = req.params;
+  const { assunto, corpo, ativo = true } = req.body;
+
+  if (!CHAVES_TEMPLATE.includes(chave)) {
+    return res.status(404).json({ message: 'Template de notificação não encontrado.' });
+  }
+
+  if (!String(assunto || '').trim() || !String(corpo || '').trim()) {
+    return res.status(400).json({ message: 'Assunto e corpo são obrigatórios.' });
+  }
+
+  const antes = await obterTemplate(supabase, chave);
+
+  const { data, error } = await supabase
+    .from('notificacao_templates')
+    .upsert({
+      chave,
+      assunto: String(assunto).trim(),
+      corpo: String(corpo),
+      ativo: ativo !== false,
+      atualizado_em: new Date().toISOString()
+    }, { onConflict: 'chave' })
+    .select('chave, assunto, corpo, ativo, atualizado_em')
+    .single();
+
+  if (error) {
+    console.error('[ADMIN NOTIFICACOES] Erro ao salvar template:', error);
+    return res.status(500).json({ message: 'Erro ao salvar template de notificação.' });
+  }
+
+  res.locals.auditoria = { alvo_id: chave, antes, depois: data };
+  res.json({ ...data, padrao: false });
+}));
+
+/* =========================
+   DELETE /api/admin/notificacoes/templates/:chave
+   Remove a personalização e volta ao texto padrão
+========================= */
+adminRouter.delete('/notificacoes/templates/:chave', authAdmin, auditar('notificacao_template.restaurar', 'notificacao_template'), asyncRoute(async (req, res) => {
+  const { chave } = req.params;
+
+  if (!CHAVES_TEMPLATE.includes(chave)) {
+    return res.status(404).json({ message: 'Template de notificação não encontrado.' });
+  }
+
+  const { data, error } = await supabase
+    .from('notificacao_templates')
+    .delete()
+    .eq('chave', chave)
+    .select();
+
+  if (error) {
+    console.error('[ADMIN NOTIFICACOES] Erro ao restaurar template:', error);
+    return res.status(500).json({ message: 'Erro ao restaurar template de notificação.' });
+  }
+
+  res.locals.auditoria = { alvo_id: chave, antes: data?.[0] ?? null, depois: TEMPLATES_PADRAO[chave] };
+
+  res.json({ chave, ...TEMPLATES_PADRAO[chave], ativo: true, padrao: true });
+}));
+
+/* =========================
+   GET /api/admin/notificacoes
+   Fila de envio (outbox) com estado de entrega
+========================= */
+adminRouter.get('/notificacoes', authAdmin, asyncRoute(async (req, res) => {
+  const { status, candidatura_id, page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('notificacoes')
+    .select('id, evento, template, candidatura_id, destinatario, assunto, status, tentativas, ultimo_erro, proxima_tentativa_em, enviado_em, criado_em', { count: 'exact' });
+
+  if (status) query = query.eq('status', status);
+  if (candidatura_id) query = query.eq('candidatura_id', candidatura_id);
+
+  const { data, error, count } = await query
+    .order('criado_em', { ascending: false })
+    .range(offset, offset + Number(limit) - 1);
+
+  if (error) {
+    console.error('[ADMIN NOTIFICACOES] Erro ao buscar fila:', error);
+    return res.status(500).json({ message: 'Erro ao buscar notificações.' });
+  }
+
+  res.json({
+    notificacoes: data,
+    total: count,
+    page: Number(page),
+    totalPages: Math.ceil(count / limit)
+  });
+}));
+
+/* =========================
+   POST /api/admin/notificacoes/:id/reenviar
+   Recoloca na fila uma notificação que falhou (ou reenvia uma já entregue)
+========================= */
+adminRouter.post('/notificacoes/:id/reenviar', authAdmin, auditar('notificacao.reenviar', 'notificacao'), asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await supabase
+    .from('notificacoes')
+    .update({
+      status: STATUS_NOTIFICACAO.PENDENTE,
+      tentativas: 0,
+      ultimo_erro: null,
+      proxima_tentativa_em: new Date().toISOString()
+    })
+    .eq('id', id)
+    .neq('status', STATUS_NOTIFICACAO.ENVIANDO)
+    .select('id, status');
+
+  if (error) {
+    console.error('[ADMIN NOTIFICACOES] Erro ao reenviar:', error);
+    return res.status(500).json({ message: 'Erro ao reenviar notificação.' });
+  }
+
+  if (data.length === 0) {
+    return res.status(404).json({ message: 'Notificação não encontrada ou em envio.' });
+  }
+
+  res.locals.auditoria = { depois: data[0] };
+  res.json({ message: 'Notificação recolocada na fila de envio.', notificacao: data[0] });
+}));
+
+/* =========================
+   GET /api/admin/auditoria
+   ?acao=&ator_id=&alvo_tipo=&alvo_id=&data_inicio=&data_fim=&page=&limit=
+========================= */
+adminRouter.get('/auditoria', authAdmin, asyncRoute(async (req, res) => {
+  const { acao, ator_id, alvo_tipo, alvo_id, data_inicio, data_fim, page = 1, limit = 50 } = req.query;
+
+  const { data, error, count } = await listarAuditoria(
+    { acao, ator_id, alvo_tipo, alvo_id, data_inicio, data_fim },
+    { page, limit }
+  );
+
+  if (error) {
+    console.error('[ADMIN AUDITORIA] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar auditoria.' });
+  }
+
+  res.json({
+    entradas: data,
+    total: count,
+    page: Number(page),
+    totalPages: Math.ceil(count / limit)
+  });
+}));
+
+/* =========================
+   GET /api/admin/auditoria/exportar
+   NDJSON em ordem cronológica, com conteudo e hashes para verificação externa
+========================= */
+adminRouter.get('/auditoria/exportar', authAdmin, asyncRoute(async (req, res) => {
+  const { acao, ator_id, alvo_tipo, alvo_id, data_inicio, data_fim } = req.query;
+  const lotes = percorrerAuditoria({ acao, ator_id, alvo_tipo, alvo_id, data_inicio, data_fim });
+
+  let atual;
+  try {
+    atual = await lotes.next();
+  } catch (error) {
+    console.error('[ADMIN AUDITORIA] Erro ao exportar:', error);
+    return res.status(500).json({ message: 'Erro ao exportar auditoria.' });
+  }
+
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="auditoria-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    for (; !atual.done; atual = await lotes.next()) {
+      const linhas = atual.value.map((row) => JSON.stringify(row) + '\n').join('');
+      if (!res.write(linhas)) await new Promise((resolve) => res.once('drain', resolve));
+    }
+    res.end();
+  } catch (error) {
+    console.error('[ADMIN AUDITORIA] Erro durante a exportação:', error);
+    res.destroy(error);
+  }
+}));
+
+/* =========================
+   GET /api/admin/auditoria/verificar
+   Recalcula a cadeia de hashes e aponta entradas adulteradas
+========================= */
+adminRouter.get('/auditoria/verificar', authAdmin, asyncRoute(async (req, res) => {
+  try {
+    const resultado = await verificarCadeia();
+    res.json(resultado);
+  } catch (error) {
+    console.error('[ADMIN AUDITORIA] Erro ao verificar:', error);
+    res.status(500).json({ message: 'Erro ao verificar a auditoria.' });
+  }
+}));
+
+/* =========================
+   LOCALIDADES (cidades e bairros canônicos)
+   GET  /api/admin/localidades/cidades?revisado=false&busca=
+   POST /api/admin/localidades/cidades { nome, uf }
+   GET  /api/admin/localidades/cidades/:id/bairros?revisado=&busca=
+   POST /api/admin/localidades/cidades/:id/bairros { nome }
+   PUT  /api/admin/localidades/{cidades|bairros}/:id { nome, uf, revisado }
+   POST /api/admin/localidades/{cidades|bairros}/:id/mesclar { destino_id }
+   POST /api/admin/localidades/{cidades|bairros}/:id/aliases { alias }
+   DELETE /api/admin/localidades/{cidades|bairros}/:id/aliases/:aliasId
+   POST /api/admin/localidades/renormalizar
+   Grafias novas chegam do envio com revisado = false; o painel as revisa,
+   associa como apelido ou mescla em uma localidade existente.
+========================= */
+const filtroRevisado = (v) => (v === 'true' ? true : v === 'false' ? false : undefined);
+
+adminRouter.get('/localidades/cidades', authAdmin, asyncRoute(async (req, res) => {
+  try {
+    const cidades = await listarLocalidades(supabase, 'cidade', {
+      revisado: filtroRevisado(req.query.revisado),
+      busca: req.query.busca
+    });
+    res.json(cidades);
+  } catch (error) {
+    console.error('[ADMIN LOCALIDADES] Erro ao listar cidades:', error);
+    res.status(500).json({ message: 'Erro ao listar cidades.' });
+  }
+}));
+
+adminRouter.post('/localidades/cidades', authAdmin, auditar('cidade.criar', 'cidade'), asyncRoute(async (req, res) => {
+  const valid = validarLocalidade('cidade', req.body || {});
+  if (!valid.ok) return res.status(400).json({ message: valid.message });
+
+  const resultado = await criarLocalidade(supabase, 'cidade', valid.campos);
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN LOCALIDADES] Erro ao cadastrar cidade:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { alvo_id: resultado.localidade.id, depois: resultado.localidade };
+  res.status(201).json(resultado.localidade);
+}));
+
+adminRouter.get('/localidades/cidades/:id/bairros', authAdmin, asyncRoute(async (req, res) => {
+  try {
+    const cidade = await buscarLocalidade(supabase, 'cidade', req.params.id);
+    if (!cidade) return res.status(404).json({ message: TIPO_LOCALIDADE.cidade.naoEncontrada });
+
+    const bairros = await listarLocalidades(supabase, 'bairro', {
+      cidade_id: cidade.id,
+      revisado: filtroRevisado(req.query.revisado),
+      busca: req.query.busca
+    });
+    res.json({ cidade, bairros });
+  } catch (error) {
+    console.error('[ADMIN LOCALIDADES] Erro ao listar bairros:', error);
+    res.status(500).json({ message: 'Erro ao listar bairros.' });
+  }
+}));
+
+adminRouter.post('/localidades/cidades/:id/bairros', authAdmin, auditar('bairro.criar', 'bairro'), asyncRoute(async (req, res) => {
+  const cidade = await buscarLocalidade(supabase, 'cidade', req.params.id);
+  if (!cidade) return res.status(404).json({ message: TIPO_LOCALIDADE.cidade.naoEncontrada });
+
+  const valid = validarLocalidade('bairro', req.body || {});
+  if (!valid.ok) return res.status(400).json({ message: valid.message });
+
+  const resultado = await criarLocalidade(supabase, 'bairro', { ...valid.campos, cidade_id: cidade.id });
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[ADMIN LOCALIDADES] Erro ao cadastrar bairro:', resultado.error);
+    return res.status(resultado.code).json({ message: resultado.message });
+  }
+
+  res.locals.auditoria = { alvo_id: resultado.localidade.id, depois: resultado.localidade };
+  res.status(201).json(resultado.localidade);
+}));
+
+// Edição, mesclagem e apelidos: mesmas rotas para cidades e bairros
+for (const [tipo, rota] of [['cidade', 'cidades'], ['bairro', 'bairros']]) {
+  const { naoEncontrada } = TIPO_LOCALIDADE[tipo];
+
+  adminRouter.put(`/localidades/${rota}/:id`, authAdmin, auditar(`${tipo}.editar`, tipo), asyncRoute(async (req, res) => {
+    const atual = await buscarLocalidade(supabase, tipo, req.params.id);
+    if (!atual) return res.status(404).json({ message: naoEncontrada });
+
+    const valid = validarLocalidade(tipo, req.body || {}, atual);
+    if (!valid.ok) return res.status(400).json({ message: valid.message });
+
+    const resultado = await atualizarLocalidade(supabase, tipo, atual, valid.campos);
+    if (!resultado.ok) {
+      if (resultado.error) console.error('[ADMIN LOCALIDADES] Erro ao atualizar:', resultado.error);
+      return res.status(resultado.code).json({ message: resultado.message });
+    }
+
+    res.locals.auditoria = { antes: atual, depois: resultado.localidade };
+    res.json(resultado.localidade);
+  }));
+
+  adminRouter.post(`/localidades/${rota}/:id/mesclar`, authAdmin, auditar(`${tipo}.mesclar`, tipo), asyncRoute(async (req, res) => {
+    const destinoId = req.body?.destino_id;
+    if (!destinoId) return res.status(400).json({ message: 'Informe o destino da mesclagem (destino_id).' });
+
+    const [origem, destino] = await Promise.all([
+      buscarLocalidade(supabase, tipo, req.params.id),
+      buscarLocalidade(supabase, tipo, destinoId)
+    ]);
+    if (!origem || !destino) return res.status(404).json({ message: naoEncontrada });
+    if (tipo === 'bairro' && origem.cidade_id !== destino.cidade_id) {
+      return res.status(400).json({ message: 'Só é possível mesclar bairros da mesma cidade. Mescle as cidades primeiro.' });
+    }
+
+    const resultado = await mesclarLocalidades(supabase, tipo, origem.id, destino.id);
+    if (!resultado.ok) {
+      if (resultado.error) console.error('[ADMIN LOCALIDADES] Erro ao mesclar:', resultado.error);
+      return res.status(resultado.code).json({ message: resultado.message });
+    }
+
+    res.locals.auditoria = { antes: origem, depois: destino, detalhes: { destino_id: destino.id } };
+    res.json({ message: `"${origem.nome}" foi mesclado em "${destino.nome}".`, destino });
+  }));
+
+  adminRouter.post(`/localidades/${rota}/:id/aliases`, authAdmin, auditar(`${tipo}.alias_adicionar`, tipo), asyncRoute(async (req, res) => {
+    const localidade = await buscarLocalidade(supabase, tipo, req.params.id);
+    if (!localidade) return res.status(404).json({ message: naoEncontrada });
+
+    const resultado = await adicionarApelido(supabase, tipo, localidade, req.body?.alias);
+    if (!resultado.ok) {
+      if (resultado.error) console.error('[ADMIN LOCALIDADES] Erro ao registrar apelido:', resultado.error);
+      return res.status(resultado.code).json({ message: resultado.message, conflito: resultado.conflito });
+    }
+
+    res.locals.auditoria = { detalhes: resultado.apelido };
+    res.status(201).json(resultado.apelido);
+  }));
+
+  adminRouter.delete(`/localidades/${rota}/:id/aliases/:aliasId`, authAdmin, auditar(`${tipo}.alias_remover`, tipo), asyncRoute(async (req, res) => {
+    const resultado = await removerApelido(supabase, tipo, req.params.id, req.params.aliasId);
+    if (!resultado.ok) {
+      if (resultado.error) console.error('[ADMIN LOCALIDADES] Erro ao remover apelido:', resultado.error);
+      return res.status(resultado.code).json({ message: resultado.message });
+    }
+
+    res.locals.auditoria = { antes: resultado.apelido };
+    res.json({ message: 'Apelido removido.' });
+  }));
+}
+
+adminRouter.post('/localidades/renormalizar', authAdmin, auditar('localidade.renormalizar'), asyncRoute(async (req, res) => {
+  try {
+    const atualizadas = await renormalizarLocalidades(supabase);
+    res.locals.auditoria = { detalhes: { atualizadas } };
+    res.json({ atualizadas });
+  } catch (error) {
+    console.error('[ADMIN LOCALIDADES] Erro ao renormalizar:', error);
+    res.status(500).json({ message: 'Erro ao associar as candidaturas às localidades.' });
+  }
+}));
+
+/* =========================
+   GET /api/admin/filtros
+   Cidades e bairros com a grafia canônica (sql/013_localidades.sql)
+========================= */
+adminRouter.get('/filtros', authAdmin, asyncRoute(async (req, res) => {
+  try {
+    const linhas = await carregarParaEstatisticas(null, null);
+    const unicos = (valores) => [...new Set(valores.filter(Boolean))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
 
     res.json({
-      vagas: vagas.data,
-      cidades: cidades.data,
-      bairros: bairros.data,
-      status: status.data
+      vagas: unicos(linhas.map((l) => l.vaga)),
+      cidades: unicos(linhas.map((l) => l.cidade)),
+      bairros: unicos(linhas.filter((l) => l.bairro).map((l) => `${l.bairro} - ${l.cidade}`)),
+      status: unicos(linhas.map((l) => l.status))
     });
 
   } catch (error) {
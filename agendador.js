@@ -0,0 +1,289 @@
+// agendador.js - Agendador interno: tarefas periódicas com reserva entre instâncias e histórico
+import 'dotenv/config';
+import os from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { ORIGEM_RETENCAO, executarRetencao } from './retencao.js';
+import { limparDesafiosUsados } from './antibot.js';
+import { geocodificarPendentes } from './geocodificacao.js';
+import { processarFila } from './notificacoes.js';
+import { enviarLembretesParadas, enviarResumoDiario } from './resumos.js';
+import { addDays } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+export const ORIGEM_AGENDAMENTO = {
+  AGENDADA: 'agendada',
+  MANUAL: 'manual'
+};
+
+export const STATUS_EXECUCAO = {
+  EXECUTANDO: 'executando',
+  SUCESSO: 'sucesso',
+  FALHOU: 'falhou'
+};
+
+// AGENDADOR_ATIVO=false desliga o agendador nesta instância (ex.: workers só de API)
+export const AGENDADOR_ATIVO = process.env.AGENDADOR_ATIVO !== 'false';
+const INTERVALO_VERIFICACAO_MS = Math.max(1000, Number(process.env.AGENDADOR_INTERVALO_MS || 60000));
+// Histórico de execuções mantido (a limpeza da retenção remove o mais antigo)
+const DIAS_HISTORICO = Math.max(1, Number(process.env.AGENDADOR_HISTORICO_DIAS || 30));
+
+// Identifica a instância que reservou a tarefa (hostname:pid:aleatório)
+export const INSTANCIA = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// Execuções antigas saem mesmo se ficaram "executando": nenhuma reserva dura tanto tempo
+async function limparHistorico(supabase) {
+  const { data, error } = await supabase
+    .from('agendamento_execucoes')
+    .delete()
+    .lt('iniciado_em', addDays(new Date(), -DIAS_HISTORICO).toISOString())
+    .select('id');
+  if (error) throw error;
+  return data.length;
+}
+
+/**
+ * Tarefas disponíveis. intervalo: minutos entre execuções (padrão, editável
+ * pelo painel); bloqueio: segundos de reserva da tarefa, maior que a duração
+ * esperada (se a instância cair, outra assume depois disso).
+ * executar(supabase, { usuario }) devolve o resultado gravado no histórico; erros lançados viram falha.
+ */
+export const TAREFAS = {
+  limpeza_retencao: {
+    descricao: 'Aplica as regras de retenção (arquiva e exclui candidaturas vencidas) e limpa o histórico do agendador e os desafios antirrobô expirados.',
+    intervalo: 1440,
+    bloqueio: 3600,
+    async executar(supabase, { usuario }) {
+      const resultado = await executarRetencao(supabase, {
+        origem: usuario ? ORIGEM_RETENCAO.MANUAL : ORIGEM_RETENCAO.AGENDADA,
+        usuario
+      });
+      if (!resultado.ok) throw new Error(resultado.message);
+
+      const { relatorio, ...execucao } = resultado.execucao;
+      return {
+        ...execucao,
+        pendentes: resultado.pendentes,
+        historico_removido: await limparHistorico(supabase),
+        desafios_removidos: await limparDesafiosUsados(supabase)
+      };
+    }
+  },
+  geocodificacao: {
+    descricao: 'Geocodifica candidaturas ainda sem coordenadas.',
+    intervalo: 60,
+    bloqueio: 900,
+    async executar(supabase) {
+      const { error, ...resultado } = await geocodificarPendentes(supabase, { limite: 50 });
+      if (error) throw error;
+      return resultado;
+    }
+  },
+  notificacoes: {
+    descricao: 'Reenvia as notificações por e-mail pendentes.',
+    intervalo: 5,
+    bloqueio: 600,
+    executar: (supabase) => processarFila(supabase, { limite: 50 })
+  },
+  resumo_diario: {
+    descricao: 'Envia aos administradores e líderes o resumo das últimas 24 horas.',
+    intervalo: 1440,
+    bloqueio: 600,
+    executar: (supabase) => enviarResumoDiario(supabase)
+  },
+  lembrete_candidaturas_paradas: {
+    descricao: 'Lembra os analistas das candidaturas em andamento sem movimentação.',
+    intervalo: 1440,
+    bloqueio: 600,
+    executar: (supabase) => enviarLembretesParadas(supabase)
+  }
+};
+
+/* =========================
+   CONFIGURAÇÃO PERSISTIDA
+========================= */
+
+// Cria as linhas das tarefas que ainda não existem (novas versões podem trazer tarefas novas)
+export async function registrarTarefas(supabase) {
+  const { data, error } = await supabase.from('agendamentos').select('chave');
+  if (error) throw error;
+
+  const existentes = new Set(data.map((a) => a.chave));
+  const novas = Object.entries(TAREFAS)
+    .filter(([chave]) => !existentes.has(chave))
+    .map(([chave, tarefa]) => ({ chave, intervalo_minutos: tarefa.intervalo }));
+  if (!novas.length) return 0;
+
+  const { error: insertError } = await supabase.from('agendamentos').insert(novas);
+  if (insertError && insertError.code !== '23505') throw insertError;
+  return novas.length;
+}
+
+/**
+ * Valida a edição de uma tarefa: { ativo, intervalo_minutos, proxima_execucao_em }.
+ * Retorna { ok, message } ou { ok, campos } somente com os campos enviados.
+ */
+export function validarAgendamento(body = {}) {
+  const campos = {};
+
+  if (body.ativo !== undefined) {
+    if (typeof body.ativo !== 'boolean') return { ok: false, message: 'O campo ativo deve ser verdadeiro ou falso.' };
+    campos.ativo = body.ativo;
+  }
+
+  if (body.intervalo_minutos !== undefined) {
+    const intervalo = Number(body.intervalo_minutos);
+    if (!Number.isInteger(intervalo) || intervalo < 1 || intervalo > 43200) {
+      return { ok: false, message: 'O intervalo deve ser um número inteiro de minutos entre 1 e 43200 (30 dias).' };
+    }
+    campos.intervalo_minutos = intervalo;
+  }
+
+  if (body.proxima_execucao_em !== undefined) {
+    const proxima = new Date(body.proxima_execucao_em);
+    if (!body.proxima_execucao_em || Number.isNaN(proxima.getTime())) {
+      return { ok: false, message: 'Data da próxima execução inválida.' };
+    }
+    campos.proxima_execucao_em = proxima.toISOString();
+  }
+
+  if (!Object.keys(campos).length) {
+    return { ok: false, message: 'Informe ativo, intervalo_minutos e/ou proxima_execucao_em.' };
+  }
+  return { ok: true, campos };
+}
+
+/* =========================
+   EXECUÇÃO
+========================= */
+
+async function concluir(supabase, chave, execucaoId, { status, resultado = null, erro = null, reagendar }) {
+  const { error } = await supabase
+    .from('agendamento_execucoes')
+    .update({ status, resultado, erro, concluido_em: new Date().toISOString() })
+    .eq('id', execucaoId);
+  if (error) console.error(`[AGENDADOR] Erro ao registrar o resultado de ${chave}:`, error);
+
+  const { error: liberarError } = await supabase.rpc('concluir_agendamento', {
+    p_chave: chave,
+    p_instancia: INSTANCIA,
+    p_execucao_id: execucaoId,
+    p_reagendar: reagendar
+  });
+  if (liberarError) console.error(`[AGENDADOR] Erro ao liberar ${chave}:`, liberarError);
+}
+
+/**
+ * Reserva a tarefa e inicia a execução. Agendada: só se estiver ativa e vencida;
+ * manual: a qualquer momento, desde que nenhuma instância a esteja executando.
+ * Retorna { ok, execucao, concluida } (concluida: promessa do fim da execução)
+ * ou { ok: false, code, message }.
+ */
+export async function dispararTarefa(supabase, chave, { origem = ORIGEM_AGENDAMENTO.AGENDADA, usuario = null } = {}) {
+  const tarefa = TAREFAS[chave];
+  if (!tarefa) return { ok: false, code: 404, message: 'Tarefa não encontrada.' };
+
+  const manual = origem === ORIGEM_AGENDAMENTO.MANUAL;
+  const { data, error } = await supabase.rpc('reservar_agendamento', {
+    p_chave: chave,
+    p_instancia: INSTANCIA,
+    p_lock_segundos: tarefa.bloqueio,
+    p_forcar: manual
+  });
+  if (error) return { ok: false, code: 500, message: 'Falha ao reservar a tarefa.', error };
+
+  const reservada = Array.isArray(data) ? data[0] : data;
+  if (!reservada?.chave) {
+    return manual
+      ? { ok: false, code: 409, message: 'A tarefa já está em execução.' }
+      : { ok: false, code: 409, message: 'Tarefa não vencida ou reservada por outra instância.' };
+  }
+
+  // Com a reserva em mãos, execuções ainda abertas desta tarefa são de uma instância que caiu
+  const { error: abandonadasError } = await supabase
+    .from('agendamento_execucoes')
+    .update({
+      status: STATUS_EXECUCAO.FALHOU,
+      erro: 'Execução interrompida: a instância parou antes de concluir.',
+      concluido_em: new Date().toISOString()
+    })
+    .eq('chave', chave)
+    .eq('status', STATUS_EXECUCAO.EXECUTANDO);
+  if (abandonadasError) console.error(`[AGENDADOR] Erro ao encerrar execuções abandonadas de ${chave}:`, abandonadasError);
+
+  const { data: execucao, error: execError } = await supabase
+    .from('agendamento_execucoes')
+    .insert({ chave, origem, instancia: INSTANCIA, usuario_id: usuario?.id || null, status: STATUS_EXECUCAO.EXECUTANDO })
+    .select('*')
+    .single();
+  if (execError) {
+    await supabase.from('agendamentos').update({ bloqueado_por: null, bloqueado_ate: null })
+      .eq('chave', chave).eq('bloqueado_por', INSTANCIA);
+    return { ok: false, code: 500, message: 'Falha ao registrar a execução.', error: execError };
+  }
+
+  const concluida = (async () => {
+    try {
+      const resultado = await tarefa.executar(supabase, { usuario });
+      await concluir(supabase, chave, execucao.id, { status: STATUS_EXECUCAO.SUCESSO, resultado: resultado ?? null, reagendar: !manual });
+    } catch (error) {
+      console.error(`[AGENDADOR] Falha em ${chave}:`, error);
+      await concluir(supabase, chave, execucao.id, {
+        status: STATUS_EXECUCAO.FALHOU,
+        erro: String(error?.message || error).slice(0, 1000),
+        reagendar: !manual
+      });
+    }
+  })();
+
+  return { ok: true, execucao, concluida };
+}
+
+// Executa, em sequência, as tarefas ativas e vencidas que esta instância conseguir reservar
+export async function verificarTarefas(supabase) {
+  const { data, error } = await supabase
+    .from('agendamentos')
+    .select('chave')
+    .eq('ativo', true)
+    .lte('proxima_execucao_em', new Date().toISOString())
+    .order('proxima_execucao_em', { ascending: true });
+  if (error) throw error;
+
+  const executadas = [];
+  for (const { chave } of data) {
+    if (!TAREFAS[chave]) continue;
+    const disparo = await dispararTarefa(supabase, chave);
+    if (!disparo.ok) {
+      if (disparo.error) console.error(`[AGENDADOR] ${disparo.message}`, disparo.error);
+      continue;
+    }
+    await disparo.concluida;
+    executadas.push(chave);
+  }
+  return executadas;
+}
+
+/**
+ * Inicia a verificação periódica nesta instância. Várias instâncias podem
+ * rodar o agendador: a reserva no banco garante uma execução por vez.
+ */
+export async function iniciarAgendador(supabase) {
+  await registrarTarefas(supabase);
+
+  let verificando = false;
+  const timer = setInterval(async () => {
+    if (verificando) return;
+    verificando = true;
+    try {
+      await verificarTarefas(supabase);
+    } catch (error) {
+      console.error('[AGENDADOR] Erro ao verificar tarefas:', error.message || error);
+    } finally {
+      verificando = false;
+    }
+  }, INTERVALO_VERIFICACAO_MS);
+  timer.unref();
+
+  return timer;
+}
@@ -0,0 +1,150 @@
+// agendamentos-routes.js - Tarefas do agendador interno: configuração, histórico e execução manual
+import 'dotenv/config';
+import express from 'express';
+import { supabase } from './dados.js';
+import { authUser, authAdmin } from './auth.js';
+import { auditar } from './auditoria.js';
+import { ORIGEM_AGENDAMENTO, TAREFAS, dispararTarefa, validarAgendamento } from './agendador.js';
+import { asyncRoute } from './utils.js';
+
+const agendamentosRouter = express.Router();
+
+const SELECT_AGENDAMENTO = `
+  chave, ativo, intervalo_minutos, proxima_execucao_em, bloqueado_por, bloqueado_ate, atualizado_em,
+  ultima:agendamento_execucoes!ultima_execucao_id(id, origem, status, iniciado_em, concluido_em, resultado, erro)
+`;
+
+const comDescricao = (a) => ({
+  ...a,
+  descricao: TAREFAS[a.chave]?.descricao ?? null,
+  executando: Boolean(a.bloqueado_ate && new Date(a.bloqueado_ate) > new Date())
+});
+
+/* =========================
+   GET /api/agendamentos
+   Tarefas com a configuração, a próxima execução e o resultado da última
+========================= */
+agendamentosRouter.get('/', authUser, authAdmin, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('agendamentos')
+    .select(SELECT_AGENDAMENTO)
+    .order('chave', { ascending: true });
+
+  if (error) {
+    console.error('[AGENDAMENTOS] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar as tarefas agendadas.' });
+  }
+
+  res.json(data.filter((a) => TAREFAS[a.chave]).map(comDescricao));
+}));
+
+/* =========================
+   PUT /api/agendamentos/:chave
+   { ativo, intervalo_minutos, proxima_execucao_em }
+========================= */
+agendamentosRouter.put('/:chave', authUser, authAdmin, auditar('agendamento.editar', 'agendamento'), asyncRoute(async (req, res) => {
+  const { chave } = req.params;
+  if (!TAREFAS[chave]) return res.status(404).json({ message: 'Tarefa não encontrada.' });
+
+  const valid = validarAgendamento(req.body || {});
+  if (!valid.ok) return res.status(400).json({ message: valid.message });
+
+  const { data: atual, error: fetchError } = await supabase
+    .from('agendamentos')
+    .select('chave, ativo, intervalo_minutos, proxima_execucao_em')
+    .eq('chave', chave)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[AGENDAMENTOS] Erro ao buscar:', fetchError);
+    return res.status(500).json({ message: 'Erro ao atualizar a tarefa.' });
+  }
+  if (!atual) {
+    return res.status(404).json({ message: 'Tarefa não encontrada.' });
+  }
+
+  const { data, error } = await supabase
+    .from('agendamentos')
+    .update({ ...valid.campos, atualizado_em: new Date().toISOString() })
+    .eq('chave', chave)
+    .select(SELECT_AGENDAMENTO)
+    .single();
+
+  if (error) {
+    console.error('[AGENDAMENTOS] Erro ao atualizar:', error);
+    return res.status(500).json({ message: 'Erro ao atualizar a tarefa.' });
+  }
+
+  res.locals.auditoria = { alvo_id: chave, antes: atual, depois: valid.campos };
+  res.json(comDescricao(data));
+}));
+
+/* =========================
+   POST /api/agendamentos/:chave/executar
+   Executa agora, em segundo plano (acompanhe por GET /api/agendamentos/execucoes/:id).
+   Não altera a próxima execução agendada.
+========================= */
+agendamentosRouter.post('/:chave/executar', authUser, authAdmin, auditar('agendamento.executar', 'agendamento'), asyncRoute(async (req, res) => {
+  const { chave } = req.params;
+  const disparo = await dispararTarefa(supabase, chave, { origem: ORIGEM_AGENDAMENTO.MANUAL, usuario: req.user });
+
+  if (!disparo.ok) {
+    if (disparo.error) console.error('[AGENDAMENTOS] Erro ao executar:', disparo.error);
+    return res.status(disparo.code).json({ message: disparo.message });
+  }
+
+  res.locals.auditoria = { alvo_id: chave, detalhes: { execucao_id: disparo.execucao.id } };
+  res.status(202).json({ message: 'Execução iniciada.', execucao: disparo.execucao });
+}));
+
+/* =========================
+   GET /api/agendamentos/:chave/execucoes?status=sucesso|falhou|executando
+========================= */
+agendamentosRouter.get('/:chave/execucoes', authUser, authAdmin, asyncRoute(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const offset = (Number(page) - 1) * Number(limit);
+
+  let query = supabase
+    .from('agendamento_execucoes')
+    .select('*, usuario:usuarios!usuario_id(nome, email)', { count: 'exact' })
+    .eq('chave', req.params.chave)
+    .order('iniciado_em', { ascending: false });
+  if (status) query = query.eq('status', status);
+
+  const { data, error, count } = await query.range(offset, offset + Number(limit) - 1);
+
+  if (error) {
+    console.error('[AGENDAMENTOS] Erro ao buscar execuções:', error);
+    return res.status(500).json({ message: 'Erro ao buscar o histórico da tarefa.' });
+  }
+
+  res.json({
+    execucoes: data,
+    total: count,
+    page: Number(page),
+    totalPages: Math.ceil(count / limit)
+  });
+}));
+
+/* =========================
+   GET /api/agendamentos/execucoes/:id
+========================= */
+agendamentosRouter.get('/execucoes/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('agendamento_execucoes')
+    .select('*, usuario:usuarios!usuario_id(nome, email)')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[AGENDAMENTOS] Erro ao buscar execução:', error);
+    return res.status(500).json({ message: 'Erro ao buscar a execução.' });
+  }
+  if (!data) {
+    return res.status(404).json({ message: 'Execução não encontrada.' });
+  }
+
+  res.json(data);
+}));
+
+export default agendamentosRouter;
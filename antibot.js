@@ -0,0 +1,329 @@
+// antibot.js - Proteção antirrobô do formulário de candidatura (POST /api/enviar)
+//   Camadas: campo isca (honeypot), tempo mínimo de preenchimento, desafio de prova de
+//   trabalho (GET /api/antibot/desafio), CAPTCHA opcional e sinais no conteúdo. Cada sinal
+//   soma pontos; a pontuação de spam é gravada na candidatura para revisão no painel.
+//   ANTIBOT_CAPTCHA=turnstile|hcaptcha|recaptcha  com CAPTCHA_CHAVE_SITE e CAPTCHA_SEGREDO (padrão: sem CAPTCHA)
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import { criarRegistro, ipCliente, sha256 } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+// Assina os desafios; sem ANTIBOT_SEGREDO, cada processo usa uma chave própria
+// (desafios emitidos por uma instância não valem nas outras nem após reiniciar)
+const SEGREDO = process.env.ANTIBOT_SEGREDO || crypto.randomBytes(32).toString('hex');
+if (!process.env.ANTIBOT_SEGREDO) {
+  console.warn('[WARN] ANTIBOT_SEGREDO não configurado: desafios antirrobô valem só nesta instância.');
+}
+
+// Bits zerados exigidos no início do SHA-256 (18 ≈ 260 mil tentativas, poucos segundos no navegador)
+const DIFICULDADE = Math.min(28, Math.max(8, Number(process.env.ANTIBOT_DIFICULDADE || 18)));
+const VALIDADE_MIN = Math.max(5, Number(process.env.ANTIBOT_VALIDADE_MIN || 60));
+const TEMPO_MINIMO_S = Math.max(0, Number(process.env.ANTIBOT_TEMPO_MINIMO_S || 5));
+
+// Campo escondido do formulário: pessoas não o veem, robôs costumam preenchê-lo
+export const CAMPO_ISCA = process.env.ANTIBOT_CAMPO_ISCA || 'website';
+
+// A partir de LIMITE_BLOQUEIO o envio é recusado; de LIMITE_SUSPEITA, aceito e marcado para revisão
+export const LIMITE_BLOQUEIO = Math.min(100, Math.max(1, Number(process.env.ANTIBOT_LIMITE_BLOQUEIO || 70)));
+export const LIMITE_SUSPEITA = Math.min(LIMITE_BLOQUEIO, Math.max(1, Number(process.env.ANTIBOT_LIMITE_SUSPEITA || 30)));
+
+// Desafio ausente ou expirado recusa o envio. ANTIBOT_PERMITIR_SEM_DESAFIO=true aceita formulários
+// antigos (sem o desafio) apenas marcando a candidatura como suspeita, durante a transição
+export const PERMITIR_SEM_DESAFIO = process.env.ANTIBOT_PERMITIR_SEM_DESAFIO === 'true';
+
+export const SINAL_SPAM = {
+  ISCA_PREENCHIDA: 'isca_preenchida',
+  DESAFIO_AUSENTE: 'desafio_ausente',
+  DESAFIO_INVALIDO: 'desafio_invalido',
+  DESAFIO_EXPIRADO: 'desafio_expirado',
+  DESAFIO_REUTILIZADO: 'desafio_reutilizado',
+  ENVIO_RAPIDO: 'envio_rapido',
+  CAPTCHA_AUSENTE: 'captcha_ausente',
+  CAPTCHA_INVALIDO: 'captcha_invalido',
+  CAPTCHA_INDISPONIVEL: 'captcha_indisponivel',
+  LINK_NOS_CAMPOS: 'link_nos_campos',
+  NOME_SUSPEITO: 'nome_suspeito'
+};
+
+// Pontos de cada sinal (a soma é limitada a 100)
+const PESOS = {
+  [SINAL_SPAM.ISCA_PREENCHIDA]: 100,
+  [SINAL_SPAM.DESAFIO_AUSENTE]: PERMITIR_SEM_DESAFIO ? 40 : 100,
+  [SINAL_SPAM.DESAFIO_INVALIDO]: 70,
+  [SINAL_SPAM.DESAFIO_EXPIRADO]: PERMITIR_SEM_DESAFIO ? 20 : 100,
+  [SINAL_SPAM.DESAFIO_REUTILIZADO]: 70,
+  [SINAL_SPAM.ENVIO_RAPIDO]: 30,
+  [SINAL_SPAM.CAPTCHA_AUSENTE]: 70,
+  [SINAL_SPAM.CAPTCHA_INVALIDO]: 70,
+  [SINAL_SPAM.CAPTCHA_INDISPONIVEL]: 10,
+  [SINAL_SPAM.LINK_NOS_CAMPOS]: 30,
+  [SINAL_SPAM.NOME_SUSPEITO]: 15
+};
+
+// Mesma mensagem para qualquer recusa, para não ensinar o robô
+const MENSAGEM_BLOQUEIO = 'Não foi possível validar o envio. Recarregue a página e tente novamente.';
+
+/* =========================
+   CAPTCHA
+   verificar(token, ip) devolve true/false; falhas de rede lançam erro
+   (o envio segue com o sinal captcha_indisponivel).
+========================= */
+const PROVEDOR_CAPTCHA = process.env.ANTIBOT_CAPTCHA || '';
+const provedoresCaptcha = criarRegistro('Provedor de CAPTCHA', PROVEDOR_CAPTCHA, {
+  chave_site: process.env.CAPTCHA_CHAVE_SITE || null
+});
+
+export const registrarProvedorCaptcha = provedoresCaptcha.registrar;
+
+// Provedor configurado ou null (sem CAPTCHA ou com a configuração incompleta)
+export const provedorCaptcha = () => (!PROVEDOR_CAPTCHA ? null : provedoresCaptcha.obter((error) => {
+  console.error(`[ANTIBOT] ${error.message} O formulário segue sem CAPTCHA.`);
+  return null;
+}));
+
+// Turnstile, hCaptcha e reCAPTCHA usam o mesmo formato de verificação (siteverify)
+const siteverify = (url, { pontuacaoMinima = null } = {}) => () => {
+  const segredo = process.env.CAPTCHA_SEGREDO;
+  if (!segredo) throw new Error('CAPTCHA_SEGREDO não configurado.');
+
+  return {
+    async verificar(token, ip) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ secret: segredo, response: token, ...(ip ? { remoteip: ip } : {}) }),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) throw new Error(`Verificação do CAPTCHA respondeu ${response.status}`);
+
+      const data = await response.json();
+      if (!data.success) return false;
+      // reCAPTCHA v3 devolve uma nota de 0 a 1 em vez de um desafio resolvido
+      return pontuacaoMinima == null || data.score == null || data.score >= pontuacaoMinima;
+    }
+  };
+};
+
+registrarProvedorCaptcha('turnstile', siteverify('https://challenges.cloudflare.com/turnstile/v0/siteverify'));
+registrarProvedorCaptcha('hcaptcha', siteverify('https://api.hcaptcha.com/siteverify'));
+registrarProvedorCaptcha('recaptcha', siteverify('https://www.google.com/recaptcha/api/siteverify', {
+  pontuacaoMinima: Number(process.env.CAPTCHA_PONTUACAO_MINIMA || 0.5)
+}));
+
+/* =========================
+   DESAFIO (prova de trabalho)
+   desafio = base64url({ n, t, d }).assinatura, com n aleatório, t emissão (ms)
+   e d dificuldade. O formulário procura uma `solucao` tal que
+   SHA-256("<desafio>:<solucao>") comece com d bits zerados.
+========================= */
+const assinar = (texto) => crypto.createHmac('sha256', SEGREDO).update(texto).digest('base64url');
+
+export function gerarDesafio() {
+  const captcha = provedorCaptcha();
+  const emitidoEm = Date.now();
+  const corpo = Buffer.from(JSON.stringify({
+    n: crypto.randomBytes(12).toString('base64url'),
+    t: emitidoEm,
+    d: DIFICULDADE
+  })).toString('base64url');
+
+  return {
+    desafio: `${corpo}.${assinar(corpo)}`,
+    algoritmo: 'SHA-256',
+    dificuldade: DIFICULDADE,
+    expira_em: new Date(emitidoEm + VALIDADE_MIN * 60000).toISOString(),
+    tempo_minimo_segundos: TEMPO_MINIMO_S,
+    campo_isca: CAMPO_ISCA,
+    captcha: captcha && { provedor: captcha.nome, chave_site: captcha.chave_site }
+  };
+}
+
+const bitsZerados = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+/**
+ * Confere assinatura, validade e solução do desafio.
+ * Retorna { ok, emitidoEm, expiraEm } ou { ok: false, sinal }.
+ */
+export function verificarDesafio(desafio, solucao) {
+  const [corpo, assinatura, ...resto] = String(desafio || '').split('.');
+  if (!corpo || !assinatura || resto.length) return { ok: false, sinal: SINAL_SPAM.DESAFIO_INVALIDO };
+
+  const esperada = assinar(corpo);
+  if (assinatura.length !== esperada.length ||
+      !crypto.timingSafeEqual(Buffer.from(assinatura), Buffer.from(esperada))) {
+    return { ok: false, sinal: SINAL_SPAM.DESAFIO_INVALIDO };
+  }
+
+  let dados;
+  try {
+    dados = JSON.parse(Buffer.from(corpo, 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, sinal: SINAL_SPAM.DESAFIO_INVALIDO };
+  }
+
+  const expiraEm = Number(dados.t) + VALIDADE_MIN * 60000;
+  if (!(expiraEm > Date.now())) return { ok: false, sinal: SINAL_SPAM.DESAFIO_EXPIRADO };
+
+  const resposta = String(solucao ?? '');
+  if (!resposta || resposta.length > 64) return { ok: false, sinal: SINAL_SPAM.DESAFIO_INVALIDO };
+  const hash = crypto.createHash('sha256').update(`${desafio}:${resposta}`).digest();
+  if (bitsZerados(hash) < Number(dados.d)) return { ok: false, sinal: SINAL_SPAM.DESAFIO_INVALIDO };
+
+  return { ok: true, emitidoEm: Number(dados.t), expiraEm };
+}
+
+/* =========================
+   AVALIAÇÃO DO ENVIO
+========================= */
+const CAMPOS_TEXTO = ['nome', 'cidade', 'bairro', 'rua'];
+const LINK = /(https?:\/\/|www\.|\.(com|net|org|ru|xyz|top)\b)/i;
+
+function sinaisConteudo(body) {
+  const sinais = [];
+  if (CAMPOS_TEXTO.some((campo) => LINK.test(String(body[campo] || '')))) sinais.push(SINAL_SPAM.LINK_NOS_CAMPOS);
+  // Nome com dígitos ou sem ao menos duas palavras com letras
+  const nome = String(body.nome || '').trim();
+  if (/\d/.test(nome) || nome.split(/\s+/).filter((p) => /\p{L}/u.test(p)).length < 2) {
+    sinais.push(SINAL_SPAM.NOME_SUSPEITO);
+  }
+  return sinais;
+}
+
+export const pontuar = (sinais) => Math.min(100, sinais.reduce((total, sinal) => total + (PESOS[sinal] || 0), 0));
+
+// Na dúvida (falha na consulta), consumirDesafio ainda recusa o reuso na gravação
+async function desafioJaUsado(supabase, hash) {
+  const { data, error } = await supabase
+    .from('antibot_desafios_usados')
+    .select('hash')
+    .eq('hash', hash)
+    .maybeSingle();
+  if (error) console.warn('[ANTIBOT] Falha ao consultar desafios usados:', error.message || error);
+  return Boolean(data);
+}
+
+/**
+ * Avalia o envio (req.body já lido pelo multer; body com os campos limpos).
+ * Retorna { ok, pontuacao, sinais, desafio } — desafio: o que consumirDesafio
+ * registra depois das demais validações — ou { ok: false, code, message, pontuacao, sinais }
+ * quando a pontuação atinge LIMITE_BLOQUEIO.
+ */
+export async function avaliarEnvio(supabase, req, body) {
+  const campos = req.body || {};
+  const sinais = [];
+  let desafio = null;
+
+  if (String(campos[CAMPO_ISCA] ?? '').trim()) sinais.push(SINAL_SPAM.ISCA_PREENCHIDA);
+
+  if (!campos.antibot_desafio) {
+    sinais.push(SINAL_SPAM.DESAFIO_AUSENTE);
+  } else {
+    const verificacao = verificarDesafio(campos.antibot_desafio, campos.antibot_solucao);
+    if (!verificacao.ok) {
+      sinais.push(verificacao.sinal);
+    } else {
+      desafio = { hash: sha256(campos.antibot_desafio), expira_em: new Date(verificacao.expiraEm).toISOString() };
+      if (await desafioJaUsado(supabase, desafio.hash)) {
+        sinais.push(SINAL_SPAM.DESAFIO_REUTILIZADO);
+        desafio = null;
+      } else if (Date.now() - verificacao.emitidoEm < TEMPO_MINIMO_S * 1000) {
+        sinais.push(SINAL_SPAM.ENVIO_RAPIDO);
+      }
+    }
+  }
+
+  const captcha = provedorCaptcha();
+  if (captcha) {
+    const token = String(campos.captcha_token || '').trim();
+    if (!token) {
+      sinais.push(SINAL_SPAM.CAPTCHA_AUSENTE);
+    } else {
+      try {
+        if (!(await captcha.verificar(token, ipCliente(req)))) sinais.push(SINAL_SPAM.CAPTCHA_INVALIDO);
+      } catch (error) {
+        console.warn('[ANTIBOT] CAPTCHA indisponível:', error.message || error);
+        sinais.push(SINAL_SPAM.CAPTCHA_INDISPONIVEL);
+      }
+    }
+  }
+
+  sinais.push(...sinaisConteudo(body));
+
+  const pontuacao = pontuar(sinais);
+  if (pontuacao >= LIMITE_BLOQUEIO) {
+    return { ok: false, code: 400, message: MENSAGEM_BLOQUEIO, pontuacao, sinais };
+  }
+  return { ok: true, pontuacao, sinais, desafio };
+}
+
+/**
+ * Marca o desafio como usado logo antes de gravar a candidatura (envios recusados
+ * por outras validações podem reaproveitá-lo). Dois envios simultâneos com o
+ * mesmo desafio: só o primeiro passa.
+ */
+export async function consumirDesafio(supabase, desafio) {
+  if (!desafio) return { ok: true };
+
+  const { error } = await supabase.from('antibot_desafios_usados').insert([desafio]);
+  if (error?.code === '23505') return { ok: false, code: 400, message: MENSAGEM_BLOQUEIO };
+  if (error) return { ok: false, code: 500, message: 'Falha ao validar o envio.', error };
+  return { ok: true };
+}
+
+// Remove os desafios usados que já expiraram (executado com a limpeza da retenção)
+export async function limparDesafiosUsados(supabase) {
+  const { data, error } = await supabase
+    .from('antibot_desafios_usados')
+    .delete()
+    .lt('expira_em', new Date().toISOString())
+    .select('hash');
+  if (error) throw error;
+  return data.length;
+}
+
+/* =========================
+   REVISÃO
+========================= */
+
+/**
+ * Marca a candidatura como revisada: legítima (pontuação zerada, sai da fila de
+ * suspeitas) ou spam confirmado (pontuação 100, entra no filtro ?spam=confirmadas
+ * usado na exclusão em lote).
+ */
+export async function revisarSpam(supabase, id, { legitima, usuario }) {
+  if (typeof legitima !== 'boolean') {
+    return { ok: false, code: 400, message: 'O campo legitima deve ser verdadeiro ou falso.' };
+  }
+
+  const campos = 'id, spam_pontuacao, spam_sinais, spam_revisado_em, spam_revisado_por';
+  const { data: atual, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select(campos)
+    .eq('id', id)
+    .maybeSingle();
+  if (fetchError) return { ok: false, code: 500, message: 'Erro ao buscar candidatura.', error: fetchError };
+  if (!atual) return { ok: false, code: 404, message: 'Candidatura não encontrada.' };
+
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .update({
+      spam_pontuacao: legitima ? 0 : 100,
+      spam_revisado_em: new Date().toISOString(),
+      spam_revisado_por: usuario?.id || null
+    })
+    .eq('id', id)
+    .select(campos)
+    .single();
+  if (error) return { ok: false, code: 500, message: 'Erro ao registrar a revisão.', error };
+
+  return { ok: true, antes: atual, candidatura: data };
+}
@@ -0,0 +1,249 @@
+// auditoria.js - Trilha de auditoria encadeada por hash das ações que alteram dados
+import 'dotenv/config';
+import { supabase } from './dados.js';
+import { ipCliente, sha256 } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+export const ATOR_AUDITORIA = {
+  USUARIO: 'usuario',
+  CANDIDATO: 'candidato',
+  SISTEMA: 'sistema'
+};
+
+// Campos pessoais mascarados nos snapshots (a trilha não pode reter o dado que a LGPD manda apagar)
+const CAMPOS_MASCARADOS = ['cpf', 'cpf_norm', 'telefone', 'email', 'rua', 'cep'];
+// Em registros de candidatos também identificam a pessoa (em vagas e localidades, `nome` é só o nome):
+// o valor sai inteiro, fica apenas a indicação de que o campo existia ou mudou
+const CAMPOS_OCULTOS_CANDIDATO = ['nome', 'bairro', 'bairro_id', 'bairro_informado', 'latitude', 'longitude', 'arquivo_path', 'nome_arquivo'];
+const ALVOS_CANDIDATO = ['candidatura', 'candidato', 'solicitacao_lgpd'];
+const OCULTO = '***';
+// Campos que nunca entram nos snapshots
+const CAMPOS_OMITIDOS = [
+  'senha', 'password', 'token', 'arquivo_url', 'codigo_acompanhamento_hash', 'codigo_hash',
+  'respostas', 'texto'
+];
+
+const mascarar = (valor) => {
+  const s = String(valor);
+  if (s.includes('@')) {
+    const [usuario, dominio] = s.split('@');
+    return `${usuario.slice(0, 2)}***@${dominio}`;
+  }
+  return s.length > 4 ? `${'*'.repeat(s.length - 4)}${s.slice(-4)}` : '****';
+};
+
+// IP de candidatos sem o último octeto (IPv4) ou reduzido aos três primeiros grupos (IPv6)
+export function anonimizarIp(ip) {
+  if (!ip) return ip ?? null;
+  const v4 = String(ip).match(/(\d+\.\d+\.\d+)\.\d+$/);
+  if (v4) return `${v4[1]}.0`;
+  return `${String(ip).split(':').slice(0, 3).join(':')}::`;
+}
+
+// Cópia do registro sem dados sensíveis, para os campos antes/depois
+// (`ocultos`: campos pessoais adicionais do alvo, ver CAMPOS_OCULTOS_CANDIDATO)
+export function snapshot(registro, ocultos = []) {
+  if (registro == null) return null;
+  if (Array.isArray(registro)) return registro.map((r) => snapshot(r, ocultos));
+  if (typeof registro !== 'object') return registro;
+
+  return Object.fromEntries(
+    Object.entries(registro)
+      .filter(([k]) => !CAMPOS_OMITIDOS.includes(k))
+      .map(([k, v]) => [
+        k,
+        v == null || v === ''
+          ? v
+          : ocultos.includes(k)
+            ? OCULTO
+            : CAMPOS_MASCARADOS.includes(k)
+              ? mascarar(v)
+              : typeof v === 'object' && !(v instanceof Date) ? snapshot(v, ocultos) : v
+      ])
+  );
+}
+
+// JSON com chaves ordenadas: a mesma entrada sempre gera o mesmo texto (e o mesmo hash)
+export function jsonCanonico(valor) {
+  if (valor === undefined) return 'null';
+  if (valor === null || typeof valor !== 'object') return JSON.stringify(valor);
+  if (valor instanceof Date) return JSON.stringify(valor.toISOString());
+  if (Array.isArray(valor)) return `[${valor.map(jsonCanonico).join(',')}]`;
+  return `{${Object.keys(valor)
+    .filter((k) => valor[k] !== undefined)
+    .sort()
+    .map((k) => `${JSON.stringify(k)}:${jsonCanonico(valor[k])}`)
+    .join(',')}}`;
+}
+
+// hash = sha256(hash_anterior + conteudo); a primeira entrada usa hash_anterior vazio
+export const hashEntrada = (hashAnterior, conteudo) => sha256(`${hashAnterior || ''}${conteudo}`);
+
+/* =========================
+   REGISTRO
+========================= */
+
+/**
+ * Grava uma entrada na trilha. O encadeamento (hash anterior + hash) é feito
+ * pela função registrar_auditoria no banco, sob lock, para não bifurcar a
+ * cadeia com gravações simultâneas.
+ */
+export async function registrarAuditoria({ acao, ator, alvo_tipo = null, alvo_id = null, antes = null, depois = null, detalhes = null, ip = null }) {
+  const ocultos = ALVOS_CANDIDATO.includes(alvo_tipo) ? CAMPOS_OCULTOS_CANDIDATO : [];
+  const candidato = ator?.tipo === ATOR_AUDITORIA.CANDIDATO;
+  const entrada = {
+    acao,
+    ator_tipo: ator?.tipo || ATOR_AUDITORIA.SISTEMA,
+    ator_id: ator?.id ?? null,
+    ator_nome: ator?.nome ?? null,
+    ator_nivel: ator?.nivel ?? null,
+    alvo_tipo,
+    alvo_id: alvo_id == null ? null : String(alvo_id),
+    antes: snapshot(antes, ocultos),
+    depois: snapshot(depois, ocultos),
+    detalhes: snapshot(detalhes, ocultos),
+    ip: candidato ? anonimizarIp(ip) : ip,
+    criado_em: new Date().toISOString()
+  };
+
+  const { data, error } = await supabase.rpc('registrar_auditoria', { p_conteudo: jsonCanonico(entrada) });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Middleware que registra a ação quando a resposta termina com sucesso (< 400).
+ * A rota pode completar a entrada em res.locals.auditoria:
+ *   { alvo_id, antes, depois, detalhes }
+ * Sem alvo_id explícito, usa req.params.id.
+ */
+export function auditar(acao, alvoTipo = null, { ator: atorFixo = null } = {}) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      const extra = res.locals.auditoria || {};
+      const ator = atorFixo
+        ? { tipo: atorFixo }
+        : req.user
+          ? { tipo: ATOR_AUDITORIA.USUARIO, id: req.user.id, nome: req.user.nome, nivel: req.user.nivel }
+          : { tipo: ATOR_AUDITORIA.SISTEMA };
+
+      registrarAuditoria({
+        acao,
+        ator,
+        alvo_tipo: alvoTipo,
+        alvo_id: extra.alvo_id ?? req.params?.id ?? null,
+        antes: extra.antes,
+        depois: extra.depois,
+        detalhes: extra.detalhes,
+        ip: ipCliente(req)
+      }).catch((error) => console.error(`[AUDITORIA] Falha ao registrar "${acao}":`, error));
+    });
+    next();
+  };
+}
+
+/* =========================
+   CONSULTA E VERIFICAÇÃO
+========================= */
+const CAMPOS_CONSULTA = 'seq, id, criado_em, acao, ator_tipo, ator_id, ator_nome, alvo_tipo, alvo_id, ip, conteudo, hash_anterior, hash';
+
+export function aplicarFiltrosAuditoria(query, { acao, ator_id, alvo_tipo, alvo_id, data_inicio, data_fim }) {
+  if (acao) query = query.eq('acao', acao);
+  if (ator_id) query = query.eq('ator_id', ator_id);
+  if (alvo_tipo) query = query.eq('alvo_tipo', alvo_tipo);
+  if (alvo_id) query = query.eq('alvo_id', String(alvo_id));
+  if (data_inicio) query = query.gte('criado_em', new Date(data_inicio).toISOString());
+  if (data_fim) {
+    const fim = new Date(data_fim);
+    fim.setHours(23, 59, 59, 999);
+    query = query.lte('criado_em', fim.toISOString());
+  }
+  return query;
+}
+
+// Entrada com antes/depois/detalhes expandidos a partir do conteúdo encadeado
+export function expandirEntrada(row) {
+  const { conteudo, ...resto } = row;
+  const { antes = null, depois = null, detalhes = null, ator_nivel = null } = JSON.parse(conteudo);
+  return { ...resto, ator_nivel, antes, depois, detalhes };
+}
+
+export async function listarAuditoria(filtros, { page = 1, limit = 50 } = {}) {
+  page = Number(page) || 1;
+  limit = Math.min(500, Number(limit) || 50);
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await aplicarFiltrosAuditoria(
+    supabase.from('auditoria').select(CAMPOS_CONSULTA, { count: 'exact' }),
+    filtros
+  )
+    .order('seq', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) return { error };
+  return { data: data.map(expandirEntrada), count, error: null };
+}
+
+// Percorre as entradas em ordem cronológica (lotes), para exportação
+export async function* percorrerAuditoria(filtros, { lote = 1000 } = {}) {
+  for (let depoisDe = 0; ;) {
+    const { data, error } = await aplicarFiltrosAuditoria(
+      supabase.from('auditoria').select(CAMPOS_CONSULTA).gt('seq', depoisDe),
+      filtros
+    )
+      .order('seq', { ascending: true })
+      .limit(lote);
+
+    if (error) throw error;
+    if (data.length) yield data;
+    if (data.length < lote) return;
+    depoisDe = data[data.length - 1].seq;
+  }
+}
+
+/**
+ * Recalcula a cadeia inteira. Detecta entradas alteradas (hash não confere),
+ * removidas ou inseridas fora da ordem (hash_anterior não aponta para a anterior)
+ * e colunas divergentes do conteúdo encadeado.
+ */
+export async function verificarCadeia() {
+  let anterior = null;
+  let total = 0;
+  const problemas = [];
+
+  for await (const lote of percorrerAuditoria({})) {
+    for (const row of lote) {
+      total++;
+      if ((row.hash_anterior || null) !== (anterior?.hash || null)) {
+        problemas.push({ seq: row.seq, problema: 'encadeamento', message: 'hash_anterior não corresponde à entrada anterior.' });
+      }
+      if (hashEntrada(row.hash_anterior, row.conteudo) !== row.hash) {
+        problemas.push({ seq: row.seq, problema: 'hash', message: 'Conteúdo não corresponde ao hash registrado.' });
+      }
+
+      let conteudo = null;
+      try { conteudo = JSON.parse(row.conteudo); } catch { /* acusado abaixo */ }
+      const divergente = !conteudo || ['acao', 'ator_tipo', 'alvo_tipo', 'alvo_id', 'ip']
+        .some((campo) => (conteudo[campo] ?? null) !== (row[campo] ?? null));
+      if (divergente) {
+        problemas.push({ seq: row.seq, problema: 'colunas', message: 'Colunas divergem do conteúdo encadeado.' });
+      }
+
+      anterior = row;
+      if (problemas.length >= 100) break;
+    }
+    if (problemas.length >= 100) break;
+  }
+
+  return {
+    integra: problemas.length === 0,
+    total,
+    ultimo_seq: anterior?.seq ?? null,
+    ultimo_hash: anterior?.hash ?? null,
+    problemas
+  };
+}
@@ -0,0 +1,81 @@
+// auth.js - Autenticação da equipe via Supabase Auth e controle por nível
+import 'dotenv/config';
+import { supabase } from './dados.js';
+import { NIVEL_USUARIO } from './constantes.js';
+
+/* =========================
+   MIDDLEWARE DE AUTENTICAÇÃO SUPABASE
+========================= */
+export async function authUser(req, res, next) {
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ message: 'Token de autenticação necessário.' });
+  }
+
+  const token = authHeader.substring(7);
+  
+  try {
+    // Verificar token com Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ message: 'Token inválido ou expirado.' });
+    }
+
+    // Buscar informações adicionais na tabela usuarios
+    const { data: usuario, error: userError } = await supabase
+      .from('usuarios')
+      .select('*')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (userError || !usuario) {
+      return res.status(401).json({ message: 'Usuário não encontrado no sistema.' });
+    }
+
+    // Verificar se usuário está ativo
+    if (!usuario.ativo) {
+      return res.status(401).json({ message: 'Usuário desativado. Contate o administrador.' });
+    }
+
+    req.user = {
+      id: usuario.id,
+      auth_id: user.id,
+      email: user.email,
+      nome: usuario.nome,
+      cargo: usuario.cargo,
+      funcao: usuario.funcao,
+      nivel: usuario.nivel
+    };
+    
+    next();
+  } catch (error) {
+    console.error('[AUTH MIDDLEWARE] Erro:', error);
+    return res.status(401).json({ message: 'Token inválido.' });
+  }
+}
+
+// Middleware para admin
+export function authAdmin(req, res, next) {
+  if (!req.user || req.user.nivel !== NIVEL_USUARIO.ADMIN) {
+    return res.status(403).json({ message: 'Acesso restrito a administradores gerais.' });
+  }
+  next();
+}
+
+// Middleware para líder ou admin
+export function authLider(req, res, next) {
+  if (!req.user || !([NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER].includes(req.user.nivel))) {
+    return res.status(403).json({ message: 'Acesso restrito a líderes e administradores.' });
+  }
+  next();
+}
+
+// Middleware para analista, líder ou admin
+export function authAnalista(req, res, next) {
+  if (!req.user || !([NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER, NIVEL_USUARIO.ANALISTA].includes(req.user.nivel))) {
+    return res.status(403).json({ message: 'Acesso restrito.' });
+  }
+  next();
+}
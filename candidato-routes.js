@@ -0,0 +1,625 @@
+// candidato-routes.js - Portal público de acompanhamento para candidatos
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import express from 'express';
+import { supabase } from './dados.js';
+import { STATUS_CANDIDATURA, statusParaCandidato } from './constantes.js';
+import { ATOR_AUDITORIA, auditar } from './auditoria.js';
+import {
+  armazenarCurriculo, atualizarCandidatura, excluirCandidaturas, notificarResponsavel,
+  salvarTextoCurriculo, sincronizarPerfil, uploadCurriculo,
+} from './candidaturas.js';
+import { extrairTexto } from './extracao-texto.js';
+import { enviarEmail } from './email.js';
+import { ATOR_CANDIDATO, alterarStatus } from './workflow-status.js';
+import { limitarRequisicoes } from './limite-requisicoes.js';
+import {
+  clean, isCPF, isEmail, normalizarCpf, calcularReenvio, hashCodigo, hmacSha256,
+  gerarCodigoAcompanhamento, gerarCodigoVerificacao, ipCliente, asyncRoute,
+} from './utils.js';
+
+const candidatoRouter = express.Router();
+
+const BUCKET = process.env.SUPABASE_BUCKET || 'curriculos';
+const OTP_VALIDADE_MIN = 15;
+const OTP_MAX_TENTATIVAS = 5;
+
+// Chave do HMAC do CPF nos registros LGPD: um hash simples de 11 dígitos é revertido
+// por força bruta. Sem LGPD_SEGREDO, a chave é aleatória por processo (o registro
+// continua comprovando o atendimento, mas não pode ser relacionado a um CPF depois).
+const LGPD_SEGREDO = process.env.LGPD_SEGREDO || crypto.randomBytes(32).toString('hex');
+if (!process.env.LGPD_SEGREDO) {
+  console.warn('[WARN] LGPD_SEGREDO não configurado: o CPF dos registros LGPD usa uma chave temporária.');
+}
+
+/* =========================
+   MIDDLEWARE DE IDENTIFICAÇÃO DO CANDIDATO
+   O candidato comprova a identidade com CPF + código de acompanhamento
+   recebido no envio, ou CPF + código de verificação enviado por e-mail.
+   Os dados vão no corpo (POST) para não aparecerem em logs de URL.
+========================= */
+async function verificarCodigoAcompanhamento(cpfNorm, codigo) {
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .select('id')
+    .eq('cpf_norm', cpfNorm)
+    .eq('codigo_acompanhamento_hash', hashCodigo(codigo))
+    .limit(1);
+
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+// Consome o código de verificação (uso único) se for válido
+async function verificarCodigoVerificacao(cpfNorm, codigo) {
+  const { data, error } = await supabase
+    .from('codigos_verificacao')
+    .select('id, codigo_hash, tentativas')
+    .eq('cpf_norm', cpfNorm)
+    .is('usado_em', null)
+    .gt('expira_em', new Date().toISOString())
+    .order('criado_em', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+
+  const registro = data?.[0];
+  if (!registro || registro.tentativas >= OTP_MAX_TENTATIVAS) return false;
+
+  if (registro.codigo_hash !== hashCodigo(codigo)) {
+    await supabase
+      .from('codigos_verificacao')
+      .update({ tentativas: registro.tentativas + 1 })
+      .eq('id', registro.id);
+    return false;
+  }
+
+  const { error: updateError } = await supabase
+    .from('codigos_verificacao')
+    .update({ usado_em: new Date().toISOString() })
+    .eq('id', registro.id);
+
+  if (updateError) throw updateError;
+  return true;
+}
+
+async function authCandidato(req, res, next) {
+  const cpf = clean(req.body?.cpf, 20);
+  const codigo = clean(req.body?.codigo, 40);
+  const codigoVerificacao = clean(req.body?.codigo_verificacao, 12);
+
+  if (!cpf || (!codigo && !codigoVerificacao)) {
+    return res.status(400).json({ message: 'CPF e código de acompanhamento são obrigatórios.' });
+  }
+
+  if (!isCPF(cpf)) {
+    return res.status(400).json({ message: 'CPF inválido.' });
+  }
+
+  const cpfNorm = normalizarCpf(cpf);
+
+  try {
+    const verificadoPorEmail = codigoVerificacao
+      ? await verificarCodigoVerificacao(cpfNorm, codigoVerificacao)
+      : false;
+    const valido = verificadoPorEmail || (codigo && await verificarCodigoAcompanhamento(cpfNorm, codigo));
+
+    if (!valido) {
+      return res.status(401).json({ message: 'CPF ou código inválidos.' });
+    }
+
+    req.candidato = { cpfNorm, verificadoPorEmail };
+    next();
+  } catch (error) {
+    console.error('[CANDIDATO AUTH] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao verificar dados de acesso.' });
+  }
+}
+
+// Ações irreversíveis ou que alteram a candidatura exigem o código de uso único enviado ao e-mail cadastrado
+function exigirVerificacaoEmail(req, res, next) {
+  if (!req.candidato?.verificadoPorEmail) {
+    return res.status(403).json({
+      message: 'Para esta solicitação, confirme sua identidade com o código enviado ao seu e-mail.'
+    });
+  }
+  next();
+}
+
+/* =========================
+   UTILS
+========================= */
+
+// Visão da candidatura exposta ao candidato: nunca inclui status interno, comentários ou arquivo
+function formatarCandidatura(row) {
+  const { reapplyDate } = calcularReenvio(row.enviado_em);
+  const status = statusParaCandidato(row.status);
+
+  return {
+    id: row.id,
+    vaga: row.vaga,
+    enviado_em: new Date(row.enviado_em).toISOString(),
+    status: status.titulo,
+    status_descricao: status.descricao,
+    atualizado_em: row.status_alterado_em || row.enviado_em,
+    pode_reenviar_em: reapplyDate.toISOString()
+  };
+}
+
+// Registro mínimo (sem dados pessoais) que comprova o atendimento de um pedido LGPD
+async function registrarSolicitacaoLgpd(cpfNorm, tipo, extras = {}) {
+  const solicitacao = {
+    protocolo: `LGPD-${gerarCodigoAcompanhamento()}`,
+    tipo,
+    cpf_hash: hmacSha256(LGPD_SEGREDO, cpfNorm),
+    solicitado_em: new Date().toISOString(),
+    ...extras
+  };
+
+  const { data, error } = await supabase
+    .from('solicitacoes_lgpd')
+    .insert([solicitacao])
+    .select('id, protocolo')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/* =========================
+   POST /api/candidato/acesso
+========================= */
+candidatoRouter.post('/acesso', authCandidato, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .select('id, nome, vaga, enviado_em, status, status_alterado_em')
+    .eq('cpf_norm', req.candidato.cpfNorm)
+    .order('enviado_em', { ascending: false });
+
+  if (error) {
+    console.error('[CANDIDATO] Erro ao buscar candidaturas:', error);
+    return res.status(500).json({ message: 'Erro ao buscar suas candidaturas.' });
+  }
+
+  res.json({
+    ok: true,
+    nome: data?.[0]?.nome || null,
+    candidaturas: (data || []).map(formatarCandidatura)
+  });
+}));
+
+/* =========================
+   POST /api/candidato/codigo-verificacao
+========================= */
+candidatoRouter.post('/codigo-verificacao', limitarRequisicoes('codigo_verificacao'), asyncRoute(async (req, res) => {
+  const cpf = clean(req.body?.cpf, 20);
+
+  if (!isCPF(cpf)) {
+    return res.status(400).json({ message: 'CPF inválido.' });
+  }
+
+  const cpfNorm = normalizarCpf(cpf);
+  // Mesma resposta exista ou não candidatura, para não revelar quem se candidatou
+  const resposta = {
+    ok: true,
+    message: 'Se houver candidatura para este CPF, enviamos um código de verificação para o e-mail cadastrado.'
+  };
+
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .select('nome, email')
+    .eq('cpf_norm', cpfNorm)
+    .order('enviado_em', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('[CANDIDATO OTP] Erro ao buscar candidatura:', error);
+    return res.status(500).json({ message: 'Erro ao gerar código de verificação.' });
+  }
+
+  const candidatura = data?.[0];
+  if (!candidatura?.email) return res.json(resposta);
+
+  const codigo = gerarCodigoVerificacao();
+  const { error: insertError } = await supabase
+    .from('codigos_verificacao')
+    .insert([{
+      cpf_norm: cpfNorm,
+      codigo_hash: hashCodigo(codigo),
+      tentativas: 0,
+      expira_em: new Date(Date.now() + OTP_VALIDADE_MIN * 60000).toISOString(),
+      criado_em: new Date().toISOString()
+    }]);
+
+  if (insertError) {
+    console.error('[CANDIDATO OTP] Erro ao gravar código:', insertError);
+    return res.status(500).json({ message: 'Erro ao gerar código de verificação.' });
+  }
+
+  try {
+    await enviarEmail({
+      para: candidatura.email,
+      assunto: 'Seu código de verificação',
+      texto:
+        `Olá, ${candidatura.nome}.\n\n` +
+        `Seu código de verificação é ${codigo}. Ele é válido por ${OTP_VALIDADE_MIN} minutos e pode ser usado uma única vez.\n\n` +
+        'Se você não fez esta solicitação, ignore este e-mail.'
+    });
+  } catch (error) {
+    console.error('[CANDIDATO OTP] Erro ao enviar e-mail:', error);
+    return res.status(502).json({ message: 'Não foi possível enviar o e-mail. Tente novamente em instantes.' });
+  }
+
+  res.json(resposta);
+}));
+
+/* =========================
+   POST /api/candidato/candidaturas/:id/desistir
+========================= */
+candidatoRouter.post('/candidaturas/:id/desistir', auditar('candidatura.desistir', 'candidatura', { ator: ATOR_AUDITORIA.CANDIDATO }), authCandidato, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  const motivo = clean(req.body?.motivo, 500);
+
+  const { data: candidatura, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select('id, status')
+    .eq('id', id)
+    .eq('cpf_norm', req.candidato.cpfNorm)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[CANDIDATO DESISTIR] Erro ao buscar candidatura:', fetchError);
+    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+  }
+
+  if (!candidatura) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  }
+
+  const resultado = await alterarStatus(supabase, {
+    candidatura,
+    para: STATUS_CANDIDATURA.DESISTIU,
+    ator: { nivel: ATOR_CANDIDATO },
+    observacao: motivo
+      ? `Desistência solicitada pelo candidato no portal: ${motivo}`
+      : 'Desistência solicitada pelo candidato no portal.'
+  });
+
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[CANDIDATO DESISTIR] Erro ao registrar desistência:', resultado.error);
+    // Mensagens do fluxo são voltadas à equipe; o candidato vê apenas o essencial
+    return resultado.code === 500
+      ? res.status(500).json({ message: 'Erro ao registrar desistência.' })
+      : res.status(409).json({ message: 'Esta candidatura já foi encerrada e não pode mais ser alterada.' });
+  }
+
+  const { data, error: fetchUpdatedError } = await supabase
+    .from('candidaturas')
+    .select('id, vaga, enviado_em, status, status_alterado_em')
+    .eq('id', id)
+    .single();
+
+  if (fetchUpdatedError) {
+    console.error('[CANDIDATO DESISTIR] Erro ao buscar candidatura:', fetchUpdatedError);
+    return res.status(500).json({ message: 'Erro ao registrar desistência.' });
+  }
+
+  // O motivo é texto livre do candidato: fica só no histórico da candidatura
+  res.locals.auditoria = {
+    antes: { status: candidatura.status },
+    depois: { status: data.status },
+    detalhes: { motivo_informado: Boolean(motivo) }
+  };
+
+  res.json({
+    ok: true,
+    message: 'Sua desistência foi registrada.',
+    candidatura: formatarCandidatura(data)
+  });
+}));
+
+/* =========================
+   POST /api/candidato/candidaturas/:id/atualizar
+   Corrige telefone/e-mail e/ou envia um novo currículo (multipart, campo "arquivo").
+   O currículo anterior é guardado como versão e o analista responsável é avisado.
+========================= */
+candidatoRouter.post(
+  '/candidaturas/:id/atualizar',
+  auditar('candidatura.atualizar_candidato', 'candidatura', { ator: ATOR_AUDITORIA.CANDIDATO }),
+  uploadCurriculo.single('arquivo'),
+  authCandidato,
+  exigirVerificacaoEmail,
+  asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    const campos = {};
+    if (body.telefone !== undefined) {
+      const telefone = clean(body.telefone, 40);
+      if (!telefone) return res.status(400).json({ message: 'Informe o telefone.' });
+      campos.telefone = telefone;
+    }
+    if (body.email !== undefined) {
+      const email = clean(body.email, 180).toLowerCase();
+      if (!isEmail(email)) return res.status(400).json({ message: 'E-mail inválido.' });
+      campos.email = email;
+    }
+    if (!Object.keys(campos).length && !req.file) {
+      return res.status(400).json({ message: 'Informe o telefone, o e-mail ou um novo currículo.' });
+    }
+
+    const { data: candidatura, error: fetchError } = await supabase
+      .from('candidaturas')
+      .select('id, nome, vaga, enviado_em, status, status_alterado_em, status_alterado_por, responsavel_id, telefone, email, arquivo_path')
+      .eq('id', id)
+      .eq('cpf_norm', req.candidato.cpfNorm)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('[CANDIDATO ATUALIZAR] Erro ao buscar candidatura:', fetchError);
+      return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+    }
+
+    if (!candidatura) {
+      return res.status(404).json({ message: 'Candidatura não encontrada.' });
+    }
+
+    let armazenado = null;
+    if (req.file) {
+      armazenado = await armazenarCurriculo(supabase, req.file, {
+        nome: candidatura.nome,
+        vaga: candidatura.vaga,
+        cpfNorm: req.candidato.cpfNorm,
+        candidaturaId: candidatura.id,
+        ip: ipCliente(req)
+      });
+      if (!armazenado.ok) {
+        const { code, reason, message } = armazenado;
+        return res.status(code).json(reason ? { ok: false, reason, message } : { message });
+      }
+    }
+
+    const resultado = await atualizarCandidatura(supabase, candidatura.id, { campos, arquivo: armazenado?.arquivo || null });
+    if (!resultado.ok) {
+      if (armazenado) await supabase.storage.from(BUCKET).remove([armazenado.arquivo.arquivo_path]).catch(() => {});
+      if (resultado.error) console.error('[CANDIDATO ATUALIZAR] Erro ao atualizar candidatura:', resultado.error);
+      return res.status(resultado.code).json({ message: resultado.message });
+    }
+    const { alteracao } = resultado;
+
+    // Texto do novo currículo para a busca (arquivos em quarentena só depois de liberados)
+    if (armazenado && !armazenado.quarentena) {
+      const texto = await extrairTexto(req.file.buffer, armazenado.mime);
+      const { error: textoError } = await salvarTextoCurriculo(supabase, candidatura.id, texto);
+      if (textoError) console.warn('[CANDIDATO ATUALIZAR] Aviso ao salvar texto:', textoError.message);
+    }
+
+    // Contato mais recente no perfil do candidato
+    try {
+      await sincronizarPerfil(supabase, req.candidato.cpfNorm);
+    } catch (error) {
+      console.warn('[CANDIDATO ATUALIZAR] Aviso ao sincronizar perfil:', error.message || error);
+    }
+
+    // Aviso ao analista; falhas não desfazem a atualização
+    let notificado = null;
+    try {
+      notificado = await notificarResponsavel(supabase, candidatura, alteracao);
+    } catch (error) {
+      console.warn('[CANDIDATO ATUALIZAR] Aviso ao notificar responsável:', error.message || error);
+    }
+
+    const alterados = Object.keys(alteracao.campos || {});
+    res.locals.auditoria = {
+      alvo_id: candidatura.id,
+      antes: Object.fromEntries(alterados.map((c) => [c, alteracao.campos[c].antes])),
+      depois: Object.fromEntries(alterados.map((c) => [c, alteracao.campos[c].depois])),
+      detalhes: {
+        alteracao_id: alteracao.id,
+        arquivo_versao: alteracao.arquivo_versao ?? null,
+        arquivo_path: armazenado?.arquivo.arquivo_path || null,
+        notificado_usuario_id: notificado?.id || null
+      }
+    };
+
+    res.json({
+      ok: true,
+      message: 'Sua candidatura foi atualizada.',
+      campos_alterados: alterados,
+      curriculo_atualizado: Boolean(alteracao.arquivo_versao),
+      atualizado_em: alteracao.criado_em
+    });
+  })
+);
+
+/* =========================
+   POST /api/candidato/meus-dados
+========================= */
+candidatoRouter.post('/meus-dados', authCandidato, asyncRoute(async (req, res) => {
+  const { cpfNorm } = req.candidato;
+
+  const { data: candidaturas, error } = await supabase
+    .from('candidaturas')
+    .select(`
+      id, nome, cpf, telefone, email, cep, uf, cidade, bairro, rua, cidade_informada, bairro_informado,
+      latitude, longitude, distancia_km, transporte, vaga, enviado_em, status, status_alterado_em, arquivo_path,
+      respostas, triagem_reprovada, triagem_motivos
+    `)
+    .eq('cpf_norm', cpfNorm)
+    .order('enviado_em', { ascending: false });
+
+  if (error) {
+    console.error('[CANDIDATO DADOS] Erro ao buscar candidaturas:', error);
+    return res.status(500).json({ message: 'Erro ao buscar seus dados.' });
+  }
+
+  if (!candidaturas?.length) {
+    return res.status(404).json({ message: 'Nenhuma candidatura encontrada.' });
+  }
+
+  const ids = candidaturas.map((c) => c.id);
+  const { data: historico, error: historicoError } = await supabase
+    .from('status_candidaturas')
+    .select('candidatura_id, status, criado_em')
+    .in('candidatura_id', ids)
+    .order('criado_em', { ascending: true });
+
+  if (historicoError) {
+    console.error('[CANDIDATO DADOS] Erro ao buscar histórico:', historicoError);
+    return res.status(500).json({ message: 'Erro ao buscar seus dados.' });
+  }
+
+  // Atualizações feitas pelo próprio candidato (telefones e e-mails anteriores)
+  const { data: alteracoes, error: alteracoesError } = await supabase
+    .from('candidatura_alteracoes')
+    .select('candidatura_id, campos, arquivo_versao, criado_em')
+    .in('candidatura_id', ids)
+    .order('criado_em', { ascending: true });
+
+  if (alteracoesError) {
+    console.error('[CANDIDATO DADOS] Erro ao buscar alterações:', alteracoesError);
+    return res.status(500).json({ message: 'Erro ao buscar seus dados.' });
+  }
+
+  // Versões anteriores do currículo, guardadas quando o candidato envia um novo
+  const { data: versoes, error: versoesError } = await supabase
+    .from('candidatura_arquivos')
+    .select('candidatura_id, versao, arquivo_path, arquivo_tipo, enviado_em, substituido_em')
+    .in('candidatura_id', ids)
+    .order('versao', { ascending: true });
+
+  if (versoesError) {
+    console.error('[CANDIDATO DADOS] Erro ao buscar versões do currículo:', versoesError);
+    return res.status(500).json({ message: 'Erro ao buscar seus dados.' });
+  }
+
+  // Entrevistas agendadas, remarcadas, canceladas e realizadas
+  const { data: entrevistas, error: entrevistasError } = await supabase
+    .from('entrevistas')
+    .select('id, candidatura_id, status, motivo, remarcada_de, agendado_em, atualizado_em, horario:entrevista_horarios(inicio, fim, local)')
+    .in('candidatura_id', ids)
+    .order('agendado_em', { ascending: true });
+
+  if (entrevistasError) {
+    console.error('[CANDIDATO DADOS] Erro ao buscar entrevistas:', entrevistasError);
+    return res.status(500).json({ message: 'Erro ao buscar seus dados.' });
+  }
+
+  const assinarArquivo = async (arquivoPath) => {
+    const { data: signed } = await supabase.storage.from(BUCKET).createSignedUrl(arquivoPath, 3600); // 1 hora
+    return {
+      nome: arquivoPath.split('/').pop(),
+      url: signed?.signedUrl || null,
+      url_expira_em: new Date(Date.now() + 3600000).toISOString()
+    };
+  };
+
+  const dados = [];
+  for (const { arquivo_path, status, ...candidatura } of candidaturas) {
+    const arquivo = arquivo_path ? await assinarArquivo(arquivo_path) : null;
+
+    const versoesAnteriores = [];
+    for (const v of (versoes || []).filter((v) => v.candidatura_id === candidatura.id)) {
+      versoesAnteriores.push({
+        versao: v.versao,
+        tipo: v.arquivo_tipo,
+        enviado_em: v.enviado_em,
+        substituido_em: v.substituido_em,
+        ...(await assinarArquivo(v.arquivo_path))
+      });
+    }
+
+    dados.push({
+      ...candidatura,
+      status: statusParaCandidato(status).titulo,
+      historico: (historico || [])
+        .filter((h) => h.candidatura_id === candidatura.id)
+        .map((h) => ({ status: statusParaCandidato(h.status).titulo, data: h.criado_em })),
+      alteracoes: (alteracoes || [])
+        .filter((a) => a.candidatura_id === candidatura.id)
+        .map((a) => ({ campos: a.campos, curriculo_substituido: Boolean(a.arquivo_versao), data: a.criado_em })),
+      entrevistas: (entrevistas || [])
+        .filter((e) => e.candidatura_id === candidatura.id)
+        .map(({ candidatura_id, horario, ...e }) => ({ ...e, inicio: horario?.inicio, fim: horario?.fim, local: horario?.local })),
+      arquivo,
+      versoes_anteriores: versoesAnteriores
+    });
+  }
+
+  const { protocolo } = await registrarSolicitacaoLgpd(cpfNorm, 'acesso', {
+    concluido_em: new Date().toISOString()
+  });
+
+  res.setHeader('Content-Disposition', `attachment; filename="meus-dados-${protocolo}.json"`);
+  res.json({
+    protocolo,
+    gerado_em: new Date().toISOString(),
+    candidaturas: dados
+  });
+}));
+
+/* =========================
+   POST /api/candidato/exclusao
+========================= */
+candidatoRouter.post('/exclusao', auditar('lgpd.exclusao', 'solicitacao_lgpd', { ator: ATOR_AUDITORIA.CANDIDATO }), authCandidato, exigirVerificacaoEmail, asyncRoute(async (req, res) => {
+  const { cpfNorm } = req.candidato;
+
+  const { data: candidaturas, error } = await supabase
+    .from('candidaturas')
+    .select('id, arquivo_path')
+    .eq('cpf_norm', cpfNorm);
+
+  if (error) {
+    console.error('[CANDIDATO EXCLUSAO] Erro ao buscar candidaturas:', error);
+    return res.status(500).json({ message: 'Erro ao processar a exclusão.' });
+  }
+
+  const solicitacao = await registrarSolicitacaoLgpd(cpfNorm, 'exclusao');
+
+  // Candidaturas com bloqueio legal ficam retidas (obrigação legal, art. 16 da LGPD)
+  const { error: deleteError, removidos, arquivos, bloqueadas } = await excluirCandidaturas(supabase, candidaturas || []);
+
+  if (deleteError) {
+    console.error('[CANDIDATO EXCLUSAO] Erro ao excluir candidaturas:', deleteError);
+    return res.status(500).json({
+      message: 'Erro ao processar a exclusão. Sua solicitação foi registrada e será concluída pela nossa equipe.',
+      protocolo: solicitacao.protocolo
+    });
+  }
+
+  // Os códigos de verificação também guardam o CPF
+  await supabase.from('codigos_verificacao').delete().eq('cpf_norm', cpfNorm);
+
+  await supabase
+    .from('solicitacoes_lgpd')
+    .update({
+      candidaturas_removidas: removidos,
+      candidaturas_retidas: bloqueadas.length,
+      arquivos_removidos: arquivos,
+      concluido_em: new Date().toISOString()
+    })
+    .eq('id', solicitacao.id);
+
+  // Apenas protocolo e ids: o CPF não entra no log
+  res.locals.auditoria = {
+    alvo_id: solicitacao.id,
+    detalhes: {
+      protocolo: solicitacao.protocolo,
+      candidaturas_removidas: (candidaturas || []).map((c) => c.id).filter((id) => !bloqueadas.includes(id)),
+      candidaturas_retidas: bloqueadas,
+      arquivos_removidos: arquivos
+    }
+  };
+
+  res.json({
+    ok: true,
+    message: bloqueadas.length
+      ? `Seus dados foram excluídos, exceto ${bloqueadas.length} candidatura(s) que precisamos manter por obrigação legal.`
+      : 'Seus dados foram excluídos.',
+    protocolo: solicitacao.protocolo,
+    candidaturas_removidas: removidos,
+    candidaturas_retidas: bloqueadas.length
+  });
+}));
+
+export default candidatoRouter;
@@ -0,0 +1,136 @@
+// candidatos-routes.js - Perfil do candidato e banco de talentos para a equipe
+import 'dotenv/config';
+import express from 'express';
+import { supabase } from './dados.js';
+import { authUser, authAdmin, authAnalista } from './auth.js';
+import { auditar } from './auditoria.js';
+import { validarOpcoesListagem } from './candidaturas.js';
+import { buscarPerfil, buscarTalentos, montarPerfil, sincronizarTodosPerfis, termosVaga } from './perfis.js';
+import { asyncRoute } from './utils.js';
+
+const candidatosRouter = express.Router();
+
+/* =========================
+   UTILS
+========================= */
+
+// Filtros da listagem de candidaturas aceitos pelo banco de talentos
+const FILTROS_TALENTOS = [
+  'search', 'vaga', 'cidade', 'bairro', 'transporte', 'status', 'triagem', 'resposta', 'raio_km', 'data_inicio', 'data_fim'
+];
+
+const lerFiltros = (query) => ({
+  ...Object.fromEntries(FILTROS_TALENTOS.filter((k) => query[k] !== undefined && query[k] !== '').map((k) => [k, query[k]])),
+  incluir_indisponiveis: query.incluir_indisponiveis === '1' || query.incluir_indisponiveis === 'true'
+});
+
+async function responderTalentos(res, filtros, { page = 1, limit = 20 }, extras = {}) {
+  const { data, error, count } = await buscarTalentos(supabase, filtros, { page, limit });
+
+  if (error) {
+    console.error('[BANCO TALENTOS] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar candidatos.' });
+  }
+
+  res.json({
+    ...extras,
+    candidatos: data,
+    total: count,
+    page: Number(page),
+    totalPages: Math.ceil(count / limit)
+  });
+}
+
+/* =========================
+   GET /api/candidatos
+   Banco de talentos: pessoas (uma linha por CPF) cujas candidaturas atendem aos
+   mesmos filtros da listagem, com busca no texto dos currículos (?search=).
+   ?excluir_vaga=<nome> ignora quem já se candidatou à vaga; contratados e quem
+   já está trabalhando só aparecem com ?incluir_indisponiveis=1.
+========================= */
+candidatosRouter.get('/', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { page = 1, limit = 20, excluir_vaga } = req.query;
+
+  const opcoes = validarOpcoesListagem(req.query);
+  if (!opcoes.ok) return res.status(400).json({ message: opcoes.message });
+
+  await responderTalentos(res, { ...lerFiltros(req.query), excluir_vaga }, { page, limit });
+}));
+
+/* =========================
+   POST /api/candidatos/sincronizar
+   Recria os perfis a partir das candidaturas (ex.: após importar dados antigos)
+========================= */
+candidatosRouter.post('/sincronizar', authUser, authAdmin, auditar('candidato.sincronizar', 'candidato'), asyncRoute(async (req, res) => {
+  let total;
+  try {
+    total = await sincronizarTodosPerfis(supabase);
+  } catch (error) {
+    console.error('[PERFIS] Erro ao sincronizar:', error);
+    return res.status(500).json({ message: 'Erro ao sincronizar os perfis de candidatos.' });
+  }
+
+  res.locals.auditoria = { detalhes: { perfis: total } };
+  res.json({ ok: true, perfis: total });
+}));
+
+/* =========================
+   GET /api/candidatos/vagas/:vagaId
+   Candidatos anteriores para uma vaga recém-aberta: por padrão busca nos
+   currículos as palavras do nome da vaga (?search= substitui) e deixa de fora
+   quem já se candidatou a ela. Aceita os demais filtros do banco de talentos.
+========================= */
+candidatosRouter.get('/vagas/:vagaId', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const opcoes = validarOpcoesListagem(req.query);
+  if (!opcoes.ok) return res.status(400).json({ message: opcoes.message });
+
+  const { data: vaga, error } = await supabase
+    .from('vagas')
+    .select('id, nome')
+    .eq('id', req.params.vagaId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[BANCO TALENTOS] Erro ao buscar vaga:', error);
+    return res.status(500).json({ message: 'Erro ao buscar vaga.' });
+  }
+  if (!vaga) {
+    return res.status(404).json({ message: 'Vaga não encontrada.' });
+  }
+
+  const filtros = lerFiltros(req.query);
+  filtros.search = filtros.search || termosVaga(vaga);
+  if (!filtros.search) {
+    return res.status(400).json({ message: 'Informe os termos da busca: o nome da vaga não tem palavras suficientes.' });
+  }
+
+  await responderTalentos(
+    res,
+    { ...filtros, excluir_vaga: vaga.nome },
+    { page, limit },
+    { vaga: { id: vaga.id, nome: vaga.nome }, busca: filtros.search }
+  );
+}));
+
+/* =========================
+   GET /api/candidatos/:id
+   Perfil consolidado: candidaturas com histórico de status, comentários,
+   telefones/e-mails já usados e o currículo mais recente
+========================= */
+candidatosRouter.get('/:id', authUser, authAnalista, asyncRoute(async (req, res) => {
+  let perfil;
+  try {
+    const candidato = await buscarPerfil(supabase, req.params.id);
+    if (!candidato) return res.status(404).json({ message: 'Candidato não encontrado.' });
+    perfil = await montarPerfil(supabase, candidato);
+  } catch (error) {
+    console.error('[PERFIL CANDIDATO] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar o perfil do candidato.' });
+  }
+
+  res.json(perfil);
+}));
+
+export default candidatosRouter;
@@ -0,0 +1,665 @@
+// candidaturas.js - Operações de candidatura compartilhadas entre as rotas
+import 'dotenv/config';
+import { Readable } from 'node:stream';
+import multer from 'multer';
+import { nanoid } from 'nanoid';
+import { LIMITE_SUSPEITA } from './antibot.js';
+import { ATOR_AUDITORIA, registrarAuditoria } from './auditoria.js';
+import { STATUS_ENCERRADOS } from './constantes.js';
+import { calcularTempoEstimado } from './geocodificacao.js';
+import { EVENTO, enfileirarNotificacao } from './notificacoes.js';
+import { caminhosDerivados } from './pre-visualizacao.js';
+import { slugify, toBR } from './utils.js';
+import { PREFIXO_QUARENTENA, STATUS_ARQUIVO, TIPOS_CURRICULO, inspecionarArquivo } from './verificacao-arquivo.js';
+
+const BUCKET = process.env.SUPABASE_BUCKET || 'curriculos';
+export const MAX_FILE_MB = Math.max(1, Number(process.env.MAX_FILE_MB || 5));
+
+/**
+ * Exclui candidaturas e seus currículos do Storage.
+ * Usado pela exclusão administrativa, pela limpeza por retenção e pelos pedidos LGPD.
+ * Candidaturas com bloqueio legal (sql/018_retencao.sql) nunca são excluídas:
+ * seus ids voltam em `bloqueadas`.
+ * Falhas no Storage são apenas registradas; falha no banco é devolvida em `error`.
+ */
+export async function excluirCandidaturas(supabase, rows) {
+  if (!rows.length) return { error: null, removidos: 0, arquivos: 0, bloqueadas: [] };
+
+  // CPFs cujos perfis precisam ser recalculados (ou excluídos) depois
+  const { data: cpfs, error: cpfsError } = await supabase
+    .from('candidaturas')
+    .select('id, cpf_norm, retencao_bloqueada')
+    .in('id', rows.map((r) => r.id));
+  if (cpfsError) return { error: cpfsError, removidos: 0, arquivos: 0, bloqueadas: [] };
+
+  const bloqueadas = cpfs.filter((c) => c.retencao_bloqueada).map((c) => c.id);
+  rows = rows.filter((r) => !bloqueadas.includes(r.id));
+  const ids = rows.map((r) => r.id);
+  if (!ids.length) return { error: null, removidos: 0, arquivos: 0, bloqueadas };
+
+  // Currículo atual e versões substituídas pelo candidato (sql/016_atualizacao_candidatura.sql)
+  const { data: versoes, error: versoesError } = await supabase
+    .from('candidatura_arquivos')
+    .select('arquivo_path')
+    .in('candidatura_id', ids);
+  if (versoesError) return { error: versoesError, removidos: 0, arquivos: 0, bloqueadas };
+
+  const paths = [...rows, ...versoes].map((r) => r.arquivo_path).filter(Boolean);
+  if (paths.length) {
+    // Original e versões geradas para pré-visualização
+    const { error: storageError } = await supabase.storage.from(BUCKET).remove(paths.flatMap((p) => [p, ...caminhosDerivados(p)]));
+    if (storageError) console.warn('[EXCLUSAO/storage] aviso:', storageError.message);
+  }
+
+  // Dependentes antes da candidatura (não depende de ON DELETE CASCADE no banco)
+  for (const tabela of ['status_candidaturas', 'comentarios', 'candidaturas_texto', 'candidatura_arquivos', 'candidatura_alteracoes']) {
+    const { error } = await supabase.from(tabela).delete().in('candidatura_id', ids);
+    if (error) return { error, removidos: 0, arquivos: paths.length, bloqueadas };
+  }
+
+  const { error } = await supabase.from('candidaturas').delete().in('id', ids);
+  if (error) return { error, removidos: 0, arquivos: paths.length, bloqueadas };
+
+  await sincronizarPerfis(supabase, cpfs.filter((c) => !c.retencao_bloqueada).map((c) => c.cpf_norm));
+
+  return { error: null, removidos: ids.length, arquivos: paths.length, bloqueadas };
+}
+
+/* =========================
+   PERFIL DO CANDIDATO
+   Candidaturas da mesma pessoa (CPF normalizado) formam um perfil derivado
+   (sql/017_perfis_candidatos.sql), recalculado a cada envio, atualização ou exclusão.
+========================= */
+
+// Recalcula o perfil do CPF; sem candidaturas restantes, o perfil é excluído (retorna null)
+export async function sincronizarPerfil(supabase, cpfNorm) {
+  const { data, error } = await supabase.rpc('sincronizar_candidato', { p_cpf_norm: cpfNorm });
+  if (error) throw error;
+  return (Array.isArray(data) ? data[0] : data) || null;
+}
+
+// Vários CPFs (ex.: após uma exclusão em lote); falhas são registradas e não interrompem os demais
+export async function sincronizarPerfis(supabase, cpfs) {
+  for (const cpf of new Set(cpfs.filter(Boolean))) {
+    try {
+      await sincronizarPerfil(supabase, cpf);
+    } catch (error) {
+      console.warn('[PERFIS] Falha ao sincronizar perfil:', error.message || error);
+    }
+  }
+}
+
+/* =========================
+   LISTAGEM COM FILTROS
+========================= */
+const SELECT_LISTAGEM = `
+      *,
+      usuario_status:usuarios!status_alterado_por(nome, email, cargo, funcao, nivel)
+    `;
+
+// Linhas por consulta na busca (o PostgREST corta cada resposta em max-rows, 1000 por padrão)
+const LOTE_BUSCA = 1000;
+// Ids por filtro in.(...) ao cruzar os currículos encontrados com os filtros (limite da URL)
+const LOTE_IDS = 200;
+
+// ?ordenar= da listagem: mais recentes (padrão) ou mais próximos do mercado
+export const ORDENACAO_LISTAGEM = {
+  RECENTES: 'recentes',
+  DISTANCIA: 'distancia'
+};
+
+/**
+ * Valida ?raio_km= e ?ordenar=. Retorna { ok } ou { ok: false, message }.
+ */
+export function validarOpcoesListagem({ raio_km, ordenar, arquivadas, spam }) {
+  if (raio_km != null && raio_km !== '' && !(Number(raio_km) > 0)) {
+    return { ok: false, message: 'O raio deve ser um número de quilômetros maior que zero.' };
+  }
+  if (ordenar && !Object.values(ORDENACAO_LISTAGEM).includes(ordenar)) {
+    return { ok: false, message: `Ordenação inválida. Use: ${Object.values(ORDENACAO_LISTAGEM).join(', ')}.` };
+  }
+  if (arquivadas && !['incluir', 'somente'].includes(arquivadas)) {
+    return { ok: false, message: 'Valor inválido para arquivadas. Use: incluir, somente.' };
+  }
+  if (spam && !['suspeitas', 'confirmadas'].includes(spam)) {
+    return { ok: false, message: 'Valor inválido para spam. Use: suspeitas, confirmadas.' };
+  }
+  return { ok: true };
+}
+
+// Candidaturas sem coordenadas ficam no fim quando ordenadas por distância
+function ordenarListagem(query, { ordenar }) {
+  if (ordenar === ORDENACAO_LISTAGEM.DISTANCIA) {
+    query = query.order('distancia_km', { ascending: true, nullsFirst: false });
+  }
+  return query.order('enviado_em', { ascending: false });
+}
+
+// Tempo estimado de deslocamento a partir da distância gravada na geocodificação
+const comTempoEstimado = (row) => ({
+  ...row,
+  tempo_estimado_minutos: row.distancia_km == null ? null : calcularTempoEstimado(Number(row.distancia_km), row.cidade)
+});
+
+/**
+ * Aplica os filtros da listagem de candidaturas (mesmos parâmetros de query
+ * de GET /api/admin/candidaturas). A busca textual é tratada em listarCandidaturas.
+ */
+export function aplicarFiltros(query, filtros) {
+  const { vaga, cidade, transporte, status, bairro, estado, data_inicio, data_fim, triagem, resposta, raio_km, arquivadas, spam } = filtros;
+
+  // Arquivadas pela retenção ficam de fora, salvo ?arquivadas=incluir|somente
+  if (arquivadas === 'somente') query = query.not('arquivado_em', 'is', null);
+  else if (arquivadas !== 'incluir') query = query.is('arquivado_em', null);
+
+  if (vaga && vaga !== 'todas') query = query.eq('vaga', vaga);
+  if (cidade && cidade !== 'todas') query = query.ilike('cidade', `%${cidade}%`);
+  if (transporte && transporte !== 'todos') query = query.eq('transporte', transporte);
+  if (status && status !== 'todos') query = query.eq('status', status);
+  if (bairro && bairro !== 'todos') query = query.ilike('bairro', `%${bairro}%`);
+  if (estado && estado !== 'todos') query = query.ilike('cidade', `%${estado}%`);
+
+  // Antirrobô (antibot.js): ?spam=suspeitas aguardam revisão; confirmadas foram marcadas como spam
+  if (spam === 'suspeitas') query = query.gte('spam_pontuacao', LIMITE_SUSPEITA).is('spam_revisado_em', null);
+  if (spam === 'confirmadas') query = query.gte('spam_pontuacao', LIMITE_SUSPEITA).not('spam_revisado_em', 'is', null);
+
+  // Raio em km a partir do mercado; candidaturas ainda sem coordenadas ficam de fora
+  if (Number(raio_km) > 0) query = query.lte('distancia_km', Number(raio_km));
+
+  // Triagem: ?triagem=aprovada|reprovada e ?resposta[<pergunta>]=<valor> (várias respostas = todas)
+  if (triagem === 'reprovada') query = query.eq('triagem_reprovada', true);
+  if (triagem === 'aprovada') query = query.eq('triagem_reprovada', false);
+  if (resposta && typeof resposta === 'object') {
+    const tags = Object.entries(resposta)
+      .flatMap(([pergunta, valor]) => [].concat(valor).map((v) => `${pergunta}=${v}`));
+    // Literal de array do Postgres com aspas: opções podem conter vírgulas
+    const literal = tags.map((t) => `"${t.replace(/["\\]/g, '\\$&')}"`).join(',');
+    if (tags.length) query = query.filter('respostas_tags', 'cs', `{${literal}}`);
+  }
+
+  if (data_inicio) {
+    query = query.gte('enviado_em', new Date(data_inicio).toISOString());
+  }
+  if (data_fim) {
+    const endDate = new Date(data_fim);
+    endDate.setHours(23, 59, 59, 999);
+    query = query.lte('enviado_em', endDate.toISOString());
+  }
+
+  return query;
+}
+
+// Quando cada filtro de aplicarFiltros (ou da busca) realmente restringe a seleção:
+// 'todas'/'todos', valores desconhecidos e arquivadas=incluir não reduzem nada
+const RESTRINGE = {
+  search: (v) => String(v).trim() !== '',
+  vaga: (v) => v !== 'todas',
+  cidade: (v) => v !== 'todas',
+  transporte: (v) => v !== 'todos',
+  status: (v) => v !== 'todos',
+  bairro: (v) => v !== 'todos',
+  estado: (v) => v !== 'todos',
+  data_inicio: () => true,
+  data_fim: () => true,
+  triagem: (v) => ['aprovada', 'reprovada'].includes(v),
+  resposta: (v) => typeof v === 'object' && Object.values(v).some((r) => [].concat(r).length),
+  raio_km: (v) => Number(v) > 0,
+  arquivadas: (v) => v === 'somente',
+  spam: (v) => ['suspeitas', 'confirmadas'].includes(v)
+};
+
+/**
+ * Filtros informados que de fato restringem a seleção. Usado pelas ações em lote
+ * para recusar uma seleção por filtros que, na prática, valeria para todas as candidaturas.
+ */
+export function filtrosRestritivos(filtros) {
+  return Object.fromEntries(
+    Object.entries(filtros).filter(([k, v]) => v !== '' && v != null && RESTRINGE[k]?.(v))
+  );
+}
+
+// Percorre uma consulta em lotes de LOTE_BUSCA; `montar()` cria a consulta (ordenada) a cada lote
+async function lerEmLotes(montar) {
+  const linhas = [];
+  for (let inicio = 0; ; inicio += LOTE_BUSCA) {
+    const { data, error } = await montar().range(inicio, inicio + LOTE_BUSCA - 1);
+    if (error) return { data: null, error };
+    linhas.push(...data);
+    if (data.length < LOTE_BUSCA) return { data: linhas, error: null };
+  }
+}
+
+/**
+ * Busca (campos cadastrais + texto dos currículos) respeitando os filtros.
+ * Devolve os ids na ordem de relevância e o mapa id -> { relevancia, trecho }.
+ * Todos os currículos encontrados são cruzados com os filtros (sem corte antes
+ * dos filtros) e as consultas são paginadas, então o total é exato.
+ */
+async function buscarIdsOrdenados(supabase, filtros, camposBusca) {
+  const { search } = filtros;
+  const CAMPOS = 'id, enviado_em, distancia_km';
+
+  // 1) Currículos cujo texto corresponde à busca, já ranqueados pelo banco
+  const { data: textoMatches, error: rpcError } = await lerEmLotes(() =>
+    supabase.rpc('buscar_curriculos', { termo: search, limite: null })
+  );
+  if (rpcError) console.warn('[BUSCA TEXTO] aviso:', rpcError.message);
+
+  const relevancia = new Map((textoMatches || []).map((m) => [String(m.id), m]));
+
+  // 2) Candidaturas que passam nos filtros e batem nos campos cadastrais...
+  const condicoes = camposBusca.map((campo) => `${campo}.ilike.%${search}%`).join(',');
+  const { data: cadastrais, error } = await lerEmLotes(() =>
+    aplicarFiltros(supabase.from('candidaturas').select(CAMPOS), filtros).or(condicoes).order('id')
+  );
+  if (error) return { ids: null, relevancia, error };
+
+  // ...ou no texto do currículo
+  const porId = new Map(cadastrais.map((c) => [String(c.id), c]));
+  const idsTexto = [...relevancia.keys()].filter((id) => !porId.has(id));
+  for (let i = 0; i < idsTexto.length; i += LOTE_IDS) {
+    const { data, error: textoError } = await aplicarFiltros(
+      supabase.from('candidaturas').select(CAMPOS),
+      filtros
+    ).in('id', idsTexto.slice(i, i + LOTE_IDS));
+    if (textoError) return { ids: null, relevancia, error: textoError };
+    for (const c of data) porId.set(String(c.id), c);
+  }
+
+  const porDistancia = (a, b) => filtros.ordenar === ORDENACAO_LISTAGEM.DISTANCIA
+    ? (a.distancia_km ?? Infinity) - (b.distancia_km ?? Infinity)
+    : 0;
+  const ids = [...porId.values()]
+    .sort((a, b) =>
+      porDistancia(a, b) ||
+      (relevancia.get(String(b.id))?.relevancia || 0) - (relevancia.get(String(a.id))?.relevancia || 0) ||
+      new Date(b.enviado_em) - new Date(a.enviado_em)
+    )
+    .map((c) => c.id);
+
+  return { ids, relevancia, error: null };
+}
+
+// Dados completos das candidaturas informadas, na mesma ordem dos ids
+async function buscarPorIds(supabase, ids, relevancia) {
+  const { data: rows, error } = await supabase
+    .from('candidaturas')
+    .select(SELECT_LISTAGEM)
+    .in('id', ids);
+
+  if (error) return { data: null, error };
+
+  const porId = new Map(rows.map((r) => [String(r.id), r]));
+  const data = ids
+    .map((id) => porId.get(String(id)))
+    .filter(Boolean)
+    .map((r) => {
+      const match = relevancia.get(String(r.id));
+      return comTempoEstimado({ ...r, relevancia: match?.relevancia ?? null, trecho: match?.trecho ?? null });
+    });
+
+  return { data, error: null };
+}
+
+/**
+ * Lista candidaturas paginadas.
+ * Com `search`, combina os campos cadastrais (camposBusca) com a busca no texto
+ * dos currículos: resultados ordenados por relevância, com o trecho encontrado
+ * destacado em <mark> no campo `trecho`.
+ * Com `ordenar=distancia`, as mais próximas do mercado vêm primeiro; cada linha
+ * traz `distancia_km` e `tempo_estimado_minutos` (null sem coordenadas).
+ */
+export async function listarCandidaturas(supabase, filtros, { page = 1, limit = 20, camposBusca = ['nome', 'email', 'cpf'] } = {}) {
+  page = Number(page) || 1;
+  limit = Number(limit) || 20;
+  const offset = (page - 1) * limit;
+
+  if (!filtros.search) {
+    const query = aplicarFiltros(
+      ordenarListagem(supabase.from('candidaturas').select(SELECT_LISTAGEM, { count: 'exact' }), filtros),
+      filtros
+    );
+    const { data, error, count } = await query.range(offset, offset + limit - 1);
+    return { data: data && data.map(comTempoEstimado), error, count };
+  }
+
+  const { ids, relevancia, error } = await buscarIdsOrdenados(supabase, filtros, camposBusca);
+  if (error) return { data: null, error, count: null };
+
+  const pagina = ids.slice(offset, offset + limit);
+  if (!pagina.length) return { data: [], error: null, count: ids.length };
+
+  // Dados completos apenas da página, na ordem de relevância
+  const { data, error: rowsError } = await buscarPorIds(supabase, pagina, relevancia);
+  if (rowsError) return { data: null, error: rowsError, count: null };
+
+  return { data, error: null, count: ids.length };
+}
+
+/**
+ * Ids de todas as candidaturas que atendem aos filtros e à busca (`search`), na
+ * ordem da listagem com busca. Usado pelas ações em lote selecionadas por filtros.
+ */
+export async function buscarIdsCandidaturas(supabase, filtros, { camposBusca = ['nome', 'email', 'cpf'] } = {}) {
+  const { ids, error } = await buscarIdsOrdenados(supabase, filtros, camposBusca);
+  return { ids, error };
+}
+
+/**
+ * Percorre em lotes todas as candidaturas que atendem aos filtros, na mesma
+ * ordem da listagem, sem o limite de página. Usado nas exportações.
+ */
+export async function* percorrerCandidaturas(supabase, filtros, { lote = 500, camposBusca = ['nome', 'email', 'cpf'] } = {}) {
+  if (!filtros.search) {
+    for (let offset = 0; ; offset += lote) {
+      const { data, error } = await aplicarFiltros(
+        ordenarListagem(supabase.from('candidaturas').select(SELECT_LISTAGEM), filtros)
+          .order('id', { ascending: true }),
+        filtros
+      ).range(offset, offset + lote - 1);
+
+      if (error) throw error;
+      if (data.length) yield data.map(comTempoEstimado);
+      if (data.length < lote) return;
+    }
+  }
+
+  const { ids, relevancia, error } = await buscarIdsOrdenados(supabase, filtros, camposBusca);
+  if (error) throw error;
+
+  for (let i = 0; i < ids.length; i += lote) {
+    const { data, error: rowsError } = await buscarPorIds(supabase, ids.slice(i, i + lote), relevancia);
+    if (rowsError) throw rowsError;
+    if (data.length) yield data;
+  }
+}
+
+/* =========================
+   TEXTO DOS CURRÍCULOS
+========================= */
+
+// Grava o texto extraído; a linha é criada mesmo sem texto para marcar o arquivo como processado
+export async function salvarTextoCurriculo(supabase, candidaturaId, texto) {
+  const { error } = await supabase
+    .from('candidaturas_texto')
+    .upsert({ candidatura_id: candidaturaId, texto: texto || null, extraido_em: new Date().toISOString() });
+  return { error };
+}
+
+/* =========================
+   ENVIO DO CURRÍCULO
+   Usado no envio da candidatura (POST /api/enviar) e na atualização feita pelo
+   candidato no portal (POST /api/candidato/candidaturas/:id/atualizar).
+========================= */
+
+// Upload: o tipo declarado é só uma triagem inicial; o conteúdo é inspecionado em armazenarCurriculo
+export const uploadCurriculo = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ok = Object.values(TIPOS_CURRICULO).map((t) => t.mime);
+    if (ok.includes(file.mimetype)) cb(null, true);
+    else cb(Object.assign(new Error('Formato inválido. Envie PDF, DOC ou DOCX.'), { code: 'ARQUIVO_INVALIDO' }));
+  },
+});
+
+/**
+ * Inspeciona o arquivo enviado (tipo real, macros/scripts e antivírus) e grava no Storage.
+ * Recusas ficam na auditoria; arquivos com alertas vão para PREFIXO_QUARENTENA.
+ * Retorna { ok, arquivo, quarentena, mime } — `arquivo` com os campos arquivo_* da
+ * candidatura — ou { ok: false, code, reason?, message }.
+ */
+export async function armazenarCurriculo(supabase, file, { nome, vaga, cpfNorm, candidaturaId = null, ip = null }) {
+  const inspecao = await inspecionarArquivo(file.buffer);
+  if (!inspecao.ok) {
+    console.warn(`[CURRICULO] Arquivo recusado (${inspecao.alertas.join(', ') || 'tipo inválido'}): ${file.originalname}`);
+    registrarAuditoria({
+      acao: 'candidatura.arquivo_recusado',
+      ator: { tipo: ATOR_AUDITORIA.CANDIDATO },
+      alvo_tipo: 'candidatura',
+      alvo_id: candidaturaId,
+      detalhes: {
+        vaga,
+        nome_arquivo: file.originalname,
+        tipo_declarado: file.mimetype,
+        tamanho: file.size,
+        sha256: inspecao.sha256,
+        alertas: inspecao.alertas,
+        motivo: inspecao.message
+      },
+      ip
+    }).catch((err) => console.error('[CURRICULO] Falha ao auditar recusa:', err));
+    return { ok: false, code: 400, reason: 'arquivo_recusado', message: inspecao.message };
+  }
+  const quarentena = inspecao.status === STATUS_ARQUIVO.QUARENTENA;
+
+  // Extensão e content-type pelo tipo real; arquivos em quarentena ficam em pasta separada
+  const caminho = `${quarentena ? PREFIXO_QUARENTENA : ''}${slugify(vaga)}/${cpfNorm || nanoid(6)}-${slugify(nome)}-${Date.now()}-${nanoid(6)}.${inspecao.extensao}`;
+
+  const { error } = await supabase.storage.from(BUCKET).upload(caminho, file.buffer, { contentType: inspecao.mime, upsert: false });
+  if (error) return { ok: false, code: 500, error, message: 'Falha ao salvar arquivo no Storage.' };
+
+  return {
+    ok: true,
+    quarentena,
+    mime: inspecao.mime,
+    arquivo: {
+      arquivo_path: caminho,
+      arquivo_tipo: inspecao.mime,
+      arquivo_sha256: inspecao.sha256,
+      arquivo_status: inspecao.status,
+      arquivo_alertas: inspecao.alertas
+    }
+  };
+}
+
+/* =========================
+   ATUALIZAÇÃO PELO CANDIDATO
+   O currículo substituído vira uma versão em candidatura_arquivos e cada
+   atualização fica em candidatura_alteracoes (sql/016_atualizacao_candidatura.sql).
+========================= */
+
+/**
+ * Aplica a atualização: `campos` com telefone/e-mail já validados e `arquivo`
+ * vindo de armazenarCurriculo (ou null quando o currículo não muda).
+ * Retorna { ok, alteracao } ou { ok: false, code, message }.
+ */
+export async function atualizarCandidatura(supabase, candidaturaId, { campos = {}, arquivo = null }) {
+  const { data, error } = await supabase.rpc('atualizar_candidatura_candidato', {
+    p_candidatura_id: candidaturaId,
+    p_campos: campos,
+    p_arquivo: arquivo,
+    p_status_encerrados: STATUS_ENCERRADOS
+  });
+
+  if (error) {
+    const mensagem = String(error.message);
+    if (mensagem.includes('candidatura_nao_encontrada')) return { ok: false, code: 404, message: 'Candidatura não encontrada.' };
+    if (mensagem.includes('candidatura_encerrada')) return { ok: false, code: 409, message: 'Esta candidatura foi encerrada e não pode mais ser alterada.' };
+    if (mensagem.includes('sem_alteracoes')) return { ok: false, code: 400, message: 'Nenhuma alteração informada: os dados enviados são iguais aos atuais.' };
+    return { ok: false, code: 500, error, message: 'Erro ao atualizar a candidatura.' };
+  }
+
+  return { ok: true, alteracao: Array.isArray(data) ? data[0] : data };
+}
+
+const ROTULOS_CAMPO = { telefone: 'Telefone', email: 'E-mail' };
+
+// Uma linha por alteração, para o aviso à equipe e o histórico
+export function descreverAlteracao(alteracao) {
+  const linhas = Object.entries(alteracao.campos || {}).map(([campo, { antes, depois }]) =>
+    `- ${ROTULOS_CAMPO[campo] || campo}: ${antes || '(vazio)'} → ${depois || '(vazio)'}`);
+  if (alteracao.arquivo_versao) {
+    linhas.push(`- Novo currículo enviado (o anterior foi guardado como versão ${alteracao.arquivo_versao})`);
+  }
+  return linhas.join('\n');
+}
+
+/**
+ * Analista que acompanha a candidatura: o responsável atribuído ou, sem
+ * atribuição, quem alterou o status por último. Usuários inativos são ignorados.
+ */
+export async function responsavelCandidatura(supabase, candidatura) {
+  const campos = 'id, nome, email, ativo';
+  const consultas = [];
+  if (candidatura.responsavel_id) consultas.push(['id', candidatura.responsavel_id]);
+  if (candidatura.status_alterado_por) consultas.push(['auth_id', candidatura.status_alterado_por]);
+
+  for (const [coluna, valor] of consultas) {
+    const { data, error } = await supabase.from('usuarios').select(campos).eq(coluna, valor).maybeSingle();
+    if (error) throw error;
+    if (data?.ativo) return data;
+  }
+  return null;
+}
+
+/**
+ * Avisa o analista responsável sobre a atualização e registra quem foi avisado.
+ * Retorna o usuário notificado ou null (sem responsável ou template desligado).
+ */
+export async function notificarResponsavel(supabase, candidatura, alteracao) {
+  const responsavel = await responsavelCandidatura(supabase, candidatura);
+  if (!responsavel?.email) return null;
+
+  const resultado = await enfileirarNotificacao(supabase, {
+    evento: EVENTO.CANDIDATURA_ATUALIZADA,
+    candidatura,
+    destinatario: responsavel.email,
+    variaveis: {
+      responsavel: responsavel.nome,
+      alteracoes: descreverAlteracao(alteracao),
+      data: toBR(alteracao.criado_em || new Date())
+    }
+  });
+  if (!resultado.ok) return null;
+
+  const { error } = await supabase
+    .from('candidatura_alteracoes')
+    .update({ notificado_usuario_id: responsavel.id })
+    .eq('id', alteracao.id);
+  if (error) console.warn('[CANDIDATURA/alteracao] aviso:', error.message);
+
+  return responsavel;
+}
+
+/* =========================
+   QUARENTENA DE CURRÍCULOS
+   Arquivos com alertas na inspeção do envio ficam em PREFIXO_QUARENTENA e não
+   podem ser baixados até um administrador liberá-los. O texto para a busca é
+   extraído depois da liberação (POST /internal/reindexar-curriculos).
+========================= */
+export const CAMPOS_ARQUIVO = 'id, nome, vaga, enviado_em, arquivo_path, arquivo_status, arquivo_alertas, arquivo_tipo, arquivo_sha256, arquivo_verificado_em';
+
+/**
+ * Move o arquivo para fora da quarentena e marca a candidatura como liberada.
+ * Retorna { ok, candidatura } ou { ok: false, code, message }.
+ */
+export async function liberarArquivo(supabase, candidatura, { usuarioId = null } = {}) {
+  if (candidatura.arquivo_status !== STATUS_ARQUIVO.QUARENTENA) {
+    return { ok: false, code: 409, message: 'O currículo desta candidatura não está em quarentena.' };
+  }
+
+  const origem = candidatura.arquivo_path;
+  const destino = origem.startsWith(PREFIXO_QUARENTENA) ? origem.slice(PREFIXO_QUARENTENA.length) : origem;
+  if (destino !== origem) {
+    const { error: moveError } = await supabase.storage.from(BUCKET).move(origem, destino);
+    if (moveError) return { ok: false, code: 500, error: moveError, message: 'Erro ao mover o currículo no Storage.' };
+  }
+
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .update({
+      arquivo_status: STATUS_ARQUIVO.OK,
+      arquivo_path: destino,
+      arquivo_liberado_por: usuarioId,
+      arquivo_liberado_em: new Date().toISOString()
+    })
+    .eq('id', candidatura.id)
+    .select(CAMPOS_ARQUIVO)
+    .single();
+
+  if (error) {
+    if (destino !== origem) await supabase.storage.from(BUCKET).move(destino, origem).catch(() => {});
+    return { ok: false, code: 500, error, message: 'Erro ao liberar o currículo.' };
+  }
+  return { ok: true, candidatura: data };
+}
+
+/**
+ * Inspeciona de novo o arquivo guardado (ex.: antivírus voltou a responder).
+ * Sem alertas, o arquivo é liberado; caso contrário os alertas são atualizados
+ * e ele continua em quarentena — inclusive quando a nova análise recusaria o envio.
+ */
+export async function reanalisarArquivo(supabase, candidatura, { usuarioId = null } = {}) {
+  if (candidatura.arquivo_status !== STATUS_ARQUIVO.QUARENTENA) {
+    return { ok: false, code: 409, message: 'O currículo desta candidatura não está em quarentena.' };
+  }
+
+  const { data: blob, error: dlError } = await supabase.storage.from(BUCKET).download(candidatura.arquivo_path);
+  if (dlError || !blob) return { ok: false, code: 404, message: 'Currículo não encontrado no Storage.' };
+
+  const inspecao = await inspecionarArquivo(Buffer.from(await blob.arrayBuffer()));
+  const alertas = inspecao.ok ? inspecao.alertas : [...new Set([...inspecao.alertas, 'recusaria_envio'])];
+
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .update({ arquivo_alertas: alertas, arquivo_verificado_em: new Date().toISOString() })
+    .eq('id', candidatura.id)
+    .select(CAMPOS_ARQUIVO)
+    .single();
+  if (error) return { ok: false, code: 500, error, message: 'Erro ao gravar a nova análise.' };
+
+  if (inspecao.ok && !alertas.length) {
+    const liberado = await liberarArquivo(supabase, data, { usuarioId });
+    return liberado.ok ? { ...liberado, liberado: true, inspecao } : liberado;
+  }
+  return { ok: true, candidatura: data, liberado: false, inspecao };
+}
+
+/* =========================
+   DOWNLOAD DO CURRÍCULO
+   O arquivo é entregue pela própria API (GET /api/admin/curriculo/:id/arquivo):
+   a URL assinada do Storage vale poucos segundos e não sai do servidor.
+========================= */
+const VALIDADE_URL_DOWNLOAD = 60; // segundos
+
+/**
+ * Tipo real e nome de download do currículo.
+ * Candidaturas anteriores à inspeção (sem arquivo_tipo) usam a extensão guardada.
+ */
+export function metadadosCurriculo(candidatura) {
+  const extensao = String(candidatura.arquivo_path || '').split('.').pop().toLowerCase();
+  const tipo = Object.values(TIPOS_CURRICULO).find((t) => t.mime === candidatura.arquivo_tipo) ||
+    TIPOS_CURRICULO[extensao] ||
+    { mime: 'application/octet-stream', extensao: extensao || 'bin' };
+  const nome = String(candidatura.nome || 'candidato').replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+  return { nome_arquivo: `${nome}_curriculo.${tipo.extensao}`, tipo: tipo.mime, extensao: tipo.extensao };
+}
+
+/**
+ * Abre o currículo guardado como stream, sem carregá-lo inteiro na memória.
+ * `signal` interrompe a leitura (ex.: o cliente fechou a conexão).
+ * Retorna { ok, stream, tamanho } ou { ok: false, code, message }.
+ */
+export async function abrirCurriculo(supabase, arquivoPath, { signal } = {}) {
+  const naoEncontrado = { ok: false, code: 404, message: 'Currículo não encontrado no Storage.' };
+
+  const { data, error } = await supabase.storage.from(BUCKET).createSignedUrl(arquivoPath, VALIDADE_URL_DOWNLOAD);
+  if (error) {
+    if (String(error.statusCode) === '404' || /not found/i.test(error.message || '')) return naoEncontrado;
+    return { ok: false, code: 500, error, message: 'Erro ao acessar o currículo no Storage.' };
+  }
+
+  const response = await fetch(data.signedUrl, { signal });
+  if ([400, 404].includes(response.status)) return naoEncontrado;
+  if (!response.ok || !response.body) {
+    return { ok: false, code: 502, error: new Error(`Storage respondeu ${response.status}`), message: 'Erro ao acessar o currículo no Storage.' };
+  }
+
+  return {
+    ok: true,
+    stream: Readable.fromWeb(response.body),
+    tamanho: Number(response.headers.get('content-length')) || null
+  };
+}
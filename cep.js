@@ -0,0 +1,211 @@
+// cep.js - Consulta de CEP e validação da consistência do endereço informado
+import 'dotenv/config';
+import fs from 'node:fs';
+import { UFS } from './constantes.js';
+import { criarRegistro, slugify } from './utils.js';
+import { DATA_BACKEND } from './dados.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+
+// Faixas de CEP por UF (Correios): validação offline mesmo sem provedor
+const FAIXAS_UF = [
+  ['SP', 1000, 19999], ['RJ', 20000, 28999], ['ES', 29000, 29999], ['MG', 30000, 39999],
+  ['BA', 40000, 48999], ['SE', 49000, 49999], ['PE', 50000, 56999], ['AL', 57000, 57999],
+  ['PB', 58000, 58999], ['RN', 59000, 59999], ['CE', 60000, 63999], ['PI', 64000, 64999],
+  ['MA', 65000, 65999], ['PA', 66000, 68899], ['AP', 68900, 68999], ['AM', 69000, 69299],
+  ['RR', 69300, 69399], ['AM', 69400, 69899], ['AC', 69900, 69999], ['DF', 70000, 72799],
+  ['GO', 72800, 72999], ['DF', 73000, 73699], ['GO', 73700, 76799], ['RO', 76800, 76999],
+  ['TO', 77000, 77999], ['MT', 78000, 78899], ['MS', 79000, 79999], ['PR', 80000, 87999],
+  ['SC', 88000, 89999], ['RS', 90000, 99999]
+];
+
+// Sem rede no backend local: usa a base local se houver, senão só as faixas por UF
+const PROVEDOR = process.env.CEP_PROVIDER ||
+  (DATA_BACKEND === 'local' ? (process.env.CEP_DATASET ? 'local' : 'nenhum') : 'viacep');
+
+const CACHE_MAX = 5000;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/* =========================
+   FORMATAÇÃO
+========================= */
+
+// "57300-000", "57.300-000" ou "57300000" -> "57300000"; null se não tiver 8 dígitos
+export function normalizarCep(cep) {
+  const digitos = String(cep ?? '').replace(/\D/g, '');
+  return digitos.length === 8 && digitos !== '00000000' ? digitos : null;
+}
+
+export const formatarCep = (cep) => `${cep.slice(0, 5)}-${cep.slice(5)}`;
+
+export function ufDoCep(cep) {
+  const prefixo = Number(String(cep).slice(0, 5));
+  return FAIXAS_UF.find(([, de, ate]) => prefixo >= de && prefixo <= ate)?.[0] || null;
+}
+
+// "Arapiraca - AL", "arapiraca-al", "Arapiraca/AL" -> { cidade: 'Arapiraca', uf: 'AL' }
+export function separarCidadeUf(texto) {
+  const limpo = String(texto ?? '').replace(/\s+/g, ' ').trim();
+  const m = limpo.match(/^(.*?)\s*[-/,]\s*([a-z]{2})$/i);
+  if (m && UFS.includes(m[2].toUpperCase())) return { cidade: m[1].trim(), uf: m[2].toUpperCase() };
+  return { cidade: limpo, uf: null };
+}
+
+const mesmaCidade = (a, b) => slugify(a) === slugify(b);
+
+/* =========================
+   PROVEDORES
+   consultar(cep) devolve { cep, rua, bairro, cidade, uf } ou null quando o CEP
+   não existe. Falhas de rede/serviço lançam erro. `completo` indica se a base
+   cobre todos os CEPs (só então um CEP ausente é recusado no envio).
+========================= */
+const provedores = criarRegistro('Provedor de CEP', PROVEDOR, { completo: false });
+
+export const registrarProvedorCep = provedores.registrar;
+export const provedorCep = () => provedores.obter();
+
+registrarProvedorCep('viacep', () => ({
+  completo: true,
+  async consultar(cep) {
+    const response = await fetch(`https://viacep.com.br/ws/${cep}/json/`, { signal: AbortSignal.timeout(5000) });
+    if (response.status === 400) return null;
+    if (!response.ok) throw new Error(`ViaCEP respondeu ${response.status}`);
+
+    const data = await response.json();
+    if (data.erro) return null;
+    return {
+      cep,
+      rua: data.logradouro || null,
+      bairro: data.bairro || null,
+      cidade: data.localidade,
+      uf: data.uf
+    };
+  }
+}));
+
+/**
+ * Base offline em JSON (CEP_DATASET):
+ *   [{ "cep": "57300000", "cidade": "Arapiraca", "uf": "AL", "bairro": "Centro", "rua": "Rua X" }, ...]
+ * "cep" pode ter 8 dígitos ou só o prefixo de 5 (CEP geral da cidade, sem bairro/rua).
+ */
+registrarProvedorCep('local', () => {
+  const arquivo = process.env.CEP_DATASET;
+  if (!arquivo) throw new Error('CEP_DATASET não configurado para o provedor de CEP local.');
+  const registros = JSON.parse(fs.readFileSync(arquivo, 'utf8'))
+    .map((r) => ({ ...r, cep: String(r.cep || '').replace(/\D/g, '') }));
+  const exatos = new Map(registros.filter((r) => r.cep.length === 8).map((r) => [r.cep, r]));
+  const prefixos = new Map(registros.filter((r) => r.cep.length === 5).map((r) => [r.cep, r]));
+
+  return {
+    async consultar(cep) {
+      const r = exatos.get(cep) || prefixos.get(cep.slice(0, 5));
+      if (!r) return null;
+      const exato = r.cep.length === 8;
+      return {
+        cep,
+        rua: exato ? r.rua || null : null,
+        bairro: exato ? r.bairro || null : null,
+        cidade: r.cidade,
+        uf: String(r.uf).toUpperCase()
+      };
+    }
+  };
+});
+
+// Sem consulta: apenas formato e faixa da UF
+registrarProvedorCep('nenhum', () => ({
+  async consultar() {
+    throw new Error('nenhum provedor de CEP configurado');
+  }
+}));
+
+/* =========================
+   CONSULTA (com cache em memória)
+========================= */
+const cache = new Map();
+
+/**
+ * Consulta o CEP. Retorna:
+ *   { ok: true, endereco: { cep, rua, bairro, cidade, uf, fonte } }
+ *   { ok: false, motivo: 'invalido' | 'nao_encontrado' | 'indisponivel', uf }
+ * `uf` (pela faixa do CEP) vem mesmo quando o provedor está indisponível.
+ */
+export async function consultarCep(valor) {
+  const cep = normalizarCep(valor);
+  if (!cep) return { ok: false, motivo: 'invalido', uf: null };
+
+  const uf = ufDoCep(cep);
+  if (!uf) return { ok: false, motivo: 'invalido', uf: null };
+
+  const guardado = cache.get(cep);
+  if (guardado && guardado.expira > Date.now()) return guardado.resultado;
+
+  const provedor = provedorCep();
+  let encontrado;
+  try {
+    encontrado = await provedor.consultar(cep);
+  } catch (error) {
+    if (provedor.nome !== 'nenhum') console.warn(`[CEP] Provedor ${provedor.nome} indisponível:`, error.message);
+    return { ok: false, motivo: 'indisponivel', uf };
+  }
+
+  const resultado = encontrado
+    ? { ok: true, endereco: { ...encontrado, fonte: provedor.nome } }
+    : { ok: false, motivo: 'nao_encontrado', uf, definitivo: provedor.completo };
+
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(cep, { resultado, expira: Date.now() + CACHE_TTL_MS });
+  return resultado;
+}
+
+/* =========================
+   VALIDAÇÃO DO ENDEREÇO NO ENVIO
+========================= */
+
+/**
+ * Confere o CEP e a consistência com cidade/UF informadas.
+ * Com o CEP encontrado, cidade e UF passam a ser as da base (grafia canônica) e
+ * bairro/rua vazios são completados. Sem provedor disponível, valida o formato e a
+ * UF pela faixa do CEP e mantém o restante como informado.
+ * Retorna { ok: true, endereco: { cep, cidade, uf, bairro, rua } } ou { ok: false, message }.
+ */
+export async function validarEndereco({ cep, cidade, uf, bairro, rua }) {
+  const separado = separarCidadeUf(cidade);
+  const ufInformada = String(uf || separado.uf || '').trim().toUpperCase() || null;
+
+  if (ufInformada && !UFS.includes(ufInformada)) {
+    return { ok: false, message: 'UF inválida.' };
+  }
+
+  const consulta = await consultarCep(cep);
+
+  if (consulta.motivo === 'invalido') {
+    return { ok: false, message: 'CEP inválido. Informe os 8 dígitos do CEP.' };
+  }
+  if (consulta.motivo === 'nao_encontrado' && consulta.definitivo) {
+    return { ok: false, message: 'CEP não encontrado. Confira o número informado.' };
+  }
+
+  const encontrado = consulta.ok ? consulta.endereco : null;
+  const ufCep = encontrado?.uf || consulta.uf;
+
+  if (ufInformada && ufInformada !== ufCep) {
+    return { ok: false, message: `O CEP informado pertence a outro estado (${ufCep}).` };
+  }
+  if (encontrado && !mesmaCidade(separado.cidade, encontrado.cidade)) {
+    return { ok: false, message: `O CEP informado pertence a ${encontrado.cidade}/${encontrado.uf}. Confira o CEP ou a cidade.` };
+  }
+
+  return {
+    ok: true,
+    endereco: {
+      cep: normalizarCep(cep),
+      cidade: encontrado?.cidade || separado.cidade,
+      uf: ufCep,
+      bairro: String(bairro ?? '').trim() || encontrado?.bairro || null,
+      rua: String(rua ?? '').trim() || encontrado?.rua || null
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// constantes.js - Constantes de domínio compartilhadas entre as rotas
+
+export const NIVEL_USUARIO = {
+  ADMIN: 'admin',
+  LIDER: 'lider', 
+  ANALISTA: 'analista'
+};
+
+export const STATUS_CANDIDATURA = {
+  NOVO: 'Novo',
+  SELECIONADO: 'Selecionado',
+  NAO_ATENDEU: 'Não Atendeu a Ligação',
+  DESISTIU: 'Desistiu',
+  JA_TRABALHOU: 'Já trabalhou Aqui',
+  PASSOU_ENTREVISTA: 'Passou na Entrevista',
+  JA_TRABALHANDO: 'Já está trabalhando',
+  CONTRATADO: 'Contratado'
+};
+
+// Como cada status interno é apresentado ao candidato no portal de acompanhamento.
+// Status internos (ex.: "Já trabalhou Aqui") nunca são expostos diretamente.
+export const STATUS_CANDIDATO = {
+  [STATUS_CANDIDATURA.NOVO]: {
+    titulo: 'Recebida',
+    descricao: 'Recebemos sua candidatura e ela aguarda análise da nossa equipe.'
+  },
+  [STATUS_CANDIDATURA.SELECIONADO]: {
+    titulo: 'Em análise',
+    descricao: 'Seu perfil está sendo avaliado. Fique atento ao seu telefone e e-mail.'
+  },
+  [STATUS_CANDIDATURA.NAO_ATENDEU]: {
+    titulo: 'Tentamos contato',
+    descricao: 'Tentamos falar com você por telefone, sem sucesso. Verifique se seus dados de contato estão corretos.'
+  },
+  [STATUS_CANDIDATURA.DESISTIU]: {
+    titulo: 'Encerrada',
+    descricao: 'Esta candidatura foi encerrada.'
+  },
+  [STATUS_CANDIDATURA.JA_TRABALHOU]: {
+    titulo: 'Em análise',
+    descricao: 'Seu perfil está sendo avaliado. Fique atento ao seu telefone e e-mail.'
+  },
+  [STATUS_CANDIDATURA.PASSOU_ENTREVISTA]: {
+    titulo: 'Aprovado na entrevista',
+    descricao: 'Parabéns! Você foi aprovado na entrevista. Em breve entraremos em contato com os próximos passos.'
+  },
+  [STATUS_CANDIDATURA.JA_TRABALHANDO]: {
+    titulo: 'Encerrada',
+    descricao: 'Esta candidatura foi encerrada.'
+  },
+  [STATUS_CANDIDATURA.CONTRATADO]: {
+    titulo: 'Contratado',
+    descricao: 'Parabéns! Você foi contratado. Nossa equipe entrará em contato para os próximos passos.'
+  }
+};
+
+export const statusParaCandidato = (status) =>
+  STATUS_CANDIDATO[status] || STATUS_CANDIDATO[STATUS_CANDIDATURA.SELECIONADO];
+
+// Candidaturas encerradas: o candidato não pode mais alterá-las pelo portal
+export const STATUS_ENCERRADOS = [STATUS_CANDIDATURA.DESISTIU, STATUS_CANDIDATURA.JA_TRABALHANDO];
+
+export const TURNO_VAGA = {
+  MANHA: 'Manhã',
+  TARDE: 'Tarde',
+  NOITE: 'Noite',
+  INTEGRAL: 'Integral',
+  ESCALA_12X36: '12x36'
+};
+
+export const TIPO_PERGUNTA = {
+  TEXTO: 'texto',
+  SIM_NAO: 'sim_nao',
+  ESCOLHA_UNICA: 'escolha_unica',
+  ESCOLHA_MULTIPLA: 'escolha_multipla',
+  NUMERO: 'numero'
+};
+
+export const UFS = [
+  'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+  'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
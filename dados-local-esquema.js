@@ -0,0 +1,546 @@
+// dados-local-esquema.js - Esquema e funções do banco para o backend local (espelha sql/*.sql)
+import { randomUUID } from 'node:crypto';
+import { nomeLocalidade, normalizarLocalidade, sha256 } from './utils.js';
+
+const agora = () => new Date().toISOString();
+const semAcento = (s) => String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Erro no formato devolvido pelo PostgREST
+export const erroBanco = (message, code = 'P0001', details = null) => ({ message, code, details, hint: null });
+
+/* =========================
+   TABELAS
+   pk: chave primária (serial = numérica sequencial)
+   padroes: valores padrão na inserção
+   gerados: colunas geradas (recalculadas a cada escrita)
+   unicos: índices únicos, opcionalmente parciais (onde) ou com nulls not distinct (nulosIguais)
+   restricoes: validações extras (ex.: exclusão por sobreposição)
+   Tabelas não listadas funcionam com pk "id" (uuid) e sem restrições.
+========================= */
+export const TABELAS = {
+  candidaturas: {
+    padroes: {
+      respostas: () => ({}),
+      respostas_tags: () => [],
+      triagem_reprovada: () => false,
+      triagem_motivos: () => [],
+      arquivo_status: () => 'ok',
+      arquivo_alertas: () => [],
+      retencao_bloqueada: () => false,
+      spam_pontuacao: () => 0,
+      spam_sinais: () => []
+    },
+    gerados: {
+      cpf_norm: (r) => String(r.cpf ?? '').replace(/\D/g, '') || null,
+      vaga_norm: (r) => (r.vaga == null ? null : String(r.vaga).toLowerCase().trim())
+    },
+    unicos: [{ nome: 'candidaturas_cpf_vaga_key', colunas: ['cpf_norm', 'vaga_norm'], onde: (r) => r.arquivado_em == null }]
+  },
+  candidaturas_texto: {
+    pk: 'candidatura_id',
+    padroes: { extraido_em: agora }
+  },
+  status_candidaturas: { padroes: { criado_em: agora } },
+  comentarios: { padroes: { criado_em: agora, atualizado_em: agora } },
+  usuarios: {
+    padroes: { ativo: () => true, criado_em: agora },
+    unicos: [
+      { nome: 'usuarios_auth_id_key', colunas: ['auth_id'] },
+      { nome: 'usuarios_email_key', colunas: ['email'] }
+    ]
+  },
+  vagas: { padroes: { ativa: () => true, perguntas: () => [], criado_em: agora } },
+  codigos_verificacao: { padroes: { tentativas: () => 0, criado_em: agora } },
+  solicitacoes_lgpd: {
+    padroes: { solicitado_em: agora, candidaturas_retidas: () => 0 },
+    unicos: [{ nome: 'solicitacoes_lgpd_protocolo_key', colunas: ['protocolo'] }]
+  },
+  notificacao_templates: { pk: 'chave', padroes: { ativo: () => true, atualizado_em: agora } },
+  notificacoes: {
+    padroes: { status: () => 'pendente', tentativas: () => 0, criado_em: agora }
+  },
+  lotes_jobs: {
+    padroes: {
+      parametros: () => ({}), selecao: () => ({}), status: () => 'pendente',
+      total: () => 0, processados: () => 0, sucesso: () => 0, falhas: () => 0, criado_em: agora
+    }
+  },
+  auditoria: {
+    pk: 'seq',
+    serial: true,
+    padroes: { id: () => randomUUID() },
+    imutavel: true
+  },
+  entrevista_horarios: {
+    padroes: { ativo: () => true, criado_em: agora },
+    restricoes: [
+      {
+        nome: 'entrevista_horarios_sem_sobreposicao',
+        code: '23P01',
+        valida: (nova, linhas) => !nova.ativo || !linhas.some((l) =>
+          l.ativo && l.entrevistador_id === nova.entrevistador_id &&
+          new Date(l.inicio) < new Date(nova.fim) && new Date(nova.inicio) < new Date(l.fim))
+      }
+    ]
+  },
+  entrevistas: {
+    padroes: { sequencia: () => 0, agendado_em: agora, atualizado_em: agora },
+    unicos: [
+      { nome: 'entrevistas_horario_ativo', colunas: ['horario_id'], onde: (r) => r.status === 'agendada' },
+      { nome: 'entrevistas_candidatura_ativa', colunas: ['candidatura_id'], onde: (r) => r.status === 'agendada' }
+    ]
+  },
+  geocodificacao_cache: { pk: 'chave', padroes: { criado_em: agora } },
+  calendario_tokens: {
+    pk: 'usuario_id',
+    padroes: { criado_em: agora },
+    unicos: [{ nome: 'calendario_tokens_token_hash_key', colunas: ['token_hash'] }]
+  },
+  cidades: {
+    padroes: { revisado: () => false, criado_em: agora },
+    unicos: [{ nome: 'cidades_nome_uf_key', colunas: ['nome_norm', 'uf'], nulosIguais: true }]
+  },
+  bairros: {
+    padroes: { revisado: () => false, criado_em: agora },
+    unicos: [{ nome: 'bairros_cidade_id_nome_norm_key', colunas: ['cidade_id', 'nome_norm'] }]
+  },
+  cidade_aliases: {
+    padroes: { criado_em: agora },
+    unicos: [{ nome: 'cidade_aliases_cidade_id_alias_norm_key', colunas: ['cidade_id', 'alias_norm'] }]
+  },
+  bairro_aliases: {
+    padroes: { criado_em: agora },
+    unicos: [{ nome: 'bairro_aliases_bairro_id_alias_norm_key', colunas: ['bairro_id', 'alias_norm'] }]
+  },
+  candidatura_arquivos: {
+    padroes: { arquivo_status: () => 'ok', arquivo_alertas: () => [], substituido_em: agora },
+    unicos: [{ nome: 'candidatura_arquivos_candidatura_id_versao_key', colunas: ['candidatura_id', 'versao'] }]
+  },
+  candidatura_alteracoes: { padroes: { campos: () => ({}), criado_em: agora } },
+  candidatos: {
+    padroes: { total_candidaturas: () => 0, vagas: () => [], criado_em: agora, atualizado_em: agora },
+    unicos: [{ nome: 'candidatos_cpf_norm_key', colunas: ['cpf_norm'] }]
+  },
+  retencao_regras: {
+    padroes: { ativo: () => true, criado_em: agora, atualizado_em: agora },
+    gerados: { vaga_norm: (r) => (r.vaga == null ? null : String(r.vaga).toLowerCase().trim()) },
+    unicos: [{ nome: 'retencao_regras_status_vaga_key', colunas: ['status', 'vaga_norm'], nulosIguais: true }]
+  },
+  retencao_execucoes: {
+    padroes: {
+      simulacao: () => false, iniciado_em: agora, arquivadas: () => 0, excluidas: () => 0,
+      bloqueadas: () => 0, falhas: () => 0, relatorio: () => []
+    }
+  },
+  agendamentos: {
+    pk: 'chave',
+    padroes: { ativo: () => true, proxima_execucao_em: agora, criado_em: agora, atualizado_em: agora }
+  },
+  agendamento_execucoes: { padroes: { status: () => 'executando', iniciado_em: agora } },
+  antibot_desafios_usados: { pk: 'hash', padroes: { usado_em: agora } }
+};
+
+export const definicaoTabela = (nome) => ({ pk: 'id', padroes: {}, gerados: {}, unicos: [], restricoes: [], ...TABELAS[nome] });
+
+/* =========================
+   CHAVES ESTRANGEIRAS
+   Usadas para os recursos embutidos do select (alias:tabela!coluna(...))
+   e para o ON DELETE CASCADE.
+========================= */
+export const CHAVES_ESTRANGEIRAS = [
+  { tabela: 'candidaturas', coluna: 'status_alterado_por', ref: 'usuarios', refColuna: 'auth_id' },
+  { tabela: 'candidaturas_texto', coluna: 'candidatura_id', ref: 'candidaturas', cascata: true },
+  { tabela: 'status_candidaturas', coluna: 'candidatura_id', ref: 'candidaturas' },
+  { tabela: 'status_candidaturas', coluna: 'usuario_id', ref: 'usuarios' },
+  { tabela: 'comentarios', coluna: 'candidatura_id', ref: 'candidaturas' },
+  { tabela: 'comentarios', coluna: 'usuario_id', ref: 'usuarios' },
+  { tabela: 'notificacoes', coluna: 'candidatura_id', ref: 'candidaturas', cascata: true },
+  { tabela: 'lotes_jobs', coluna: 'criado_por', ref: 'usuarios' },
+  { tabela: 'entrevista_horarios', coluna: 'vaga_id', ref: 'vagas', cascata: true },
+  { tabela: 'entrevista_horarios', coluna: 'entrevistador_id', ref: 'usuarios' },
+  { tabela: 'entrevista_horarios', coluna: 'criado_por', ref: 'usuarios' },
+  { tabela: 'entrevistas', coluna: 'horario_id', ref: 'entrevista_horarios' },
+  { tabela: 'entrevistas', coluna: 'candidatura_id', ref: 'candidaturas', cascata: true },
+  { tabela: 'entrevistas', coluna: 'agendado_por', ref: 'usuarios' },
+  { tabela: 'entrevistas', coluna: 'cancelado_por', ref: 'usuarios' },
+  { tabela: 'calendario_tokens', coluna: 'usuario_id', ref: 'usuarios', cascata: true },
+  { tabela: 'candidaturas', coluna: 'cidade_id', ref: 'cidades' },
+  { tabela: 'candidaturas', coluna: 'bairro_id', ref: 'bairros' },
+  { tabela: 'candidaturas', coluna: 'arquivo_liberado_por', ref: 'usuarios' },
+  { tabela: 'candidaturas', coluna: 'responsavel_id', ref: 'usuarios' },
+  { tabela: 'candidatura_arquivos', coluna: 'candidatura_id', ref: 'candidaturas', cascata: true },
+  { tabela: 'candidatura_alteracoes', coluna: 'candidatura_id', ref: 'candidaturas', cascata: true },
+  { tabela: 'candidatura_alteracoes', coluna: 'notificado_usuario_id', ref: 'usuarios' },
+  { tabela: 'candidaturas', coluna: 'candidato_id', ref: 'candidatos' },
+  { tabela: 'candidatos', coluna: 'ultima_candidatura_id', ref: 'candidaturas' },
+  { tabela: 'candidaturas', coluna: 'arquivado_execucao_id', ref: 'retencao_execucoes' },
+  { tabela: 'candidaturas', coluna: 'retencao_bloqueada_por', ref: 'usuarios' },
+  { tabela: 'retencao_regras', coluna: 'criado_por', ref: 'usuarios' },
+  { tabela: 'retencao_execucoes', coluna: 'usuario_id', ref: 'usuarios' },
+  { tabela: 'agendamentos', coluna: 'ultima_execucao_id', ref: 'agendamento_execucoes' },
+  { tabela: 'agendamento_execucoes', coluna: 'chave', ref: 'agendamentos', refColuna: 'chave', cascata: true },
+  { tabela: 'agendamento_execucoes', coluna: 'usuario_id', ref: 'usuarios' },
+  { tabela: 'candidaturas', coluna: 'spam_revisado_por', ref: 'usuarios' },
+  { tabela: 'bairros', coluna: 'cidade_id', ref: 'cidades', cascata: true },
+  { tabela: 'cidade_aliases', coluna: 'cidade_id', ref: 'cidades', cascata: true },
+  { tabela: 'bairro_aliases', coluna: 'bairro_id', ref: 'bairros', cascata: true }
+].map((fk) => ({ refColuna: 'id', ...fk }));
+
+/* =========================
+   FUNÇÕES (rpc)
+   Cada função recebe o banco local ({ tabela, inserir, atualizar, remover }) e os parâmetros.
+   test/paridade-funcoes.test.js compara cada uma com a versão de sql/*.sql.
+========================= */
+
+// Trecho com os termos destacados, texto escapado antes de receber <mark>
+function trechoDestacado(texto, termos) {
+  const escapado = texto.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const normal = semAcento(escapado);
+  const pos = Math.max(0, Math.min(...termos.map((t) => normal.indexOf(t)).filter((i) => i >= 0)));
+  const inicio = Math.max(0, pos - 80);
+  const fim = Math.min(escapado.length, pos + 160);
+
+  let trecho = escapado.slice(inicio, fim);
+  const trechoNormal = normal.slice(inicio, fim);
+  // Marca de trás para frente para não deslocar as posições já calculadas
+  const marcas = [];
+  for (const termo of termos) {
+    for (let i = trechoNormal.indexOf(termo); i >= 0; i = trechoNormal.indexOf(termo, i + termo.length)) {
+      marcas.push([i, i + termo.length]);
+    }
+  }
+  marcas.sort((a, b) => b[0] - a[0]).forEach(([a, b]) => {
+    trecho = `${trecho.slice(0, a)}<mark>${trecho.slice(a, b)}</mark>${trecho.slice(b)}`;
+  });
+
+  return `${inicio > 0 ? '… ' : ''}${trecho}${fim < escapado.length ? ' …' : ''}`;
+}
+
+// Apelidos da cidade/bairro (sql/013_localidades.sql)
+const temApelido = (banco, tabela, coluna, id, norm) =>
+  banco.tabela(tabela).some((a) => a[coluna] === id && a.alias_norm === norm);
+
+function encontrarCidade(banco, norm, uf) {
+  const candidatas = banco.tabela('cidades').filter((c) =>
+    (c.nome_norm === norm || temApelido(banco, 'cidade_aliases', 'cidade_id', c.id, norm)) &&
+    (!uf || !c.uf || c.uf === uf));
+  const ordem = (c) => [(c.uf ?? null) === uf, c.nome_norm === norm, c.revisado];
+  const [cidade] = candidatas.sort((a, b) => {
+    const [oa, ob] = [ordem(a), ordem(b)];
+    const i = oa.findIndex((v, n) => v !== ob[n]);
+    return i >= 0 ? Number(ob[i]) - Number(oa[i]) : String(a.criado_em).localeCompare(String(b.criado_em));
+  });
+  // Sem UF, homônimas em UFs diferentes tornam a associação ambígua
+  if (cidade && !uf && cidade.uf && candidatas.some((c) => c.uf && c.uf !== cidade.uf)) return null;
+  return cidade || null;
+}
+
+// Move as candidaturas e os apelidos da origem para o destino e remove a origem
+function mesclarLocalidade(banco, { tabela, apelidos, coluna, origem, destino, campos }) {
+  banco.atualizar('candidaturas', (c) => c[coluna] === origem.id, campos);
+  const normas = new Set([
+    origem.nome_norm,
+    ...banco.tabela(apelidos).filter((a) => a[coluna] === origem.id).map((a) => a.alias_norm)
+  ]);
+  for (const norm of normas) {
+    if (norm !== destino.nome_norm && !temApelido(banco, apelidos, coluna, destino.id, norm)) {
+      banco.inserir(apelidos, { [coluna]: destino.id, alias_norm: norm });
+    }
+  }
+  banco.remover(tabela, (l) => l.id === origem.id);
+}
+
+export const FUNCOES = {
+  // sql/003_busca_curriculos.sql (sem stemming: todos os termos precisam aparecer, ignorando acentos;
+  // "a or b" aceita qualquer uma das alternativas, como no websearch_to_tsquery)
+  buscar_curriculos(banco, { termo, limite = 200 }) {
+    const alternativas = semAcento(termo).split(/\s+or\s+/)
+      .map((alt) => alt.split(/\s+/).map((t) => t.replace(/["']/g, '')).filter(Boolean))
+      .filter((alt) => alt.length);
+    if (!alternativas.length) return [];
+
+    return banco.tabela('candidaturas_texto')
+      .filter((t) => t.texto)
+      .map((t) => {
+        const normal = semAcento(t.texto);
+        const contar = (termos) => termos.map((termo) => normal.split(termo).length - 1);
+        const termos = alternativas.filter((alt) => contar(alt).every((n) => n > 0)).flat();
+        if (!termos.length) return null;
+        const total = contar(termos).reduce((a, b) => a + b, 0);
+        return {
+          id: t.candidatura_id,
+          relevancia: Number((total / (total + 10)).toFixed(4)),
+          trecho: trechoDestacado(t.texto, termos)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.relevancia - a.relevancia || String(a.id).localeCompare(String(b.id)))
+      .slice(0, limite ?? undefined);
+  },
+
+  // sql/014_verificacao_arquivos.sql
+  candidaturas_sem_texto(banco, { limite = 50 }) {
+    const processadas = new Set(banco.tabela('candidaturas_texto').map((t) => t.candidatura_id));
+    return banco.tabela('candidaturas')
+      .filter((c) => c.arquivo_path && (c.arquivo_status ?? 'ok') === 'ok' && !processadas.has(c.id))
+      .sort((a, b) => String(b.enviado_em).localeCompare(String(a.enviado_em)))
+      .slice(0, limite)
+      .map((c) => ({ id: c.id, arquivo_path: c.arquivo_path }));
+  },
+
+  // sql/017_perfis_candidatos.sql
+  sincronizar_candidato(banco, { p_cpf_norm }) {
+    const candidaturas = banco.tabela('candidaturas').filter((c) => c.cpf_norm === p_cpf_norm);
+    if (!candidaturas.length) {
+      banco.remover('candidatos', (p) => p.cpf_norm === p_cpf_norm);
+      return null;
+    }
+
+    const recente = (c) => [c.enviado_em, c.atualizado_pelo_candidato_em].filter(Boolean).sort().pop();
+    const ultima = [...candidaturas].sort((a, b) => String(recente(b)).localeCompare(String(recente(a))))[0];
+    const datas = candidaturas.map((c) => c.enviado_em).filter(Boolean).sort();
+    const perfil = {
+      cpf: ultima.cpf,
+      nome: ultima.nome,
+      email: ultima.email,
+      telefone: ultima.telefone,
+      total_candidaturas: candidaturas.length,
+      vagas: [...new Set(candidaturas.map((c) => c.vaga))].sort(),
+      ultima_candidatura_id: ultima.id,
+      primeira_candidatura_em: datas[0] ?? null,
+      ultima_candidatura_em: datas[datas.length - 1] ?? null,
+      atualizado_em: agora()
+    };
+
+    const existente = banco.tabela('candidatos').find((p) => p.cpf_norm === p_cpf_norm);
+    const candidato = existente
+      ? banco.atualizar('candidatos', (p) => p.id === existente.id, perfil)[0]
+      : banco.inserir('candidatos', { cpf_norm: p_cpf_norm, ...perfil });
+
+    banco.atualizar('candidaturas', (c) => c.cpf_norm === p_cpf_norm && c.candidato_id !== candidato.id, { candidato_id: candidato.id });
+    return candidato;
+  },
+
+  sincronizar_candidatos(banco) {
+    const cpfs = new Set(banco.tabela('candidaturas').map((c) => c.cpf_norm).filter(Boolean));
+    cpfs.forEach((cpf) => FUNCOES.sincronizar_candidato(banco, { p_cpf_norm: cpf }));
+    banco.remover('candidatos', (p) => !cpfs.has(p.cpf_norm));
+    return banco.tabela('candidatos').length;
+  },
+
+  // sql/016_atualizacao_candidatura.sql
+  atualizar_candidatura_candidato(banco, { p_candidatura_id, p_campos, p_arquivo, p_status_encerrados }) {
+    const atual = banco.tabela('candidaturas').find((c) => c.id === p_candidatura_id);
+    if (!atual) throw erroBanco('candidatura_nao_encontrada');
+    if ((p_status_encerrados || []).includes(atual.status)) throw erroBanco('candidatura_encerrada');
+
+    const campos = {};
+    for (const campo of ['telefone', 'email']) {
+      if (campo in (p_campos || {}) && (atual[campo] ?? null) !== (p_campos[campo] ?? null)) {
+        campos[campo] = { antes: atual[campo] ?? null, depois: p_campos[campo] ?? null };
+      }
+    }
+    if (!Object.keys(campos).length && !p_arquivo) throw erroBanco('sem_alteracoes');
+
+    const mudancas = { atualizado_pelo_candidato_em: agora() };
+    for (const [campo, { depois }] of Object.entries(campos)) mudancas[campo] = depois ?? atual[campo];
+
+    let versao = null;
+    if (p_arquivo) {
+      versao = Math.max(0, ...banco.tabela('candidatura_arquivos')
+        .filter((a) => a.candidatura_id === p_candidatura_id).map((a) => a.versao)) + 1;
+      banco.inserir('candidatura_arquivos', {
+        candidatura_id: p_candidatura_id,
+        versao,
+        arquivo_path: atual.arquivo_path,
+        arquivo_tipo: atual.arquivo_tipo ?? null,
+        arquivo_sha256: atual.arquivo_sha256 ?? null,
+        arquivo_status: atual.arquivo_status ?? 'ok',
+        arquivo_alertas: atual.arquivo_alertas ?? [],
+        enviado_em: atual.arquivo_enviado_em || atual.enviado_em
+      });
+      Object.assign(mudancas, {
+        arquivo_path: p_arquivo.arquivo_path,
+        arquivo_tipo: p_arquivo.arquivo_tipo,
+        arquivo_sha256: p_arquivo.arquivo_sha256,
+        arquivo_status: p_arquivo.arquivo_status,
+        arquivo_alertas: p_arquivo.arquivo_alertas || [],
+        arquivo_verificado_em: agora(),
+        arquivo_enviado_em: agora(),
+        arquivo_liberado_por: null,
+        arquivo_liberado_em: null
+      });
+      banco.remover('candidaturas_texto', (t) => t.candidatura_id === p_candidatura_id);
+    }
+
+    banco.atualizar('candidaturas', (c) => c.id === p_candidatura_id, mudancas);
+    return banco.inserir('candidatura_alteracoes', { candidatura_id: p_candidatura_id, campos, arquivo_versao: versao });
+  },
+
+  // sql/006_workflow_status.sql
+  alterar_status_candidatura(banco, p) {
+    const atualizadas = banco.atualizar(
+      'candidaturas',
+      (c) => c.id === p.p_candidatura_id && (c.status ?? null) === (p.p_status_atual ?? null),
+      { status: p.p_status, status_alterado_por: p.p_alterado_por, status_alterado_em: agora() }
+    );
+    if (!atualizadas.length) throw erroBanco('status_conflito');
+
+    return banco.inserir('status_candidaturas', {
+      candidatura_id: p.p_candidatura_id,
+      usuario_id: p.p_usuario_id,
+      status: p.p_status,
+      observacao: p.p_observacao,
+      criado_em: agora()
+    });
+  },
+
+  // sql/007_entrevistas.sql
+  remarcar_entrevista(banco, p) {
+    const atual = banco.tabela('entrevistas').find((e) => e.id === p.p_entrevista_id && e.status === 'agendada');
+    if (!atual) throw erroBanco('entrevista_nao_encontrada');
+
+    const horarioAtual = banco.tabela('entrevista_horarios').find((h) => h.id === atual.horario_id);
+    const novo = banco.tabela('entrevista_horarios').find((h) =>
+      h.id === p.p_horario_id && h.ativo && new Date(h.inicio) > new Date() && h.vaga_id === horarioAtual?.vaga_id);
+    if (!novo) throw erroBanco('horario_invalido');
+
+    banco.atualizar('entrevistas', (e) => e.id === atual.id, {
+      status: 'remarcada', motivo: p.p_motivo, sequencia: (atual.sequencia || 0) + 1, atualizado_em: agora()
+    });
+
+    return banco.inserir('entrevistas', {
+      horario_id: p.p_horario_id,
+      candidatura_id: atual.candidatura_id,
+      status: 'agendada',
+      remarcada_de: atual.id,
+      agendado_por: p.p_usuario_id,
+      agendado_em: agora(),
+      atualizado_em: agora()
+    }).id;
+  },
+
+  // sql/010_auditoria.sql
+  registrar_auditoria(banco, { p_conteudo }) {
+    const dados = JSON.parse(p_conteudo);
+    const linhas = banco.tabela('auditoria');
+    const anterior = linhas.length ? linhas[linhas.length - 1].hash : null;
+
+    return banco.inserir('auditoria', {
+      criado_em: dados.criado_em,
+      acao: dados.acao,
+      ator_tipo: dados.ator_tipo,
+      ator_id: dados.ator_id ?? null,
+      ator_nome: dados.ator_nome ?? null,
+      alvo_tipo: dados.alvo_tipo ?? null,
+      alvo_id: dados.alvo_id ?? null,
+      ip: dados.ip ?? null,
+      conteudo: p_conteudo,
+      hash_anterior: anterior,
+      hash: sha256(`${anterior || ''}${p_conteudo}`)
+    });
+  },
+
+  // sql/013_localidades.sql
+  resolver_localidade(banco, { p_cidade, p_uf, p_bairro }) {
+    const norm = normalizarLocalidade(p_cidade);
+    if (!norm) return [];
+    const uf = String(p_uf ?? '').trim().toUpperCase() || null;
+
+    const cidade = encontrarCidade(banco, norm, uf) ||
+      banco.tabela('cidades').find((c) => c.nome_norm === norm && (c.uf ?? null) === uf) ||
+      banco.inserir('cidades', { nome: nomeLocalidade(p_cidade), uf, nome_norm: norm });
+
+    let bairro = null;
+    const bairroNorm = normalizarLocalidade(p_bairro);
+    if (bairroNorm) {
+      const doBairro = banco.tabela('bairros').filter((b) => b.cidade_id === cidade.id &&
+        (b.nome_norm === bairroNorm || temApelido(banco, 'bairro_aliases', 'bairro_id', b.id, bairroNorm)));
+      bairro = doBairro.find((b) => b.nome_norm === bairroNorm) || doBairro.find((b) => b.revisado) || doBairro[0] ||
+        banco.inserir('bairros', { cidade_id: cidade.id, nome: nomeLocalidade(p_bairro), nome_norm: bairroNorm });
+    }
+
+    return [{ cidade_id: cidade.id, cidade: cidade.nome, uf: cidade.uf ?? null, bairro_id: bairro?.id ?? null, bairro: bairro?.nome ?? null }];
+  },
+
+  mesclar_bairros(banco, { p_origem, p_destino }) {
+    if (p_origem === p_destino) throw erroBanco('mesma_localidade');
+    const origem = banco.tabela('bairros').find((b) => b.id === p_origem);
+    const destino = banco.tabela('bairros').find((b) => b.id === p_destino);
+    if (!origem || !destino) throw erroBanco('localidade_nao_encontrada');
+
+    const cidade = banco.tabela('cidades').find((c) => c.id === destino.cidade_id);
+    mesclarLocalidade(banco, {
+      tabela: 'bairros', apelidos: 'bairro_aliases', coluna: 'bairro_id', origem, destino,
+      campos: { bairro_id: destino.id, bairro: destino.nome, cidade_id: cidade.id, cidade: cidade.nome }
+    });
+    return null;
+  },
+
+  mesclar_cidades(banco, { p_origem, p_destino }) {
+    if (p_origem === p_destino) throw erroBanco('mesma_localidade');
+    const origem = banco.tabela('cidades').find((c) => c.id === p_origem);
+    const destino = banco.tabela('cidades').find((c) => c.id === p_destino);
+    if (!origem || !destino) throw erroBanco('localidade_nao_encontrada');
+
+    // Bairros homônimos são mesclados; os demais passam para a cidade de destino
+    for (const bairro of banco.tabela('bairros').filter((b) => b.cidade_id === origem.id)) {
+      const alvo = banco.tabela('bairros').find((b) => b.cidade_id === destino.id && b.nome_norm === bairro.nome_norm);
+      if (alvo) FUNCOES.mesclar_bairros(banco, { p_origem: bairro.id, p_destino: alvo.id });
+      else banco.atualizar('bairros', (b) => b.id === bairro.id, { cidade_id: destino.id });
+    }
+
+    mesclarLocalidade(banco, {
+      tabela: 'cidades', apelidos: 'cidade_aliases', coluna: 'cidade_id', origem, destino,
+      campos: { cidade_id: destino.id, cidade: destino.nome }
+    });
+    return null;
+  },
+
+  renormalizar_localidades(banco) {
+    let total = 0;
+    const pendentes = banco.tabela('candidaturas').filter((c) => !c.cidade_id && normalizarLocalidade(c.cidade_informada));
+    const grupos = new Map(pendentes.map((c) => [JSON.stringify([c.cidade_informada, c.uf ?? null, c.bairro_informado ?? null]), c]));
+
+    for (const c of grupos.values()) {
+      const [r] = FUNCOES.resolver_localidade(banco, { p_cidade: c.cidade_informada, p_uf: c.uf, p_bairro: c.bairro_informado });
+      const mesmoGrupo = (o) => !o.cidade_id && o.cidade_informada === c.cidade_informada &&
+        (o.uf ?? null) === (c.uf ?? null) && (o.bairro_informado ?? null) === (c.bairro_informado ?? null);
+      for (const o of banco.tabela('candidaturas').filter(mesmoGrupo)) {
+        banco.atualizar('candidaturas', (l) => l.id === o.id, {
+          cidade_id: r.cidade_id, cidade: r.cidade, bairro_id: r.bairro_id, bairro: r.bairro ?? o.bairro
+        });
+        total++;
+      }
+    }
+    return total;
+  },
+
+  // sql/019_agendador.sql
+  reservar_agendamento(banco, { p_chave, p_instancia, p_lock_segundos, p_forcar = false }) {
+    const instante = new Date();
+    const [reservado] = banco.atualizar(
+      'agendamentos',
+      (a) => a.chave === p_chave &&
+        (!a.bloqueado_ate || new Date(a.bloqueado_ate) < instante) &&
+        (p_forcar || (a.ativo && new Date(a.proxima_execucao_em) <= instante)),
+      { bloqueado_por: p_instancia, bloqueado_ate: new Date(instante.getTime() + p_lock_segundos * 1000).toISOString() }
+    );
+    return reservado || null;
+  },
+
+  concluir_agendamento(banco, { p_chave, p_instancia, p_execucao_id, p_reagendar }) {
+    const agendamento = banco.tabela('agendamentos').find((a) => a.chave === p_chave && a.bloqueado_por === p_instancia);
+    if (!agendamento) return null;
+
+    banco.atualizar('agendamentos', (a) => a.chave === p_chave, {
+      bloqueado_por: null,
+      bloqueado_ate: null,
+      ultima_execucao_id: p_execucao_id,
+      proxima_execucao_em: p_reagendar
+        ? new Date(Date.now() + agendamento.intervalo_minutos * 60000).toISOString()
+        : agendamento.proxima_execucao_em
+    });
+    return null;
+  }
+};
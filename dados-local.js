@@ -0,0 +1,843 @@
+// dados-local.js - Backend local (memória + arquivos) com a mesma interface do cliente Supabase
+// Implementa o subconjunto usado pelas rotas: consultas PostgREST (filtros, ordenação,
+// paginação, recursos embutidos), rpc, Storage e Auth. Os dados ficam em memória e
+// são gravados em <dir>/banco.json; os arquivos do Storage em <dir>/storage/<bucket>/.
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import mime from 'mime-types';
+import { CHAVES_ESTRANGEIRAS, FUNCOES, definicaoTabela, erroBanco } from './dados-local-esquema.js';
+
+const TABELA_AUTH = '_auth_usuarios';
+const clonar = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+/* =========================
+   COMPARAÇÕES (semântica aproximada do Postgres)
+========================= */
+const DATA_ISO = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+function comparar(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const na = Number(a);
+    const nb = Number(b);
+    if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  }
+  if (typeof a === 'string' && typeof b === 'string' && DATA_ISO.test(a) && DATA_ISO.test(b)) {
+    return new Date(a) - new Date(b);
+  }
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+const igual = (a, b) => a != null && b != null && (a === b || comparar(a, b) === 0);
+
+const padraoLike = (padrao, flags) =>
+  new RegExp(`^${String(padrao).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+
+// Literal de array do Postgres ({a,"b c"}) ou lista do PostgREST ((a,"b,c"))
+function lerLista(texto) {
+  if (Array.isArray(texto)) return texto;
+  const corpo = String(texto).trim().replace(/^[{(]|[})]$/g, '');
+  const itens = [];
+  let atual = '';
+  let aspas = false;
+  for (let i = 0; i < corpo.length; i++) {
+    const c = corpo[i];
+    if (c === '\\' && aspas) { atual += corpo[++i]; continue; }
+    if (c === '"') { aspas = !aspas; continue; }
+    if (c === ',' && !aspas) { itens.push(atual); atual = ''; continue; }
+    atual += c;
+  }
+  if (corpo.length) itens.push(atual);
+  return itens;
+}
+
+const valorTexto = (v) => (v === 'null' ? null : v === 'true' ? true : v === 'false' ? false : v);
+
+// Teste de um operador do PostgREST (eq, gt, in, cs, ...) sobre o valor da coluna
+function operador(op, valor) {
+  if (op.startsWith('not.')) {
+    const teste = operador(op.slice(4), valor);
+    return (x) => !teste(x);
+  }
+  switch (op) {
+    case 'eq': return (x) => igual(x, valor);
+    case 'neq': return (x) => x != null && !igual(x, valor);
+    case 'gt': return (x) => x != null && comparar(x, valor) > 0;
+    case 'gte': return (x) => x != null && comparar(x, valor) >= 0;
+    case 'lt': return (x) => x != null && comparar(x, valor) < 0;
+    case 'lte': return (x) => x != null && comparar(x, valor) <= 0;
+    case 'like': return (x) => x != null && padraoLike(String(valor).replace(/\*/g, '%'), 's').test(String(x));
+    case 'ilike': return (x) => x != null && padraoLike(String(valor).replace(/\*/g, '%'), 'is').test(String(x));
+    case 'is': {
+      const v = valorTexto(valor);
+      return (x) => (v === null ? x == null : x === v);
+    }
+    case 'in': {
+      const lista = lerLista(valor);
+      return (x) => lista.some((v) => igual(x, v));
+    }
+    case 'cs': {
+      const lista = typeof valor === 'string' ? lerLista(valor) : valor;
+      return (x) => Array.isArray(x) && [].concat(lista).every((v) => x.some((y) => igual(y, v)));
+    }
+    case 'cd': {
+      const lista = typeof valor === 'string' ? lerLista(valor) : valor;
+      return (x) => Array.isArray(x) && x.every((y) => lista.some((v) => igual(y, v)));
+    }
+    default:
+      throw erroBanco(`operador "${op}" não suportado pelo backend local`, 'PGRST100');
+  }
+}
+
+// Divide "a.eq.1,b.in.(1,2)" nas vírgulas de nível superior
+function dividirNivelSuperior(texto) {
+  const partes = [];
+  let atual = '';
+  let nivel = 0;
+  let aspas = false;
+  for (const c of String(texto)) {
+    if (c === '"') aspas = !aspas;
+    if (!aspas && c === '(') nivel++;
+    if (!aspas && c === ')') nivel--;
+    if (c === ',' && nivel === 0 && !aspas) { partes.push(atual.trim()); atual = ''; continue; }
+    atual += c;
+  }
+  if (atual.trim()) partes.push(atual.trim());
+  return partes;
+}
+
+// Expressão do .or(): cada condição "coluna.op.valor" (suporta and(...) e or(...) aninhados)
+function condicaoOr(expr) {
+  const condicoes = dividirNivelSuperior(expr).map((parte) => {
+    const grupo = parte.match(/^(and|or)\((.*)\)$/);
+    if (grupo) {
+      const filhos = dividirNivelSuperior(grupo[2]).map((p) => condicaoOr(p));
+      return grupo[1] === 'and'
+        ? (linha) => filhos.every((f) => f(linha))
+        : (linha) => filhos.some((f) => f(linha));
+    }
+    const m = parte.match(/^([^.]+)\.((?:not\.)?[a-z]+)\.(.*)$/s);
+    if (!m) throw erroBanco(`condição inválida em or: "${parte}"`, 'PGRST100');
+    const [, coluna, op, valor] = m;
+    const teste = operador(op, valor);
+    return (linha) => teste(linha[coluna]);
+  });
+  return (linha) => condicoes.some((c) => c(linha));
+}
+
+/* =========================
+   SELECT: colunas e recursos embutidos
+   "*, alias:tabela!dica!inner(colunas), outra(colunas)"
+========================= */
+function lerSelect(texto = '*') {
+  const itens = dividirNivelSuperior(String(texto).replace(/\s+/g, ' '));
+  const sel = { colunas: [], embutidos: [] };
+
+  for (const item of itens) {
+    const m = item.match(/^(?:([\w]+):)?([\w]+)((?:![\w]+)*)\s*\((.*)\)$/s);
+    if (m) {
+      const [, alias, tabela, mods, interno] = m;
+      const modificadores = mods.split('!').filter(Boolean);
+      sel.embutidos.push({
+        alias: alias || tabela,
+        tabela,
+        inner: modificadores.includes('inner'),
+        dica: modificadores.find((x) => x !== 'inner' && x !== 'left') || null,
+        select: lerSelect(interno)
+      });
+      continue;
+    }
+    const [alias, coluna] = item.includes(':') ? item.split(':').map((s) => s.trim()) : [item.trim(), item.trim()];
+    if (coluna) sel.colunas.push({ alias, coluna });
+  }
+
+  if (!sel.colunas.length && !sel.embutidos.length) sel.colunas.push({ alias: '*', coluna: '*' });
+  return sel;
+}
+
+function relacao(origem, alvo, dica) {
+  const candidatas = [
+    ...CHAVES_ESTRANGEIRAS
+      .filter((fk) => fk.tabela === origem && fk.ref === alvo && (!dica || fk.coluna === dica))
+      .map((fk) => ({ tipo: 'um', colunaOrigem: fk.coluna, colunaAlvo: fk.refColuna })),
+    ...CHAVES_ESTRANGEIRAS
+      .filter((fk) => fk.tabela === alvo && fk.ref === origem && (!dica || fk.coluna === dica))
+      .map((fk) => ({ tipo: 'muitos', colunaOrigem: fk.refColuna, colunaAlvo: fk.coluna }))
+  ];
+
+  if (!candidatas.length) {
+    throw erroBanco(`Could not find a relationship between '${origem}' and '${alvo}' in the schema cache`, 'PGRST200');
+  }
+  if (candidatas.length > 1) {
+    throw erroBanco(`Could not embed because more than one relationship was found for '${origem}' and '${alvo}'`, 'PGRST201');
+  }
+  return candidatas[0];
+}
+
+/* =========================
+   BANCO EM MEMÓRIA
+========================= */
+class BancoLocal {
+  constructor({ arquivo = null } = {}) {
+    this.arquivo = arquivo;
+    this.dados = { tabelas: {}, sequencias: {} };
+    this.agendado = null;
+
+    if (arquivo && fs.existsSync(arquivo)) {
+      this.dados = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    }
+  }
+
+  tabela(nome) {
+    this.dados.tabelas[nome] ||= [];
+    return this.dados.tabelas[nome];
+  }
+
+  // Grava em disco logo após a rajada de alterações (escrita atômica via arquivo temporário)
+  alterado() {
+    if (!this.arquivo || this.agendado) return;
+    this.agendado = setTimeout(() => this.salvar(), 100);
+    this.agendado.unref?.();
+  }
+
+  salvar() {
+    clearTimeout(this.agendado);
+    this.agendado = null;
+    if (!this.arquivo) return;
+    fs.mkdirSync(path.dirname(this.arquivo), { recursive: true });
+    const temporario = `${this.arquivo}.tmp`;
+    fs.writeFileSync(temporario, JSON.stringify(this.dados));
+    fs.renameSync(temporario, this.arquivo);
+  }
+
+  preparar(nome, linha) {
+    const def = definicaoTabela(nome);
+    if (linha[def.pk] == null) {
+      if (def.serial) {
+        this.dados.sequencias[nome] = (this.dados.sequencias[nome] || 0) + 1;
+        linha[def.pk] = this.dados.sequencias[nome];
+      } else if (def.pk === 'id') {
+        linha.id = crypto.randomUUID();
+      }
+    }
+    for (const [coluna, padrao] of Object.entries(def.padroes)) {
+      if (linha[coluna] === undefined) linha[coluna] = padrao();
+    }
+    return this.gerar(nome, linha);
+  }
+
+  gerar(nome, linha) {
+    for (const [coluna, gerador] of Object.entries(definicaoTabela(nome).gerados)) {
+      linha[coluna] = gerador(linha);
+    }
+    return linha;
+  }
+
+  // Chave primária, índices únicos (inclusive parciais) e restrições de exclusão
+  validar(nome, linha, outras) {
+    const def = definicaoTabela(nome);
+    const unicos = [{ nome: `${nome}_pkey`, colunas: [def.pk] }, ...def.unicos];
+
+    for (const indice of unicos) {
+      if (indice.onde && !indice.onde(linha)) continue;
+      if (!indice.nulosIguais && indice.colunas.some((c) => linha[c] == null)) continue;
+      const mesmoValor = (a, b) => igual(a, b) || (indice.nulosIguais && a == null && b == null);
+      const conflito = outras.some((o) =>
+        (!indice.onde || indice.onde(o)) && indice.colunas.every((c) => mesmoValor(o[c], linha[c])));
+      if (conflito) {
+        throw erroBanco(
+          `duplicate key value violates unique constraint "${indice.nome}"`,
+          '23505',
+          `Key (${indice.colunas.join(', ')})=(${indice.colunas.map((c) => linha[c]).join(', ')}) already exists.`
+        );
+      }
+    }
+
+    for (const restricao of def.restricoes) {
+      if (!restricao.valida(linha, outras)) {
+        throw erroBanco(`conflicting key value violates exclusion constraint "${restricao.nome}"`, restricao.code);
+      }
+    }
+  }
+
+  inserirVarias(nome, linhas) {
+    const tabela = this.tabela(nome);
+    const existentes = [...tabela];
+    const novas = linhas.map((l) => {
+      const nova = this.preparar(nome, clonar(l));
+      this.validar(nome, nova, existentes);
+      existentes.push(nova);
+      return nova;
+    });
+    tabela.push(...novas);
+    this.alterado();
+    return clonar(novas);
+  }
+
+  inserir(nome, linha) {
+    return this.inserirVarias(nome, [linha])[0];
+  }
+
+  atualizar(nome, filtro, campos) {
+    if (definicaoTabela(nome).imutavel) throw erroBanco(`${nome}_imutavel: entradas não podem ser alteradas`);
+
+    const tabela = this.tabela(nome);
+    const indices = tabela.map((l, i) => (filtro(l) ? i : -1)).filter((i) => i >= 0);
+    const alteracoes = clonar(campos);
+    const restantes = tabela.filter((_, i) => !indices.includes(i));
+    const novas = indices.map((i) => {
+      const nova = this.gerar(nome, { ...tabela[i], ...alteracoes });
+      this.validar(nome, nova, restantes);
+      restantes.push(nova);
+      return nova;
+    });
+
+    indices.forEach((indice, n) => { tabela[indice] = novas[n]; });
+    if (novas.length) this.alterado();
+    return clonar(novas);
+  }
+
+  remover(nome, filtro) {
+    if (definicaoTabela(nome).imutavel) throw erroBanco(`${nome}_imutavel: entradas não podem ser removidas`);
+
+    const tabela = this.tabela(nome);
+    const removidas = tabela.filter(filtro);
+    if (!removidas.length) return [];
+    this.dados.tabelas[nome] = tabela.filter((l) => !removidas.includes(l));
+
+    // ON DELETE CASCADE
+    for (const fk of CHAVES_ESTRANGEIRAS.filter((f) => f.ref === nome && f.cascata)) {
+      const chaves = removidas.map((r) => r[fk.refColuna]).filter((v) => v != null);
+      if (chaves.length) this.remover(fk.tabela, (l) => chaves.some((c) => igual(l[fk.coluna], c)));
+    }
+
+    this.alterado();
+    return clonar(removidas);
+  }
+}
+
+/* =========================
+   CONSULTA (PostgrestQueryBuilder)
+========================= */
+class ConsultaLocal {
+  constructor(banco, tabela) {
+    this.banco = banco;
+    this.nomeTabela = tabela;
+    this.operacao = 'select';
+    this.textoSelect = '*';
+    this.opcoesSelect = {};
+    this.retornar = false;
+    this.valores = null;
+    this.opcoesEscrita = {};
+    this.filtros = [];
+    this.ordens = [];
+    this.deslocamento = 0;
+    this.quantidade = null;
+    this.modo = null;
+  }
+
+  select(colunas = '*', opcoes = {}) {
+    this.textoSelect = colunas;
+    if (this.operacao === 'select') this.opcoesSelect = opcoes;
+    else this.retornar = true;
+    return this;
+  }
+
+  insert(valores, opcoes = {}) { return this.escrita('insert', valores, opcoes); }
+  upsert(valores, opcoes = {}) { return this.escrita('upsert', valores, opcoes); }
+  update(valores, opcoes = {}) { return this.escrita('update', valores, opcoes); }
+  delete(opcoes = {}) { return this.escrita('delete', null, opcoes); }
+
+  escrita(operacao, valores, opcoes) {
+    this.operacao = operacao;
+    this.valores = valores;
+    this.opcoesEscrita = opcoes;
+    return this;
+  }
+
+  // "horario.entrevistador_id" filtra o recurso embutido "horario"
+  adicionarFiltro(coluna, teste) {
+    const [primeiro, ...resto] = String(coluna).split('.');
+    this.filtros.push(resto.length
+      ? { embutido: primeiro, teste: (l) => teste(l[resto.join('.')]) }
+      : { teste: (l) => teste(l[primeiro]) });
+    return this;
+  }
+
+  eq(coluna, valor) { return this.adicionarFiltro(coluna, operador('eq', valor)); }
+  neq(coluna, valor) { return this.adicionarFiltro(coluna, operador('neq', valor)); }
+  gt(coluna, valor) { return this.adicionarFiltro(coluna, operador('gt', valor)); }
+  gte(coluna, valor) { return this.adicionarFiltro(coluna, operador('gte', valor)); }
+  lt(coluna, valor) { return this.adicionarFiltro(coluna, operador('lt', valor)); }
+  lte(coluna, valor) { return this.adicionarFiltro(coluna, operador('lte', valor)); }
+  like(coluna, valor) { return this.adicionarFiltro(coluna, operador('like', valor)); }
+  ilike(coluna, valor) { return this.adicionarFiltro(coluna, operador('ilike', valor)); }
+  is(coluna, valor) { return this.adicionarFiltro(coluna, operador('is', valor === null ? 'null' : String(valor))); }
+  in(coluna, valores) { return this.adicionarFiltro(coluna, operador('in', valores)); }
+  contains(coluna, valor) { return this.adicionarFiltro(coluna, operador('cs', valor)); }
+  containedBy(coluna, valor) { return this.adicionarFiltro(coluna, operador('cd', valor)); }
+  not(coluna, op, valor) { return this.adicionarFiltro(coluna, operador(`not.${op}`, valor)); }
+  filter(coluna, op, valor) { return this.adicionarFiltro(coluna, operador(op, valor)); }
+
+  match(criterios) {
+    Object.entries(criterios).forEach(([coluna, valor]) => this.eq(coluna, valor));
+    return this;
+  }
+
+  or(expressao, { referencedTable, foreignTable } = {}) {
+    const teste = condicaoOr(expressao);
+    const embutido = referencedTable || foreignTable;
+    this.filtros.push(embutido ? { embutido, teste } : { teste });
+    return this;
+  }
+
+  order(coluna, { ascending = true, nullsFirst, referencedTable, foreignTable } = {}) {
+    this.ordens.push({
+      coluna,
+      ascendente: ascending,
+      nulosPrimeiro: nullsFirst ?? !ascending,
+      embutido: referencedTable || foreignTable || null
+    });
+    return this;
+  }
+
+  range(de, ate) {
+    this.deslocamento = de;
+    this.quantidade = ate - de + 1;
+    return this;
+  }
+
+  limit(quantidade) {
+    this.quantidade = quantidade;
+    return this;
+  }
+
+  single() { this.modo = 'single'; return this; }
+  maybeSingle() { this.modo = 'maybeSingle'; return this; }
+  throwOnError() { this.lancar = true; return this; }
+
+  then(resolver, rejeitar) {
+    return Promise.resolve()
+      .then(() => this.executar())
+      .then((resultado) => {
+        if (this.lancar && resultado.error) throw resultado.error;
+        return resultado;
+      })
+      .then(resolver, rejeitar);
+  }
+
+  /* ----- execução ----- */
+
+  filtrosBase() {
+    const base = this.filtros.filter((f) => !f.embutido);
+    return (linha) => base.every((f) => f.teste(linha));
+  }
+
+  ordenar(linhas, ordens) {
+    if (!ordens.length) return linhas;
+    return [...linhas].sort((a, b) => {
+      for (const { coluna, ascendente, nulosPrimeiro } of ordens) {
+        const va = a[coluna];
+        const vb = b[coluna];
+        if (va == null && vb == null) continue;
+        if (va == null) return nulosPrimeiro ? -1 : 1;
+        if (vb == null) return nulosPrimeiro ? 1 : -1;
+        const c = comparar(va, vb);
+        if (c !== 0) return ascendente ? c : -c;
+      }
+      return 0;
+    });
+  }
+
+  // Projeta a linha com as colunas pedidas e resolve os recursos embutidos; null = linha excluída (!inner)
+  projetar(tabela, linha, sel, raiz = false) {
+    const saida = {};
+    for (const { alias, coluna } of sel.colunas) {
+      if (coluna === '*') Object.assign(saida, clonar(linha));
+      else saida[alias] = clonar(linha[coluna]) ?? null;
+    }
+
+    for (const emb of sel.embutidos) {
+      const rel = relacao(tabela, emb.tabela, emb.dica);
+      const filtros = raiz ? this.filtros.filter((f) => f.embutido === emb.alias || f.embutido === emb.tabela) : [];
+      const passa = (l) => filtros.every((f) => f.teste(l));
+      let relacionados = this.banco.tabela(emb.tabela)
+        .filter((l) => igual(l[rel.colunaAlvo], linha[rel.colunaOrigem]) && passa(l));
+
+      if (rel.tipo === 'um') {
+        const alvo = relacionados[0];
+        if (!alvo && emb.inner) return null;
+        saida[emb.alias] = alvo ? this.projetar(emb.tabela, alvo, emb.select) : null;
+        continue;
+      }
+
+      if (raiz) {
+        relacionados = this.ordenar(relacionados, this.ordens.filter((o) => o.embutido === emb.alias || o.embutido === emb.tabela));
+      }
+      if (!relacionados.length && emb.inner) return null;
+      const projetados = relacionados.map((l) => this.projetar(emb.tabela, l, emb.select)).filter(Boolean);
+      saida[emb.alias] = projetados;
+    }
+
+    return saida;
+  }
+
+  resultado(linhas, { count = null, status = 200 } = {}) {
+    if (this.modo === 'single' || this.modo === 'maybeSingle') {
+      if (linhas.length === 1) return { data: linhas[0], error: null, count, status, statusText: 'OK' };
+      if (!linhas.length && this.modo === 'maybeSingle') return { data: null, error: null, count, status, statusText: 'OK' };
+      return {
+        data: null,
+        error: erroBanco('JSON object requested, multiple (or no) rows returned', 'PGRST116', `The result contains ${linhas.length} rows`),
+        count,
+        status: 406,
+        statusText: 'Not Acceptable'
+      };
+    }
+    return { data: linhas, error: null, count, status, statusText: 'OK' };
+  }
+
+  executar() {
+    try {
+      switch (this.operacao) {
+        case 'select': return this.executarSelect();
+        case 'insert': return this.executarInsert();
+        case 'upsert': return this.executarUpsert();
+        case 'update': return this.executarUpdate();
+        case 'delete': return this.executarDelete();
+        default: throw erroBanco(`operação ${this.operacao} não suportada`);
+      }
+    } catch (error) {
+      const erro = error?.code ? error : erroBanco(error?.message || String(error), 'XX000');
+      return { data: null, error: erro, count: null, status: 400, statusText: 'Bad Request' };
+    }
+  }
+
+  executarSelect() {
+    const sel = lerSelect(this.textoSelect);
+    const candidatas = this.ordenar(
+      this.banco.tabela(this.nomeTabela).filter(this.filtrosBase()),
+      this.ordens.filter((o) => !o.embutido)
+    );
+
+    const projetadas = candidatas.map((l) => this.projetar(this.nomeTabela, l, sel, true)).filter(Boolean);
+    const count = this.opcoesSelect.count ? projetadas.length : null;
+    if (this.opcoesSelect.head) return { data: null, error: null, count, status: 200, statusText: 'OK' };
+
+    const fim = this.quantidade == null ? undefined : this.deslocamento + this.quantidade;
+    return this.resultado(projetadas.slice(this.deslocamento, fim), { count });
+  }
+
+  retorno(linhas, status) {
+    if (!this.retornar) return { data: null, error: null, count: null, status, statusText: 'OK' };
+    const sel = lerSelect(this.textoSelect);
+    return this.resultado(linhas.map((l) => this.projetar(this.nomeTabela, l, sel)).filter(Boolean), { status });
+  }
+
+  executarInsert() {
+    const linhas = this.banco.inserirVarias(this.nomeTabela, [].concat(this.valores));
+    return this.retorno(linhas, 201);
+  }
+
+  executarUpsert() {
+    const def = definicaoTabela(this.nomeTabela);
+    const colunas = String(this.opcoesEscrita.onConflict || def.pk).split(',').map((c) => c.trim());
+    const afetadas = [];
+
+    for (const valor of [].concat(this.valores)) {
+      const linha = clonar(valor);
+      const mesmaChave = (l) => colunas.every((c) => igual(l[c], linha[c]));
+      const existente = this.banco.tabela(this.nomeTabela).find(mesmaChave);
+      if (!existente) afetadas.push(this.banco.inserir(this.nomeTabela, linha));
+      else if (!this.opcoesEscrita.ignoreDuplicates) afetadas.push(...this.banco.atualizar(this.nomeTabela, mesmaChave, linha));
+    }
+
+    return this.retorno(afetadas, 201);
+  }
+
+  executarUpdate() {
+    if (this.filtros.some((f) => f.embutido)) throw erroBanco('filtros em recursos embutidos não são suportados em update', 'PGRST100');
+    return this.retorno(this.banco.atualizar(this.nomeTabela, this.filtrosBase(), this.valores), 200);
+  }
+
+  executarDelete() {
+    if (this.filtros.some((f) => f.embutido)) throw erroBanco('filtros em recursos embutidos não são suportados em delete', 'PGRST100');
+    return this.retorno(this.banco.remover(this.nomeTabela, this.filtrosBase()), 200);
+  }
+}
+
+// Chamada de função (rpc): funções que devolvem linhas aceitam single/maybeSingle/range
+class ChamadaLocal extends ConsultaLocal {
+  constructor(banco, nome, parametros) {
+    super(banco, null);
+    this.nome = nome;
+    this.parametros = parametros;
+  }
+
+  executar() {
+    try {
+      if (!FUNCOES[this.nome]) throw erroBanco(`Could not find the function public.${this.nome}`, 'PGRST202');
+      const data = clonar(FUNCOES[this.nome](this.banco, this.parametros)) ?? null;
+      if (!Array.isArray(data)) return { data, error: null, count: null, status: 200, statusText: 'OK' };
+
+      const linhas = data.filter(this.filtrosBase());
+      const fim = this.quantidade == null ? undefined : this.deslocamento + this.quantidade;
+      return this.resultado(this.ordenar(linhas, this.ordens).slice(this.deslocamento, fim));
+    } catch (error) {
+      const erro = error?.code ? error : erroBanco(error?.message || String(error), 'XX000');
+      return { data: null, error: erro, count: null, status: 400, statusText: 'Bad Request' };
+    }
+  }
+}
+
+/* =========================
+   STORAGE (arquivos em disco)
+========================= */
+function criarStorage(dir, segredo, urlBase) {
+  const caminhoSeguro = (bucket, arquivo) => {
+    const raiz = path.resolve(dir, 'storage', bucket);
+    const destino = path.resolve(raiz, String(arquivo));
+    if (!destino.startsWith(raiz + path.sep)) throw new Error('Caminho de arquivo inválido.');
+    return destino;
+  };
+  const assinar = (texto) => crypto.createHmac('sha256', segredo).update(texto).digest('base64url');
+
+  const bucket = (nome) => ({
+    async upload(arquivo, conteudo, { upsert = false } = {}) {
+      try {
+        const destino = caminhoSeguro(nome, arquivo);
+        if (!upsert && fs.existsSync(destino)) {
+          return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        }
+        await fsp.mkdir(path.dirname(destino), { recursive: true });
+        await fsp.writeFile(destino, Buffer.isBuffer(conteudo) ? conteudo : Buffer.from(await new Response(conteudo).arrayBuffer()));
+        return { data: { path: arquivo, fullPath: `${nome}/${arquivo}` }, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    },
+
+    async download(arquivo) {
+      try {
+        const buffer = await fsp.readFile(caminhoSeguro(nome, arquivo));
+        return { data: new Blob([buffer], { type: mime.lookup(arquivo) || 'application/octet-stream' }), error: null };
+      } catch {
+        return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+      }
+    },
+
+    async move(origem, destino) {
+      try {
+        const de = caminhoSeguro(nome, origem);
+        const para = caminhoSeguro(nome, destino);
+        if (!fs.existsSync(de)) return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+        if (fs.existsSync(para)) return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        await fsp.mkdir(path.dirname(para), { recursive: true });
+        await fsp.rename(de, para);
+        return { data: { message: 'Successfully moved' }, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    },
+
+    async remove(arquivos) {
+      const removidos = [];
+      for (const arquivo of arquivos) {
+        try {
+          await fsp.unlink(caminhoSeguro(nome, arquivo));
+          removidos.push({ name: arquivo });
+        } catch { /* arquivo já ausente */ }
+      }
+      return { data: removidos, error: null };
+    },
+
+    async createSignedUrl(arquivo, segundos) {
+      if (!fs.existsSync(caminhoSeguro(nome, arquivo))) {
+        return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+      }
+      const expira = Math.floor(Date.now() / 1000) + Number(segundos);
+      const assinatura = assinar(`${nome}/${arquivo}:${expira}`);
+      const caminho = String(arquivo).split('/').map(encodeURIComponent).join('/');
+      return { data: { signedUrl: `${urlBase()}/arquivos-locais/${nome}/${caminho}?expira=${expira}&assinatura=${assinatura}` }, error: null };
+    }
+  });
+
+  // Rota que entrega os arquivos das URLs assinadas (GET /arquivos-locais/:bucket/*)
+  function servirArquivo(req, res) {
+    const { bucket: nome } = req.params;
+    const arquivo = req.params[0];
+    const expira = Number(req.query.expira);
+    const esperada = assinar(`${nome}/${arquivo}:${expira}`);
+    const recebida = String(req.query.assinatura || '');
+
+    const valida = recebida.length === esperada.length &&
+      crypto.timingSafeEqual(Buffer.from(recebida), Buffer.from(esperada));
+    if (!valida || !(expira * 1000 > Date.now())) {
+      return res.status(403).json({ message: 'Link expirado ou inválido.' });
+    }
+
+    let destino;
+    try { destino = caminhoSeguro(nome, arquivo); } catch { return res.status(400).json({ message: 'Caminho inválido.' }); }
+    if (!fs.existsSync(destino)) return res.status(404).json({ message: 'Arquivo não encontrado.' });
+    res.type(mime.lookup(arquivo) || 'application/octet-stream');
+    res.sendFile(destino);
+  }
+
+  return { from: bucket, servirArquivo };
+}
+
+/* =========================
+   AUTH (usuários locais com senha scrypt e token assinado)
+========================= */
+function criarAuth(banco, segredo, { horasToken }) {
+  const hashSenha = (senha, sal = crypto.randomBytes(16).toString('hex')) =>
+    `${sal}:${crypto.scryptSync(String(senha), sal, 32).toString('hex')}`;
+  const senhaConfere = (senha, guardada) => {
+    const [sal, hash] = String(guardada).split(':');
+    const calculado = crypto.scryptSync(String(senha), sal, 32);
+    return crypto.timingSafeEqual(calculado, Buffer.from(hash, 'hex'));
+  };
+  const assinar = (texto) => crypto.createHmac('sha256', segredo).update(texto).digest('base64url');
+  const usuarioPublico = (u) => u && {
+    id: u.id,
+    email: u.email,
+    user_metadata: u.user_metadata || {},
+    app_metadata: { provider: 'email' },
+    created_at: u.criado_em,
+    email_confirmed_at: u.criado_em
+  };
+  const erroAuth = (message, status = 400) => ({ message, status, name: 'AuthApiError' });
+
+  function emitirToken(usuario) {
+    const carga = Buffer.from(JSON.stringify({
+      sub: usuario.id,
+      email: usuario.email,
+      exp: Math.floor(Date.now() / 1000) + horasToken * 3600
+    })).toString('base64url');
+    return `local.${carga}.${assinar(carga)}`;
+  }
+
+  function lerToken(token) {
+    const [prefixo, carga, assinatura] = String(token || '').split('.');
+    if (prefixo !== 'local' || !carga || assinatura !== assinar(carga)) return null;
+    const dados = JSON.parse(Buffer.from(carga, 'base64url').toString());
+    if (dados.exp * 1000 < Date.now()) return null;
+    return banco.tabela(TABELA_AUTH).find((u) => u.id === dados.sub) || null;
+  }
+
+  const porEmail = (email) =>
+    banco.tabela(TABELA_AUTH).find((u) => u.email === String(email || '').toLowerCase().trim());
+
+  function criarUsuario({ email, password, user_metadata = {} }) {
+    if (!email || !password) return { data: { user: null }, error: erroAuth('Email e senha são obrigatórios.') };
+    if (porEmail(email)) return { data: { user: null }, error: erroAuth('User already registered', 422) };
+    const usuario = banco.inserir(TABELA_AUTH, {
+      email: String(email).toLowerCase().trim(),
+      senha: hashSenha(password),
+      user_metadata,
+      criado_em: new Date().toISOString()
+    });
+    return { data: { user: usuarioPublico(usuario) }, error: null };
+  }
+
+  function atualizarUsuario(id, { email, password, user_metadata }) {
+    const campos = {};
+    if (email) {
+      const outro = porEmail(email);
+      if (outro && outro.id !== id) return { data: { user: null }, error: erroAuth('A user with this email address has already been registered', 422) };
+      campos.email = String(email).toLowerCase().trim();
+    }
+    if (password) campos.senha = hashSenha(password);
+    if (user_metadata) campos.user_metadata = user_metadata;
+    const [usuario] = banco.atualizar(TABELA_AUTH, (u) => u.id === id, campos);
+    if (!usuario) return { data: { user: null }, error: erroAuth('User not found', 404) };
+    return { data: { user: usuarioPublico(usuario) }, error: null };
+  }
+
+  // Cada cliente tem a própria sessão (como o supabase-js), o banco é compartilhado
+  return function authDoCliente() {
+    let sessao = null;
+
+    return {
+      async getUser(token) {
+        const usuario = lerToken(token ?? sessao?.access_token);
+        return usuario
+          ? { data: { user: usuarioPublico(usuario) }, error: null }
+          : { data: { user: null }, error: erroAuth('invalid JWT', 401) };
+      },
+
+      async signInWithPassword({ email, password }) {
+        const usuario = porEmail(email);
+        if (!usuario || !senhaConfere(password, usuario.senha)) {
+          return { data: { user: null, session: null }, error: erroAuth('Invalid login credentials') };
+        }
+        sessao = {
+          access_token: emitirToken(usuario),
+          token_type: 'bearer',
+          expires_in: horasToken * 3600,
+          user: usuarioPublico(usuario)
+        };
+        return { data: { user: sessao.user, session: sessao }, error: null };
+      },
+
+      async updateUser(atributos) {
+        if (!sessao) return { data: { user: null }, error: erroAuth('Auth session missing!', 401) };
+        return atualizarUsuario(sessao.user.id, atributos);
+      },
+
+      async signOut() {
+        sessao = null;
+        return { error: null };
+      },
+
+      admin: {
+        async createUser(atributos) { return criarUsuario(atributos); },
+        async updateUserById(id, atributos) { return atualizarUsuario(id, atributos); },
+        async deleteUser(id) {
+          const removidos = banco.remover(TABELA_AUTH, (u) => u.id === id);
+          return removidos.length
+            ? { data: { user: usuarioPublico(removidos[0]) }, error: null }
+            : { data: { user: null }, error: erroAuth('User not found', 404) };
+        },
+        async listUsers() {
+          return { data: { users: banco.tabela(TABELA_AUTH).map(usuarioPublico) }, error: null };
+        }
+      }
+    };
+  };
+}
+
+/* =========================
+   BACKEND
+========================= */
+
+/**
+ * Cria o backend local. Opções:
+ *   dir        pasta dos dados (banco.json e storage/)
+ *   persistir  false mantém tudo só em memória (útil em testes)
+ *   segredo    chave das URLs assinadas e dos tokens (padrão: aleatória por processo)
+ *   urlBase    função que devolve a URL pública da API (para as URLs assinadas)
+ */
+export function criarBackendLocal({ dir, persistir = true, segredo, urlBase, horasToken = 12 }) {
+  const banco = new BancoLocal({ arquivo: persistir ? path.join(dir, 'banco.json') : null });
+  const chave = segredo || crypto.randomBytes(32).toString('hex');
+  const storage = criarStorage(dir, chave, urlBase);
+  const authDoCliente = criarAuth(banco, chave, { horasToken });
+
+  const cliente = () => ({
+    from: (tabela) => new ConsultaLocal(banco, tabela),
+    rpc: (nome, parametros = {}) => new ChamadaLocal(banco, nome, parametros),
+    storage: { from: storage.from },
+    auth: authDoCliente()
+  });
+
+  return {
+    banco,
+    cliente,
+    servirArquivo: storage.servirArquivo,
+    salvar: () => banco.salvar()
+  };
+}
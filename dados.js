@@ -0,0 +1,86 @@
+// dados.js - Acesso a dados compartilhado pelas rotas
+// DATA_BACKEND=supabase (padrão) usa o projeto Supabase configurado;
+// DATA_BACKEND=local usa o backend em memória/arquivos de dados-local.js,
+// para desenvolver sem rede e sem credenciais.
+import 'dotenv/config';
+import path from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+import { NIVEL_USUARIO } from './constantes.js';
+
+export const DATA_BACKEND = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
+if (!['supabase', 'local'].includes(DATA_BACKEND)) {
+  throw new Error(`DATA_BACKEND inválido: "${DATA_BACKEND}". Use "supabase" ou "local".`);
+}
+
+const criarClienteSupabase = () =>
+  createClient(process.env.SUPABASE_URL || '', process.env.SUPABASE_SERVICE_ROLE_KEY || '', {
+    auth: { persistSession: false },
+  });
+
+/* =========================
+   BACKEND LOCAL
+========================= */
+let local = null;
+
+if (DATA_BACKEND === 'local') {
+  const { criarBackendLocal } = await import('./dados-local.js');
+  const dir = path.resolve(process.env.LOCAL_DATA_DIR || 'dados-locais');
+
+  local = criarBackendLocal({
+    dir,
+    persistir: process.env.LOCAL_DATA_PERSIST !== 'false',
+    segredo: process.env.LOCAL_SECRET,
+    urlBase: () => (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 10000}`).replace(/\/$/, '')
+  });
+
+  process.once('exit', () => local.salvar());
+  console.log(`[DADOS] Backend local em ${dir}`);
+}
+
+/**
+ * Cliente compartilhado (service role). Não use para signInWithPassword:
+ * o login guarda a sessão no cliente em que é feito.
+ */
+export const supabase = local ? local.cliente() : criarClienteSupabase();
+
+// Cliente novo, com sessão própria, para login e troca de senha
+export const clienteSessao = () => (local ? local.cliente() : criarClienteSupabase());
+
+// Rotas exclusivas do backend local (arquivos das URLs assinadas do Storage)
+export function montarRotasDados(app) {
+  if (!local) return;
+  app.get('/arquivos-locais/:bucket/*', local.servirArquivo);
+}
+
+/**
+ * Sem usuários cadastrados, cria um admin com LOCAL_ADMIN_EMAIL/LOCAL_ADMIN_PASSWORD
+ * para que o painel possa ser usado no backend local.
+ */
+export async function prepararDadosLocais() {
+  if (!local) return;
+
+  const { count } = await supabase.from('usuarios').select('id', { count: 'exact', head: true });
+  if (count) return;
+
+  const email = (process.env.LOCAL_ADMIN_EMAIL || 'admin@local.test').toLowerCase();
+  const password = process.env.LOCAL_ADMIN_PASSWORD || 'admin123';
+
+  const { data: authData, error } = await supabase.auth.admin.createUser({ email, password, email_confirm: true });
+  if (error) {
+    console.error('[DADOS] Erro ao criar admin local:', error.message);
+    return;
+  }
+
+  await supabase.from('usuarios').insert([{
+    auth_id: authData.user.id,
+    nome: 'Administrador',
+    email,
+    cargo: 'Administrador',
+    funcao: 'Administrador',
+    nivel: NIVEL_USUARIO.ADMIN,
+    ativo: true,
+    criado_em: new Date().toISOString()
+  }]);
+
+  console.log(`[DADOS] Admin local criado: ${email}`);
+}
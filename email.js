@@ -0,0 +1,56 @@
+// email.js - Envio de e-mails com transporte configurável
+//   EMAIL_TRANSPORT=smtp     SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS
+//   EMAIL_TRANSPORT=arquivo  grava cada mensagem como .eml em EMAIL_DIR (padrão ./emails)
+//   EMAIL_TRANSPORT=console  apenas registra no log (padrão quando não há SMTP_HOST)
+import 'dotenv/config';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'RH <nao-responda@localhost>';
+const EMAIL_DIR = process.env.EMAIL_DIR || './emails';
+export const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (SMTP_HOST ? 'smtp' : 'console');
+
+const transportes = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+        : undefined,
+    });
+    return async (msg) => {
+      const info = await transporter.sendMail(msg);
+      return { id: info.messageId };
+    };
+  },
+
+  arquivo: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return async (msg) => {
+      const info = await transporter.sendMail(msg);
+      await fs.mkdir(EMAIL_DIR, { recursive: true });
+      const arquivo = path.join(EMAIL_DIR, `${Date.now()}-${String(msg.to).replace(/[^a-z0-9@._-]/gi, '_')}.eml`);
+      await fs.writeFile(arquivo, info.message);
+      return { id: arquivo };
+    };
+  },
+
+  console: () => async (msg) => {
+    console.log(`[EMAIL] Para: ${msg.to} | Assunto: ${msg.subject}\n${msg.text}`);
+    return { id: null };
+  },
+};
+
+if (!transportes[EMAIL_TRANSPORT]) {
+  console.warn(`[WARN] EMAIL_TRANSPORT "${EMAIL_TRANSPORT}" desconhecido, usando console.`);
+}
+const enviar = (transportes[EMAIL_TRANSPORT] || transportes.console)();
+
+export async function enviarEmail({ para, assunto, texto, html }) {
+  const { id } = await enviar({ from: EMAIL_FROM, to: para, subject: assunto, text: texto, html });
+  return { ok: true, transporte: EMAIL_TRANSPORT, id };
+}
@@ -0,0 +1,526 @@
+// entrevistas-routes.js - Agendamento de entrevistas e exportação de calendário
+import 'dotenv/config';
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { supabase } from './dados.js';
+import { authUser, authLider, authAnalista } from './auth.js';
+import { gerarIcs } from './ics.js';
+import { clean, sha256, asyncRoute } from './utils.js';
+
+const entrevistasRouter = express.Router();
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+const STATUS_ENTREVISTA = {
+  AGENDADA: 'agendada',
+  REMARCADA: 'remarcada',
+  CANCELADA: 'cancelada',
+  REALIZADA: 'realizada'
+};
+
+const MAX_HORARIOS_POR_ENVIO = 50;
+const DURACAO_MAX_MIN = 8 * 60;
+
+const SELECT_HORARIO = `
+  *,
+  vaga:vagas(id, nome),
+  entrevistador:usuarios!entrevistador_id(id, nome, email)
+`;
+
+const SELECT_ENTREVISTA = `
+  *,
+  horario:entrevista_horarios!inner(id, inicio, fim, local, vaga_id, entrevistador_id,
+    vaga:vagas(id, nome),
+    entrevistador:usuarios!entrevistador_id(id, nome, email)),
+  candidatura:candidaturas(id, nome, email, telefone, vaga, status)
+`;
+
+/* =========================
+   UTILS
+========================= */
+const dataValida = (v) => v && !Number.isNaN(new Date(v).getTime());
+
+// O PostgREST não ordena as linhas principais por coluna do recurso embutido
+const ordenarPorInicio = (entrevistas) =>
+  entrevistas.sort((a, b) => new Date(a.horario.inicio) - new Date(b.horario.inicio));
+
+// Unicidade no banco: um candidato por horário e uma entrevista ativa por candidatura
+function mensagemConflito(error) {
+  const detalhe = `${error?.message || ''} ${error?.details || ''}`;
+  if (detalhe.includes('entrevistas_candidatura_ativa')) return 'Este candidato já possui uma entrevista agendada.';
+  if (detalhe.includes('entrevista_horarios_sem_sobreposicao')) return 'O entrevistador já possui um horário neste período.';
+  return 'Este horário já está reservado.';
+}
+
+const ehConflito = (error) => ['23505', '23P01'].includes(error?.code) || String(error?.message).includes('horario_indisponivel');
+
+function paraEvento(e) {
+  const cancelada = e.status !== STATUS_ENTREVISTA.AGENDADA && e.status !== STATUS_ENTREVISTA.REALIZADA;
+  const c = e.candidatura || {};
+  return {
+    uid: `entrevista-${e.id}@sistema-rh`,
+    inicio: e.horario.inicio,
+    fim: e.horario.fim,
+    titulo: `${cancelada ? '[Cancelada] ' : ''}Entrevista: ${c.nome || 'Candidato'} (${e.horario.vaga?.nome || c.vaga || ''})`,
+    local: e.horario.local,
+    descricao: [
+      `Candidato: ${c.nome || ''}`,
+      c.telefone && `Telefone: ${c.telefone}`,
+      c.email && `E-mail: ${c.email}`,
+      e.horario.entrevistador?.nome && `Entrevistador: ${e.horario.entrevistador.nome}`,
+      e.motivo && `Motivo: ${e.motivo}`
+    ].filter(Boolean).join('\n'),
+    cancelado: cancelada,
+    sequencia: e.sequencia,
+    atualizado_em: e.atualizado_em
+  };
+}
+
+// Entrevistas do entrevistador (agenda pessoal), por padrão dos últimos 30 dias em diante
+async function buscarAgenda(usuarioId, { de, ate, incluirCanceladas = false } = {}) {
+  const inicio = dataValida(de) ? new Date(de) : new Date(Date.now() - 30 * 86400000);
+
+  let query = supabase
+    .from('entrevistas')
+    .select(SELECT_ENTREVISTA)
+    .eq('horario.entrevistador_id', usuarioId)
+    .gte('horario.inicio', inicio.toISOString());
+
+  if (dataValida(ate)) query = query.lte('horario.inicio', new Date(ate).toISOString());
+  query = incluirCanceladas
+    ? query.neq('status', STATUS_ENTREVISTA.REMARCADA)
+    : query.in('status', [STATUS_ENTREVISTA.AGENDADA, STATUS_ENTREVISTA.REALIZADA]);
+
+  const { data, error } = await query;
+  return { data: data && ordenarPorInicio(data), error };
+}
+
+function enviarIcs(res, eventos, nome, arquivo) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${arquivo}"`);
+  res.send(gerarIcs(eventos, { nome }));
+}
+
+/* =========================
+   HORÁRIOS DISPONÍVEIS
+========================= */
+
+// GET /api/entrevistas/horarios - Listar horários (?vaga_id, ?de, ?ate, ?disponiveis=true)
+entrevistasRouter.get('/horarios', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { vaga_id, de, ate, disponiveis } = req.query;
+
+  let query = supabase
+    .from('entrevista_horarios')
+    .select(`${SELECT_HORARIO}, entrevistas(id, status, candidatura_id)`)
+    .eq('ativo', true)
+    .gte('inicio', (dataValida(de) ? new Date(de) : new Date()).toISOString())
+    .order('inicio', { ascending: true });
+
+  if (vaga_id) query = query.eq('vaga_id', vaga_id);
+  if (dataValida(ate)) query = query.lte('inicio', new Date(ate).toISOString());
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao buscar horários:', error);
+    return res.status(500).json({ message: 'Erro ao buscar horários.' });
+  }
+
+  const horarios = (data || []).map(({ entrevistas, ...h }) => {
+    const reserva = (entrevistas || []).find((e) => e.status === STATUS_ENTREVISTA.AGENDADA);
+    return { ...h, disponivel: !reserva, entrevista_id: reserva?.id || null };
+  });
+
+  res.json(disponiveis === 'true' ? horarios.filter((h) => h.disponivel) : horarios);
+}));
+
+// POST /api/entrevistas/horarios - Publicar horários de uma vaga (líder ou admin)
+entrevistasRouter.post('/horarios', authUser, authLider, asyncRoute(async (req, res) => {
+  const { vaga_id, entrevistador_id, local } = req.body;
+  const lista = Array.isArray(req.body.horarios) ? req.body.horarios : [{ inicio: req.body.inicio, fim: req.body.fim }];
+
+  if (!vaga_id) {
+    return res.status(400).json({ message: 'A vaga é obrigatória.' });
+  }
+
+  if (!lista.length || lista.length > MAX_HORARIOS_POR_ENVIO) {
+    return res.status(400).json({ message: `Informe de 1 a ${MAX_HORARIOS_POR_ENVIO} horários.` });
+  }
+
+  const novos = [];
+  for (const [i, h] of lista.entries()) {
+    if (!dataValida(h?.inicio) || !dataValida(h?.fim)) {
+      return res.status(400).json({ message: `Horário ${i + 1}: início e fim são obrigatórios.` });
+    }
+    const inicio = new Date(h.inicio);
+    const fim = new Date(h.fim);
+    const duracao = (fim - inicio) / 60000;
+    if (duracao <= 0 || duracao > DURACAO_MAX_MIN) {
+      return res.status(400).json({ message: `Horário ${i + 1}: o fim deve ser posterior ao início (máximo ${DURACAO_MAX_MIN / 60}h).` });
+    }
+    if (inicio <= new Date()) {
+      return res.status(400).json({ message: `Horário ${i + 1}: não é possível publicar horários no passado.` });
+    }
+    novos.push({
+      vaga_id,
+      entrevistador_id: entrevistador_id || req.user.id,
+      local: clean(h.local || local, 200) || null,
+      inicio: inicio.toISOString(),
+      fim: fim.toISOString(),
+      ativo: true,
+      criado_por: req.user.id,
+      criado_em: new Date().toISOString()
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('entrevista_horarios')
+    .insert(novos)
+    .select(SELECT_HORARIO);
+
+  if (error) {
+    if (ehConflito(error)) return res.status(409).json({ message: mensagemConflito(error) });
+    console.error('[ENTREVISTAS] Erro ao publicar horários:', error);
+    return res.status(500).json({ message: 'Erro ao publicar horários.' });
+  }
+
+  res.status(201).json(data);
+}));
+
+// DELETE /api/entrevistas/horarios/:id - Retirar horário sem entrevista agendada (líder ou admin)
+entrevistasRouter.delete('/horarios/:id', authUser, authLider, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: reservas, error: fetchError } = await supabase
+    .from('entrevistas')
+    .select('id')
+    .eq('horario_id', id)
+    .eq('status', STATUS_ENTREVISTA.AGENDADA)
+    .limit(1);
+
+  if (fetchError) {
+    console.error('[ENTREVISTAS] Erro ao verificar horário:', fetchError);
+    return res.status(500).json({ message: 'Erro ao remover horário.' });
+  }
+
+  if (reservas?.length) {
+    return res.status(409).json({ message: 'Há uma entrevista agendada neste horário. Remarque ou cancele antes de removê-lo.' });
+  }
+
+  const { data, error } = await supabase
+    .from('entrevista_horarios')
+    .update({ ativo: false })
+    .eq('id', id)
+    .select('id');
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao remover horário:', error);
+    return res.status(500).json({ message: 'Erro ao remover horário.' });
+  }
+
+  if (!data.length) {
+    return res.status(404).json({ message: 'Horário não encontrado.' });
+  }
+
+  res.json({ ok: true, message: 'Horário removido com sucesso.' });
+}));
+
+/* =========================
+   AGENDA E CALENDÁRIO
+========================= */
+
+// GET /api/entrevistas/agenda - Entrevistas do usuário logado como entrevistador
+entrevistasRouter.get('/agenda', authUser, asyncRoute(async (req, res) => {
+  const { de, ate, incluir_canceladas } = req.query;
+  const { data, error } = await buscarAgenda(req.user.id, { de, ate, incluirCanceladas: incluir_canceladas === 'true' });
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao buscar agenda:', error);
+    return res.status(500).json({ message: 'Erro ao buscar agenda.' });
+  }
+
+  res.json(data || []);
+}));
+
+// GET /api/entrevistas/agenda.ics - Agenda do usuário logado em iCalendar
+entrevistasRouter.get('/agenda.ics', authUser, asyncRoute(async (req, res) => {
+  const { data, error } = await buscarAgenda(req.user.id, { incluirCanceladas: true });
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao exportar agenda:', error);
+    return res.status(500).json({ message: 'Erro ao exportar agenda.' });
+  }
+
+  enviarIcs(res, (data || []).map(paraEvento), `Entrevistas - ${req.user.nome}`, 'entrevistas.ics');
+}));
+
+// POST /api/entrevistas/calendario/token - Gerar (ou trocar) o link de assinatura do calendário
+entrevistasRouter.post('/calendario/token', authUser, asyncRoute(async (req, res) => {
+  const token = nanoid(32);
+
+  const { error } = await supabase
+    .from('calendario_tokens')
+    .upsert({ usuario_id: req.user.id, token_hash: sha256(token), criado_em: new Date().toISOString() });
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao gerar token do calendário:', error);
+    return res.status(500).json({ message: 'Erro ao gerar link do calendário.' });
+  }
+
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  res.json({
+    ok: true,
+    url: `${base}/calendario/${token}.ics`,
+    message: 'Use este link para assinar a agenda no seu aplicativo de calendário. Gerar um novo link invalida o anterior.'
+  });
+}));
+
+// GET /api/entrevistas/calendario/:token.ics - Feed público (protegido pelo token) para apps de calendário
+entrevistasRouter.get('/calendario/:token.ics', asyncRoute(async (req, res) => {
+  const { data: registro, error } = await supabase
+    .from('calendario_tokens')
+    .select('usuario_id, usuario:usuarios(nome, ativo)')
+    .eq('token_hash', sha256(req.params.token))
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao validar token do calendário:', error);
+    return res.status(500).json({ message: 'Erro ao carregar calendário.' });
+  }
+
+  if (!registro || !registro.usuario?.ativo) {
+    return res.status(404).json({ message: 'Calendário não encontrado.' });
+  }
+
+  const { data, error: agendaError } = await buscarAgenda(registro.usuario_id, { incluirCanceladas: true });
+
+  if (agendaError) {
+    console.error('[ENTREVISTAS] Erro ao carregar feed:', agendaError);
+    return res.status(500).json({ message: 'Erro ao carregar calendário.' });
+  }
+
+  enviarIcs(res, (data || []).map(paraEvento), `Entrevistas - ${registro.usuario.nome}`, 'entrevistas.ics');
+}));
+
+/* =========================
+   ENTREVISTAS
+========================= */
+
+// GET /api/entrevistas - Listar entrevistas (?candidatura_id, ?vaga_id, ?status)
+entrevistasRouter.get('/', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { candidatura_id, vaga_id, status } = req.query;
+
+  let query = supabase
+    .from('entrevistas')
+    .select(SELECT_ENTREVISTA);
+
+  if (candidatura_id) query = query.eq('candidatura_id', candidatura_id);
+  if (vaga_id) query = query.eq('horario.vaga_id', vaga_id);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao buscar:', error);
+    return res.status(500).json({ message: 'Erro ao buscar entrevistas.' });
+  }
+
+  res.json(ordenarPorInicio(data || []));
+}));
+
+// POST /api/entrevistas - Agendar candidato em um horário
+entrevistasRouter.post('/', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { horario_id, candidatura_id } = req.body;
+
+  if (!horario_id || !candidatura_id) {
+    return res.status(400).json({ message: 'Horário e candidatura são obrigatórios.' });
+  }
+
+  const [{ data: horario, error: horarioError }, { data: candidatura, error: candidaturaError }] = await Promise.all([
+    supabase.from('entrevista_horarios').select('id, inicio, ativo, vaga:vagas(nome)').eq('id', horario_id).maybeSingle(),
+    supabase.from('candidaturas').select('id, vaga').eq('id', candidatura_id).maybeSingle()
+  ]);
+
+  if (horarioError || candidaturaError) {
+    console.error('[ENTREVISTAS] Erro ao agendar:', horarioError || candidaturaError);
+    return res.status(500).json({ message: 'Erro ao agendar entrevista.' });
+  }
+
+  if (!horario || !horario.ativo) {
+    return res.status(404).json({ message: 'Horário não encontrado.' });
+  }
+
+  if (!candidatura) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  }
+
+  if (new Date(horario.inicio) <= new Date()) {
+    return res.status(400).json({ message: 'Este horário já passou.' });
+  }
+
+  if (horario.vaga?.nome && horario.vaga.nome !== candidatura.vaga) {
+    return res.status(400).json({ message: 'O horário pertence a outra vaga.' });
+  }
+
+  const agora = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('entrevistas')
+    .insert([{
+      horario_id,
+      candidatura_id,
+      status: STATUS_ENTREVISTA.AGENDADA,
+      agendado_por: req.user.id,
+      agendado_em: agora,
+      atualizado_em: agora,
+      sequencia: 0
+    }])
+    .select(SELECT_ENTREVISTA)
+    .single();
+
+  if (error) {
+    if (ehConflito(error)) return res.status(409).json({ message: mensagemConflito(error) });
+    console.error('[ENTREVISTAS] Erro ao agendar:', error);
+    return res.status(500).json({ message: 'Erro ao agendar entrevista.' });
+  }
+
+  res.status(201).json(data);
+}));
+
+// PUT /api/entrevistas/:id/remarcar - Mover para outro horário (com motivo)
+entrevistasRouter.put('/:id/remarcar', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  const { horario_id } = req.body;
+  const motivo = clean(req.body.motivo, 500);
+
+  if (!horario_id || !motivo) {
+    return res.status(400).json({ message: 'Novo horário e motivo são obrigatórios.' });
+  }
+
+  // Troca atômica no banco: a entrevista atual vira "remarcada" e a nova é criada no mesmo passo
+  const { data: novaId, error } = await supabase.rpc('remarcar_entrevista', {
+    p_entrevista_id: id,
+    p_horario_id: horario_id,
+    p_motivo: motivo,
+    p_usuario_id: req.user.id
+  });
+
+  if (error) {
+    const msg = String(error.message);
+    if (msg.includes('entrevista_nao_encontrada')) return res.status(404).json({ message: 'Entrevista agendada não encontrada.' });
+    if (msg.includes('horario_invalido')) return res.status(400).json({ message: 'O novo horário não está disponível para esta vaga.' });
+    if (ehConflito(error)) return res.status(409).json({ message: mensagemConflito(error) });
+    console.error('[ENTREVISTAS] Erro ao remarcar:', error);
+    return res.status(500).json({ message: 'Erro ao remarcar entrevista.' });
+  }
+
+  const { data, error: fetchError } = await supabase
+    .from('entrevistas')
+    .select(SELECT_ENTREVISTA)
+    .eq('id', novaId)
+    .single();
+
+  if (fetchError) {
+    console.error('[ENTREVISTAS] Erro ao buscar entrevista remarcada:', fetchError);
+    return res.status(500).json({ message: 'Erro ao remarcar entrevista.' });
+  }
+
+  res.json(data);
+}));
+
+// PUT /api/entrevistas/:id/cancelar - Cancelar entrevista (com motivo)
+entrevistasRouter.put('/:id/cancelar', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  const motivo = clean(req.body.motivo, 500);
+
+  if (!motivo) {
+    return res.status(400).json({ message: 'O motivo do cancelamento é obrigatório.' });
+  }
+
+  const { data: atual, error: fetchError } = await supabase
+    .from('entrevistas')
+    .select('id, sequencia')
+    .eq('id', id)
+    .eq('status', STATUS_ENTREVISTA.AGENDADA)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[ENTREVISTAS] Erro ao cancelar:', fetchError);
+    return res.status(500).json({ message: 'Erro ao cancelar entrevista.' });
+  }
+
+  if (!atual) {
+    return res.status(404).json({ message: 'Entrevista agendada não encontrada.' });
+  }
+
+  const { data, error } = await supabase
+    .from('entrevistas')
+    .update({
+      status: STATUS_ENTREVISTA.CANCELADA,
+      motivo,
+      cancelado_por: req.user.id,
+      sequencia: (atual.sequencia || 0) + 1,
+      atualizado_em: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('status', STATUS_ENTREVISTA.AGENDADA)
+    .select(SELECT_ENTREVISTA)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao cancelar:', error);
+    return res.status(500).json({ message: 'Erro ao cancelar entrevista.' });
+  }
+
+  if (!data) {
+    return res.status(409).json({ message: 'A entrevista foi alterada por outra pessoa. Atualize a página.' });
+  }
+
+  res.json(data);
+}));
+
+// PUT /api/entrevistas/:id/realizada - Marcar entrevista como realizada
+entrevistasRouter.put('/:id/realizada', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await supabase
+    .from('entrevistas')
+    .update({ status: STATUS_ENTREVISTA.REALIZADA, atualizado_em: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', STATUS_ENTREVISTA.AGENDADA)
+    .select(SELECT_ENTREVISTA)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao atualizar:', error);
+    return res.status(500).json({ message: 'Erro ao atualizar entrevista.' });
+  }
+
+  if (!data) {
+    return res.status(404).json({ message: 'Entrevista agendada não encontrada.' });
+  }
+
+  res.json(data);
+}));
+
+// GET /api/entrevistas/:id/ics - Convite de uma entrevista em iCalendar
+entrevistasRouter.get('/:id/ics', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('entrevistas')
+    .select(SELECT_ENTREVISTA)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ENTREVISTAS] Erro ao exportar:', error);
+    return res.status(500).json({ message: 'Erro ao exportar entrevista.' });
+  }
+
+  if (!data) {
+    return res.status(404).json({ message: 'Entrevista não encontrada.' });
+  }
+
+  enviarIcs(res, [paraEvento(data)], 'Entrevista', `entrevista-${data.id}.ics`);
+}));
+
+export default entrevistasRouter;
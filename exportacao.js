@@ -0,0 +1,215 @@
+// exportacao.js - Exportação de candidaturas em CSV e XLSX (streaming)
+import 'dotenv/config';
+import ExcelJS from 'exceljs';
+
+const FUSO = process.env.EXPORT_TIMEZONE || 'America/Sao_Paulo';
+
+export const FORMATOS_EXPORTACAO = ['csv', 'xlsx'];
+
+/* =========================
+   COLUNAS DISPONÍVEIS
+   tipo 'data' é formatado em pt-BR (CSV) ou gravado como data (XLSX)
+   tipo 'numero' usa vírgula decimal no CSV e fica numérico no XLSX
+========================= */
+export const COLUNAS_EXPORTACAO = {
+  id: { titulo: 'ID' },
+  nome: { titulo: 'Nome' },
+  cpf: { titulo: 'CPF' },
+  email: { titulo: 'E-mail' },
+  telefone: { titulo: 'Telefone' },
+  cep: { titulo: 'CEP' },
+  cidade: { titulo: 'Cidade' },
+  uf: { titulo: 'UF' },
+  bairro: { titulo: 'Bairro' },
+  rua: { titulo: 'Endereço' },
+  transporte: { titulo: 'Transporte' },
+  vaga: { titulo: 'Vaga' },
+  status: { titulo: 'Status' },
+  enviado_em: { titulo: 'Data de envio', tipo: 'data' },
+  status_alterado_em: { titulo: 'Status alterado em', tipo: 'data' },
+  status_alterado_por: { titulo: 'Status alterado por', valor: (r) => r.usuario_status?.nome },
+  arquivado_em: { titulo: 'Arquivada em', tipo: 'data' },
+  spam_pontuacao: { titulo: 'Pontuação de spam', tipo: 'numero' },
+  spam_sinais: { titulo: 'Sinais de spam', valor: (r) => (r.spam_sinais || []).join('; ') },
+  distancia_km: { titulo: 'Distância até o mercado (km)', tipo: 'numero' },
+  tempo_estimado_minutos: { titulo: 'Tempo estimado (min)', tipo: 'numero' },
+  triagem: {
+    titulo: 'Triagem',
+    valor: (r) => (r.triagem_reprovada == null ? '' : r.triagem_reprovada ? 'Reprovada' : 'Aprovada')
+  },
+  triagem_motivos: { titulo: 'Motivos da triagem', valor: (r) => (r.triagem_motivos || []).join('; ') },
+  relevancia: { titulo: 'Relevância na busca' }
+};
+
+export const COLUNAS_PADRAO = ['nome', 'cpf', 'email', 'telefone', 'cidade', 'bairro', 'vaga', 'status', 'enviado_em'];
+
+// Lista de colunas a partir de ?colunas=nome,cpf,... (ordem preservada)
+export function resolverColunas(param) {
+  if (!param) return { ok: true, colunas: COLUNAS_PADRAO };
+
+  const colunas = [...new Set(String(param).split(',').map((c) => c.trim()).filter(Boolean))];
+  const invalidas = colunas.filter((c) => !COLUNAS_EXPORTACAO[c]);
+  if (invalidas.length) {
+    return { ok: false, message: `Colunas inválidas: ${invalidas.join(', ')}.` };
+  }
+  if (!colunas.length) return { ok: true, colunas: COLUNAS_PADRAO };
+  return { ok: true, colunas };
+}
+
+/* =========================
+   FORMATAÇÃO
+========================= */
+const formatoData = new Intl.DateTimeFormat('pt-BR', {
+  timeZone: FUSO,
+  day: '2-digit', month: '2-digit', year: 'numeric',
+  hour: '2-digit', minute: '2-digit'
+});
+
+const valorBruto = (row, chave, definicoes) => {
+  const coluna = definicoes[chave];
+  return coluna.valor ? coluna.valor(row) : row[chave];
+};
+
+const dataValida = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// "dd/mm/aaaa hh:mm" no fuso configurado
+export const formatarDataHora = (v) => {
+  const d = dataValida(v);
+  return d ? formatoData.format(d).replace(',', '') : '';
+};
+
+// O Excel não guarda fuso: grava o horário local como se fosse UTC
+function dataLocalExcel(v) {
+  const d = dataValida(v);
+  if (!d) return null;
+  const partes = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: FUSO, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(d).map((p) => [p.type, p.value])
+  );
+  return new Date(Date.UTC(partes.year, partes.month - 1, partes.day, partes.hour, partes.minute, partes.second));
+}
+
+// Evita que o Excel interprete valores do candidato como fórmula ao abrir o CSV
+const neutralizarFormula = (s) => (/^[=+\-@\t\r]/.test(s) ? `'${s}` : s);
+
+const escaparCsv = (texto, separador) =>
+  /["\r\n]/.test(texto) || texto.includes(separador) ? `"${texto.replace(/"/g, '""')}"` : texto;
+
+function celulaCsv(row, chave, separador, definicoes) {
+  const bruto = valorBruto(row, chave, definicoes);
+  const { tipo } = definicoes[chave];
+  const texto = tipo === 'data'
+    ? formatarDataHora(bruto)
+    : tipo === 'numero'
+      ? (bruto == null || bruto === '' ? '' : Number(bruto).toLocaleString('pt-BR', { maximumFractionDigits: 2 }))
+      : neutralizarFormula(String(bruto ?? ''));
+  return escaparCsv(texto, separador);
+}
+
+function celulaXlsx(row, chave, definicoes) {
+  const bruto = valorBruto(row, chave, definicoes);
+  if (definicoes[chave].tipo === 'data') return dataLocalExcel(bruto);
+  if (bruto == null) return null;
+  if (definicoes[chave].tipo === 'numero') return Number(bruto);
+  return typeof bruto === 'number' ? bruto : String(bruto);
+}
+
+/* =========================
+   ESCRITA EM STREAMING
+========================= */
+
+const interrompida = () => Object.assign(new Error('Cliente desconectado durante a exportação.'), { code: 'EXPORTACAO_INTERROMPIDA' });
+
+// Respeita o backpressure da resposta para não acumular a exportação inteira em memória;
+// se o cliente desconecta, o 'drain' nunca chega e a exportação é interrompida
+function escrever(res, chunk) {
+  if (res.destroyed) return Promise.reject(interrompida());
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const aoDrenar = () => { res.off('close', aoFechar); resolve(); };
+    const aoFechar = () => { res.off('drain', aoDrenar); reject(interrompida()); };
+    res.once('drain', aoDrenar);
+    res.once('close', aoFechar);
+  });
+}
+
+async function escreverCsv(res, lotes, colunas, separador, definicoes) {
+  // BOM para o Excel reconhecer UTF-8
+  await escrever(res, '\uFEFF' + colunas.map((c) => escaparCsv(definicoes[c].titulo, separador)).join(separador) + '\r\n');
+
+  for await (const lote of lotes) {
+    const linhas = lote.map((row) => colunas.map((c) => celulaCsv(row, c, separador, definicoes)).join(separador) + '\r\n');
+    await escrever(res, linhas.join(''));
+  }
+  res.end();
+}
+
+async function escreverXlsx(res, lotes, colunas, definicoes, planilha) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(planilha, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = colunas.map((c) => ({
+    header: definicoes[c].titulo,
+    key: c,
+    width: definicoes[c].tipo === 'data' ? 18 : 24,
+    style: definicoes[c].tipo === 'data' ? { numFmt: 'dd/mm/yyyy hh:mm' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const lote of lotes) {
+    if (res.destroyed) throw interrompida();
+    for (const row of lote) {
+      sheet.addRow(colunas.map((c) => celulaXlsx(row, c, definicoes))).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Envia a exportação na resposta HTTP. `lotes` é um iterador assíncrono de
+ * arrays de candidaturas (percorrerCandidaturas). O primeiro lote é lido antes
+ * dos cabeçalhos para que um erro de consulta ainda possa virar um 500 em JSON.
+ * Outras planilhas (ex.: relatório da retenção) informam `definicoes` no
+ * formato de COLUNAS_EXPORTACAO e o nome da aba em `planilha`.
+ */
+export async function exportarCandidaturas(res, lotes, {
+  formato, colunas, nomeArquivo, separador = ';', definicoes = COLUNAS_EXPORTACAO, planilha = 'Candidaturas'
+}) {
+  const iterador = lotes[Symbol.asyncIterator]();
+  const primeiro = await iterador.next();
+
+  async function* todos() {
+    if (!primeiro.done) yield primeiro.value;
+    for (let r = await iterador.next(); !r.done; r = await iterador.next()) yield r.value;
+  }
+
+  const xlsx = formato === 'xlsx';
+  res.setHeader('Content-Type', xlsx
+    ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    : 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}.${formato}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (xlsx) await escreverXlsx(res, todos(), colunas, definicoes, planilha);
+    else await escreverCsv(res, todos(), colunas, separador, definicoes);
+  } catch (error) {
+    if (error.code === 'EXPORTACAO_INTERROMPIDA') {
+      console.warn('[EXPORTACAO] Cliente desconectado; exportação interrompida.');
+      await iterador.return?.();
+      return;
+    }
+    // Cabeçalhos já enviados: só resta interromper o download
+    console.error('[EXPORTACAO] Erro durante o envio:', error);
+    res.destroy(error);
+  }
+}
@@ -0,0 +1,126 @@
+// extracao-texto.js - Extração do texto dos currículos para busca textual
+import mammoth from 'mammoth';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { abrirOle } from './ole.js';
+
+// Limite do texto armazenado por candidatura (currículos reais ficam muito abaixo disso)
+const MAX_TEXTO = 100_000;
+
+const normalizarTexto = (s) =>
+  String(s || '')
+    .replace(/\u0000/g, '') // Postgres não aceita NUL em colunas text
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+    .slice(0, MAX_TEXTO);
+
+async function extrairPdf(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text } = await extractText(pdf, { mergePages: true });
+  return text;
+}
+
+async function extrairDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return value;
+}
+
+const cp1252 = new TextDecoder('windows-1252');
+
+// Marcas de controle do Word: campos (\x13 código \x14 resultado \x15), células (\x07) e quebras
+function limparTextoWord(texto) {
+  let anterior;
+  do {
+    anterior = texto;
+    texto = texto.replace(/\x13[^\x13\x14\x15]*\x14([^\x13\x15]*)\x15/g, '$1').replace(/\x13[^\x13\x14\x15]*\x15/g, '');
+  } while (texto !== anterior);
+
+  return texto
+    .replace(/[\r\x0b\x0c]/g, '\n')
+    .replace(/\x07/g, '\t')
+    .replace(/[\x00-\x08\x0e-\x1f]/g, '');
+}
+
+/**
+ * DOC (Word 97-2003): texto do documento principal pela tabela de peças (piece table).
+ * Cada peça está em UTF-16 ou, quando comprimida, em Windows-1252.
+ * Devolve null se a estrutura não for a esperada (ex.: Word 6/95 ou arquivo criptografado).
+ */
+function extrairDocWord97(buffer) {
+  const ole = abrirOle(buffer);
+  const documento = ole.fluxo('WordDocument');
+  if (!documento || documento.length < 0x1aa || documento.readUInt16LE(0) !== 0xa5ec) return null;
+
+  const flags = documento.readUInt16LE(0x0a);
+  if (flags & 0x0100) return null; // fEncrypted
+  const tabela = ole.fluxo(flags & 0x0200 ? '1Table' : '0Table');
+  const ccpText = documento.readUInt32LE(0x4c);
+  const fcClx = documento.readUInt32LE(0x1a2);
+  const lcbClx = documento.readUInt32LE(0x1a6);
+  if (!tabela || !lcbClx || fcClx + lcbClx > tabela.length) return null;
+
+  // Clx: blocos de propriedades (0x01) seguidos da tabela de peças (0x02)
+  let i = fcClx;
+  while (tabela[i] === 0x01) i += 3 + tabela.readUInt16LE(i + 1);
+  if (tabela[i] !== 0x02) return null;
+  const plc = tabela.subarray(i + 5, i + 5 + tabela.readUInt32LE(i + 1));
+  const pecas = (plc.length - 4) / 12;
+  if (!Number.isInteger(pecas)) return null;
+
+  const partes = [];
+  for (let p = 0; p < pecas; p++) {
+    const inicio = plc.readUInt32LE(p * 4);
+    if (inicio >= ccpText) break;
+    const caracteres = Math.min(plc.readUInt32LE((p + 1) * 4), ccpText) - inicio;
+    const fc = plc.readUInt32LE((pecas + 1) * 4 + p * 8 + 2);
+
+    if (fc & 0x40000000) {
+      const offset = (fc & 0x3fffffff) / 2;
+      partes.push(cp1252.decode(documento.subarray(offset, offset + caracteres)));
+    } else {
+      partes.push(documento.toString('utf16le', fc, fc + caracteres * 2));
+    }
+  }
+  return limparTextoWord(partes.join(''));
+}
+
+// Sem a estrutura do Word 97: aproveita apenas as sequências de texto legível
+function extrairDocHeuristico(buffer) {
+  const trechos = [];
+  const utf16 = buffer.toString('utf16le').match(/[\p{L}\p{N}\p{P}\s]{4,}/gu) || [];
+  const latin1 = buffer.toString('latin1').match(/[\p{L}\p{N}\p{P} ]{4,}/gu) || [];
+  for (const t of [...utf16, ...latin1]) {
+    if (/\p{L}{3,}/u.test(t)) trechos.push(t.trim());
+  }
+  return trechos.join('\n');
+}
+
+function extrairDoc(buffer) {
+  try {
+    const texto = extrairDocWord97(buffer);
+    if (texto != null) return texto;
+  } catch (error) {
+    console.warn('[EXTRACAO TEXTO] DOC fora do formato Word 97:', error?.message || error);
+  }
+  return extrairDocHeuristico(buffer);
+}
+
+/**
+ * Extrai o texto de um currículo (PDF, DOCX ou DOC).
+ * Nunca lança: devolve null quando o formato não é suportado ou a leitura falha.
+ */
+export async function extrairTexto(buffer, mimetype) {
+  try {
+    let texto = null;
+    if (mimetype === 'application/pdf') texto = await extrairPdf(buffer);
+    else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') texto = await extrairDocx(buffer);
+    else if (mimetype === 'application/msword') texto = extrairDoc(buffer);
+    else return null;
+
+    const normalizado = normalizarTexto(texto);
+    return normalizado || null;
+  } catch (error) {
+    console.warn('[EXTRACAO TEXTO] aviso:', error?.message || error);
+    return null;
+  }
+}
@@ -0,0 +1,409 @@
+// geocodificacao.js - Geocodificação de endereços com cache persistente e provedores plugáveis
+import 'dotenv/config';
+import fs from 'node:fs';
+import { criarRegistro, slugify, sha256 } from './utils.js';
+import { DATA_BACKEND } from './dados.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+
+// Endereço fixo do mercado
+export const ENDERECO_MERCADO = 'Km 91, AL-220, 948 - Sen. Arnon de Melo, Arapiraca - AL, 57315-745';
+export const COORDENADAS_MERCADO = { lat: -9.7512, lon: -36.6574 };
+
+export const STATUS_GEO = {
+  OK: 'ok',
+  NAO_ENCONTRADO: 'nao_encontrado',
+  ERRO: 'erro'
+};
+
+// Do mais preciso ao menos preciso: cada candidatura tenta os níveis nesta ordem
+export const PRECISAO_GEO = {
+  ENDERECO: 'endereco',
+  CEP: 'cep',
+  BAIRRO: 'bairro',
+  CIDADE: 'cidade'
+};
+
+// Sem rede no backend local: o padrão passa a ser o provedor de teste
+const PROVEDOR = process.env.GEOCODER || (DATA_BACKEND === 'local' ? 'stub' : 'nominatim');
+// Endereços não encontrados ficam em cache por menos tempo (o provedor pode passar a conhecê-los)
+const DIAS_CACHE_NEGATIVO = Math.max(0, Number(process.env.GEOCODER_CACHE_NEGATIVO_DIAS || 7));
+
+/* =========================
+   DISTÂNCIA
+========================= */
+
+// Calcular distância em linha reta usando a fórmula de Haversine
+export function calcularDistanciaEmLinhaReta(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Raio da Terra em km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Calcular tempo estimado baseado na distância e tipo de área
+export function calcularTempoEstimado(distanciaKm, cidadeOrigem) {
+  // Verificar se é na mesma cidade
+  const mesmaCidade = String(cidadeOrigem || '').toLowerCase().includes('arapiraca');
+
+  if (mesmaCidade) {
+    // Em mesma cidade, velocidade média de 30km/h
+    const tempoMinutos = Math.round((distanciaKm / 30) * 60);
+    return Math.max(tempoMinutos, 5); // Mínimo 5 minutos
+  }
+  // Entre cidades, velocidade média de 60km/h
+  const tempoMinutos = Math.round((distanciaKm / 60) * 60);
+  return Math.max(tempoMinutos, 15); // Mínimo 15 minutos
+}
+
+export const distanciaAteMercado = ({ lat, lon }) =>
+  Number(calcularDistanciaEmLinhaReta(lat, lon, COORDENADAS_MERCADO.lat, COORDENADAS_MERCADO.lon).toFixed(2));
+
+/* =========================
+   PROVEDORES
+   Um provedor recebe a consulta { texto, cep, bairro, cidade, precisao } e devolve
+   { lat, lon, endereco, tipo, precisao } ou null quando o endereço não existe.
+   Falhas de rede/serviço devem lançar erro (não são gravadas no cache).
+========================= */
+const geocodificadores = criarRegistro('Geocodificador', PROVEDOR);
+
+export const registrarGeocodificador = geocodificadores.registrar;
+export const geocodificador = () => geocodificadores.obter();
+
+// Nominatim (OpenStreetMap) - Gratuito, no máximo 1 requisição por segundo
+registrarGeocodificador('nominatim', () => {
+  const intervalo = Math.max(0, Number(process.env.GEOCODER_INTERVALO_MS || 1000));
+  let fila = Promise.resolve();
+  let ultima = 0;
+
+  // Serializa as chamadas respeitando o intervalo mínimo da política de uso
+  const aguardarVez = () => {
+    const vez = fila.then(async () => {
+      const espera = ultima + intervalo - Date.now();
+      if (espera > 0) await new Promise((resolve) => setTimeout(resolve, espera));
+      ultima = Date.now();
+    });
+    fila = vez.catch(() => {});
+    return vez;
+  };
+
+  return {
+    async geocodificar({ texto }) {
+      await aguardarVez();
+      const response = await fetch(
+        `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(texto)}&limit=1&countrycodes=br&addressdetails=1`,
+        {
+          headers: {
+            'User-Agent': process.env.GEOCODER_USER_AGENT || 'SistemaRHCurriculos/1.0',
+            'Accept-Language': 'pt-BR,pt;q=0.9'
+          },
+          signal: AbortSignal.timeout(10000)
+        }
+      );
+      if (!response.ok) throw new Error(`Nominatim respondeu ${response.status}`);
+
+      const data = await response.json();
+      if (!data?.length) return null;
+      return {
+        lat: parseFloat(data[0].lat),
+        lon: parseFloat(data[0].lon),
+        endereco: data[0].display_name,
+        tipo: data[0].type,
+        importancia: data[0].importance
+      };
+    }
+  };
+});
+
+/**
+ * Base offline em JSON (GEOCODER_DATASET), sem nível de rua:
+ *   [{ "cep": "57300000", "cidade": "Arapiraca", "bairro": "Centro", "lat": -9.75, "lon": -36.66 }, ...]
+ * "cep" pode ter 8 dígitos ou só o prefixo de 5; "bairro" é opcional (registro da cidade).
+ */
+registrarGeocodificador('local', () => {
+  const arquivo = process.env.GEOCODER_DATASET;
+  if (!arquivo) throw new Error('GEOCODER_DATASET não configurado para o geocodificador local.');
+  const registros = JSON.parse(fs.readFileSync(arquivo, 'utf8')).map((r) => ({
+    ...r,
+    cep: String(r.cep || '').replace(/\D/g, ''),
+    cidadeNorm: slugify(r.cidade),
+    bairroNorm: slugify(r.bairro)
+  }));
+
+  const resultado = (r, precisao) => r && {
+    lat: Number(r.lat),
+    lon: Number(r.lon),
+    endereco: [r.bairro, r.cidade].filter(Boolean).join(', '),
+    tipo: 'base_local',
+    precisao
+  };
+
+  return {
+    async geocodificar({ cep, bairro, cidade }) {
+      const digitos = String(cep || '').replace(/\D/g, '');
+      if (digitos.length === 8) {
+        const exato = registros.find((r) => r.cep === digitos);
+        if (exato) return resultado(exato, PRECISAO_GEO.CEP);
+        const prefixo = registros.find((r) => r.cep.length === 5 && digitos.startsWith(r.cep));
+        if (prefixo) return resultado(prefixo, PRECISAO_GEO.CEP);
+      }
+
+      const cidadeNorm = slugify(cidade);
+      if (!cidadeNorm) return null;
+      const bairroNorm = slugify(bairro);
+      if (bairroNorm) {
+        const noBairro = registros.find((r) => r.cidadeNorm === cidadeNorm && r.bairroNorm === bairroNorm);
+        if (noBairro) return resultado(noBairro, PRECISAO_GEO.BAIRRO);
+      }
+      return resultado(registros.find((r) => r.cidadeNorm === cidadeNorm && !r.bairroNorm), PRECISAO_GEO.CIDADE) || null;
+    }
+  };
+});
+
+// Provedor de teste: coordenadas determinísticas a até ~20 km do mercado, sem rede
+registrarGeocodificador('stub', () => ({
+  async geocodificar({ texto }) {
+    const h = sha256(slugify(texto));
+    const desvio = (hex) => (parseInt(hex, 16) / 0xffff - 0.5) * 0.36;
+    return {
+      lat: Number((COORDENADAS_MERCADO.lat + desvio(h.slice(0, 4))).toFixed(6)),
+      lon: Number((COORDENADAS_MERCADO.lon + desvio(h.slice(4, 8))).toFixed(6)),
+      endereco: texto,
+      tipo: 'stub'
+    };
+  }
+}));
+
+/* =========================
+   CACHE (tabela geocodificacao_cache)
+========================= */
+const chaveCache = (consulta) => consulta.precisao === PRECISAO_GEO.CEP
+  ? `cep:${consulta.cep}`
+  : `${consulta.precisao}:${slugify(consulta.texto)}`;
+
+/**
+ * Geocodifica uma consulta passando pelo cache.
+ * Retorna { resultado, origem: 'cache' | provedor } ou { erro } em falha do provedor.
+ */
+export async function geocodificarConsulta(supabase, consulta) {
+  const chave = chaveCache(consulta);
+
+  const { data: emCache, error: cacheErr } = await supabase
+    .from('geocodificacao_cache')
+    .select('*')
+    .eq('chave', chave)
+    .maybeSingle();
+  if (cacheErr) console.warn('[GEO] Falha ao ler cache:', cacheErr.message);
+
+  if (emCache && (!emCache.expira_em || new Date(emCache.expira_em) > new Date())) {
+    return {
+      origem: 'cache',
+      resultado: emCache.encontrado
+        ? { lat: emCache.lat, lon: emCache.lon, endereco: emCache.endereco_encontrado, tipo: emCache.tipo, precisao: emCache.precisao, fonte: emCache.fonte }
+        : null
+    };
+  }
+
+  const provedor = geocodificador();
+  let resultado;
+  try {
+    resultado = await provedor.geocodificar(consulta);
+  } catch (error) {
+    console.error(`[GEO] Erro no geocodificador ${provedor.nome}:`, error.message);
+    return { erro: error.message };
+  }
+
+  if (resultado) {
+    resultado = { ...resultado, precisao: resultado.precisao || consulta.precisao, fonte: provedor.nome };
+  }
+
+  const agora = new Date();
+  const { error: gravarErr } = await supabase
+    .from('geocodificacao_cache')
+    .upsert({
+      chave,
+      consulta: consulta.texto,
+      encontrado: Boolean(resultado),
+      lat: resultado?.lat ?? null,
+      lon: resultado?.lon ?? null,
+      endereco_encontrado: resultado?.endereco ?? null,
+      tipo: resultado?.tipo ?? null,
+      precisao: resultado?.precisao ?? null,
+      fonte: provedor.nome,
+      criado_em: agora.toISOString(),
+      expira_em: resultado ? null : new Date(agora.getTime() + DIAS_CACHE_NEGATIVO * 86400000).toISOString()
+    }, { onConflict: 'chave' });
+  if (gravarErr) console.warn('[GEO] Falha ao gravar cache:', gravarErr.message);
+
+  return { origem: provedor.nome, resultado };
+}
+
+// Endereço em texto livre (rotas do painel)
+export async function geocodificarEndereco(supabase, endereco) {
+  const { resultado, erro } = await geocodificarConsulta(supabase, { texto: String(endereco).trim(), precisao: PRECISAO_GEO.ENDERECO });
+  return erro ? null : resultado;
+}
+
+/* =========================
+   CANDIDATURAS
+========================= */
+
+// Consultas do endereço completo até só a cidade
+function consultasCandidatura({ rua, bairro, cidade, uf, cep }) {
+  const digitos = String(cep || '').replace(/\D/g, '');
+  const cepFormatado = digitos.length === 8 ? `${digitos.slice(0, 5)}-${digitos.slice(5)}` : null;
+  const base = { cep: digitos.length === 8 ? digitos : null, bairro, cidade };
+  const texto = (...partes) => [...partes, 'Brasil'].filter(Boolean).join(', ');
+  const local = cidade && uf ? `${cidade} - ${uf}` : cidade;
+
+  return [
+    rua && cidade && { ...base, precisao: PRECISAO_GEO.ENDERECO, texto: texto(rua, bairro, local, cepFormatado) },
+    cepFormatado && { ...base, precisao: PRECISAO_GEO.CEP, texto: texto(cepFormatado) },
+    bairro && cidade && { ...base, precisao: PRECISAO_GEO.BAIRRO, texto: texto(bairro, local) },
+    cidade && { ...base, precisao: PRECISAO_GEO.CIDADE, texto: texto(local) }
+  ].filter(Boolean);
+}
+
+/**
+ * Geocodifica a candidatura e grava coordenadas e distância até o mercado.
+ * Retorna os campos gravados ({ geo_status, latitude, longitude, distancia_km, ... }).
+ */
+export async function geocodificarCandidatura(supabase, candidatura) {
+  let campos = { geo_status: STATUS_GEO.NAO_ENCONTRADO };
+
+  for (const consulta of consultasCandidatura(candidatura)) {
+    const { resultado, erro } = await geocodificarConsulta(supabase, consulta);
+    if (erro) {
+      campos = { geo_status: STATUS_GEO.ERRO };
+      break;
+    }
+    if (resultado) {
+      campos = {
+        geo_status: STATUS_GEO.OK,
+        latitude: resultado.lat,
+        longitude: resultado.lon,
+        geo_precisao: resultado.precisao,
+        geo_fonte: resultado.fonte,
+        distancia_km: distanciaAteMercado(resultado)
+      };
+      break;
+    }
+  }
+
+  if (campos.geo_status !== STATUS_GEO.OK) {
+    Object.assign(campos, { latitude: null, longitude: null, geo_precisao: null, geo_fonte: null, distancia_km: null });
+  }
+  campos.geocodificado_em = new Date().toISOString();
+
+  const { error } = await supabase.from('candidaturas').update(campos).eq('id', candidatura.id);
+  if (error) {
+    console.error(`[GEO] Erro ao gravar coordenadas de ${candidatura.id}:`, error);
+    return { error };
+  }
+  return { ...campos, error: null };
+}
+
+// Executa em segundo plano (não atrasa a resposta ao candidato)
+export function agendarGeocodificacao(supabase, candidatura) {
+  setImmediate(() => {
+    geocodificarCandidatura(supabase, candidatura)
+      .catch((err) => console.error(`[GEO] Falha ao geocodificar ${candidatura.id}:`, err));
+  });
+}
+
+/**
+ * Geocodifica candidaturas ainda sem coordenadas (novas ou com erro do provedor).
+ * Retorna { processadas, encontradas, nao_encontradas, erros }.
+ */
+export async function geocodificarPendentes(supabase, { limite = 50 } = {}) {
+  const { data: rows, error } = await supabase
+    .from('candidaturas')
+    .select('id, rua, bairro, cidade, uf, cep')
+    .or(`geo_status.is.null,geo_status.eq.${STATUS_GEO.ERRO}`)
+    .order('enviado_em', { ascending: false })
+    .limit(limite);
+  if (error) return { error };
+
+  const resumo = { processadas: 0, encontradas: 0, nao_encontradas: 0, erros: 0 };
+  for (const row of rows) {
+    const { geo_status, error: gravarErr } = await geocodificarCandidatura(supabase, row);
+    resumo.processadas++;
+    if (gravarErr || geo_status === STATUS_GEO.ERRO) resumo.erros++;
+    else if (geo_status === STATUS_GEO.OK) resumo.encontradas++;
+    else resumo.nao_encontradas++;
+  }
+  return { ...resumo, error: null };
+}
+
+/**
+ * Distâncias de todas as candidaturas de uma vaga até o mercado.
+ * Recalcula a distância de quem já tem coordenadas e geocodifica até
+ * `limiteGeocodificacao` candidaturas ainda sem coordenadas (o restante fica em
+ * `pendentes`, para uma nova chamada). `regeocodificar` refaz também as já processadas.
+ * Devolve a lista ordenada da mais próxima à mais distante.
+ */
+export async function calcularDistanciasVaga(supabase, vaga, { limiteGeocodificacao = 100, regeocodificar = false } = {}) {
+  const rows = [];
+  for (let offset = 0; ; offset += 1000) {
+    const { data, error } = await supabase
+      .from('candidaturas')
+      .select('id, nome, cidade, uf, bairro, rua, cep, status, latitude, longitude, distancia_km, geo_status, geo_precisao')
+      .eq('vaga', vaga)
+      .order('id')
+      .range(offset, offset + 999);
+    if (error) return { error };
+    rows.push(...data);
+    if (data.length < 1000) break;
+  }
+
+  const resumo = { total: rows.length, recalculadas: 0, geocodificadas: 0, pendentes: 0 };
+
+  for (const row of rows) {
+    const temCoordenadas = row.latitude != null && row.longitude != null;
+
+    if (temCoordenadas && !regeocodificar) {
+      const distancia = distanciaAteMercado({ lat: row.latitude, lon: row.longitude });
+      if (Number(row.distancia_km) !== distancia) {
+        const { error } = await supabase.from('candidaturas').update({ distancia_km: distancia }).eq('id', row.id);
+        if (error) return { error };
+        resumo.recalculadas++;
+      }
+      row.distancia_km = distancia;
+      continue;
+    }
+
+    // Já processadas sem sucesso só voltam ao geocodificador quando pedido
+    const jaProcessada = row.geo_status === STATUS_GEO.NAO_ENCONTRADO;
+    if ((jaProcessada && !regeocodificar) || resumo.geocodificadas >= limiteGeocodificacao) {
+      if (!jaProcessada) resumo.pendentes++;
+      continue;
+    }
+
+    const { error, ...campos } = await geocodificarCandidatura(supabase, row);
+    if (error) return { error };
+    Object.assign(row, campos);
+    resumo.geocodificadas++;
+  }
+
+  const candidaturas = rows
+    .map((r) => ({
+      id: r.id,
+      nome: r.nome,
+      cidade: r.cidade,
+      bairro: r.bairro,
+      status: r.status,
+      geo_status: r.geo_status,
+      geo_precisao: r.geo_precisao,
+      distancia_km: r.distancia_km == null ? null : Number(r.distancia_km),
+      tempo_estimado_minutos: r.distancia_km == null ? null : calcularTempoEstimado(Number(r.distancia_km), r.cidade)
+    }))
+    .sort((a, b) => (a.distancia_km ?? Infinity) - (b.distancia_km ?? Infinity));
+
+  return { ...resumo, candidaturas, error: null };
+}
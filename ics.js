@@ -0,0 +1,69 @@
+// ics.js - Geração de calendários iCalendar (RFC 5545) para a agenda de entrevistas
+
+const PRODID = '-//SistemaRHCurriculos//Entrevistas//PT-BR';
+
+// 20260115T143000Z
+const dataIcs = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapar = (s) =>
+  String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Linhas com mais de 75 octetos são dobradas (continuação começa com espaço)
+function dobrar(linha) {
+  const bytes = Buffer.from(linha, 'utf8');
+  if (bytes.length <= 75) return linha;
+
+  const partes = [];
+  let atual = '';
+  for (const ch of linha) {
+    const limite = partes.length ? 74 : 75;
+    if (Buffer.byteLength(atual + ch, 'utf8') > limite) {
+      partes.push(atual);
+      atual = '';
+    }
+    atual += ch;
+  }
+  partes.push(atual);
+  return partes.join('\r\n ');
+}
+
+/**
+ * Monta um VCALENDAR com um VEVENT por item.
+ * evento: { uid, inicio, fim, titulo, descricao, local, cancelado, sequencia, atualizado_em }
+ */
+export function gerarIcs(eventos, { nome = 'Entrevistas' } = {}) {
+  const agora = dataIcs(new Date());
+  const linhas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapar(nome)}`,
+    'X-WR-TIMEZONE:America/Maceio',
+  ];
+
+  for (const e of eventos) {
+    linhas.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${agora}`,
+      `DTSTART:${dataIcs(e.inicio)}`,
+      `DTEND:${dataIcs(e.fim)}`,
+      `SUMMARY:${escapar(e.titulo)}`,
+      `SEQUENCE:${e.sequencia || 0}`,
+      `STATUS:${e.cancelado ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+    if (e.local) linhas.push(`LOCATION:${escapar(e.local)}`);
+    if (e.descricao) linhas.push(`DESCRIPTION:${escapar(e.descricao)}`);
+    if (e.atualizado_em) linhas.push(`LAST-MODIFIED:${dataIcs(e.atualizado_em)}`);
+    linhas.push('END:VEVENT');
+  }
+
+  linhas.push('END:VCALENDAR');
+  return linhas.map(dobrar).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,219 @@
+// limite-requisicoes.js - Limite de requisições por rota, com armazenamento plugável
+//   RATE_LIMIT_STORE=memoria  contadores no processo, com expiração (padrão sem REDIS_URL)
+//   RATE_LIMIT_STORE=redis    contadores compartilhados entre instâncias (REDIS_URL=redis://... ou rediss://...)
+//   RATE_LIMIT_POLITICAS      JSON que ajusta as políticas: {"login": {"limite": 5, "janela": 600}}
+import 'dotenv/config';
+import Redis from 'ioredis';
+import { criarRegistro, ipCliente } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+const REDIS_URL = process.env.REDIS_URL || '';
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || (REDIS_URL ? 'redis' : 'memoria');
+const PREFIXO = process.env.RATE_LIMIT_PREFIXO || 'rl:';
+const REDIS_TIMEOUT_MS = Math.max(100, Number(process.env.REDIS_TIMEOUT_MS || 1000));
+// Teto de chaves no armazenamento em memória (as mais antigas saem primeiro)
+const MAX_CHAVES_MEMORIA = 100_000;
+
+const MENSAGEM_PADRAO = 'Muitas requisições. Tente novamente em instantes.';
+
+// Políticas por rota. limite: requisições por IP a cada `janela` segundos; ativo: false desliga.
+const POLITICAS_PADRAO = {
+  login: {
+    limite: 10,
+    janela: 900,
+    mensagem: 'Muitas tentativas de login. Aguarde alguns minutos e tente novamente.'
+  },
+  envio: { limite: 10, janela: 600 },
+  codigo_verificacao: {
+    limite: 5,
+    janela: 900,
+    mensagem: 'Muitos códigos solicitados. Aguarde alguns minutos e tente novamente.'
+  },
+  candidato: { limite: 30, janela: 60 },
+  cep: { limite: 30, janela: 60 },
+  vagas: { limite: 120, janela: 60 },
+  desafio: { limite: 30, janela: 60 }
+};
+
+function lerPoliticas() {
+  const politicas = Object.fromEntries(
+    Object.entries(POLITICAS_PADRAO).map(([nome, p]) => [nome, { ativo: true, ...p }])
+  );
+  if (!process.env.RATE_LIMIT_POLITICAS) return politicas;
+
+  let ajustes;
+  try {
+    ajustes = JSON.parse(process.env.RATE_LIMIT_POLITICAS);
+  } catch {
+    console.warn('[WARN] RATE_LIMIT_POLITICAS não é um JSON válido; usando as políticas padrão.');
+    return politicas;
+  }
+
+  for (const [nome, ajuste] of Object.entries(ajustes || {})) {
+    const politica = politicas[nome];
+    if (!politica) {
+      console.warn(`[WARN] RATE_LIMIT_POLITICAS: política "${nome}" desconhecida.`);
+      continue;
+    }
+    for (const campo of ['limite', 'janela']) {
+      if (ajuste?.[campo] === undefined) continue;
+      const valor = Number(ajuste[campo]);
+      if (!Number.isInteger(valor) || valor < 1) {
+        console.warn(`[WARN] RATE_LIMIT_POLITICAS: ${nome}.${campo} deve ser um inteiro positivo.`);
+        continue;
+      }
+      politica[campo] = valor;
+    }
+    if (typeof ajuste?.ativo === 'boolean') politica.ativo = ajuste.ativo;
+  }
+  return politicas;
+}
+
+export const POLITICAS = lerPoliticas();
+
+/* =========================
+   ARMAZENAMENTOS
+   incrementar(chave, janelaMs) soma uma requisição à janela atual da chave e
+   devolve { total, reiniciaEm } (timestamp em ms do fim da janela).
+   reiniciar(chave) zera a chave. Falhas lançam erro.
+========================= */
+const armazenamentos = criarRegistro('Armazenamento de limite de requisições', RATE_LIMIT_STORE);
+
+export const registrarArmazenamento = armazenamentos.registrar;
+
+// Armazenamento configurado; se não puder ser criado, a memória local assume
+export const armazenamento = () => armazenamentos.obter((error) => {
+  console.warn(`[WARN] ${error.message} Usando memória local.`);
+  return armazenamentos.criar('memoria');
+});
+
+// Janela fixa; as chaves vencidas são varridas a cada minuto
+registrarArmazenamento('memoria', () => {
+  const contadores = new Map();
+
+  const varrer = () => {
+    const agora = Date.now();
+    for (const [chave, contador] of contadores) {
+      if (contador.reiniciaEm <= agora) contadores.delete(chave);
+    }
+  };
+  setInterval(varrer, 60_000).unref();
+
+  return {
+    async incrementar(chave, janelaMs) {
+      const agora = Date.now();
+      let contador = contadores.get(chave);
+
+      if (!contador || contador.reiniciaEm <= agora) {
+        contadores.delete(chave);
+        if (contadores.size >= MAX_CHAVES_MEMORIA) varrer();
+        if (contadores.size >= MAX_CHAVES_MEMORIA) contadores.delete(contadores.keys().next().value);
+        contador = { total: 0, reiniciaEm: agora + janelaMs };
+        contadores.set(chave, contador);
+      }
+
+      contador.total++;
+      return { total: contador.total, reiniciaEm: contador.reiniciaEm };
+    },
+    async reiniciar(chave) {
+      contadores.delete(chave);
+    }
+  };
+});
+
+/* =========================
+   REDIS
+   Cliente ioredis (Redis, Valkey, KeyDB e serviços compatíveis). Comandos sem
+   resposta em REDIS_TIMEOUT_MS falham e o middleware conta na memória local.
+========================= */
+
+// INCR + expiração na primeira requisição da janela, em uma operação atômica
+const SCRIPT_INCREMENTAR = `
+local total = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { total, ttl }
+`;
+
+registrarArmazenamento('redis', () => {
+  if (!REDIS_URL) throw new Error('REDIS_URL não configurado para o armazenamento redis.');
+  const redis = new Redis(REDIS_URL, {
+    commandTimeout: REDIS_TIMEOUT_MS,
+    connectTimeout: REDIS_TIMEOUT_MS,
+    maxRetriesPerRequest: 1
+  });
+  // Falhas de conexão chegam aos comandos (aviso no middleware); a reconexão é automática
+  redis.on('error', () => {});
+  redis.defineCommand('incrementarJanela', { numberOfKeys: 1, lua: SCRIPT_INCREMENTAR });
+
+  return {
+    async incrementar(chave, janelaMs) {
+      const [total, ttl] = await redis.incrementarJanela(chave, janelaMs);
+      return { total, reiniciaEm: Date.now() + ttl };
+    },
+    async reiniciar(chave) {
+      await redis.del(chave);
+    }
+  };
+});
+
+/* =========================
+   MIDDLEWARE
+========================= */
+let reserva = null;
+let ultimoAviso = 0;
+
+// Armazenamento indisponível: conta na memória desta instância em vez de bloquear a API
+async function incrementar(chave, janelaMs) {
+  const atual = armazenamento();
+  try {
+    return await atual.incrementar(chave, janelaMs);
+  } catch (error) {
+    if (atual.nome === 'memoria') throw error;
+    if (Date.now() - ultimoAviso > 60_000) {
+      ultimoAviso = Date.now();
+      console.warn(`[RATE LIMIT] Armazenamento ${atual.nome} indisponível, usando memória local:`, error.message || error);
+    }
+    reserva ??= armazenamentos.criar('memoria');
+    return reserva.incrementar(chave, janelaMs);
+  }
+}
+
+/**
+ * Aplica a política `nome` (POLITICAS). Responde com os cabeçalhos RateLimit-*
+ * (limite, restantes e segundos até o fim da janela) e, acima do limite, 429
+ * com Retry-After.
+ */
+export function limitarRequisicoes(nome) {
+  const politica = POLITICAS[nome];
+  if (!politica) throw new Error(`Política de limite de requisições desconhecida: "${nome}".`);
+
+  return async (req, res, next) => {
+    if (!politica.ativo || req.method === 'OPTIONS') return next();
+
+    let contagem;
+    try {
+      contagem = await incrementar(`${PREFIXO}${nome}:${ipCliente(req)}`, politica.janela * 1000);
+    } catch (error) {
+      console.error('[RATE LIMIT] Erro ao contar requisição:', error.message || error);
+      return next();
+    }
+
+    const reinicio = Math.max(0, Math.ceil((contagem.reiniciaEm - Date.now()) / 1000));
+    res.setHeader('RateLimit-Policy', `${politica.limite};w=${politica.janela}`);
+    res.setHeader('RateLimit-Limit', politica.limite);
+    res.setHeader('RateLimit-Remaining', Math.max(0, politica.limite - contagem.total));
+    res.setHeader('RateLimit-Reset', reinicio);
+
+    if (contagem.total > politica.limite) {
+      res.setHeader('Retry-After', reinicio);
+      return res.status(429).json({ message: politica.mensagem || MENSAGEM_PADRAO });
+    }
+    next();
+  };
+}
@@ -0,0 +1,270 @@
+// localidades.js - Cidades e bairros canônicos: associação no envio, apelidos e mesclagem
+import { UFS } from './constantes.js';
+import { nomeLocalidade, normalizarLocalidade } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+
+// Cidade do mercado, destacada nas estatísticas
+export const CIDADE_MERCADO = { nome: 'Arapiraca', uf: 'AL' };
+
+export const ehCidadeMercado = ({ cidade, uf }) =>
+  normalizarLocalidade(cidade) === normalizarLocalidade(CIDADE_MERCADO.nome) && (!uf || uf === CIDADE_MERCADO.uf);
+
+// Cidades e bairros seguem as mesmas operações (sql/013_localidades.sql)
+export const TIPO_LOCALIDADE = {
+  cidade: {
+    tabela: 'cidades', apelidos: 'cidade_aliases', coluna: 'cidade_id', campo: 'cidade', mesclar: 'mesclar_cidades',
+    obrigatorio: 'Nome da cidade é obrigatório.', naoEncontrada: 'Cidade não encontrada.', existente: 'Já existe uma cidade com este nome.'
+  },
+  bairro: {
+    tabela: 'bairros', apelidos: 'bairro_aliases', coluna: 'bairro_id', campo: 'bairro', mesclar: 'mesclar_bairros',
+    obrigatorio: 'Nome do bairro é obrigatório.', naoEncontrada: 'Bairro não encontrado.', existente: 'Já existe um bairro com este nome nesta cidade.'
+  }
+};
+
+const MAX_NOME = 120;
+const LOTE_CONTAGEM = 1000;
+
+/* =========================
+   ASSOCIAÇÃO NO ENVIO
+========================= */
+
+/**
+ * Associa cidade/bairro informados às localidades canônicas (criando as que não
+ * existem, para revisão no painel).
+ * Retorna { cidade_id, cidade, uf, bairro_id, bairro } ou null sem cidade informada.
+ */
+export async function resolverLocalidade(supabase, { cidade, uf, bairro }) {
+  const { data, error } = await supabase.rpc('resolver_localidade', {
+    p_cidade: cidade ?? null,
+    p_uf: uf ?? null,
+    p_bairro: bairro ?? null
+  });
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Reassocia as candidaturas que ficaram sem cidade (ex.: falha no envio)
+export async function renormalizarLocalidades(supabase) {
+  const { data, error } = await supabase.rpc('renormalizar_localidades');
+  if (error) throw error;
+  return data || 0;
+}
+
+/* =========================
+   CONSULTA
+========================= */
+
+// Candidaturas por cidade_id e por bairro_id (paginado: o PostgREST limita cada select)
+async function contarCandidaturas(supabase) {
+  const porCidade = new Map();
+  const porBairro = new Map();
+
+  for (let inicio = 0; ; inicio += LOTE_CONTAGEM) {
+    const { data, error } = await supabase
+      .from('candidaturas')
+      .select('cidade_id, bairro_id')
+      .order('id')
+      .range(inicio, inicio + LOTE_CONTAGEM - 1);
+    if (error) throw error;
+
+    for (const { cidade_id, bairro_id } of data) {
+      if (cidade_id) porCidade.set(cidade_id, (porCidade.get(cidade_id) || 0) + 1);
+      if (bairro_id) porBairro.set(bairro_id, (porBairro.get(bairro_id) || 0) + 1);
+    }
+    if (data.length < LOTE_CONTAGEM) break;
+  }
+
+  return { porCidade, porBairro };
+}
+
+async function listarApelidos(supabase, tipo, ids) {
+  const { apelidos, coluna } = TIPO_LOCALIDADE[tipo];
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase.from(apelidos).select('id, alias_norm, ' + coluna).in(coluna, ids);
+  if (error) throw error;
+
+  const mapa = new Map();
+  data.forEach((a) => mapa.set(a[coluna], [...(mapa.get(a[coluna]) || []), { id: a.id, alias: a.alias_norm }]));
+  return mapa;
+}
+
+/**
+ * Cidades (ou os bairros de uma cidade) com apelidos e total de candidaturas.
+ * As não revisadas vêm primeiro, depois as com mais candidaturas.
+ * Filtros: { revisado: true|false, busca, cidade_id (bairros) }
+ */
+export async function listarLocalidades(supabase, tipo, { revisado, busca, cidade_id } = {}) {
+  const { tabela, coluna } = TIPO_LOCALIDADE[tipo];
+
+  let query = supabase.from(tabela).select('*');
+  if (cidade_id) query = query.eq('cidade_id', cidade_id);
+  if (typeof revisado === 'boolean') query = query.eq('revisado', revisado);
+  if (busca) query = query.ilike('nome_norm', `%${normalizarLocalidade(busca)}%`);
+
+  const { data, error } = await query.order('nome');
+  if (error) throw error;
+
+  const [contagem, apelidos] = await Promise.all([
+    contarCandidaturas(supabase),
+    listarApelidos(supabase, tipo, data.map((l) => l.id))
+  ]);
+  const totais = tipo === 'cidade' ? contagem.porCidade : contagem.porBairro;
+
+  return data
+    .map((l) => ({ ...l, aliases: apelidos.get(l.id) || [], candidaturas: totais.get(l.id) || 0 }))
+    .sort((a, b) => Number(a.revisado) - Number(b.revisado) || b.candidaturas - a.candidaturas);
+}
+
+export async function buscarLocalidade(supabase, tipo, id) {
+  const { data, error } = await supabase.from(TIPO_LOCALIDADE[tipo].tabela).select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/* =========================
+   CADASTRO E EDIÇÃO
+========================= */
+
+/**
+ * Valida { nome, uf, revisado }. `atual` é o registro existente (PUT).
+ * Retorna { ok, message } ou { ok, campos } somente com os campos enviados.
+ */
+export function validarLocalidade(tipo, body, atual = null) {
+  const campos = {};
+
+  if (body.nome !== undefined) {
+    const nome = nomeLocalidade(body.nome);
+    if (!normalizarLocalidade(nome)) return { ok: false, message: TIPO_LOCALIDADE[tipo].obrigatorio };
+    if (nome.length > MAX_NOME) return { ok: false, message: `O nome excede ${MAX_NOME} caracteres.` };
+    campos.nome = nome;
+    campos.nome_norm = normalizarLocalidade(nome);
+  } else if (!atual) {
+    return { ok: false, message: TIPO_LOCALIDADE[tipo].obrigatorio };
+  }
+
+  if (tipo === 'cidade' && body.uf !== undefined) {
+    const uf = String(body.uf ?? '').trim().toUpperCase() || null;
+    if (uf && !UFS.includes(uf)) return { ok: false, message: 'UF inválida.' };
+    campos.uf = uf;
+  }
+
+  if (body.revisado !== undefined) {
+    if (typeof body.revisado !== 'boolean') return { ok: false, message: 'O campo revisado deve ser verdadeiro ou falso.' };
+    campos.revisado = body.revisado;
+  }
+
+  return { ok: true, campos };
+}
+
+const conflitoNome = (tipo) => ({
+  ok: false,
+  code: 409,
+  message: `${TIPO_LOCALIDADE[tipo].existente} Use a mesclagem para unificar os registros.`
+});
+
+// Cadastro manual pelo painel: já entra como revisada
+export async function criarLocalidade(supabase, tipo, campos) {
+  const { data, error } = await supabase
+    .from(TIPO_LOCALIDADE[tipo].tabela)
+    .insert([{ revisado: true, ...campos }])
+    .select()
+    .single();
+
+  if (error?.code === '23505') return conflitoNome(tipo);
+  if (error) return { ok: false, code: 500, error, message: 'Erro ao cadastrar localidade.' };
+  return { ok: true, localidade: data };
+}
+
+/**
+ * Atualiza nome/UF/revisado. Ao renomear, a grafia anterior vira apelido e as
+ * candidaturas associadas passam a exibir o novo nome.
+ */
+export async function atualizarLocalidade(supabase, tipo, atual, campos) {
+  const { tabela, apelidos, coluna, campo } = TIPO_LOCALIDADE[tipo];
+
+  const { data, error } = await supabase.from(tabela).update(campos).eq('id', atual.id).select().single();
+  if (error?.code === '23505') return conflitoNome(tipo);
+  if (error) return { ok: false, code: 500, error, message: 'Erro ao atualizar localidade.' };
+
+  if (data.nome_norm !== atual.nome_norm) {
+    await supabase.from(apelidos).delete().eq(coluna, atual.id).eq('alias_norm', data.nome_norm);
+    const { error: aliasError } = await supabase.from(apelidos).insert([{ [coluna]: atual.id, alias_norm: atual.nome_norm }]);
+    if (aliasError && aliasError.code !== '23505') {
+      console.warn('[LOCALIDADES] Erro ao registrar grafia anterior:', aliasError.message);
+    }
+  }
+
+  if (data.nome !== atual.nome) {
+    const { error: candError } = await supabase.from('candidaturas').update({ [campo]: data.nome }).eq(coluna, atual.id);
+    if (candError) return { ok: false, code: 500, error: candError, message: 'Erro ao atualizar as candidaturas da localidade.' };
+  }
+
+  return { ok: true, localidade: data };
+}
+
+/* =========================
+   APELIDOS E MESCLAGEM
+========================= */
+
+/**
+ * Registra outra grafia para a localidade. Se a grafia já é o nome de outra
+ * cidade/bairro, a unificação deve ser feita pela mesclagem.
+ */
+export async function adicionarApelido(supabase, tipo, localidade, texto) {
+  const { tabela, apelidos, coluna } = TIPO_LOCALIDADE[tipo];
+  const alias = normalizarLocalidade(texto);
+
+  if (!alias) return { ok: false, code: 400, message: 'Informe a grafia a associar.' };
+  if (alias === localidade.nome_norm) return { ok: false, code: 400, message: 'A grafia já corresponde ao nome cadastrado.' };
+
+  let query = supabase.from(tabela).select('id, nome').eq('nome_norm', alias).neq('id', localidade.id);
+  query = tipo === 'cidade'
+    ? (localidade.uf ? query.eq('uf', localidade.uf) : query)
+    : query.eq('cidade_id', localidade.cidade_id);
+  const { data: existentes, error: buscaError } = await query;
+  if (buscaError) return { ok: false, code: 500, error: buscaError, message: 'Erro ao registrar apelido.' };
+
+  if (existentes.length) {
+    return {
+      ok: false,
+      code: 409,
+      message: `"${existentes[0].nome}" já está cadastrado com esta grafia. Use a mesclagem para unificar os registros.`,
+      conflito: existentes[0]
+    };
+  }
+
+  const { data, error } = await supabase.from(apelidos).insert([{ [coluna]: localidade.id, alias_norm: alias }]).select().single();
+  if (error?.code === '23505') return { ok: false, code: 409, message: 'Esta grafia já está associada.' };
+  if (error) return { ok: false, code: 500, error, message: 'Erro ao registrar apelido.' };
+  return { ok: true, apelido: { id: data.id, alias: data.alias_norm } };
+}
+
+export async function removerApelido(supabase, tipo, localidadeId, apelidoId) {
+  const { apelidos, coluna } = TIPO_LOCALIDADE[tipo];
+  const { data, error } = await supabase.from(apelidos).delete().eq('id', apelidoId).eq(coluna, localidadeId).select();
+
+  if (error) return { ok: false, code: 500, error, message: 'Erro ao remover apelido.' };
+  if (!data.length) return { ok: false, code: 404, message: 'Apelido não encontrado.' };
+  return { ok: true, apelido: data[0] };
+}
+
+/**
+ * Mescla a origem no destino (sql/013_localidades.sql): candidaturas, bairros e
+ * apelidos passam para o destino e o nome da origem vira apelido dele.
+ */
+export async function mesclarLocalidades(supabase, tipo, origem, destino) {
+  const { error } = await supabase.rpc(TIPO_LOCALIDADE[tipo].mesclar, { p_origem: origem, p_destino: destino });
+
+  if (error) {
+    const mensagem = String(error.message);
+    if (mensagem.includes('mesma_localidade')) return { ok: false, code: 400, message: 'Origem e destino devem ser diferentes.' };
+    if (mensagem.includes('localidade_nao_encontrada')) return { ok: false, code: 404, message: TIPO_LOCALIDADE[tipo].naoEncontrada };
+    return { ok: false, code: 500, error, message: 'Erro ao mesclar localidades.' };
+  }
+
+  return { ok: true };
+}
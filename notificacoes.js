@@ -0,0 +1,262 @@
+// notificacoes.js - Notificações por e-mail aos candidatos e à equipe (templates + fila de envio)
+import { STATUS_CANDIDATURA, statusParaCandidato } from './constantes.js';
+import { enviarEmail } from './email.js';
+import { toBR } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+export const STATUS_NOTIFICACAO = {
+  PENDENTE: 'pendente',
+  ENVIANDO: 'enviando',
+  ENVIADO: 'enviado',
+  FALHOU: 'falhou'
+};
+
+export const EVENTO = {
+  CANDIDATURA_RECEBIDA: 'candidatura_recebida',
+  STATUS_ALTERADO: 'status_alterado',
+  // Aviso ao analista responsável quando o candidato atualiza a candidatura pelo portal
+  CANDIDATURA_ATUALIZADA: 'candidatura_atualizada',
+  // Enviados pelo agendador (resumos.js) à equipe
+  RESUMO_DIARIO: 'resumo_diario',
+  CANDIDATURAS_PARADAS: 'candidaturas_paradas'
+};
+
+const MAX_TENTATIVAS = Math.max(1, Number(process.env.NOTIFICACOES_MAX_TENTATIVAS || 5));
+// Reserva em 'enviando' mais antiga que isto é de uma instância que caiu durante o envio
+const RESERVA_MIN = Math.max(1, Number(process.env.NOTIFICACOES_RESERVA_MIN || 10));
+
+// Variáveis disponíveis nos templates: {{nome}}, {{vaga}}, {{status}}, {{status_descricao}}, {{data}}.
+// No aviso à equipe também {{responsavel}} (analista) e {{alteracoes}} (uma linha por alteração);
+// no resumo diário {{resumo}} e no lembrete {{candidaturas}} (uma linha por candidatura) e {{dias}}.
+export const VARIAVEIS_TEMPLATE = [
+  'nome', 'vaga', 'status', 'status_descricao', 'data', 'responsavel', 'alteracoes', 'resumo', 'candidaturas', 'dias'
+];
+
+export const chaveStatus = (status) => `status:${status}`;
+
+/* =========================
+   TEMPLATES PADRÃO (pt-BR)
+   Podem ser sobrescritos pelo admin (tabela notificacao_templates).
+========================= */
+const ASSINATURA = '\n\nAtenciosamente,\nEquipe de Recrutamento e Seleção';
+
+export const TEMPLATES_PADRAO = {
+  [EVENTO.CANDIDATURA_RECEBIDA]: {
+    assunto: 'Recebemos sua candidatura para {{vaga}}',
+    corpo:
+      'Olá, {{nome}}.\n\n' +
+      'Recebemos sua candidatura para a vaga "{{vaga}}" em {{data}}. ' +
+      'Nossa equipe vai analisar seu currículo e entraremos em contato caso seu perfil seja selecionado.\n\n' +
+      'Você pode acompanhar o andamento no portal do candidato usando seu CPF e o código de acompanhamento exibido ao final do envio.' +
+      ASSINATURA
+  },
+  [EVENTO.CANDIDATURA_ATUALIZADA]: {
+    assunto: '{{nome}} atualizou a candidatura para {{vaga}}',
+    corpo:
+      'Olá, {{responsavel}}.\n\n' +
+      'O candidato {{nome}} atualizou pelo portal a candidatura para a vaga "{{vaga}}" em {{data}}:\n\n' +
+      '{{alteracoes}}\n\n' +
+      'As versões anteriores do currículo continuam disponíveis no histórico da candidatura, no painel.'
+  },
+  [EVENTO.RESUMO_DIARIO]: {
+    assunto: 'Resumo do recrutamento - {{data}}',
+    corpo:
+      'Olá, {{responsavel}}.\n\n' +
+      'Resumo das últimas 24 horas:\n\n' +
+      '{{resumo}}\n\n' +
+      'Os detalhes estão no painel.'
+  },
+  [EVENTO.CANDIDATURAS_PARADAS]: {
+    assunto: 'Candidaturas sem andamento há mais de {{dias}} dias',
+    corpo:
+      'Olá, {{responsavel}}.\n\n' +
+      'As candidaturas abaixo estão sem movimentação há mais de {{dias}} dias:\n\n' +
+      '{{candidaturas}}\n\n' +
+      'Atualize o status no painel ou encerre as que não vão seguir no processo.'
+  },
+  ...Object.fromEntries(
+    Object.values(STATUS_CANDIDATURA).map((status) => [
+      chaveStatus(status),
+      {
+        assunto: 'Atualização da sua candidatura para {{vaga}}',
+        corpo:
+          'Olá, {{nome}}.\n\n' +
+          'O andamento da sua candidatura para a vaga "{{vaga}}" foi atualizado: {{status}}.\n\n' +
+          '{{status_descricao}}' +
+          ASSINATURA
+      }
+    ])
+  )
+};
+
+// Chaves de template conhecidas: envio da candidatura, avisos à equipe + uma por status
+export const CHAVES_TEMPLATE = Object.keys(TEMPLATES_PADRAO);
+
+export const renderizar = (texto, vars) =>
+  String(texto || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] ?? ''));
+
+/**
+ * Template efetivo para a chave: personalizado (se existir) ou o padrão.
+ * Um template personalizado com ativo=false desliga a notificação daquele evento.
+ */
+export async function obterTemplate(supabase, chave) {
+  const { data, error } = await supabase
+    .from('notificacao_templates')
+    .select('chave, assunto, corpo, ativo')
+    .eq('chave', chave)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return data;
+  return TEMPLATES_PADRAO[chave] ? { chave, ...TEMPLATES_PADRAO[chave], ativo: true, padrao: true } : null;
+}
+
+/* =========================
+   FILA DE ENVIO (outbox)
+========================= */
+
+/**
+ * Renderiza o template do evento e grava a notificação na fila.
+ * O envio é tentado em seguida, sem bloquear quem chamou; falhas ficam na
+ * fila para novas tentativas (processarFila).
+ * `destinatario` (padrão: e-mail do candidato) e `variaveis` extras servem aos avisos à equipe.
+ */
+export async function enfileirarNotificacao(supabase, { evento, candidatura, status = null, destinatario = candidatura?.email, variaveis = {} }) {
+  if (!destinatario) return { ok: false, motivo: 'sem_email' };
+
+  const chave = evento === EVENTO.STATUS_ALTERADO ? chaveStatus(status) : evento;
+  const template = await obterTemplate(supabase, chave);
+  if (!template || !template.ativo) return { ok: false, motivo: 'template_inativo' };
+
+  const visao = status ? statusParaCandidato(status) : null;
+  const vars = {
+    nome: candidatura.nome,
+    vaga: candidatura.vaga,
+    status: visao?.titulo || '',
+    status_descricao: visao?.descricao || '',
+    data: toBR(candidatura.enviado_em || new Date()),
+    ...variaveis
+  };
+
+  const agora = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('notificacoes')
+    .insert([{
+      evento,
+      template: chave,
+      candidatura_id: candidatura.id || null,
+      destinatario,
+      assunto: renderizar(template.assunto, vars),
+      corpo: renderizar(template.corpo, vars),
+      status: STATUS_NOTIFICACAO.PENDENTE,
+      tentativas: 0,
+      proxima_tentativa_em: agora,
+      criado_em: agora
+    }])
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  entregar(supabase, data).catch((err) => console.error('[NOTIFICACOES] Erro no envio imediato:', err));
+  return { ok: true, id: data.id };
+}
+
+// Backoff exponencial: 1, 2, 4, 8... minutos (máximo 6 horas)
+const proximaTentativa = (tentativas) =>
+  new Date(Date.now() + Math.min(2 ** (tentativas - 1), 360) * 60000).toISOString();
+
+async function entregar(supabase, notificacao) {
+  // Reserva a notificação para evitar envio duplicado por outra instância
+  let reserva = supabase
+    .from('notificacoes')
+    .update({ status: STATUS_NOTIFICACAO.ENVIANDO, reservado_em: new Date().toISOString() })
+    .eq('id', notificacao.id);
+  if (notificacao.status === STATUS_NOTIFICACAO.ENVIANDO) {
+    // Reserva vencida: só assume quem ainda vê a mesma reserva (outra instância pode ter chegado antes)
+    reserva = notificacao.reservado_em
+      ? reserva.eq('status', STATUS_NOTIFICACAO.ENVIANDO).eq('reservado_em', notificacao.reservado_em)
+      : reserva.eq('status', STATUS_NOTIFICACAO.ENVIANDO).is('reservado_em', null);
+  } else {
+    reserva = reserva.eq('status', STATUS_NOTIFICACAO.PENDENTE);
+  }
+  const { data: reservada, error: claimError } = await reserva.select('id');
+
+  if (claimError) throw claimError;
+  if (!reservada?.length) return { enviado: false, ignorado: true };
+
+  const tentativas = (notificacao.tentativas || 0) + 1;
+
+  try {
+    const { transporte, id } = await enviarEmail({
+      para: notificacao.destinatario,
+      assunto: notificacao.assunto,
+      texto: notificacao.corpo
+    });
+
+    await supabase
+      .from('notificacoes')
+      .update({
+        status: STATUS_NOTIFICACAO.ENVIADO,
+        tentativas,
+        transporte,
+        mensagem_id: id,
+        ultimo_erro: null,
+        enviado_em: new Date().toISOString()
+      })
+      .eq('id', notificacao.id);
+
+    return { enviado: true };
+  } catch (error) {
+    const esgotou = tentativas >= MAX_TENTATIVAS;
+    await supabase
+      .from('notificacoes')
+      .update({
+        status: esgotou ? STATUS_NOTIFICACAO.FALHOU : STATUS_NOTIFICACAO.PENDENTE,
+        tentativas,
+        ultimo_erro: String(error?.message || error).slice(0, 1000),
+        proxima_tentativa_em: esgotou ? null : proximaTentativa(tentativas)
+      })
+      .eq('id', notificacao.id);
+
+    console.warn(`[NOTIFICACOES] Falha no envio ${notificacao.id} (tentativa ${tentativas}):`, error?.message || error);
+    return { enviado: false };
+  }
+}
+
+// Processa as notificações pendentes cujo horário de nova tentativa já chegou
+// e retoma as reservadas há mais de RESERVA_MIN (envio interrompido)
+export async function processarFila(supabase, { limite = 50 } = {}) {
+  const { data: abandonadas, error: abandonadasError } = await supabase
+    .from('notificacoes')
+    .select('*')
+    .eq('status', STATUS_NOTIFICACAO.ENVIANDO)
+    .or(`reservado_em.is.null,reservado_em.lt.${new Date(Date.now() - RESERVA_MIN * 60000).toISOString()}`)
+    .order('criado_em', { ascending: true })
+    .limit(limite);
+
+  if (abandonadasError) throw abandonadasError;
+
+  const { data: pendentes, error } = await supabase
+    .from('notificacoes')
+    .select('*')
+    .eq('status', STATUS_NOTIFICACAO.PENDENTE)
+    .lte('proxima_tentativa_em', new Date().toISOString())
+    .order('proxima_tentativa_em', { ascending: true })
+    .limit(Math.max(0, limite - abandonadas.length));
+
+  if (error) throw error;
+
+  const data = [...abandonadas, ...(pendentes || [])];
+  let enviadas = 0;
+  let falhas = 0;
+  for (const notificacao of data) {
+    const resultado = await entregar(supabase, notificacao);
+    if (resultado.enviado) enviadas++;
+    else if (!resultado.ignorado) falhas++;
+  }
+
+  return { processadas: data.length, enviadas, falhas };
+}
@@ -0,0 +1,84 @@
+// ole.js - Leitura de arquivos compostos OLE2 (Compound File Binary), usados pelo DOC (Word 97-2003)
+
+const FIM_CADEIA = 0xfffffffa; // valores a partir daqui marcam setor livre, fim de cadeia ou setor da FAT
+const TAMANHO_ENTRADA = 128;
+
+/**
+ * Abre o arquivo composto. Retorna { nomes, fluxo(nome) }: os nomes de todas as
+ * entradas do diretório e o conteúdo de um fluxo (Buffer) ou null se não existir.
+ * Lança erro se a estrutura estiver corrompida.
+ */
+export function abrirOle(buffer) {
+  const setor = 1 << buffer.readUInt16LE(0x1e);
+  const miniSetor = 1 << buffer.readUInt16LE(0x20);
+  const limiteMini = buffer.readUInt32LE(0x38);
+  const offsetSetor = (s) => (s + 1) * setor;
+  const porSetor = setor / 4;
+
+  // Setores da FAT: 109 no cabeçalho e o restante na cadeia DIFAT
+  const setoresFat = [];
+  for (let i = 0; i < 109; i++) setoresFat.push(buffer.readUInt32LE(0x4c + i * 4));
+  for (let s = buffer.readUInt32LE(0x44), n = 0; s < FIM_CADEIA && n < buffer.readUInt32LE(0x48); n++) {
+    const base = offsetSetor(s);
+    for (let i = 0; i < porSetor - 1; i++) setoresFat.push(buffer.readUInt32LE(base + i * 4));
+    s = buffer.readUInt32LE(base + (porSetor - 1) * 4);
+  }
+
+  const fat = [];
+  for (const s of setoresFat.slice(0, buffer.readUInt32LE(0x2c))) {
+    if (s >= FIM_CADEIA) continue;
+    const base = offsetSetor(s);
+    for (let i = 0; i < porSetor; i++) fat.push(buffer.readUInt32LE(base + i * 4));
+  }
+
+  // Cadeia de setores a partir de `inicio` (para em ciclos de arquivos malformados)
+  const cadeia = (inicio, tabela) => {
+    const setores = [];
+    const vistos = new Set();
+    for (let s = inicio; s < FIM_CADEIA && !vistos.has(s); s = tabela[s]) {
+      if (s >= tabela.length) throw new Error('cadeia de setores inválida');
+      vistos.add(s);
+      setores.push(s);
+    }
+    return setores;
+  };
+
+  const lerCadeia = (inicio, tamanho) =>
+    Buffer.concat(cadeia(inicio, fat).map((s) => buffer.subarray(offsetSetor(s), offsetSetor(s) + setor))).subarray(0, tamanho);
+
+  const diretorio = lerCadeia(buffer.readUInt32LE(0x30));
+  const entradas = [];
+  for (let e = 0; e + TAMANHO_ENTRADA <= diretorio.length; e += TAMANHO_ENTRADA) {
+    const tamanhoNome = diretorio.readUInt16LE(e + 0x40);
+    if (tamanhoNome < 2 || tamanhoNome > 64) continue;
+    entradas.push({
+      nome: diretorio.toString('utf16le', e, e + tamanhoNome - 2),
+      tipo: diretorio[e + 0x42], // 1 = armazenamento, 2 = fluxo, 5 = raiz
+      inicio: diretorio.readUInt32LE(e + 0x74),
+      tamanho: diretorio.readUInt32LE(e + 0x78)
+    });
+  }
+
+  // Fluxos menores que o limite ficam no mini fluxo da raiz, em mini setores
+  let mini = null;
+  const lerMini = (inicio, tamanho) => {
+    if (!mini) {
+      const raiz = entradas.find((e) => e.tipo === 5);
+      const tabela = lerCadeia(buffer.readUInt32LE(0x3c), buffer.readUInt32LE(0x40) * setor);
+      mini = {
+        fluxo: lerCadeia(raiz.inicio, raiz.tamanho),
+        fat: Array.from({ length: tabela.length / 4 }, (_, i) => tabela.readUInt32LE(i * 4))
+      };
+    }
+    return Buffer.concat(cadeia(inicio, mini.fat).map((s) => mini.fluxo.subarray(s * miniSetor, (s + 1) * miniSetor))).subarray(0, tamanho);
+  };
+
+  return {
+    nomes: entradas.map((e) => e.nome),
+    fluxo(nome) {
+      const entrada = entradas.find((e) => e.tipo === 2 && e.nome === nome);
+      if (!entrada) return null;
+      return entrada.tamanho < limiteMini ? lerMini(entrada.inicio, entrada.tamanho) : lerCadeia(entrada.inicio, entrada.tamanho);
+    }
+  };
+}
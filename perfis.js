@@ -0,0 +1,282 @@
+// perfis.js - Perfil do candidato (candidaturas da mesma pessoa pelo CPF) e banco de talentos
+import { STATUS_CANDIDATURA } from './constantes.js';
+import { aplicarFiltros, metadadosCurriculo } from './candidaturas.js';
+import { STATUS_ARQUIVO } from './verificacao-arquivo.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+
+// Quem foi contratado ou já está trabalhando (na candidatura movimentada por último)
+// fica fora do banco de talentos, salvo ?incluir_indisponiveis=1
+export const STATUS_INDISPONIVEIS = [STATUS_CANDIDATURA.CONTRATADO, STATUS_CANDIDATURA.JA_TRABALHANDO];
+
+const LOTE_BUSCA = 1000;
+const MAX_RESULTADOS_TEXTO = 500;
+
+// Palavras do nome da vaga ignoradas ao montar a busca por currículos semelhantes (além das curtas)
+const PALAVRAS_IGNORADAS = new Set(['das', 'dos', 'para', 'com', 'sem', 'nos', 'nas']);
+
+const SELECT_PERFIL = `
+  *,
+  ultima:candidaturas!ultima_candidatura_id(id, vaga, status, enviado_em, cidade, bairro, transporte, distancia_km)
+`;
+
+/* =========================
+   SINCRONIZAÇÃO
+   O perfil é derivado das candidaturas (sql/017_perfis_candidatos.sql). Envio,
+   atualização pelo candidato e exclusão o recalculam (sincronizarPerfil, em candidaturas.js).
+========================= */
+
+// Recria todos os perfis a partir das candidaturas; retorna o total de perfis
+export async function sincronizarTodosPerfis(supabase) {
+  const { data, error } = await supabase.rpc('sincronizar_candidatos');
+  if (error) throw error;
+  return data || 0;
+}
+
+/* =========================
+   PERFIL
+========================= */
+
+export async function buscarPerfil(supabase, id) {
+  const { data, error } = await supabase.from('candidatos').select(SELECT_PERFIL).eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Telefones e e-mails já usados pela pessoa, com o período em que foram vistos.
+ * Combina o valor de cada candidatura com as correções feitas no portal
+ * (candidatura_alteracoes: o "antes" da primeira alteração é o valor do envio).
+ */
+export function historicoContatos(candidaturas, alteracoes, atual) {
+  const contatos = new Map();
+  const ver = (tipo, valor, data, candidaturaId) => {
+    if (!valor) return;
+    const chave = `${tipo}:${valor}`;
+    const contato = contatos.get(chave) || { tipo, valor, atual: atual[tipo] === valor, primeiro_uso_em: data, ultimo_uso_em: data, candidaturas: [] };
+    if (data < contato.primeiro_uso_em) contato.primeiro_uso_em = data;
+    if (data > contato.ultimo_uso_em) contato.ultimo_uso_em = data;
+    if (!contato.candidaturas.includes(candidaturaId)) contato.candidaturas.push(candidaturaId);
+    contatos.set(chave, contato);
+  };
+
+  for (const c of candidaturas) {
+    const daCandidatura = alteracoes
+      .filter((a) => a.candidatura_id === c.id)
+      .sort((a, b) => String(a.criado_em).localeCompare(String(b.criado_em)));
+
+    for (const tipo of ['telefone', 'email']) {
+      const mudancas = daCandidatura.filter((a) => a.campos?.[tipo]);
+      ver(tipo, mudancas.length ? mudancas[0].campos[tipo].antes : c[tipo], c.enviado_em, c.id);
+      for (const a of mudancas) {
+        ver(tipo, a.campos[tipo].antes, a.criado_em, c.id);
+        ver(tipo, a.campos[tipo].depois, a.criado_em, c.id);
+      }
+    }
+  }
+
+  return [...contatos.values()].sort((a, b) =>
+    a.tipo.localeCompare(b.tipo) || Number(b.atual) - Number(a.atual) || String(b.ultimo_uso_em).localeCompare(String(a.ultimo_uso_em)));
+}
+
+/**
+ * Visão consolidada do perfil: candidaturas, histórico de status, comentários
+ * da equipe em qualquer candidatura, contatos usados e o currículo mais recente.
+ */
+export async function montarPerfil(supabase, perfil) {
+  const { data: candidaturas, error } = await supabase
+    .from('candidaturas')
+    .select(`
+      id, vaga, status, enviado_em, status_alterado_em, telefone, email, cidade, bairro, transporte, distancia_km,
+      triagem_reprovada, arquivo_path, arquivo_tipo, arquivo_status, arquivo_enviado_em, nome,
+      responsavel:usuarios!responsavel_id(id, nome)
+    `)
+    .eq('candidato_id', perfil.id)
+    .order('enviado_em', { ascending: false });
+  if (error) throw error;
+
+  const ids = candidaturas.map((c) => c.id);
+  const [historico, comentarios, alteracoes] = ids.length
+    ? await Promise.all([
+      supabase
+        .from('status_candidaturas')
+        .select('candidatura_id, status, observacao, criado_em, usuario:usuarios(nome)')
+        .in('candidatura_id', ids)
+        .order('criado_em', { ascending: true }),
+      supabase
+        .from('comentarios')
+        .select('id, candidatura_id, comentario, tipo, criado_em, usuario:usuarios(nome, cargo, nivel)')
+        .in('candidatura_id', ids)
+        .order('criado_em', { ascending: false }),
+      supabase
+        .from('candidatura_alteracoes')
+        .select('candidatura_id, campos, arquivo_versao, criado_em')
+        .in('candidatura_id', ids)
+    ])
+    : [{ data: [] }, { data: [] }, { data: [] }];
+
+  const falha = historico.error || comentarios.error || alteracoes.error;
+  if (falha) throw falha;
+
+  const vagaDe = new Map(candidaturas.map((c) => [c.id, c.vaga]));
+
+  // Currículo mais recente: o último enviado, considerando as trocas feitas no portal
+  const dataArquivo = (c) => c.arquivo_enviado_em || c.enviado_em;
+  const comArquivo = candidaturas
+    .filter((c) => c.arquivo_path)
+    .sort((a, b) => String(dataArquivo(b)).localeCompare(String(dataArquivo(a))));
+  const recente = comArquivo[0];
+
+  return {
+    ...perfil,
+    candidaturas: candidaturas.map(({ arquivo_path, arquivo_tipo, arquivo_status, arquivo_enviado_em, nome, telefone, email, ...c }) => ({
+      ...c,
+      historico: historico.data.filter((h) => h.candidatura_id === c.id)
+    })),
+    comentarios: comentarios.data.map((cm) => ({ ...cm, vaga: vagaDe.get(cm.candidatura_id) })),
+    contatos: historicoContatos(candidaturas, alteracoes.data, perfil),
+    curriculo: recente
+      ? {
+        candidatura_id: recente.id,
+        vaga: recente.vaga,
+        enviado_em: dataArquivo(recente),
+        em_quarentena: recente.arquivo_status === STATUS_ARQUIVO.QUARENTENA,
+        ...metadadosCurriculo(recente)
+      }
+      : null
+  };
+}
+
+/* =========================
+   BANCO DE TALENTOS
+========================= */
+
+/**
+ * Termos de busca a partir do nome da vaga: qualquer palavra relevante
+ * ("Operador de Caixa" -> "operador or caixa").
+ */
+export function termosVaga(vaga) {
+  const palavras = String(vaga?.nome || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((p) => p.length > 2 && !PALAVRAS_IGNORADAS.has(p));
+  return [...new Set(palavras)].join(' or ');
+}
+
+/**
+ * Busca pessoas (não candidaturas) nas candidaturas que atendem aos filtros da
+ * listagem (cidade, bairro, transporte, raio_km, triagem, status, período) e,
+ * com `search`, no texto dos currículos e nos dados cadastrais.
+ * Opções: excluir_vaga (quem já se candidatou a ela fica de fora) e
+ * incluir_indisponiveis (por padrão, STATUS_INDISPONIVEIS ficam de fora).
+ * Cada perfil traz a melhor relevância e o trecho do currículo correspondente.
+ */
+export async function buscarTalentos(supabase, filtros, { page = 1, limit = 20 } = {}) {
+  page = Number(page) || 1;
+  limit = Number(limit) || 20;
+  const { search, excluir_vaga, incluir_indisponiveis, ...demais } = filtros;
+
+  let relevancia = new Map();
+  if (search) {
+    const { data: matches, error: rpcError } = await supabase
+      .rpc('buscar_curriculos', { termo: search, limite: MAX_RESULTADOS_TEXTO });
+    if (rpcError) console.warn('[BANCO TALENTOS] aviso:', rpcError.message);
+    relevancia = new Map((matches || []).map((m) => [String(m.id), m]));
+  }
+
+  // Candidaturas que passam nos filtros, agrupadas por perfil
+  const perfis = new Map();
+  const excluidos = new Set();
+  for (let inicio = 0; ; inicio += LOTE_BUSCA) {
+    let query = aplicarFiltros(
+      supabase.from('candidaturas').select('id, candidato_id, vaga, status, enviado_em'),
+      demais
+    ).not('candidato_id', 'is', null);
+
+    if (search) {
+      const condicoes = ['nome', 'email', 'cpf'].map((campo) => `${campo}.ilike.%${search}%`);
+      if (relevancia.size) condicoes.push(`id.in.(${[...relevancia.keys()].join(',')})`);
+      query = query.or(condicoes.join(','));
+    }
+
+    const { data, error } = await query.order('id').range(inicio, inicio + LOTE_BUSCA - 1);
+    if (error) return { data: null, error, count: null };
+
+    for (const c of data) {
+      const match = relevancia.get(String(c.id));
+      const atual = perfis.get(c.candidato_id) || { id: c.candidato_id, relevancia: null, trecho: null, ultima_em: null, candidaturas: [] };
+      if (!atual.ultima_em || String(c.enviado_em) > atual.ultima_em) atual.ultima_em = String(c.enviado_em);
+      if (match && (atual.relevancia == null || match.relevancia > atual.relevancia)) {
+        Object.assign(atual, { relevancia: match.relevancia, trecho: match.trecho, trecho_vaga: c.vaga });
+      }
+      atual.candidaturas.push({ id: c.id, vaga: c.vaga, status: c.status, enviado_em: c.enviado_em });
+      perfis.set(c.candidato_id, atual);
+    }
+    if (data.length < LOTE_BUSCA) break;
+  }
+
+  // Quem já se candidatou à vaga em questão
+  if (excluir_vaga) {
+    for (let inicio = 0; ; inicio += LOTE_BUSCA) {
+      const { data, error } = await supabase
+        .from('candidaturas')
+        .select('candidato_id')
+        .eq('vaga', excluir_vaga)
+        .order('id')
+        .range(inicio, inicio + LOTE_BUSCA - 1);
+      if (error) return { data: null, error, count: null };
+      data.forEach((c) => excluidos.add(c.candidato_id));
+      if (data.length < LOTE_BUSCA) break;
+    }
+  }
+
+  const ids = [...perfis.values()]
+    .filter((p) => !excluidos.has(p.id))
+    .sort((a, b) =>
+      (b.relevancia || 0) - (a.relevancia || 0) ||
+      b.ultima_em.localeCompare(a.ultima_em))
+    .map((p) => p.id);
+
+  // Disponibilidade: status da candidatura movimentada por último (inclusive as fora dos filtros)
+  let disponiveis = ids;
+  if (!incluir_indisponiveis && ids.length) {
+    const situacao = new Map();
+    for (let inicio = 0; inicio < ids.length; inicio += LOTE_BUSCA) {
+      const { data, error } = await supabase
+        .from('candidaturas')
+        .select('candidato_id, status, enviado_em, status_alterado_em')
+        .in('candidato_id', ids.slice(inicio, inicio + LOTE_BUSCA));
+      if (error) return { data: null, error, count: null };
+
+      for (const c of data) {
+        const movimento = String(c.status_alterado_em || c.enviado_em);
+        const atual = situacao.get(c.candidato_id);
+        if (!atual || movimento > atual.movimento) situacao.set(c.candidato_id, { movimento, status: c.status });
+      }
+    }
+    disponiveis = ids.filter((id) => !STATUS_INDISPONIVEIS.includes(situacao.get(id)?.status));
+  }
+
+  const offset = (page - 1) * limit;
+  const pagina = disponiveis.slice(offset, offset + limit);
+  if (!pagina.length) return { data: [], error: null, count: disponiveis.length };
+
+  const { data: linhas, error } = await supabase.from('candidatos').select(SELECT_PERFIL).in('id', pagina);
+  if (error) return { data: null, error, count: null };
+
+  const porId = new Map(linhas.map((p) => [p.id, p]));
+  const data = pagina.map((id) => porId.get(id)).filter(Boolean).map((p) => {
+    const encontrado = perfis.get(p.id);
+    return {
+      ...p,
+      relevancia: encontrado.relevancia,
+      trecho: encontrado.trecho,
+      trecho_vaga: encontrado.trecho_vaga || null,
+      candidaturas_encontradas: encontrado.candidaturas
+    };
+  });
+
+  return { data, error: null, count: disponiveis.length };
+}
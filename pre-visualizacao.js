@@ -0,0 +1,313 @@
+// pre-visualizacao.js - Pré-visualização de currículos no navegador (DOC/DOCX -> HTML ou PDF) e miniaturas
+import 'dotenv/config';
+import { execFile } from 'node:child_process';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import mammoth from 'mammoth';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { criarRegistro, escaparHtml } from './utils.js';
+import { extrairTexto } from './extracao-texto.js';
+import { TIPOS_CURRICULO } from './verificacao-arquivo.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+const BUCKET = process.env.SUPABASE_BUCKET || 'curriculos';
+
+// nativo: HTML (mammoth) e miniatura SVG do texto; libreoffice: PDF e miniatura PNG fiéis ao layout
+const CONVERSOR = process.env.PREVIEW_CONVERSOR || 'nativo';
+
+// As versões convertidas ficam ao lado do original: <arquivo_path>.preview.<ext> e <arquivo_path>.miniatura.<ext>
+const GERADOS = {
+  preview: { sufixo: '.preview.', extensoes: ['html', 'pdf'] },
+  miniatura: { sufixo: '.miniatura.', extensoes: ['svg', 'png'] }
+};
+
+const TIPOS_GERADOS = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+// Só o HTML e o SVG gerados aqui são servidos; nada neles pode executar ou buscar recursos externos
+export const CSP_PREVIEW = "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox";
+
+/* =========================
+   HTML SEGURO
+   O mammoth escapa o texto e serializa só as marcações do documento; mesmo assim
+   o resultado passa por uma lista de tags e atributos permitidos.
+========================= */
+const TAGS_PERMITIDAS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'sup', 'sub', 'br',
+  'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'blockquote', 'pre', 'code', 'a', 'img'
+]);
+
+const ATRIBUTOS_PERMITIDOS = {
+  a: { href: /^(https?:\/\/|mailto:)[^\s]*$/i },
+  img: { src: /^data:image\/(png|jpeg|gif);base64,[a-z0-9+/=]+$/i, alt: /^/ },
+  td: { colspan: /^\d{1,2}$/, rowspan: /^\d{1,3}$/ },
+  th: { colspan: /^\d{1,2}$/, rowspan: /^\d{1,3}$/ }
+};
+
+const IMAGENS_PERMITIDAS = ['image/png', 'image/jpeg', 'image/gif'];
+
+export function sanitizarHtml(html) {
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>/g, (_, fecha, nome, atributos) => {
+      const tag = nome.toLowerCase();
+      if (!TAGS_PERMITIDAS.has(tag)) return '';
+      if (fecha) return `</${tag}>`;
+
+      const regras = ATRIBUTOS_PERMITIDOS[tag] || {};
+      const aceitos = [];
+      for (const [, atributo, valor] of atributos.matchAll(/([a-zA-Z-]+)\s*=\s*"([^"]*)"/g)) {
+        const regra = regras[atributo.toLowerCase()];
+        if (regra && regra.test(valor)) aceitos.push(` ${atributo.toLowerCase()}="${valor}"`);
+      }
+      if (tag === 'a') aceitos.push(' rel="noopener noreferrer"');
+      return `<${tag}${aceitos.join('')}>`;
+    })
+    // Qualquer "<" restante não é uma tag permitida
+    .replace(/<(?!\/?(?:[a-z][a-z0-9]*)(?:\s[^<>]*)?>)/g, '&lt;');
+}
+
+function paginaHtml(titulo, corpo, aviso = null) {
+  return `<!doctype html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${escaparHtml(titulo)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 14px; line-height: 1.45; color: #222; max-width: 800px; margin: 24px auto; padding: 0 24px; }
+  img { max-width: 100%; height: auto; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  td, th { border: 1px solid #ccc; padding: 4px 8px; vertical-align: top; }
+  .aviso { background: #fff8e1; border: 1px solid #f0c36d; padding: 8px 12px; margin-bottom: 16px; font-size: 13px; }
+  .texto { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+${aviso ? `<p class="aviso">${escaparHtml(aviso)}</p>\n` : ''}${corpo}
+</body>
+</html>
+`;
+}
+
+/* =========================
+   MINIATURA SVG (texto da primeira página)
+========================= */
+const LINHAS_MINIATURA = 34;
+const COLUNAS_MINIATURA = 52;
+
+function quebrarLinhas(texto) {
+  const linhas = [];
+  for (const paragrafo of String(texto || '').split('\n').map((l) => l.trim()).filter(Boolean)) {
+    let atual = '';
+    for (const palavra of paragrafo.split(/\s+/)) {
+      if (atual && (atual + ' ' + palavra).length > COLUNAS_MINIATURA) {
+        linhas.push(atual);
+        atual = '';
+      }
+      atual = atual ? `${atual} ${palavra}` : palavra.slice(0, COLUNAS_MINIATURA);
+    }
+    if (atual) linhas.push(atual);
+    if (linhas.length >= LINHAS_MINIATURA) break;
+  }
+  return linhas.slice(0, LINHAS_MINIATURA);
+}
+
+// Página A4 reduzida; a primeira linha (em geral o nome) em destaque
+function miniaturaSvg(texto) {
+  const linhas = quebrarLinhas(texto);
+  const textos = linhas.map((linha, i) => i === 0
+    ? `<text x="14" y="24" font-size="10" font-weight="bold">${escaparHtml(linha.slice(0, 34))}</text>`
+    : `<text x="14" y="${32 + i * 7.4}" font-size="6">${escaparHtml(linha)}</text>`);
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="210" height="297" viewBox="0 0 210 297">
+<rect width="210" height="297" fill="#fff" stroke="#d0d0d0"/>
+<g font-family="Arial, Helvetica, sans-serif" fill="#333">
+${textos.join('\n') || '<text x="105" y="150" font-size="9" text-anchor="middle" fill="#999">Sem texto legível</text>'}
+</g>
+</svg>
+`);
+}
+
+async function textoPrimeiraPagina(buffer, mime) {
+  if (mime === TIPOS_CURRICULO.pdf.mime) {
+    const pdf = await getDocumentProxy(new Uint8Array(buffer));
+    const { text } = await extractText(pdf, { mergePages: false });
+    return text[0] || '';
+  }
+  return (await extrairTexto(buffer, mime)) || '';
+}
+
+/* =========================
+   CONVERSORES
+   converter(buffer, mime, titulo) devolve { conteudo, extensao } para DOC/DOCX;
+   miniatura(buffer, mime) devolve { conteudo, extensao } para PDF, DOC e DOCX.
+========================= */
+const conversores = criarRegistro('Conversor de pré-visualização', CONVERSOR);
+
+export const registrarConversor = conversores.registrar;
+export const conversor = () => conversores.obter();
+
+// Sem dependências externas: DOCX com formatação básica e imagens; DOC apenas com o texto
+registrarConversor('nativo', () => ({
+  async converter(buffer, mime, titulo) {
+    if (mime === TIPOS_CURRICULO.docx.mime) {
+      const { value } = await mammoth.convertToHtml({ buffer }, {
+        convertImage: mammoth.images.imgElement(async (imagem) => {
+          if (!IMAGENS_PERMITIDAS.includes(imagem.contentType)) return { src: '' };
+          return { src: `data:${imagem.contentType};base64,${await imagem.read('base64')}` };
+        })
+      });
+      return { conteudo: Buffer.from(paginaHtml(titulo, sanitizarHtml(value))), extensao: 'html' };
+    }
+
+    const texto = await extrairTexto(buffer, mime);
+    const corpo = texto
+      ? `<div class="texto">${escaparHtml(texto)}</div>`
+      : '<p>Não foi possível ler o texto deste documento. Baixe o arquivo original.</p>';
+    const aviso = 'Pré-visualização somente do texto: a formatação de arquivos DOC não é preservada. Baixe o original para ver o documento completo.';
+    return { conteudo: Buffer.from(paginaHtml(titulo, corpo, aviso)), extensao: 'html' };
+  },
+
+  async miniatura(buffer, mime) {
+    return { conteudo: miniaturaSvg(await textoPrimeiraPagina(buffer, mime)), extensao: 'svg' };
+  }
+}));
+
+/**
+ * LibreOffice em modo headless (LIBREOFFICE_BIN, padrão "soffice"): PDF com o layout
+ * original e PNG da primeira página. Cada conversão usa um perfil temporário, para
+ * permitir execuções simultâneas.
+ */
+registrarConversor('libreoffice', () => {
+  const binario = process.env.LIBREOFFICE_BIN || 'soffice';
+  const timeout = Number(process.env.PREVIEW_TIMEOUT_MS || 60000);
+
+  async function executar(buffer, mime, formato) {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+    try {
+      const entrada = path.join(dir, `original.${Object.values(TIPOS_CURRICULO).find((t) => t.mime === mime).extensao}`);
+      await fsp.writeFile(entrada, buffer);
+      await new Promise((resolve, reject) => {
+        execFile(binario, [
+          `-env:UserInstallation=file://${path.join(dir, 'perfil')}`,
+          '--headless', '--norestore', '--convert-to', formato, '--outdir', dir, entrada
+        ], { timeout }, (error) => (error ? reject(error) : resolve()));
+      });
+      return await fsp.readFile(path.join(dir, `original.${formato}`));
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    async converter(buffer, mime) {
+      return { conteudo: await executar(buffer, mime, 'pdf'), extensao: 'pdf' };
+    },
+    async miniatura(buffer, mime) {
+      return { conteudo: await executar(buffer, mime, 'png'), extensao: 'png' };
+    }
+  };
+});
+
+/* =========================
+   CACHE NO STORAGE
+========================= */
+
+// Arquivos gerados a partir do original (removidos junto com ele)
+export const caminhosDerivados = (arquivoPath) =>
+  Object.values(GERADOS).flatMap(({ sufixo, extensoes }) => extensoes.map((ext) => `${arquivoPath}${sufixo}${ext}`));
+
+// Uma geração por arquivo de cada vez (várias abas ou a listagem pedindo a mesma miniatura)
+const emAndamento = new Map();
+
+async function buscarGerado(supabase, base, extensoes) {
+  for (const extensao of extensoes) {
+    const { data } = await supabase.storage.from(BUCKET).download(`${base}${extensao}`);
+    if (data) return { conteudo: Buffer.from(await data.arrayBuffer()), tipo: TIPOS_GERADOS[extensao], extensao, cache: true };
+  }
+  return null;
+}
+
+async function gerarEGuardar(supabase, { base, extensoes }, arquivoPath, gerar) {
+  const { data: blob, error: dlError } = await supabase.storage.from(BUCKET).download(arquivoPath);
+  if (dlError || !blob) return { ok: false, code: 404, message: 'Currículo não encontrado no Storage.' };
+
+  let gerado;
+  try {
+    gerado = await gerar(Buffer.from(await blob.arrayBuffer()));
+  } catch (error) {
+    return { ok: false, code: 422, error, message: 'Não foi possível converter este currículo. Baixe o arquivo original.' };
+  }
+
+  const destino = `${base}${gerado.extensao}`;
+  const { error: upError } = await supabase.storage.from(BUCKET)
+    .upload(destino, gerado.conteudo, { contentType: TIPOS_GERADOS[gerado.extensao], upsert: true });
+  if (upError) {
+    console.warn(`[PREVIEW] Falha ao guardar ${destino}:`, upError.message);
+  } else {
+    // Versão de outro conversor deixaria de ser atualizada (a busca a encontraria primeiro)
+    const antigos = extensoes.filter((ext) => ext !== gerado.extensao).map((ext) => `${base}${ext}`);
+    await supabase.storage.from(BUCKET).remove(antigos);
+  }
+
+  return { ok: true, conteudo: gerado.conteudo, tipo: TIPOS_GERADOS[gerado.extensao], extensao: gerado.extensao, cache: false };
+}
+
+async function obterGerado(supabase, tipo, arquivoPath, gerar, { regenerar = false } = {}) {
+  const { sufixo, extensoes } = GERADOS[tipo];
+  const base = `${arquivoPath}${sufixo}`;
+
+  if (!regenerar) {
+    const guardado = await buscarGerado(supabase, base, extensoes);
+    if (guardado) return { ok: true, ...guardado };
+  }
+
+  if (!emAndamento.has(base)) {
+    emAndamento.set(base, gerarEGuardar(supabase, { base, extensoes }, arquivoPath, gerar).finally(() => emAndamento.delete(base)));
+  }
+  return emAndamento.get(base);
+}
+
+/**
+ * Versão do currículo para exibir no navegador. PDF não é convertido (original);
+ * DOC/DOCX viram HTML ou PDF conforme o conversor, gerados na primeira consulta.
+ * `candidatura`: { nome, arquivo_path, arquivo_tipo }.
+ * Retorna { ok, original } para PDF, { ok, conteudo, tipo, extensao, cache } ou { ok: false, code, message }.
+ */
+export async function obterPreVisualizacao(supabase, candidatura, { mime, regenerar = false } = {}) {
+  if (mime === TIPOS_CURRICULO.pdf.mime) return { ok: true, original: true };
+  if (![TIPOS_CURRICULO.docx.mime, TIPOS_CURRICULO.doc.mime].includes(mime)) {
+    return { ok: false, code: 415, message: 'Formato sem pré-visualização. Baixe o arquivo original.' };
+  }
+
+  const titulo = `Currículo - ${candidatura.nome || 'candidato'}`;
+  return obterGerado(
+    supabase,
+    'preview',
+    candidatura.arquivo_path,
+    (buffer) => conversor().converter(buffer, mime, titulo),
+    { regenerar }
+  );
+}
+
+// Miniatura da primeira página (SVG ou PNG, conforme o conversor), gerada na primeira consulta
+export async function obterMiniatura(supabase, candidatura, { mime, regenerar = false } = {}) {
+  if (!Object.values(TIPOS_CURRICULO).some((t) => t.mime === mime)) {
+    return { ok: false, code: 415, message: 'Formato sem miniatura.' };
+  }
+
+  return obterGerado(
+    supabase,
+    'miniatura',
+    candidatura.arquivo_path,
+    (buffer) => conversor().miniatura(buffer, mime),
+    { regenerar }
+  );
+}
@@ -0,0 +1,181 @@
+// resumos.js - Resumo diário e lembrete de candidaturas paradas, enviados à equipe pelo agendador
+import 'dotenv/config';
+import { NIVEL_USUARIO, STATUS_CANDIDATURA } from './constantes.js';
+import { EVENTO, enfileirarNotificacao } from './notificacoes.js';
+import { STATUS_ARQUIVO } from './verificacao-arquivo.js';
+import { addDays, toBR } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+
+// Status em que a candidatura ainda espera uma ação da equipe
+export const STATUS_EM_ANDAMENTO = [
+  STATUS_CANDIDATURA.NOVO,
+  STATUS_CANDIDATURA.SELECIONADO,
+  STATUS_CANDIDATURA.NAO_ATENDEU,
+  STATUS_CANDIDATURA.PASSOU_ENTREVISTA
+];
+
+// Dias sem movimentação (último status ou envio) para entrar no lembrete
+export const DIAS_PARADA = Math.max(1, Number(process.env.LEMBRETE_DIAS_PARADA || 7));
+
+// Gestores recebem o resumo diário e os lembretes das candidaturas sem responsável
+const NIVEIS_GESTAO = [NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER];
+
+const LOTE_CONSULTA = 1000;
+const MAX_ITENS_EMAIL = 50;
+
+/* =========================
+   UTILS
+========================= */
+
+async function usuariosAtivos(supabase) {
+  const { data, error } = await supabase
+    .from('usuarios')
+    .select('id, auth_id, nome, email, nivel')
+    .eq('ativo', true);
+  if (error) throw error;
+  return data.filter((u) => u.email);
+}
+
+async function contar(query) {
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+// Uma notificação por usuário; falhas ao enfileirar não impedem os demais
+async function enviarParaUsuarios(supabase, usuarios, evento, variaveis) {
+  let enviadas = 0;
+  for (const usuario of usuarios) {
+    try {
+      const resultado = await enfileirarNotificacao(supabase, {
+        evento,
+        candidatura: {},
+        destinatario: usuario.email,
+        variaveis: { responsavel: usuario.nome, ...variaveis }
+      });
+      if (resultado.ok) enviadas++;
+    } catch (error) {
+      console.warn(`[RESUMOS] Falha ao enfileirar ${evento} para ${usuario.id}:`, error.message || error);
+    }
+  }
+  return enviadas;
+}
+
+const ultimaMovimentacao = (c) => new Date(c.status_alterado_em || c.enviado_em);
+
+// Candidaturas em andamento sem movimentação desde `corte` (ignora as arquivadas)
+async function candidaturasParadas(supabase, corte) {
+  const paradas = [];
+  for (let offset = 0; ; offset += LOTE_CONSULTA) {
+    const { data, error } = await supabase
+      .from('candidaturas')
+      .select('id, nome, vaga, status, enviado_em, status_alterado_em, status_alterado_por, responsavel_id')
+      .in('status', STATUS_EM_ANDAMENTO)
+      .is('arquivado_em', null)
+      .lt('enviado_em', corte.toISOString())
+      .order('enviado_em', { ascending: true })
+      .range(offset, offset + LOTE_CONSULTA - 1);
+    if (error) throw error;
+
+    paradas.push(...data.filter((c) => ultimaMovimentacao(c) < corte));
+    if (data.length < LOTE_CONSULTA) return paradas;
+  }
+}
+
+/* =========================
+   RESUMO DIÁRIO
+========================= */
+
+/**
+ * Envia aos administradores e líderes o resumo das últimas 24 horas: novas
+ * candidaturas por vaga, candidaturas paradas e currículos em quarentena.
+ * Sem novidades, nada é enviado.
+ */
+export async function enviarResumoDiario(supabase, { agora = new Date() } = {}) {
+  const desde = addDays(agora, -1);
+
+  const novas = [];
+  for (let offset = 0; ; offset += LOTE_CONSULTA) {
+    const { data, error } = await supabase
+      .from('candidaturas')
+      .select('id, vaga')
+      .gte('enviado_em', desde.toISOString())
+      .is('arquivado_em', null)
+      .order('id', { ascending: true })
+      .range(offset, offset + LOTE_CONSULTA - 1);
+    if (error) throw error;
+    novas.push(...data);
+    if (data.length < LOTE_CONSULTA) break;
+  }
+
+  const paradas = (await candidaturasParadas(supabase, addDays(agora, -DIAS_PARADA))).length;
+  const quarentena = await contar(supabase
+    .from('candidaturas')
+    .select('id', { count: 'exact', head: true })
+    .eq('arquivo_status', STATUS_ARQUIVO.QUARENTENA));
+
+  if (!novas.length && !paradas && !quarentena) {
+    return { novas: 0, paradas: 0, quarentena: 0, enviadas: 0 };
+  }
+
+  const porVaga = Object.entries(novas.reduce((acc, c) => ({ ...acc, [c.vaga]: (acc[c.vaga] || 0) + 1 }), {}))
+    .sort((a, b) => b[1] - a[1]);
+  const resumo = [
+    `Novas candidaturas: ${novas.length}`,
+    ...porVaga.map(([vaga, total]) => `  - ${vaga}: ${total}`),
+    `Candidaturas sem andamento há mais de ${DIAS_PARADA} dias: ${paradas}`,
+    `Currículos em quarentena aguardando revisão: ${quarentena}`
+  ].join('\n');
+
+  const gestores = (await usuariosAtivos(supabase)).filter((u) => NIVEIS_GESTAO.includes(u.nivel));
+  const enviadas = await enviarParaUsuarios(supabase, gestores, EVENTO.RESUMO_DIARIO, { resumo, data: toBR(agora) });
+
+  return { novas: novas.length, paradas, quarentena, enviadas };
+}
+
+/* =========================
+   CANDIDATURAS PARADAS
+========================= */
+
+/**
+ * Lembra cada analista das candidaturas que acompanha (responsável atribuído
+ * ou quem alterou o status por último) e que estão sem movimentação há mais de
+ * DIAS_PARADA dias. As sem analista ativo vão para administradores e líderes.
+ */
+export async function enviarLembretesParadas(supabase, { agora = new Date() } = {}) {
+  const paradas = await candidaturasParadas(supabase, addDays(agora, -DIAS_PARADA));
+  if (!paradas.length) return { paradas: 0, enviadas: 0 };
+
+  const usuarios = await usuariosAtivos(supabase);
+  const porId = new Map(usuarios.map((u) => [u.id, u]));
+  const porAuthId = new Map(usuarios.filter((u) => u.auth_id).map((u) => [u.auth_id, u]));
+
+  const grupos = new Map();
+  for (const c of paradas) {
+    const responsavel = porId.get(c.responsavel_id) || porAuthId.get(c.status_alterado_por) || null;
+    const chave = responsavel?.id ?? null;
+    if (!grupos.has(chave)) grupos.set(chave, []);
+    grupos.get(chave).push(c);
+  }
+
+  const linhas = (lista) => [
+    ...lista.slice(0, MAX_ITENS_EMAIL).map((c) => `- ${c.nome} (${c.vaga}): ${c.status} desde ${toBR(ultimaMovimentacao(c))}`),
+    ...(lista.length > MAX_ITENS_EMAIL ? [`... e mais ${lista.length - MAX_ITENS_EMAIL} no painel.`] : [])
+  ].join('\n');
+
+  let enviadas = 0;
+  for (const [usuarioId, lista] of grupos) {
+    const destinatarios = usuarioId
+      ? [porId.get(usuarioId)]
+      : usuarios.filter((u) => NIVEIS_GESTAO.includes(u.nivel));
+    enviadas += await enviarParaUsuarios(supabase, destinatarios, EVENTO.CANDIDATURAS_PARADAS, {
+      candidaturas: linhas(lista),
+      dias: String(DIAS_PARADA)
+    });
+  }
+
+  return { paradas: paradas.length, responsaveis: grupos.size, enviadas };
+}
@@ -0,0 +1,250 @@
+// retencao-routes.js - Regras de retenção, simulação/execução da limpeza e relatórios
+import 'dotenv/config';
+import express from 'express';
+import { supabase } from './dados.js';
+import { authUser, authAdmin } from './auth.js';
+import { auditar } from './auditoria.js';
+import { FORMATOS_EXPORTACAO, exportarCandidaturas } from './exportacao.js';
+import {
+  COLUNAS_RELATORIO,
+  ORIGEM_RETENCAO,
+  REGRAS_PADRAO,
+  carregarRegras,
+  descreverRegra,
+  executarRetencao,
+  validarRegra
+} from './retencao.js';
+import { asyncRoute } from './utils.js';
+
+const retencaoRouter = express.Router();
+
+const CAMPOS_EXECUCAO = 'id, simulacao, origem, usuario_id, iniciado_em, concluido_em, arquivadas, excluidas, bloqueadas, falhas, erro';
+
+/* =========================
+   GET /api/retencao/regras
+   Regras cadastradas, as padrão e as que estão em vigor (cadastradas ativas
+   + padrão sem regra cadastrada para a mesma combinação de status e vaga)
+========================= */
+retencaoRouter.get('/regras', authUser, authAdmin, asyncRoute(async (req, res) => {
+  const [cadastradas, vigentes] = await Promise.all([
+    supabase.from('retencao_regras').select('*').order('criado_em', { ascending: true }),
+    carregarRegras(supabase)
+  ]);
+
+  const error = cadastradas.error || vigentes.error;
+  if (error) {
+    console.error('[RETENCAO REGRAS] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar as regras de retenção.' });
+  }
+
+  res.json({
+    regras: cadastradas.data,
+    padrao: REGRAS_PADRAO,
+    em_vigor: vigentes.regras.map((r) => ({ ...r, descricao: descreverRegra(r) }))
+  });
+}));
+
+/* =========================
+   POST /api/retencao/regras
+   { status, vaga, dias_arquivar, dias_excluir, ativo, observacao }
+   status/vaga vazios valem para todos; prazos vazios = nunca
+========================= */
+retencaoRouter.post('/regras', authUser, authAdmin, auditar('retencao_regra.criar', 'retencao_regra'), asyncRoute(async (req, res) => {
+  const valid = validarRegra(req.body || {});
+  if (!valid.ok) return res.status(400).json({ message: valid.message });
+
+  const { data, error } = await supabase
+    .from('retencao_regras')
+    .insert([{ status: null, vaga: null, ativo: true, ...valid.regra, criado_por: req.user.id }])
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ message: 'Já existe uma regra para esta combinação de status e vaga.' });
+  }
+  if (error) {
+    console.error('[RETENCAO REGRAS] Erro ao criar:', error);
+    return res.status(500).json({ message: 'Erro ao criar regra de retenção.' });
+  }
+
+  res.locals.auditoria = { alvo_id: data.id, depois: data };
+  res.status(201).json(data);
+}));
+
+/* =========================
+   PUT /api/retencao/regras/:id
+========================= */
+retencaoRouter.put('/regras/:id', authUser, authAdmin, auditar('retencao_regra.editar', 'retencao_regra'), asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: atual, error: fetchError } = await supabase
+    .from('retencao_regras')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[RETENCAO REGRAS] Erro ao buscar:', fetchError);
+    return res.status(500).json({ message: 'Erro ao atualizar regra de retenção.' });
+  }
+  if (!atual) {
+    return res.status(404).json({ message: 'Regra não encontrada.' });
+  }
+
+  const valid = validarRegra(req.body || {}, atual);
+  if (!valid.ok) return res.status(400).json({ message: valid.message });
+
+  const { data, error } = await supabase
+    .from('retencao_regras')
+    .update({ ...valid.regra, atualizado_em: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ message: 'Já existe uma regra para esta combinação de status e vaga.' });
+  }
+  if (error) {
+    console.error('[RETENCAO REGRAS] Erro ao atualizar:', error);
+    return res.status(500).json({ message: 'Erro ao atualizar regra de retenção.' });
+  }
+
+  res.locals.auditoria = { antes: atual, depois: data };
+  res.json(data);
+}));
+
+/* =========================
+   DELETE /api/retencao/regras/:id
+   Sem a regra, volta a valer a padrão da mesma combinação (se houver) ou a mais geral
+========================= */
+retencaoRouter.delete('/regras/:id', authUser, authAdmin, auditar('retencao_regra.excluir', 'retencao_regra'), asyncRoute(async (req, res) => {
+  const { data, error } = await supabase
+    .from('retencao_regras')
+    .delete()
+    .eq('id', req.params.id)
+    .select();
+
+  if (error) {
+    console.error('[RETENCAO REGRAS] Erro ao excluir:', error);
+    return res.status(500).json({ message: 'Erro ao excluir regra de retenção.' });
+  }
+  if (!data?.length) {
+    return res.status(404).json({ message: 'Regra não encontrada.' });
+  }
+
+  res.locals.auditoria = { antes: data[0] };
+  res.json({ ok: true, message: 'Regra excluída.' });
+}));
+
+/* =========================
+   POST /api/retencao/simular
+   POST /api/retencao/executar
+   A simulação monta o mesmo relatório sem arquivar nem excluir nada
+========================= */
+async function responderExecucao(req, res, simulacao) {
+  const resultado = await executarRetencao(supabase, { simulacao, origem: ORIGEM_RETENCAO.MANUAL, usuario: req.user });
+
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[RETENCAO] Erro:', resultado.error);
+    return res.status(resultado.code).json({
+      message: resultado.message,
+      execucao_id: resultado.execucao?.id ?? resultado.execucao_id
+    });
+  }
+
+  const { relatorio, ...execucao } = resultado.execucao;
+  res.locals.auditoria = { alvo_id: execucao.id, detalhes: { ...execucao, pendentes: resultado.pendentes } };
+  res.json({
+    ...execucao,
+    pendentes: resultado.pendentes,
+    relatorio_url: `/api/retencao/execucoes/${execucao.id}/relatorio`
+  });
+}
+
+retencaoRouter.post('/simular', authUser, authAdmin, auditar('retencao.simular', 'retencao_execucao'), asyncRoute(async (req, res) => {
+  await responderExecucao(req, res, true);
+}));
+
+retencaoRouter.post('/executar', authUser, authAdmin, auditar('retencao.executar', 'retencao_execucao'), asyncRoute(async (req, res) => {
+  await responderExecucao(req, res, false);
+}));
+
+/* =========================
+   GET /api/retencao/execucoes?simulacao=true|false
+========================= */
+retencaoRouter.get('/execucoes', authUser, authAdmin, asyncRoute(async (req, res) => {
+  const { page = 1, limit = 20, simulacao } = req.query;
+  const offset = (Number(page) - 1) * Number(limit);
+
+  let query = supabase
+    .from('retencao_execucoes')
+    .select(`${CAMPOS_EXECUCAO}, usuario:usuarios!usuario_id(nome, email)`, { count: 'exact' })
+    .order('iniciado_em', { ascending: false });
+  if (simulacao === 'true' || simulacao === 'false') query = query.eq('simulacao', simulacao === 'true');
+
+  const { data, error, count } = await query.range(offset, offset + Number(limit) - 1);
+
+  if (error) {
+    console.error('[RETENCAO EXECUCOES] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar execuções da retenção.' });
+  }
+
+  res.json({
+    execucoes: data,
+    total: count,
+    page: Number(page),
+    totalPages: Math.ceil(count / limit)
+  });
+}));
+
+/* =========================
+   GET /api/retencao/execucoes/:id/relatorio?formato=json|csv|xlsx
+   Uma linha por candidatura avaliada: ação, resultado, status, vaga e regra
+   (sem dados pessoais, que podem já ter sido excluídos)
+========================= */
+retencaoRouter.get('/execucoes/:id/relatorio', authUser, authAdmin, asyncRoute(async (req, res) => {
+  const { formato = 'json', separador = ';' } = req.query;
+
+  if (formato !== 'json' && !FORMATOS_EXPORTACAO.includes(formato)) {
+    return res.status(400).json({ message: `Formato inválido. Use: json, ${FORMATOS_EXPORTACAO.join(', ')}.` });
+  }
+  if (![';', ','].includes(separador)) {
+    return res.status(400).json({ message: 'Separador inválido. Use ";" ou ",".' });
+  }
+
+  const { data: execucao, error } = await supabase
+    .from('retencao_execucoes')
+    .select(`${CAMPOS_EXECUCAO}, relatorio`)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[RETENCAO RELATORIO] Erro:', error);
+    return res.status(500).json({ message: 'Erro ao buscar o relatório.' });
+  }
+  if (!execucao) {
+    return res.status(404).json({ message: 'Execução não encontrada.' });
+  }
+
+  const nomeArquivo = `retencao-${execucao.simulacao ? 'simulacao-' : ''}${execucao.iniciado_em.slice(0, 10)}-${execucao.id.slice(0, 8)}`;
+
+  if (formato === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}.json"`);
+    return res.json(execucao);
+  }
+
+  async function* lotes() {
+    yield execucao.relatorio;
+  }
+
+  await exportarCandidaturas(res, lotes(), {
+    formato,
+    colunas: Object.keys(COLUNAS_RELATORIO),
+    nomeArquivo,
+    separador,
+    definicoes: COLUNAS_RELATORIO,
+    planilha: 'Retenção'
+  });
+}));
+
+export default retencaoRouter;
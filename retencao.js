@@ -0,0 +1,430 @@
+// retencao.js - Retenção de candidaturas: regras por status e vaga, arquivamento, bloqueio legal e relatório
+import 'dotenv/config';
+import { STATUS_CANDIDATURA } from './constantes.js';
+import { excluirCandidaturas } from './candidaturas.js';
+import { RETENTION_DAYS, addDays } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+export const ACAO_RETENCAO = {
+  ARQUIVAR: 'arquivar',
+  EXCLUIR: 'excluir'
+};
+
+export const RESULTADO_RETENCAO = {
+  SIMULADO: 'simulado',
+  CONCLUIDO: 'concluido',
+  BLOQUEADA: 'bloqueada',
+  FALHA: 'falha'
+};
+
+export const ORIGEM_RETENCAO = {
+  AGENDADA: 'agendada',
+  MANUAL: 'manual'
+};
+
+export const MOTIVO_ARQUIVAMENTO = {
+  RETENCAO: 'retencao',
+  REENVIO: 'reenvio'
+};
+
+// Dias que uma candidatura arquivada pela regra geral padrão aguarda até a exclusão definitiva
+export const RETENCAO_DIAS_ARQUIVO = Math.max(0, Number(process.env.RETENCAO_DIAS_ARQUIVO ?? 30));
+
+// Ações por execução; o restante fica para a próxima
+const LIMITE_EXECUCAO = Math.max(1, Number(process.env.RETENCAO_LIMITE_EXECUCAO || 10000));
+// Execução real sem conclusão há mais tempo que isso é considerada interrompida
+const EXECUCAO_TRAVADA_MS = 60 * 60 * 1000;
+
+const TAMANHO_CONSULTA = 500;
+const TAMANHO_ARQUIVAMENTO = 200;
+const TAMANHO_EXCLUSAO = 50;
+const CAMPOS_AVALIACAO = 'id, status, vaga, enviado_em, status_alterado_em, arquivado_em, retencao_bloqueada, arquivo_path';
+
+/**
+ * Regras usadas enquanto não houver regras cadastradas para a mesma combinação
+ * de status e vaga: o prazo de RETENTION_DAYS continua valendo para a maioria,
+ * mas contratados e quem já trabalhou aqui nunca são arquivados nem excluídos.
+ */
+export const REGRAS_PADRAO = [
+  { id: null, status: null, vaga: null, dias_arquivar: RETENTION_DAYS, dias_excluir: RETENCAO_DIAS_ARQUIVO },
+  { id: null, status: STATUS_CANDIDATURA.CONTRATADO, vaga: null, dias_arquivar: null, dias_excluir: null },
+  { id: null, status: STATUS_CANDIDATURA.JA_TRABALHOU, vaga: null, dias_arquivar: null, dias_excluir: null }
+];
+
+/* =========================
+   REGRAS
+========================= */
+
+const vazio = (v) => v === undefined || v === null || v === '';
+const normalizarVaga = (v) => (v == null ? null : String(v).toLowerCase().trim());
+const chaveRegra = (r) => `${r.status ?? ''}|${normalizarVaga(r.vaga) ?? ''}`;
+
+// status + vaga > vaga > status > geral
+const especificidade = (r) => (r.vaga != null ? 2 : 0) + (r.status != null ? 1 : 0);
+
+export const descreverRegra = (r) =>
+  [r.status, r.vaga].filter((v) => v != null).join(' / ') || 'geral';
+
+function validarPrazo(body, campo, minimo) {
+  if (vazio(body[campo])) return { ok: true, valor: null };
+  const valor = Number(body[campo]);
+  if (!Number.isInteger(valor) || valor < minimo || valor > 36500) {
+    return { ok: false, message: `O campo ${campo} deve ser um número inteiro de dias a partir de ${minimo}, ou vazio para nunca.` };
+  }
+  return { ok: true, valor };
+}
+
+/**
+ * Valida os campos de uma regra de retenção. `atual` é a regra existente (PUT):
+ * os campos ausentes no corpo mantêm o valor atual.
+ * Retorna { ok, message } ou { ok, regra } somente com os campos enviados.
+ */
+export function validarRegra(body, atual = null) {
+  const regra = {};
+  const enviado = (k) => body[k] !== undefined;
+
+  if (enviado('status')) {
+    if (!vazio(body.status) && !Object.values(STATUS_CANDIDATURA).includes(body.status)) {
+      return { ok: false, message: `Status inválido. Use: ${Object.values(STATUS_CANDIDATURA).join(', ')} ou vazio para todos.` };
+    }
+    regra.status = vazio(body.status) ? null : body.status;
+  }
+
+  if (enviado('vaga')) {
+    const vaga = vazio(body.vaga) ? null : String(body.vaga).trim();
+    if (vaga && vaga.length > 180) return { ok: false, message: 'O campo vaga excede 180 caracteres.' };
+    regra.vaga = vaga || null;
+  }
+
+  for (const [campo, minimo] of [['dias_arquivar', 1], ['dias_excluir', 0]]) {
+    if (!enviado(campo)) continue;
+    const prazo = validarPrazo(body, campo, minimo);
+    if (!prazo.ok) return prazo;
+    regra[campo] = prazo.valor;
+  }
+
+  if (enviado('ativo')) {
+    if (typeof body.ativo !== 'boolean') return { ok: false, message: 'O campo ativo deve ser verdadeiro ou falso.' };
+    regra.ativo = body.ativo;
+  }
+
+  if (enviado('observacao')) {
+    const observacao = vazio(body.observacao) ? null : String(body.observacao).trim();
+    if (observacao && observacao.length > 500) return { ok: false, message: 'O campo observacao excede 500 caracteres.' };
+    regra.observacao = observacao || null;
+  }
+
+  if (!atual && !enviado('dias_arquivar') && !enviado('dias_excluir')) {
+    return { ok: false, message: 'Informe dias_arquivar e/ou dias_excluir (vazio = nunca).' };
+  }
+
+  return { ok: true, regra };
+}
+
+/**
+ * Regras em vigor: as cadastradas (ativas) substituem as padrão de mesma
+ * combinação de status e vaga; as demais padrão continuam valendo.
+ */
+export async function carregarRegras(supabase) {
+  const { data, error } = await supabase
+    .from('retencao_regras')
+    .select('id, status, vaga, dias_arquivar, dias_excluir')
+    .eq('ativo', true);
+  if (error) return { regras: null, error };
+
+  const cadastradas = new Set(data.map(chaveRegra));
+  return { regras: [...data, ...REGRAS_PADRAO.filter((r) => !cadastradas.has(chaveRegra(r)))], error: null };
+}
+
+// Regra mais específica que se aplica à candidatura
+export function regraAplicavel(regras, { status, vaga }) {
+  const vagaNorm = normalizarVaga(vaga);
+  return regras
+    .filter((r) => (r.status == null || r.status === status) && (r.vaga == null || normalizarVaga(r.vaga) === vagaNorm))
+    .sort((a, b) => especificidade(b) - especificidade(a))[0] || null;
+}
+
+/**
+ * Ação de retenção devida para a candidatura, ou null.
+ * Ativas são arquivadas após dias_arquivar sem movimentação (último status ou envio);
+ * arquivadas são excluídas dias_excluir depois do arquivamento.
+ */
+export function avaliarCandidatura(candidatura, regra, agora = new Date()) {
+  if (!regra) return null;
+
+  const arquivada = Boolean(candidatura.arquivado_em);
+  const prazo = arquivada ? regra.dias_excluir : regra.dias_arquivar;
+  if (prazo == null) return null;
+
+  const referencia = arquivada ? candidatura.arquivado_em : candidatura.status_alterado_em || candidatura.enviado_em;
+  if (!referencia || addDays(referencia, prazo) > agora) return null;
+
+  return {
+    acao: arquivada ? ACAO_RETENCAO.EXCLUIR : ACAO_RETENCAO.ARQUIVAR,
+    referencia_em: new Date(referencia).toISOString(),
+    prazo_dias: prazo
+  };
+}
+
+/* =========================
+   EXECUÇÃO
+========================= */
+
+// Menor prazo entre as regras: nada enviado depois do corte pode ter ação devida
+function corteEnvio(regras, agora) {
+  const prazos = regras.flatMap((r) => [r.dias_arquivar, r.dias_excluir]).filter((p) => p != null);
+  return prazos.length ? addDays(agora, -Math.min(...prazos)).toISOString() : null;
+}
+
+// Percorre as candidaturas e monta o relatório das ações devidas (sem alterar nada)
+async function planejarRetencao(supabase, regras, agora) {
+  const corte = corteEnvio(regras, agora);
+  const itens = [];
+  if (!corte) return { itens, pendentes: false };
+
+  for (let offset = 0; ; offset += TAMANHO_CONSULTA) {
+    const { data, error } = await supabase
+      .from('candidaturas')
+      .select(CAMPOS_AVALIACAO)
+      .lte('enviado_em', corte)
+      .order('enviado_em', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + TAMANHO_CONSULTA - 1);
+    if (error) throw error;
+
+    for (const c of data) {
+      const regra = regraAplicavel(regras, c);
+      const devida = avaliarCandidatura(c, regra, agora);
+      if (!devida) continue;
+      if (itens.length >= LIMITE_EXECUCAO) return { itens, pendentes: true };
+
+      itens.push({
+        candidatura_id: c.id,
+        ...devida,
+        status: c.status,
+        vaga: c.vaga,
+        regra_id: regra.id,
+        regra: descreverRegra(regra),
+        resultado: c.retencao_bloqueada ? RESULTADO_RETENCAO.BLOQUEADA : RESULTADO_RETENCAO.SIMULADO,
+        arquivo_path: c.arquivo_path
+      });
+    }
+
+    if (data.length < TAMANHO_CONSULTA) return { itens, pendentes: false };
+  }
+}
+
+async function arquivar(supabase, itens, execucaoId, agora) {
+  for (let i = 0; i < itens.length; i += TAMANHO_ARQUIVAMENTO) {
+    const grupo = itens.slice(i, i + TAMANHO_ARQUIVAMENTO);
+    // O bloqueio pode ter sido aplicado durante a execução
+    const { data, error } = await supabase
+      .from('candidaturas')
+      .update({ arquivado_em: agora.toISOString(), arquivamento_motivo: MOTIVO_ARQUIVAMENTO.RETENCAO, arquivado_execucao_id: execucaoId })
+      .in('id', grupo.map((it) => it.candidatura_id))
+      .is('arquivado_em', null)
+      .eq('retencao_bloqueada', false)
+      .select('id');
+    if (error) console.error('[RETENCAO] Erro ao arquivar grupo:', error);
+
+    const arquivadas = new Set((data || []).map((r) => r.id));
+    for (const it of grupo) {
+      it.resultado = arquivadas.has(it.candidatura_id)
+        ? RESULTADO_RETENCAO.CONCLUIDO
+        : error ? RESULTADO_RETENCAO.FALHA : RESULTADO_RETENCAO.BLOQUEADA;
+    }
+  }
+}
+
+async function excluir(supabase, itens) {
+  for (let i = 0; i < itens.length; i += TAMANHO_EXCLUSAO) {
+    const grupo = itens.slice(i, i + TAMANHO_EXCLUSAO);
+    const { error, bloqueadas = [] } = await excluirCandidaturas(
+      supabase,
+      grupo.map((it) => ({ id: it.candidatura_id, arquivo_path: it.arquivo_path }))
+    );
+    if (error) console.error('[RETENCAO] Erro ao excluir grupo:', error);
+
+    for (const it of grupo) {
+      it.resultado = bloqueadas.includes(it.candidatura_id)
+        ? RESULTADO_RETENCAO.BLOQUEADA
+        : error ? RESULTADO_RETENCAO.FALHA : RESULTADO_RETENCAO.CONCLUIDO;
+    }
+  }
+}
+
+const contar = (itens, acao) => itens.filter((it) =>
+  it.acao === acao && [RESULTADO_RETENCAO.SIMULADO, RESULTADO_RETENCAO.CONCLUIDO].includes(it.resultado)).length;
+
+/**
+ * Aplica as regras de retenção: arquiva as candidaturas vencidas e exclui
+ * definitivamente as arquivadas há mais tempo que o prazo. Candidaturas com
+ * bloqueio legal aparecem no relatório sem serem alteradas. Com `simulacao`,
+ * apenas monta o relatório. Toda execução fica em retencao_execucoes.
+ * Retorna { ok, execucao } ou { ok: false, code, message, error }.
+ */
+export async function executarRetencao(supabase, { simulacao = false, origem = ORIGEM_RETENCAO.MANUAL, usuario = null } = {}) {
+  const agora = new Date();
+
+  if (!simulacao) {
+    const { data: emAndamento, error } = await supabase
+      .from('retencao_execucoes')
+      .select('id')
+      .eq('simulacao', false)
+      .is('concluido_em', null)
+      .gte('iniciado_em', new Date(agora.getTime() - EXECUCAO_TRAVADA_MS).toISOString())
+      .limit(1);
+    if (error) return { ok: false, code: 500, message: 'Falha ao verificar execuções em andamento.', error };
+    if (emAndamento.length) {
+      return { ok: false, code: 409, message: 'Já existe uma limpeza em andamento.', execucao_id: emAndamento[0].id };
+    }
+  }
+
+  const { regras, error: regrasError } = await carregarRegras(supabase);
+  if (regrasError) return { ok: false, code: 500, message: 'Falha ao carregar as regras de retenção.', error: regrasError };
+
+  const { data: execucao, error: execError } = await supabase
+    .from('retencao_execucoes')
+    .insert({ simulacao, origem, usuario_id: usuario?.id || null, iniciado_em: agora.toISOString() })
+    .select('id')
+    .single();
+  if (execError) return { ok: false, code: 500, message: 'Falha ao registrar a execução.', error: execError };
+
+  let itens = [];
+  let pendentes = false;
+  let erro = null;
+  try {
+    ({ itens, pendentes } = await planejarRetencao(supabase, regras, agora));
+    if (!simulacao) {
+      const devidos = (acao) => itens.filter((it) => it.acao === acao && it.resultado !== RESULTADO_RETENCAO.BLOQUEADA);
+      await arquivar(supabase, devidos(ACAO_RETENCAO.ARQUIVAR), execucao.id, agora);
+      await excluir(supabase, devidos(ACAO_RETENCAO.EXCLUIR));
+    }
+  } catch (error) {
+    console.error('[RETENCAO] Erro na execução:', error);
+    erro = error.message || String(error);
+  }
+
+  const resumo = {
+    arquivadas: contar(itens, ACAO_RETENCAO.ARQUIVAR),
+    excluidas: contar(itens, ACAO_RETENCAO.EXCLUIR),
+    bloqueadas: itens.filter((it) => it.resultado === RESULTADO_RETENCAO.BLOQUEADA).length,
+    falhas: itens.filter((it) => it.resultado === RESULTADO_RETENCAO.FALHA).length
+  };
+
+  // O relatório não guarda dados pessoais nem o caminho do currículo
+  const relatorio = itens.map(({ arquivo_path, ...it }) => it);
+
+  const { data: final, error: fimError } = await supabase
+    .from('retencao_execucoes')
+    .update({ ...resumo, relatorio, erro, concluido_em: new Date().toISOString() })
+    .eq('id', execucao.id)
+    .select('*')
+    .single();
+  if (fimError) return { ok: false, code: 500, message: 'Falha ao registrar o resultado da execução.', error: fimError };
+
+  if (erro) return { ok: false, code: 500, message: 'Falha ao aplicar a retenção.', execucao: final };
+  return { ok: true, execucao: final, pendentes };
+}
+
+/* =========================
+   CANDIDATURA INDIVIDUAL
+========================= */
+
+/**
+ * Arquiva uma candidatura fora da execução da retenção (ex.: novo envio para a
+ * mesma vaga depois do prazo de reenvio). Candidaturas com bloqueio legal não são
+ * arquivadas. Retorna { error, arquivada } — arquivada: false se já estava arquivada ou bloqueada.
+ */
+export async function arquivarCandidatura(supabase, id, motivo) {
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .update({ arquivado_em: new Date().toISOString(), arquivamento_motivo: motivo, arquivado_execucao_id: null })
+    .eq('id', id)
+    .is('arquivado_em', null)
+    .eq('retencao_bloqueada', false)
+    .select('id');
+  return { error, arquivada: Boolean(data?.length) };
+}
+
+// Devolve a candidatura arquivada à listagem; conflito se o CPF já tem outra ativa na vaga
+export async function restaurarCandidatura(supabase, id) {
+  const { data: atual, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select('id, arquivado_em, arquivamento_motivo, arquivado_execucao_id')
+    .eq('id', id)
+    .maybeSingle();
+  if (fetchError) return { ok: false, code: 500, message: 'Erro ao buscar candidatura.', error: fetchError };
+  if (!atual) return { ok: false, code: 404, message: 'Candidatura não encontrada.' };
+  if (!atual.arquivado_em) return { ok: false, code: 400, message: 'A candidatura não está arquivada.' };
+
+  const { error } = await supabase
+    .from('candidaturas')
+    .update({ arquivado_em: null, arquivamento_motivo: null, arquivado_execucao_id: null })
+    .eq('id', id);
+  if (error?.code === '23505') {
+    return { ok: false, code: 409, message: 'Já existe uma candidatura ativa deste CPF para a mesma vaga.' };
+  }
+  if (error) return { ok: false, code: 500, message: 'Erro ao restaurar candidatura.', error };
+
+  return { ok: true, antes: atual };
+}
+
+/**
+ * Aplica ou remove o bloqueio legal. Com bloqueio, a candidatura não é
+ * arquivada nem excluída (pela retenção, pelo painel ou por pedido LGPD).
+ */
+export async function definirBloqueio(supabase, id, { bloqueada, motivo, usuario }) {
+  if (typeof bloqueada !== 'boolean') {
+    return { ok: false, code: 400, message: 'O campo bloqueada deve ser verdadeiro ou falso.' };
+  }
+  const texto = String(motivo ?? '').trim();
+  if (bloqueada && !texto) return { ok: false, code: 400, message: 'Informe o motivo do bloqueio.' };
+  if (texto.length > 500) return { ok: false, code: 400, message: 'O motivo excede 500 caracteres.' };
+
+  const campos = 'id, retencao_bloqueada, retencao_bloqueio_motivo, retencao_bloqueada_por, retencao_bloqueada_em';
+  const { data: atual, error: fetchError } = await supabase
+    .from('candidaturas')
+    .select(campos)
+    .eq('id', id)
+    .maybeSingle();
+  if (fetchError) return { ok: false, code: 500, message: 'Erro ao buscar candidatura.', error: fetchError };
+  if (!atual) return { ok: false, code: 404, message: 'Candidatura não encontrada.' };
+
+  const { data, error } = await supabase
+    .from('candidaturas')
+    .update(bloqueada
+      ? { retencao_bloqueada: true, retencao_bloqueio_motivo: texto, retencao_bloqueada_por: usuario?.id || null, retencao_bloqueada_em: new Date().toISOString() }
+      : { retencao_bloqueada: false, retencao_bloqueio_motivo: null, retencao_bloqueada_por: null, retencao_bloqueada_em: null })
+    .eq('id', id)
+    .select(campos)
+    .single();
+  if (error) return { ok: false, code: 500, message: 'Erro ao atualizar o bloqueio.', error };
+
+  return { ok: true, antes: atual, candidatura: data };
+}
+
+/* =========================
+   RELATÓRIO
+   Colunas no formato de COLUNAS_EXPORTACAO (exportacao.js)
+========================= */
+const TITULOS_ACAO = { [ACAO_RETENCAO.ARQUIVAR]: 'Arquivar', [ACAO_RETENCAO.EXCLUIR]: 'Excluir' };
+const TITULOS_RESULTADO = {
+  [RESULTADO_RETENCAO.SIMULADO]: 'Simulado',
+  [RESULTADO_RETENCAO.CONCLUIDO]: 'Concluído',
+  [RESULTADO_RETENCAO.BLOQUEADA]: 'Bloqueio legal',
+  [RESULTADO_RETENCAO.FALHA]: 'Falha'
+};
+
+export const COLUNAS_RELATORIO = {
+  candidatura_id: { titulo: 'Candidatura' },
+  acao: { titulo: 'Ação', valor: (r) => TITULOS_ACAO[r.acao] || r.acao },
+  resultado: { titulo: 'Resultado', valor: (r) => TITULOS_RESULTADO[r.resultado] || r.resultado },
+  status: { titulo: 'Status' },
+  vaga: { titulo: 'Vaga' },
+  regra: { titulo: 'Regra' },
+  prazo_dias: { titulo: 'Prazo (dias)', tipo: 'numero' },
+  referencia_em: { titulo: 'Prazo contado desde', tipo: 'data' }
+};
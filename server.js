@@ -3,14 +3,34 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import { nanoid } from 'nanoid';
-import { createClient } from '@supabase/supabase-js';
+import { DATA_BACKEND, supabase, montarRotasDados, prepararDadosLocais } from './dados.js';
 import mime from 'mime-types';
+import {
+  RETENTION_DAYS, toBR, clean, isEmail, isCPF, normalizarCpf,
+  calcularReenvio, gerarCodigoAcompanhamento, hashCodigo, ipCliente, asyncRoute, TRUST_PROXY,
+} from './utils.js';
+import {
+  MAX_FILE_MB, armazenarCurriculo, salvarTextoCurriculo, sincronizarPerfil, uploadCurriculo,
+} from './candidaturas.js';
+import { MOTIVO_ARQUIVAMENTO, ORIGEM_RETENCAO, arquivarCandidatura, executarRetencao, restaurarCandidatura } from './retencao.js';
+import { AGENDADOR_ATIVO, iniciarAgendador } from './agendador.js';
+import { armazenamento, limitarRequisicoes } from './limite-requisicoes.js';
+import { PERMITIR_SEM_DESAFIO, avaliarEnvio, consumirDesafio, gerarDesafio, provedorCaptcha } from './antibot.js';
+import { extrairTexto } from './extracao-texto.js';
+import { CAMPOS_PUBLICOS_VAGA, filtrarVagasPublicadas, vagaPublica } from './vagas.js';
+import { avaliarRespostas } from './triagem.js';
+import { EVENTO, enfileirarNotificacao, processarFila } from './notificacoes.js';
+import { encerrarJobsAbandonados } from './acoes-lote.js';
+import { ATOR_AUDITORIA, auditar } from './auditoria.js';
+import { agendarGeocodificacao, geocodificarPendentes } from './geocodificacao.js';
+import { consultarCep, formatarCep, validarEndereco } from './cep.js';
+import { resolverLocalidade } from './localidades.js';
 
 /* =========================
    CONFIG & SAFETY CHECKS
 ========================= */
-const REQUIRED_ENVS = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_BUCKET'];
+// O backend local (DATA_BACKEND=local) não precisa das credenciais do Supabase
+const REQUIRED_ENVS = DATA_BACKEND === 'supabase' ? ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_BUCKET'] : [];
 const missing = REQUIRED_ENVS.filter((k) => !process.env[k]);
 if (missing.length) {
   console.warn('[WARN] Variáveis de ambiente ausentes:', missing.join(', '));
@@ -19,8 +39,6 @@ if (missing.length) {
 const PORT = Number(process.env.PORT || 10000);
 const RAW_ORIGINS = process.env.CORS_ORIGIN || '*';
 const ALLOWLIST = RAW_ORIGINS.split(',').map((s) => s.trim());
-const MAX_FILE_MB = Math.max(1, Number(process.env.MAX_FILE_MB || 5));
-const RETENTION_DAYS = Math.max(1, Number(process.env.RETENTION_DAYS || 90));
 const BUCKET = process.env.SUPABASE_BUCKET || 'curriculos';
 const CLEANUP_TOKEN = process.env.CLEANUP_TOKEN || '';
 
@@ -38,6 +56,9 @@ const serverStats = {
 ========================= */
 const app = express();
 
+// req.ip passa a ser o cliente do X-Forwarded-For somente atrás dos proxies em TRUST_PROXY
+app.set('trust proxy', TRUST_PROXY);
+
 // MIDDLEWARE CRUCIAL: Parse JSON antes de tudo
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -129,58 +150,9 @@ app.get('/status', (req, res) => {
   });
 });
 
-// Supabase
-const supabase = createClient(process.env.SUPABASE_URL || '', process.env.SUPABASE_SERVICE_ROLE_KEY || '', {
-  auth: { persistSession: false },
-});
-
-// Upload
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: MAX_FILE_MB * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const ok = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    ];
-    if (ok.includes(file.mimetype)) cb(null, true);
-    else cb(new Error('Formato inválido. Envie PDF, DOC ou DOCX.'));
-  },
-});
-
 /* =========================
-   UTILS
+   VALIDAÇÃO
 ========================= */
-const slugify = (s) =>
-  String(s || '')
-    .normalize('NFKD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-zA-Z0-9._-]+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '')
-    .toLowerCase();
-
-const toBR = (d) => new Date(d).toLocaleDateString('pt-BR');
-const addDays = (d, days) => new Date(new Date(d).getTime() + days * 86400000);
-const clean = (s, max = 200) => String(s ?? '').trim().slice(0, max);
-const isEmail = (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || '').toLowerCase());
-
-function isCPF(cpfRaw) {
-  const cpf = String(cpfRaw || '').replace(/\D/g, '');
-  if (!cpf || cpf.length !== 11) return false;
-  if (/^(\d)\1+$/.test(cpf)) return false;
-  const dv = (base) => {
-    let sum = 0;
-    for (let i = 0; i < base.length; i++) sum += Number(base[i]) * (base.length + 1 - i);
-    const mod = sum % 11;
-    return mod < 2 ? 0 : 11 - mod;
-  };
-  const d1 = dv(cpf.slice(0, 9));
-  const d2 = dv(cpf.slice(0, 9) + d1);
-  return cpf.endsWith(`${d1}${d2}`);
-}
-
 function validatePayload(p) {
   const reqs = ['nome','cpf','telefone','email','cep','cidade','bairro','rua','transporte','vaga'];
   const miss = reqs.filter((k) => !p[k]);
@@ -192,21 +164,12 @@ function validatePayload(p) {
   return { ok: true };
 }
 
-const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
-
-/* =========================
-   RATE LIMIT leve
-========================= */
-const buckets = new Map();
-const WINDOW_MS = 60_000;
-const MAX_REQ = 30;
-function rateLimit(req, res, next) {
-  const ip = req.headers['x-forwarded-for']?.toString().split(',')[0].trim() || req.ip || 'local';
-  const now = Date.now();
-  const b = buckets.get(ip) || { ts: now, count: 0 };
-  if (now - b.ts > WINDOW_MS) { b.ts = now; b.count = 0; }
-  b.count++; buckets.set(ip, b);
-  if (b.count > MAX_REQ) return res.status(429).json({ message: 'Muitas requisições. Tente novamente em instantes.' });
+// Rotas internas para um cron externo (opcionais: o agendador interno, agendador.js, executa as
+// mesmas tarefas). Sem CLEANUP_TOKEN ficam desativadas.
+function authCron(req, res, next) {
+  if (!CLEANUP_TOKEN || req.header('X-CRON-TOKEN') !== CLEANUP_TOKEN) {
+    return res.status(401).json({ ok: false, message: 'unauthorized' });
+  }
   next();
 }
 
@@ -215,6 +178,11 @@ function rateLimit(req, res, next) {
 ========================= */
 let adminRouter;
 let userRouter;
+let candidatoRouter;
+let entrevistasRouter;
+let candidatosRouter;
+let retencaoRouter;
+let agendamentosRouter;
 
 // Carregar admin-routes
 try {
@@ -246,28 +214,155 @@ try {
   });
 }
 
+// Carregar candidato-routes
+try {
+  console.log('📁 Tentando carregar candidato-routes.js...');
+  const candidatoModule = await import('./candidato-routes.js');
+  candidatoRouter = candidatoModule.default;
+  console.log('✅ candidato-routes.js carregado com sucesso');
+} catch (error) {
+  console.error('❌ Erro ao carregar candidato-routes.js:', error.message);
+  // Fallback: criar router básico
+  candidatoRouter = express.Router();
+  candidatoRouter.all('*', (req, res) => {
+    res.status(503).json({ message: 'Acompanhamento de candidaturas temporariamente indisponível' });
+  });
+}
+
+// Carregar entrevistas-routes
+try {
+  console.log('📁 Tentando carregar entrevistas-routes.js...');
+  const entrevistasModule = await import('./entrevistas-routes.js');
+  entrevistasRouter = entrevistasModule.default;
+  console.log('✅ entrevistas-routes.js carregado com sucesso');
+} catch (error) {
+  console.error('❌ Erro ao carregar entrevistas-routes.js:', error.message);
+  // Fallback: criar router básico
+  entrevistasRouter = express.Router();
+  entrevistasRouter.all('*', (req, res) => {
+    res.status(503).json({ message: 'Agenda de entrevistas temporariamente indisponível' });
+  });
+}
+
+// Carregar candidatos-routes
+try {
+  console.log('📁 Tentando carregar candidatos-routes.js...');
+  const candidatosModule = await import('./candidatos-routes.js');
+  candidatosRouter = candidatosModule.default;
+  console.log('✅ candidatos-routes.js carregado com sucesso');
+} catch (error) {
+  console.error('❌ Erro ao carregar candidatos-routes.js:', error.message);
+  // Fallback: criar router básico
+  candidatosRouter = express.Router();
+  candidatosRouter.all('*', (req, res) => {
+    res.status(503).json({ message: 'Banco de talentos temporariamente indisponível' });
+  });
+}
+
+// Carregar retencao-routes
+try {
+  console.log('📁 Tentando carregar retencao-routes.js...');
+  const retencaoModule = await import('./retencao-routes.js');
+  retencaoRouter = retencaoModule.default;
+  console.log('✅ retencao-routes.js carregado com sucesso');
+} catch (error) {
+  console.error('❌ Erro ao carregar retencao-routes.js:', error.message);
+  // Fallback: criar router básico
+  retencaoRouter = express.Router();
+  retencaoRouter.all('*', (req, res) => {
+    res.status(503).json({ message: 'Retenção de dados temporariamente indisponível' });
+  });
+}
+
+// Carregar agendamentos-routes
+try {
+  console.log('📁 Tentando carregar agendamentos-routes.js...');
+  const agendamentosModule = await import('./agendamentos-routes.js');
+  agendamentosRouter = agendamentosModule.default;
+  console.log('✅ agendamentos-routes.js carregado com sucesso');
+} catch (error) {
+  console.error('❌ Erro ao carregar agendamentos-routes.js:', error.message);
+  // Fallback: criar router básico
+  agendamentosRouter = express.Router();
+  agendamentosRouter.all('*', (req, res) => {
+    res.status(503).json({ message: 'Agendador de tarefas temporariamente indisponível' });
+  });
+}
+
 /* =========================
    GET /api/vagas
 ========================= */
-app.get('/api/vagas', asyncRoute(async (req, res) => {
-  const { data, error } = await supabase
-    .from('vagas')
-    .select('id, nome, ativa')
-    .eq('ativa', true)
-    .order('nome', { ascending: true });
+app.get('/api/vagas', limitarRequisicoes('vagas'), asyncRoute(async (req, res) => {
+  const { data, error } = await filtrarVagasPublicadas(
+    supabase.from('vagas').select(CAMPOS_PUBLICOS_VAGA)
+  ).order('nome', { ascending: true });
 
   if (error) {
     console.error('[VAGAS] Erro ao buscar:', error);
     return res.status(500).json({ message: 'Erro ao buscar vagas disponíveis.' });
   }
 
-  res.json(data || []);
+  res.json((data || []).map(vagaPublica));
+}));
+
+/* =========================
+   GET /api/vagas/:id
+========================= */
+app.get('/api/vagas/:id', limitarRequisicoes('vagas'), asyncRoute(async (req, res) => {
+  const { data, error } = await filtrarVagasPublicadas(
+    supabase.from('vagas').select(CAMPOS_PUBLICOS_VAGA)
+  ).eq('id', req.params.id).maybeSingle();
+
+  if (error) {
+    console.error('[VAGAS] Erro ao buscar vaga:', error);
+    return res.status(500).json({ message: 'Erro ao buscar vaga.' });
+  }
+
+  if (!data) {
+    return res.status(404).json({ message: 'Vaga não encontrada ou não está mais disponível.' });
+  }
+
+  res.json(vagaPublica(data));
 }));
 
+/* =========================
+   GET /api/cep/:cep
+   Preenchimento automático do endereço no formulário
+========================= */
+app.get('/api/cep/:cep', limitarRequisicoes('cep'), asyncRoute(async (req, res) => {
+  const consulta = await consultarCep(req.params.cep);
+
+  if (consulta.motivo === 'invalido') {
+    return res.status(400).json({ message: 'CEP inválido. Informe os 8 dígitos do CEP.' });
+  }
+  if (consulta.motivo === 'nao_encontrado') {
+    return res.status(404).json({ message: 'CEP não encontrado.', uf: consulta.uf });
+  }
+
+  if (!consulta.ok) {
+    // Provedor indisponível: só a UF (pela faixa do CEP) é conhecida
+    return res.json({ cep: formatarCep(req.params.cep.replace(/\D/g, '')), uf: consulta.uf, cidade: null, bairro: null, rua: null, parcial: true });
+  }
+
+  const { cep, rua, bairro, cidade, uf, fonte } = consulta.endereco;
+  res.json({ cep: formatarCep(cep), rua, bairro, cidade, uf, fonte, parcial: false });
+}));
+
+/* =========================
+   GET /api/antibot/desafio
+   Desafio de prova de trabalho que o formulário resolve antes do envio
+   (campos antibot_desafio e antibot_solucao); informa também o campo isca
+   e, se configurado, o CAPTCHA. Pedir um novo desafio a cada envio.
+========================= */
+app.get('/api/antibot/desafio', limitarRequisicoes('desafio'), (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(gerarDesafio());
+});
+
 /* =========================
    POST /api/enviar
 ========================= */
-app.post('/api/enviar', rateLimit, upload.single('arquivo'), asyncRoute(async (req, res) => {
+app.post('/api/enviar', limitarRequisicoes('envio'), auditar('candidatura.criar', 'candidatura', { ator: ATOR_AUDITORIA.CANDIDATO }), uploadCurriculo.single('arquivo'), asyncRoute(async (req, res) => {
   const body = {
     nome: clean(req.body?.nome),
     cpf: clean(req.body?.cpf),
@@ -285,59 +380,143 @@ app.post('/api/enviar', rateLimit, upload.single('arquivo'), asyncRoute(async (r
   if (!valid.ok) return res.status(400).json({ message: valid.message });
   if (!req.file) return res.status(400).json({ message: 'Arquivo é obrigatório.' });
 
-  const cpfNorm = body.cpf.replace(/\D/g, '').slice(0, 11);
+  // Antirrobô (antibot.js): isca, desafio, tempo de preenchimento, CAPTCHA e conteúdo
+  const antibot = await avaliarEnvio(supabase, req, body);
+  if (!antibot.ok) {
+    console.warn(`[ENVIO] Recusado pelo antirrobô (pontuação ${antibot.pontuacao}): ${antibot.sinais.join(', ')}`);
+    return res.status(antibot.code).json({ message: antibot.message });
+  }
+
+  // CEP válido e coerente com cidade/UF; cidade e UF passam a seguir a base de CEPs
+  const endereco = await validarEndereco({ ...body, uf: clean(req.body?.uf, 2) });
+  if (!endereco.ok) return res.status(400).json({ message: endereco.message });
+  const informado = { cidade: body.cidade, bairro: body.bairro };
+  Object.assign(body, endereco.endereco);
+
+  // Perguntas de triagem da vaga (o formulário envia as respostas em JSON no campo "respostas")
+  let respostasRaw = req.body?.respostas || {};
+  if (typeof respostasRaw === 'string') {
+    try { respostasRaw = JSON.parse(respostasRaw); }
+    catch { return res.status(400).json({ message: 'Respostas do questionário inválidas.' }); }
+  }
+
+  // Só vagas publicadas (ativas, dentro do período de publicação) recebem candidaturas
+  const { data: vagaRows, error: vagaErr } = await filtrarVagasPublicadas(
+    supabase.from('vagas').select('id, perguntas')
+  ).eq('nome', body.vaga).limit(1);
+  if (vagaErr) return res.status(500).json({ message: 'Falha ao carregar o questionário da vaga.' });
+  if (!vagaRows?.length) return res.status(400).json({ message: 'Vaga não encontrada ou não está mais disponível.' });
+
+  const triagem = avaliarRespostas(vagaRows[0].perguntas, respostasRaw);
+  if (!triagem.ok) return res.status(400).json({ message: triagem.message });
+
+  const cpfNorm = normalizarCpf(body.cpf);
   const vagaNorm = body.vaga.toLowerCase().trim();
 
-  // Duplicidade antes do upload
+  // Duplicidade antes do upload (candidaturas arquivadas pela retenção não contam)
   const { data: existed, error: exErr } = await supabase
     .from('candidaturas')
-    .select('id, enviado_em, vaga')
+    .select('id, enviado_em, vaga, retencao_bloqueada')
     .eq('cpf_norm', cpfNorm)
     .eq('vaga_norm', vagaNorm)
+    .is('arquivado_em', null)
     .order('enviado_em', { ascending: false })
     .limit(1);
   if (exErr) return res.status(500).json({ message: 'Falha ao verificar duplicidade.' });
 
-  if (existed?.length) {
-    const enviado = new Date(existed[0].enviado_em);
-    const diffDays = Math.floor((Date.now() - enviado.getTime()) / 86400000);
-    const daysLeft = Math.max(0, RETENTION_DAYS - diffDays);
-    const reapplyDate = addDays(enviado, RETENTION_DAYS);
+  const reenvio = existed?.length ? calcularReenvio(existed[0].enviado_em) : null;
+  if (reenvio && reenvio.daysLeft > 0) {
+    const { enviado, daysLeft, reapplyDate } = reenvio;
     return res.status(409).json({
       ok: false,
       reason: 'duplicate',
       message:
         `Identificamos que já existe uma candidatura registrada para a vaga "${existed[0].vaga}" com o mesmo CPF, enviada em ${toBR(enviado)}. ` +
-        `Conforme nossa política, é necessário aguardar ${daysLeft} dia(s), até ${toBR(reapplyDate)}, para realizar um novo envio.`,
+        `Conforme nossa política, é necessário aguardar ${daysLeft} dia(s), até ${toBR(reapplyDate)}, para realizar um novo envio. ` +
+        'Para corrigir telefone, e-mail ou enviar um currículo atualizado, use a opção de atualizar a candidatura no portal do candidato.',
+      pode_atualizar: true,
       enviado_em: enviado.toISOString(),
       pode_reenviar_em: reapplyDate.toISOString(),
     });
   }
 
-  // Upload
-  const ext = mime.extension(req.file.mimetype) || 'bin';
-  const safeNome = slugify(body.nome);
-  const safeVaga = slugify(body.vaga);
-  const fileId = `${safeVaga}/${cpfNorm || nanoid(6)}-${safeNome}-${Date.now()}-${nanoid(6)}.${ext}`;
+  // Candidatura anterior com bloqueio legal não pode ser arquivada pelo reenvio
+  const mensagemBloqueada =
+    `Já existe uma candidatura registrada para a vaga "${existed?.[0]?.vaga}" com o mesmo CPF que não pode ser substituída no momento. ` +
+    'Para corrigir telefone, e-mail ou enviar um currículo atualizado, use a opção de atualizar a candidatura no portal do candidato.';
+  if (reenvio && existed[0].retencao_bloqueada) {
+    return res.status(409).json({ ok: false, reason: 'duplicate', message: mensagemBloqueada, pode_atualizar: true });
+  }
+
+  // Desafio de uso único: registrado só agora, para que um envio recusado acima possa ser corrigido
+  const consumo = await consumirDesafio(supabase, antibot.desafio);
+  if (!consumo.ok) {
+    if (consumo.error) console.error('[ENVIO] Falha ao registrar desafio:', consumo.error);
+    return res.status(consumo.code).json({ message: consumo.message });
+  }
 
-  const { error: upErr } = await supabase.storage.from(BUCKET)
-    .upload(fileId, req.file.buffer, { contentType: req.file.mimetype, upsert: false });
-  if (upErr) return res.status(500).json({ message: 'Falha ao salvar arquivo no Storage.' });
+  // Conteúdo do arquivo (tipo real, macros/scripts e antivírus) e upload
+  const armazenado = await armazenarCurriculo(supabase, req.file, {
+    nome: body.nome, vaga: body.vaga, cpfNorm, ip: ipCliente(req)
+  });
+  if (!armazenado.ok) {
+    const { code, reason, message } = armazenado;
+    return res.status(code).json(reason ? { ok: false, reason, message } : { message });
+  }
+  const { arquivo, quarentena } = armazenado;
+
+  // Cidade/bairro canônicos (localidades.js); sem associação, a candidatura fica para renormalizar
+  let localidade = null;
+  try {
+    localidade = await resolverLocalidade(supabase, body);
+  } catch (error) {
+    console.error('[ENVIO] Falha ao associar cidade/bairro:', error.message || error);
+  }
 
-  const { data: signedData } = await supabase.storage.from(BUCKET).createSignedUrl(fileId, 60*60*24*30);
+  // Código de acompanhamento: devolvido uma única vez ao candidato, apenas o hash fica no banco
+  const codigoAcompanhamento = gerarCodigoAcompanhamento();
 
   const payloadDB = {
     nome: body.nome, cpf: body.cpf, telefone: body.telefone, email: body.email,
-    cep: body.cep, cidade: body.cidade, bairro: body.bairro, rua: body.rua,
+    cep: body.cep, uf: body.uf, rua: body.rua,
+    cidade: localidade?.cidade || body.cidade, bairro: localidade?.bairro || body.bairro,
+    cidade_id: localidade?.cidade_id || null, bairro_id: localidade?.bairro_id || null,
+    cidade_informada: informado.cidade, bairro_informado: informado.bairro || null,
     transporte: body.transporte, vaga: body.vaga,
-    arquivo_path: fileId, arquivo_url: signedData?.signedUrl || null,
+    ...arquivo, arquivo_verificado_em: new Date().toISOString(),
     enviado_em: new Date(body.data).toISOString(),
-    status: 'Novo' // Status inicial
+    status: 'Novo', // Status inicial
+    codigo_acompanhamento_hash: hashCodigo(codigoAcompanhamento),
+    respostas: triagem.respostas,
+    respostas_tags: triagem.tags,
+    triagem_reprovada: triagem.reprovada,
+    triagem_motivos: triagem.motivos,
+    spam_pontuacao: antibot.pontuacao,
+    spam_sinais: antibot.sinais
   };
 
-  const { error: dbErr } = await supabase.from('candidaturas').insert(payloadDB);
+  // Prazo de reenvio cumprido: a candidatura anterior (ex.: mantida pela regra de retenção do status) é arquivada
+  let arquivada = false;
+  if (reenvio) {
+    const arquivamento = await arquivarCandidatura(supabase, existed[0].id, MOTIVO_ARQUIVAMENTO.REENVIO);
+    if (arquivamento.error || !arquivamento.arquivada) {
+      await supabase.storage.from(BUCKET).remove([arquivo.arquivo_path]).catch(() => {});
+      // Sem linha afetada: bloqueada (ou arquivada) depois da verificação acima
+      return arquivamento.error
+        ? res.status(500).json({ message: 'Falha ao gravar dados no banco.' })
+        : res.status(409).json({ ok: false, reason: 'duplicate', message: mensagemBloqueada, pode_atualizar: true });
+    }
+    arquivada = true;
+  }
+
+  const { data: inserted, error: dbErr } = await supabase.from('candidaturas').insert(payloadDB).select('id').single();
   if (dbErr) {
-    await supabase.storage.from(BUCKET).remove([fileId]).catch(() => {});
+    await supabase.storage.from(BUCKET).remove([arquivo.arquivo_path]).catch(() => {});
+    // A nova candidatura não entrou: a anterior volta a ficar ativa
+    if (arquivada) {
+      const restauracao = await restaurarCandidatura(supabase, existed[0].id);
+      if (!restauracao.ok) console.error('[ENVIO] Falha ao restaurar a candidatura arquivada pelo reenvio:', restauracao.error || restauracao.message);
+    }
     if (dbErr.code === '23505') {
       return res.status(409).json({
         ok: false,
@@ -350,43 +529,127 @@ app.post('/api/enviar', rateLimit, upload.single('arquivo'), asyncRoute(async (r
     return res.status(500).json({ message: 'Falha ao gravar dados no banco.' });
   }
 
+  // Perfil do candidato (todas as candidaturas do CPF); POST /api/candidatos/sincronizar refaz se falhar
+  try {
+    await sincronizarPerfil(supabase, cpfNorm);
+  } catch (err) {
+    console.warn('[enviar/perfil] aviso:', err.message);
+  }
+
+  // Texto do currículo para a busca; falhas aqui não impedem o envio (o reprocessamento cobre depois).
+  // Arquivos em quarentena só são lidos depois de liberados.
+  if (!quarentena) {
+    const texto = await extrairTexto(req.file.buffer, arquivo.arquivo_tipo);
+    const { error: textoErr } = await salvarTextoCurriculo(supabase, inserted.id, texto);
+    if (textoErr) console.warn('[enviar/texto] aviso:', textoErr.message);
+  }
+
+  // Confirmação por e-mail (sem o código de acompanhamento); falhas ficam na fila para nova tentativa
+  try {
+    await enfileirarNotificacao(supabase, {
+      evento: EVENTO.CANDIDATURA_RECEBIDA,
+      candidatura: { id: inserted.id, ...payloadDB },
+    });
+  } catch (err) {
+    console.warn('[enviar/notificacao] aviso:', err.message);
+  }
+
+  // Coordenadas e distância até o mercado, calculadas em segundo plano
+  agendarGeocodificacao(supabase, { id: inserted.id, ...payloadDB });
+
+  res.locals.auditoria = { alvo_id: inserted.id, depois: payloadDB };
   return res.json({
     ok: true,
     message: 'Sua candidatura foi enviada com sucesso. Agradecemos seu interesse e entraremos em contato caso seu perfil seja selecionado.',
+    codigo_acompanhamento: codigoAcompanhamento,
+    acompanhamento:
+      'Guarde este código: com ele e o seu CPF você pode acompanhar o andamento da candidatura a qualquer momento.',
   });
 }));
 
 /* =========================
    POST /internal/cleanup
+   Aplica as regras de retenção (retencao.js): arquiva as vencidas e exclui as
+   arquivadas há mais que o prazo. ?simulacao=1 apenas gera o relatório.
 ========================= */
-app.post('/internal/cleanup', asyncRoute(async (req, res) => {
-  if (!CLEANUP_TOKEN || req.header('X-CRON-TOKEN') !== CLEANUP_TOKEN) {
-    return res.status(401).json({ ok: false, message: 'unauthorized' });
+app.post('/internal/cleanup', authCron, auditar('candidatura.limpeza_retencao', 'retencao_execucao', { ator: ATOR_AUDITORIA.SISTEMA }), asyncRoute(async (req, res) => {
+  const simulacao = ['1', 'true'].includes(String(req.query.simulacao));
+  const resultado = await executarRetencao(supabase, { simulacao, origem: ORIGEM_RETENCAO.AGENDADA });
+
+  if (!resultado.ok) {
+    if (resultado.error) console.error('[CLEANUP] Erro:', resultado.error);
+    return res.status(resultado.code).json({ ok:false, message: resultado.message });
   }
-  const windowDays = Math.max(1, Number(process.env.RETENTION_DAYS || RETENTION_DAYS));
-  const cutoff = new Date(Date.now() - windowDays*86400000).toISOString();
-  let removed = 0;
-
-  for (let i=0; i<50; i++) {
-    const { data: rows, error: selErr } = await supabase
-      .from('candidaturas').select('id, arquivo_path').lt('enviado_em', cutoff).limit(200);
-    if (selErr) return res.status(500).json({ ok:false, message:'Falha ao listar registros para limpeza.' });
-    if (!rows?.length) break;
-
-    const paths = rows.map(r => r.arquivo_path).filter(Boolean);
-    if (paths.length) {
-      const { error: remErr } = await supabase.storage.from(BUCKET).remove(paths);
-      if (remErr) console.warn('[cleanup/storage] aviso:', remErr.message);
+
+  const { relatorio, ...execucao } = resultado.execucao;
+  res.locals.auditoria = { alvo_id: execucao.id, detalhes: { ...execucao, pendentes: resultado.pendentes } };
+  // removed: compatibilidade com agendadores que liam o total excluído
+  res.json({ ok:true, ...execucao, pendentes: resultado.pendentes, removed: execucao.excluidas });
+}));
+
+/* =========================
+   POST /internal/notificacoes/processar
+   Reenvia as notificações pendentes (retentativas com backoff)
+========================= */
+app.post('/internal/notificacoes/processar', authCron, auditar('notificacao.processar_fila', 'notificacao', { ator: ATOR_AUDITORIA.SISTEMA }), asyncRoute(async (req, res) => {
+  const limite = Math.min(500, Math.max(1, Number(req.query.limite || 50)));
+  const resultado = await processarFila(supabase, { limite });
+  res.locals.auditoria = { detalhes: resultado };
+  res.json({ ok:true, ...resultado });
+}));
+
+/* =========================
+   POST /internal/geocodificar
+   Geocodifica candidaturas sem coordenadas (envios antigos ou falhas do provedor)
+========================= */
+app.post('/internal/geocodificar', authCron, auditar('candidatura.geocodificar_pendentes', 'candidatura', { ator: ATOR_AUDITORIA.SISTEMA }), asyncRoute(async (req, res) => {
+  const limite = Math.min(500, Math.max(1, Number(req.query.limite || 50)));
+  const { error, ...resultado } = await geocodificarPendentes(supabase, { limite });
+  if (error) return res.status(500).json({ ok:false, message:'Falha ao listar candidaturas para geocodificar.' });
+
+  res.locals.auditoria = { detalhes: resultado };
+  res.json({ ok:true, ...resultado });
+}));
+
+/* =========================
+   POST /internal/reindexar-curriculos
+   Extrai o texto dos currículos já armazenados que ainda não foram processados
+========================= */
+app.post('/internal/reindexar-curriculos', authCron, auditar('candidatura.reindexar', 'candidatura', { ator: ATOR_AUDITORIA.SISTEMA }), asyncRoute(async (req, res) => {
+  const limite = Math.min(500, Math.max(1, Number(req.query.limite || 50)));
+
+  const { data: rows, error: selErr } = await supabase.rpc('candidaturas_sem_texto', { limite });
+  if (selErr) return res.status(500).json({ ok:false, message:'Falha ao listar currículos para reprocessar.' });
+
+  let processados = 0;
+  let comTexto = 0;
+  const falhas = [];
+
+  for (const row of rows || []) {
+    const { data: blob, error: dlErr } = await supabase.storage.from(BUCKET).download(row.arquivo_path);
+    if (dlErr || !blob) {
+      falhas.push({ id: row.id, motivo: dlErr?.message || 'arquivo não encontrado' });
+      continue;
     }
 
-    const ids = rows.map(r => r.id);
-    const { error: delErr } = await supabase.from('candidaturas').delete().in('id', ids);
-    if (delErr) return res.status(500).json({ ok:false, message:'Falha ao excluir registros do banco.' });
+    const buffer = Buffer.from(await blob.arrayBuffer());
+    const tipo = blob.type && blob.type !== 'application/octet-stream'
+      ? blob.type
+      : mime.lookup(row.arquivo_path) || '';
+    const texto = await extrairTexto(buffer, tipo);
 
-    removed += rows.length;
+    const { error: upErr } = await salvarTextoCurriculo(supabase, row.id, texto);
+    if (upErr) {
+      falhas.push({ id: row.id, motivo: upErr.message });
+      continue;
+    }
+
+    processados++;
+    if (texto) comTexto++;
   }
 
-  res.json({ ok:true, removed, cutoff });
+  res.locals.auditoria = { detalhes: { processados, comTexto, falhas: falhas.length } };
+  res.json({ ok:true, processados, comTexto, falhas });
 }));
 
 /* =========================
@@ -399,6 +662,36 @@ app.use('/api/admin', adminRouter);
 ========================= */
 app.use('/api/users', userRouter);
 
+/* =========================
+   ENTREVISTAS
+========================= */
+app.use('/api/entrevistas', entrevistasRouter);
+
+/* =========================
+   PERFIS DE CANDIDATOS E BANCO DE TALENTOS
+========================= */
+app.use('/api/candidatos', candidatosRouter);
+
+/* =========================
+   RETENÇÃO DE DADOS
+========================= */
+app.use('/api/retencao', retencaoRouter);
+
+/* =========================
+   AGENDADOR DE TAREFAS
+========================= */
+app.use('/api/agendamentos', agendamentosRouter);
+
+/* =========================
+   PORTAL DO CANDIDATO
+========================= */
+app.use('/api/candidato', limitarRequisicoes('candidato'), candidatoRouter);
+
+/* =========================
+   BACKEND LOCAL (DATA_BACKEND=local)
+========================= */
+montarRotasDados(app);
+
 /* =========================
    404 & ERROR HANDLERS
 ========================= */
@@ -408,6 +701,9 @@ app.use((err, req, res, next) => {
   if (err && err.message === 'Not allowed by CORS') {
     return res.status(403).json({ message: 'Origem não autorizada por CORS.' });
   }
+  if (err?.code === 'ARQUIVO_INVALIDO') {
+    return res.status(400).json({ message: err.message });
+  }
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ message: `Arquivo muito grande. Tamanho máximo: ${MAX_FILE_MB} MB.` });
@@ -421,10 +717,31 @@ app.use((err, req, res, next) => {
 /* =========================
    START
 ========================= */
+await prepararDadosLocais();
+
+// Jobs de ações em lote que ficaram abertos quando o processo anterior parou
+await encerrarJobsAbandonados(supabase);
+
+// Tarefas periódicas (retenção, geocodificação, fila de e-mails, resumo e lembretes)
+if (AGENDADOR_ATIVO) {
+  try {
+    await iniciarAgendador(supabase);
+  } catch (error) {
+    console.error('❌ Erro ao iniciar o agendador:', error.message || error);
+  }
+}
+
 app.listen(PORT, () => {
-  console.log(`🚀 API porta ${PORT} | Retention ${RETENTION_DAYS}d | Bucket ${BUCKET}`);
+  console.log(`🚀 API porta ${PORT} | Retention ${RETENTION_DAYS}d | Bucket ${BUCKET} | Dados ${DATA_BACKEND}`);
   console.log(`📊 Painel admin disponível`);
   console.log(`👥 Sistema de usuários disponível`);
+  console.log(`🔎 Portal do candidato disponível`);
+  console.log(`📅 Agenda de entrevistas disponível`);
+  console.log(`🗂️  Banco de talentos disponível`);
+  console.log(`🧹 Retenção de dados disponível`);
+  console.log(`🚦 Limite de requisições: ${armazenamento().nome}`);
+  console.log(`🤖 Antirrobô: isca e prova de trabalho${provedorCaptcha() ? ` + CAPTCHA ${provedorCaptcha().nome}` : ''}${PERMITIR_SEM_DESAFIO ? ' (aceita envios sem desafio)' : ''}`);
+  console.log(`⏰ Agendador interno ${AGENDADOR_ATIVO ? 'ativo' : 'desativado (AGENDADOR_ATIVO=false)'}`);
   console.log(`❤️  Healthcheck: http://localhost:${PORT}/health`);
   console.log(`🔍 Status: http://localhost:${PORT}/status`);
 });
@@ -0,0 +1,7 @@
+-- Código de acompanhamento do portal do candidato (/api/candidato)
+-- Apenas o hash SHA-256 do código é armazenado.
+alter table candidaturas
+  add column if not exists codigo_acompanhamento_hash text;
+
+create index if not exists candidaturas_cpf_codigo_idx
+  on candidaturas (cpf_norm, codigo_acompanhamento_hash);
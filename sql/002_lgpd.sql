@@ -0,0 +1,31 @@
+-- Pedidos LGPD do portal do candidato (/api/candidato)
+
+-- Códigos de verificação de uso único enviados por e-mail
+create table if not exists codigos_verificacao (
+  id uuid primary key default gen_random_uuid(),
+  cpf_norm text not null,
+  codigo_hash text not null,
+  tentativas integer not null default 0,
+  expira_em timestamptz not null,
+  usado_em timestamptz,
+  criado_em timestamptz not null default now()
+);
+
+create index if not exists codigos_verificacao_cpf_idx
+  on codigos_verificacao (cpf_norm, criado_em desc);
+
+-- Registro mínimo dos pedidos atendidos (sem dados pessoais, apenas HMAC do CPF com LGPD_SEGREDO)
+create table if not exists solicitacoes_lgpd (
+  id uuid primary key default gen_random_uuid(),
+  protocolo text not null unique,
+  tipo text not null check (tipo in ('acesso', 'exclusao')),
+  cpf_hash text not null,
+  candidaturas_removidas integer,
+  arquivos_removidos integer,
+  solicitado_em timestamptz not null default now(),
+  concluido_em timestamptz
+);
+
+-- Desistências feitas pelo próprio candidato não têm usuário responsável
+alter table status_candidaturas
+  alter column usuario_id drop not null;
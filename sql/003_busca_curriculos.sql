@@ -0,0 +1,57 @@
+-- Busca textual no conteúdo dos currículos (PDF/DOCX/DOC)
+create extension if not exists unaccent;
+
+-- Configuração em português que ignora acentos ("acougueiro" encontra "açougueiro")
+do $$
+begin
+  if not exists (select 1 from pg_ts_config where cfgname = 'pt_unaccent') then
+    create text search configuration pt_unaccent (copy = portuguese);
+    alter text search configuration pt_unaccent
+      alter mapping for hword, hword_part, word with unaccent, portuguese_stem;
+  end if;
+end $$;
+
+-- Texto extraído de cada currículo. A existência da linha indica que o arquivo
+-- já foi processado (texto nulo = formato não suportado ou falha na leitura).
+create table if not exists candidaturas_texto (
+  candidatura_id uuid primary key references candidaturas (id) on delete cascade,
+  texto text,
+  tsv tsvector generated always as (to_tsvector('pt_unaccent', coalesce(texto, ''))) stored,
+  extraido_em timestamptz not null default now()
+);
+
+create index if not exists candidaturas_texto_tsv_idx
+  on candidaturas_texto using gin (tsv);
+
+-- Resultados ranqueados com trecho destacado (texto escapado antes de receber <mark>)
+create or replace function buscar_curriculos(termo text, limite integer default 200)
+returns table (id uuid, relevancia real, trecho text)
+language sql stable
+as $$
+  select
+    t.candidatura_id as id,
+    ts_rank_cd(t.tsv, q) as relevancia,
+    ts_headline(
+      'pt_unaccent',
+      replace(replace(replace(t.texto, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      q,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'
+    ) as trecho
+  from candidaturas_texto t, websearch_to_tsquery('pt_unaccent', termo) q
+  where t.tsv @@ q
+  order by relevancia desc
+  limit limite
+$$;
+
+-- Candidaturas com arquivo ainda não processado (usado pelo reprocessamento em lote)
+create or replace function candidaturas_sem_texto(limite integer default 50)
+returns table (id uuid, arquivo_path text)
+language sql stable
+as $$
+  select c.id, c.arquivo_path
+  from candidaturas c
+  where c.arquivo_path is not null
+    and not exists (select 1 from candidaturas_texto t where t.candidatura_id = c.id)
+  order by c.enviado_em desc
+  limit limite
+$$;
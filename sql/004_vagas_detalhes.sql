@@ -0,0 +1,20 @@
+-- Detalhes da vaga exibidos no formulário público e período de publicação
+alter table vagas
+  add column if not exists descricao text,
+  add column if not exists requisitos text,
+  add column if not exists salario_min numeric(10, 2) check (salario_min >= 0),
+  add column if not exists salario_max numeric(10, 2) check (salario_max >= 0),
+  add column if not exists turno text,
+  add column if not exists carga_horaria integer check (carga_horaria between 1 and 60),
+  add column if not exists quantidade_vagas integer check (quantidade_vagas >= 1),
+  add column if not exists local text,
+  add column if not exists publicar_em timestamptz,
+  add column if not exists encerrar_em timestamptz;
+
+alter table vagas
+  drop constraint if exists vagas_salario_faixa_check,
+  add constraint vagas_salario_faixa_check
+    check (salario_min is null or salario_max is null or salario_min <= salario_max),
+  drop constraint if exists vagas_periodo_check,
+  add constraint vagas_periodo_check
+    check (publicar_em is null or encerrar_em is null or publicar_em < encerrar_em);
@@ -0,0 +1,13 @@
+-- Perguntas de triagem por vaga e respostas dos candidatos
+alter table vagas
+  add column if not exists perguntas jsonb not null default '[]'::jsonb;
+
+alter table candidaturas
+  add column if not exists respostas jsonb not null default '{}'::jsonb,
+  -- "pergunta=resposta" para os filtros da listagem (?resposta[pergunta]=valor)
+  add column if not exists respostas_tags text[] not null default '{}',
+  add column if not exists triagem_reprovada boolean not null default false,
+  add column if not exists triagem_motivos text[] not null default '{}';
+
+create index if not exists candidaturas_respostas_tags_idx
+  on candidaturas using gin (respostas_tags);
@@ -0,0 +1,36 @@
+-- Mudança de status atômica: atualiza a candidatura e grava o histórico na mesma transação.
+-- p_status_atual garante que ninguém alterou o status desde a leitura (senão: status_conflito).
+-- p_usuario_id referencia usuarios.id (histórico); p_alterado_por é o auth_id gravado em
+-- candidaturas.status_alterado_por. Ambos são nulos quando o próprio candidato altera pelo portal.
+create or replace function alterar_status_candidatura(
+  p_candidatura_id uuid,
+  p_status_atual text,
+  p_status text,
+  p_usuario_id uuid,
+  p_alterado_por uuid,
+  p_observacao text
+)
+returns status_candidaturas
+language plpgsql
+as $$
+declare
+  v_historico status_candidaturas;
+begin
+  update candidaturas
+     set status = p_status,
+         status_alterado_por = p_alterado_por,
+         status_alterado_em = now()
+   where id = p_candidatura_id
+     and status is not distinct from p_status_atual;
+
+  if not found then
+    raise exception 'status_conflito';
+  end if;
+
+  insert into status_candidaturas (candidatura_id, usuario_id, status, observacao, criado_em)
+  values (p_candidatura_id, p_usuario_id, p_status, p_observacao, now())
+  returning * into v_historico;
+
+  return v_historico;
+end;
+$$;
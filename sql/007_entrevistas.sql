@@ -0,0 +1,93 @@
+-- Agendamento de entrevistas (/api/entrevistas)
+create extension if not exists btree_gist;
+
+-- Horários publicados pelos líderes para cada vaga
+create table if not exists entrevista_horarios (
+  id uuid primary key default gen_random_uuid(),
+  vaga_id uuid not null references vagas (id) on delete cascade,
+  entrevistador_id uuid not null references usuarios (id),
+  inicio timestamptz not null,
+  fim timestamptz not null,
+  local text,
+  ativo boolean not null default true,
+  criado_por uuid references usuarios (id),
+  criado_em timestamptz not null default now(),
+  check (fim > inicio)
+);
+
+-- Um entrevistador não pode ter dois horários ativos sobrepostos
+alter table entrevista_horarios
+  drop constraint if exists entrevista_horarios_sem_sobreposicao,
+  add constraint entrevista_horarios_sem_sobreposicao
+    exclude using gist (entrevistador_id with =, tstzrange(inicio, fim) with &&) where (ativo);
+
+create index if not exists entrevista_horarios_vaga_idx on entrevista_horarios (vaga_id, inicio);
+
+create table if not exists entrevistas (
+  id uuid primary key default gen_random_uuid(),
+  horario_id uuid not null references entrevista_horarios (id),
+  candidatura_id uuid not null references candidaturas (id) on delete cascade,
+  status text not null check (status in ('agendada', 'remarcada', 'cancelada', 'realizada')),
+  motivo text,
+  remarcada_de uuid references entrevistas (id),
+  agendado_por uuid references usuarios (id),
+  agendado_em timestamptz not null default now(),
+  cancelado_por uuid references usuarios (id),
+  sequencia integer not null default 0,
+  atualizado_em timestamptz not null default now()
+);
+
+-- Sem reserva dupla: um candidato por horário e uma entrevista ativa por candidatura
+create unique index if not exists entrevistas_horario_ativo
+  on entrevistas (horario_id) where status = 'agendada';
+create unique index if not exists entrevistas_candidatura_ativa
+  on entrevistas (candidatura_id) where status = 'agendada';
+
+-- Link de assinatura do calendário (apenas o hash do token é armazenado)
+create table if not exists calendario_tokens (
+  usuario_id uuid primary key references usuarios (id) on delete cascade,
+  token_hash text not null unique,
+  criado_em timestamptz not null default now()
+);
+
+-- Remarcação atômica: a entrevista atual passa a "remarcada" e a nova é criada no novo horário
+create or replace function remarcar_entrevista(
+  p_entrevista_id uuid,
+  p_horario_id uuid,
+  p_motivo text,
+  p_usuario_id uuid
+)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_atual entrevistas;
+  v_vaga_atual uuid;
+  v_nova uuid;
+begin
+  select * into v_atual from entrevistas
+   where id = p_entrevista_id and status = 'agendada'
+   for update;
+  if not found then
+    raise exception 'entrevista_nao_encontrada';
+  end if;
+
+  select vaga_id into v_vaga_atual from entrevista_horarios where id = v_atual.horario_id;
+
+  perform 1 from entrevista_horarios
+   where id = p_horario_id and ativo and inicio > now() and vaga_id = v_vaga_atual;
+  if not found then
+    raise exception 'horario_invalido';
+  end if;
+
+  update entrevistas
+     set status = 'remarcada', motivo = p_motivo, sequencia = sequencia + 1, atualizado_em = now()
+   where id = p_entrevista_id;
+
+  insert into entrevistas (horario_id, candidatura_id, status, remarcada_de, agendado_por, agendado_em, atualizado_em)
+  values (p_horario_id, v_atual.candidatura_id, 'agendada', p_entrevista_id, p_usuario_id, now(), now())
+  returning id into v_nova;
+
+  return v_nova;
+end;
+$$;
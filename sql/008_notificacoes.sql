@@ -0,0 +1,36 @@
+-- Notificações por e-mail aos candidatos (templates editáveis + fila de envio)
+
+-- Personalizações dos templates padrão definidos em notificacoes.js.
+-- Chaves: 'candidatura_recebida' e 'status:<Status>' (um por status da candidatura)
+create table if not exists notificacao_templates (
+  chave text primary key,
+  assunto text not null,
+  corpo text not null,
+  ativo boolean not null default true,
+  atualizado_em timestamptz not null default now()
+);
+
+-- Fila de envio (outbox): cada mensagem já renderizada e o estado da entrega
+create table if not exists notificacoes (
+  id uuid primary key default gen_random_uuid(),
+  evento text not null,
+  template text not null,
+  candidatura_id uuid references candidaturas (id) on delete cascade,
+  destinatario text not null,
+  assunto text not null,
+  corpo text not null,
+  status text not null default 'pendente'
+    check (status in ('pendente', 'enviando', 'enviado', 'falhou')),
+  tentativas integer not null default 0,
+  proxima_tentativa_em timestamptz,
+  ultimo_erro text,
+  transporte text,
+  mensagem_id text,
+  enviado_em timestamptz,
+  criado_em timestamptz not null default now()
+);
+
+create index if not exists notificacoes_pendentes_idx
+  on notificacoes (proxima_tentativa_em) where status = 'pendente';
+create index if not exists notificacoes_candidatura_idx on notificacoes (candidatura_id);
+create index if not exists notificacoes_criado_em_idx on notificacoes (criado_em desc);
@@ -0,0 +1,21 @@
+-- Ações em lote sobre candidaturas executadas em segundo plano (POST /api/admin/candidaturas/lote)
+create table if not exists lotes_jobs (
+  id uuid primary key default gen_random_uuid(),
+  acao text not null check (acao in ('status', 'comentario', 'excluir')),
+  parametros jsonb not null default '{}'::jsonb,
+  selecao jsonb not null default '{}'::jsonb,
+  status text not null default 'pendente'
+    check (status in ('pendente', 'executando', 'concluido', 'falhou')),
+  total integer not null default 0,
+  processados integer not null default 0,
+  sucesso integer not null default 0,
+  falhas integer not null default 0,
+  resultados jsonb,
+  erro text,
+  criado_por uuid references usuarios (id),
+  criado_em timestamptz not null default now(),
+  iniciado_em timestamptz,
+  concluido_em timestamptz
+);
+
+create index if not exists lotes_jobs_criado_em_idx on lotes_jobs (criado_em desc);
@@ -0,0 +1,86 @@
+-- Trilha de auditoria encadeada por hash (auditoria.js)
+-- Cada entrada guarda o JSON canônico gravado pela API (conteudo) e
+-- hash = sha256(hash_anterior || conteudo). Alterar, remover ou inserir uma
+-- entrada no meio quebra a cadeia (GET /api/admin/auditoria/verificar).
+create extension if not exists pgcrypto;
+
+create table if not exists auditoria (
+  seq bigserial primary key,
+  id uuid not null unique default gen_random_uuid(),
+  criado_em timestamptz not null,
+  acao text not null,
+  ator_tipo text not null check (ator_tipo in ('usuario', 'candidato', 'sistema')),
+  ator_id uuid,
+  ator_nome text,
+  alvo_tipo text,
+  alvo_id text,
+  ip text,
+  conteudo text not null,
+  hash_anterior text,
+  hash text not null unique
+);
+
+create index if not exists auditoria_acao_idx on auditoria (acao, seq desc);
+create index if not exists auditoria_ator_idx on auditoria (ator_id, seq desc);
+create index if not exists auditoria_alvo_idx on auditoria (alvo_tipo, alvo_id, seq desc);
+create index if not exists auditoria_criado_em_idx on auditoria (criado_em);
+
+-- A trilha é somente de inserção
+create or replace function auditoria_somente_insercao()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'auditoria_imutavel: entradas de auditoria não podem ser alteradas ou removidas';
+end;
+$$;
+
+drop trigger if exists auditoria_imutavel on auditoria;
+create trigger auditoria_imutavel
+  before update or delete on auditoria
+  for each row execute function auditoria_somente_insercao();
+
+drop trigger if exists auditoria_imutavel_truncate on auditoria;
+create trigger auditoria_imutavel_truncate
+  before truncate on auditoria
+  for each statement execute function auditoria_somente_insercao();
+
+-- Encadeia e grava sob lock para que gravações simultâneas não bifurquem a cadeia.
+-- As colunas de consulta são extraídas do próprio conteúdo encadeado.
+create or replace function registrar_auditoria(p_conteudo text)
+returns auditoria
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_dados jsonb := p_conteudo::jsonb;
+  v_anterior text;
+  v_linha auditoria;
+begin
+  perform pg_advisory_xact_lock(hashtext('auditoria'));
+
+  select hash into v_anterior from auditoria order by seq desc limit 1;
+
+  insert into auditoria (criado_em, acao, ator_tipo, ator_id, ator_nome, alvo_tipo, alvo_id, ip, conteudo, hash_anterior, hash)
+  values (
+    (v_dados ->> 'criado_em')::timestamptz,
+    v_dados ->> 'acao',
+    v_dados ->> 'ator_tipo',
+    (v_dados ->> 'ator_id')::uuid,
+    v_dados ->> 'ator_nome',
+    v_dados ->> 'alvo_tipo',
+    v_dados ->> 'alvo_id',
+    v_dados ->> 'ip',
+    p_conteudo,
+    v_anterior,
+    encode(digest(coalesce(v_anterior, '') || p_conteudo, 'sha256'), 'hex')
+  )
+  returning * into v_linha;
+
+  return v_linha;
+end;
+$$;
+
+revoke all on function registrar_auditoria(text) from public, anon, authenticated;
+revoke insert, update, delete, truncate on auditoria from anon, authenticated;
@@ -0,0 +1,34 @@
+-- Coordenadas das candidaturas (geocodificadas em segundo plano após o envio)
+-- e cache persistente das consultas ao geocodificador
+alter table candidaturas
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision,
+  -- distância em linha reta até o mercado
+  add column if not exists distancia_km numeric(8, 2),
+  -- null = ainda não processada
+  add column if not exists geo_status text
+    check (geo_status in ('ok', 'nao_encontrado', 'erro')),
+  add column if not exists geo_precisao text
+    check (geo_precisao in ('endereco', 'cep', 'bairro', 'cidade')),
+  add column if not exists geo_fonte text,
+  add column if not exists geocodificado_em timestamptz;
+
+create index if not exists candidaturas_geo_pendentes_idx
+  on candidaturas (enviado_em desc) where geo_status is null or geo_status = 'erro';
+create index if not exists candidaturas_distancia_idx on candidaturas (distancia_km);
+
+-- Chave: '<precisao>:<consulta normalizada>' ou 'cep:<8 dígitos>'
+create table if not exists geocodificacao_cache (
+  chave text primary key,
+  consulta text,
+  encontrado boolean not null,
+  lat double precision,
+  lon double precision,
+  endereco_encontrado text,
+  tipo text,
+  precisao text,
+  fonte text not null,
+  criado_em timestamptz not null default now(),
+  -- resultados negativos expiram para permitir nova tentativa
+  expira_em timestamptz
+);
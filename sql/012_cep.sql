@@ -0,0 +1,5 @@
+-- UF da candidatura, definida pela consulta do CEP no envio (POST /api/enviar)
+alter table candidaturas
+  add column if not exists uf char(2);
+
+create index if not exists candidaturas_uf_idx on candidaturas (uf);
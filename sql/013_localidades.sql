@@ -0,0 +1,392 @@
+-- Cidades e bairros canônicos (com apelidos) para agrupar as grafias informadas
+-- no envio. Mesmas regras de normalizarLocalidade/nomeLocalidade (utils.js).
+create extension if not exists unaccent;
+
+/* =========================
+   NORMALIZAÇÃO
+========================= */
+
+-- Chave de comparação: 'ARAPIRACA - AL', 'arapiraca-al' e 'Arapiraca ' -> 'arapiraca'
+create or replace function normalizar_localidade(p_texto text)
+returns text
+language sql
+stable
+as $$
+  select btrim(regexp_replace(
+    regexp_replace(
+      lower(unaccent(coalesce(p_texto, ''))),
+      '\s*[-/,]\s*(ac|al|am|ap|ba|ce|df|es|go|ma|mg|ms|mt|pa|pb|pe|pi|pr|rj|rn|ro|rr|rs|sc|se|sp|to)\s*$',
+      ''
+    ),
+    '[^a-z0-9]+', ' ', 'g'
+  ))
+$$;
+
+-- Grafia para exibição: sem UF no fim e, se veio toda em maiúsculas/minúsculas, com iniciais maiúsculas
+create or replace function nome_localidade(p_texto text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  v_nome text := regexp_replace(
+    btrim(regexp_replace(coalesce(p_texto, ''), '\s+', ' ', 'g')),
+    '\s*[-/,]\s*(AC|AL|AM|AP|BA|CE|DF|ES|GO|MA|MG|MS|MT|PA|PB|PE|PI|PR|RJ|RN|RO|RR|RS|SC|SE|SP|TO)\s*$',
+    '', 'i'
+  );
+  v_particula text;
+begin
+  if v_nome <> upper(v_nome) and v_nome <> lower(v_nome) then
+    return v_nome;
+  end if;
+
+  v_nome := initcap(v_nome);
+  -- Duas passadas para partículas seguidas
+  for i in 1..2 loop
+    foreach v_particula in array array['Da', 'De', 'Do', 'Das', 'Dos', 'E'] loop
+      v_nome := replace(v_nome, ' ' || v_particula || ' ', ' ' || lower(v_particula) || ' ');
+    end loop;
+  end loop;
+  return v_nome;
+end;
+$$;
+
+-- UF pela faixa do CEP (mesma tabela de cep.js), para as candidaturas anteriores à 012
+create or replace function uf_do_cep(p_cep text)
+returns char(2)
+language sql
+immutable
+as $$
+  select case
+    when p is null then null
+    when p between 1000 and 19999 then 'SP'
+    when p between 20000 and 28999 then 'RJ'
+    when p between 29000 and 29999 then 'ES'
+    when p between 30000 and 39999 then 'MG'
+    when p between 40000 and 48999 then 'BA'
+    when p between 49000 and 49999 then 'SE'
+    when p between 50000 and 56999 then 'PE'
+    when p between 57000 and 57999 then 'AL'
+    when p between 58000 and 58999 then 'PB'
+    when p between 59000 and 59999 then 'RN'
+    when p between 60000 and 63999 then 'CE'
+    when p between 64000 and 64999 then 'PI'
+    when p between 65000 and 65999 then 'MA'
+    when p between 66000 and 68899 then 'PA'
+    when p between 68900 and 68999 then 'AP'
+    when p between 69000 and 69299 then 'AM'
+    when p between 69300 and 69399 then 'RR'
+    when p between 69400 and 69899 then 'AM'
+    when p between 69900 and 69999 then 'AC'
+    when p between 70000 and 72799 then 'DF'
+    when p between 72800 and 72999 then 'GO'
+    when p between 73000 and 73699 then 'DF'
+    when p between 73700 and 76799 then 'GO'
+    when p between 76800 and 76999 then 'RO'
+    when p between 77000 and 77999 then 'TO'
+    when p between 78000 and 78899 then 'MT'
+    when p between 79000 and 79999 then 'MS'
+    when p between 80000 and 87999 then 'PR'
+    when p between 88000 and 89999 then 'SC'
+    when p between 90000 and 99999 then 'RS'
+  end
+  from (
+    select case when length(d) = 8 then left(d, 5)::integer end as p
+    from (select regexp_replace(coalesce(p_cep, ''), '\D', '', 'g') as d) digitos
+  ) prefixo
+$$;
+
+/* =========================
+   TABELAS
+========================= */
+create table if not exists cidades (
+  id uuid primary key default gen_random_uuid(),
+  nome text not null,
+  uf char(2),
+  nome_norm text not null,
+  -- false = criada automaticamente no envio, aguardando revisão no painel
+  revisado boolean not null default false,
+  criado_em timestamptz not null default now()
+);
+
+create unique index if not exists cidades_nome_uf_key on cidades (nome_norm, uf) nulls not distinct;
+
+create table if not exists bairros (
+  id uuid primary key default gen_random_uuid(),
+  cidade_id uuid not null references cidades (id) on delete cascade,
+  nome text not null,
+  nome_norm text not null,
+  revisado boolean not null default false,
+  criado_em timestamptz not null default now(),
+  unique (cidade_id, nome_norm)
+);
+
+-- Outras grafias (normalizadas) que levam à cidade/bairro
+create table if not exists cidade_aliases (
+  id uuid primary key default gen_random_uuid(),
+  cidade_id uuid not null references cidades (id) on delete cascade,
+  alias_norm text not null,
+  criado_em timestamptz not null default now(),
+  unique (cidade_id, alias_norm)
+);
+
+create index if not exists cidade_aliases_alias_idx on cidade_aliases (alias_norm);
+
+create table if not exists bairro_aliases (
+  id uuid primary key default gen_random_uuid(),
+  bairro_id uuid not null references bairros (id) on delete cascade,
+  alias_norm text not null,
+  criado_em timestamptz not null default now(),
+  unique (bairro_id, alias_norm)
+);
+
+create index if not exists bairro_aliases_alias_idx on bairro_aliases (alias_norm);
+
+-- cidade/bairro passam a guardar a grafia canônica; o texto digitado fica em *_informada/*_informado
+alter table candidaturas
+  add column if not exists cidade_id uuid references cidades (id) on delete set null,
+  add column if not exists bairro_id uuid references bairros (id) on delete set null,
+  add column if not exists cidade_informada text,
+  add column if not exists bairro_informado text;
+
+create index if not exists candidaturas_cidade_id_idx on candidaturas (cidade_id);
+create index if not exists candidaturas_bairro_id_idx on candidaturas (bairro_id);
+
+insert into cidades (nome, uf, nome_norm, revisado)
+values ('Arapiraca', 'AL', 'arapiraca', true)
+on conflict do nothing;
+
+/* =========================
+   RESOLUÇÃO (POST /api/enviar)
+   Cidade: nome ou apelido, na UF informada (ou cadastrada sem UF). Sem UF, só
+   associa quando não há cidades homônimas em UFs diferentes.
+   Bairro: nome ou apelido dentro da cidade.
+   O que não for encontrado é criado com revisado = false.
+========================= */
+create or replace function resolver_localidade(p_cidade text, p_uf text, p_bairro text)
+returns table (cidade_id uuid, cidade text, uf char(2), bairro_id uuid, bairro text)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_norm text := normalizar_localidade(p_cidade);
+  v_uf char(2) := nullif(upper(btrim(coalesce(p_uf, ''))), '');
+  v_bairro_norm text := normalizar_localidade(p_bairro);
+  v_cidade cidades;
+  v_bairro bairros;
+  v_achou boolean;
+begin
+  if v_norm = '' then
+    return;
+  end if;
+
+  select c.* into v_cidade
+    from cidades c
+   where (c.nome_norm = v_norm
+          or exists (select 1 from cidade_aliases a where a.cidade_id = c.id and a.alias_norm = v_norm))
+     and (v_uf is null or c.uf is null or c.uf = v_uf)
+   order by (c.uf is not distinct from v_uf) desc, (c.nome_norm = v_norm) desc, c.revisado desc, c.criado_em
+   limit 1;
+  v_achou := found;
+
+  if v_achou and v_uf is null and v_cidade.uf is not null then
+    v_achou := not exists (
+      select 1 from cidades o
+       where o.uf <> v_cidade.uf
+         and (o.nome_norm = v_norm
+              or exists (select 1 from cidade_aliases a where a.cidade_id = o.id and a.alias_norm = v_norm))
+    );
+  end if;
+
+  if not v_achou then
+    insert into cidades (nome, uf, nome_norm)
+    values (nome_localidade(p_cidade), v_uf, v_norm)
+    on conflict (nome_norm, uf) do nothing
+    returning * into v_cidade;
+
+    if not found then
+      select c.* into v_cidade from cidades c where c.nome_norm = v_norm and c.uf is not distinct from v_uf;
+    end if;
+  end if;
+
+  if v_bairro_norm <> '' then
+    select b.* into v_bairro
+      from bairros b
+     where b.cidade_id = v_cidade.id
+       and (b.nome_norm = v_bairro_norm
+            or exists (select 1 from bairro_aliases a where a.bairro_id = b.id and a.alias_norm = v_bairro_norm))
+     order by (b.nome_norm = v_bairro_norm) desc, b.revisado desc, b.criado_em
+     limit 1;
+
+    if not found then
+      insert into bairros (cidade_id, nome, nome_norm)
+      values (v_cidade.id, nome_localidade(p_bairro), v_bairro_norm)
+      on conflict (cidade_id, nome_norm) do nothing
+      returning * into v_bairro;
+
+      if not found then
+        select b.* into v_bairro from bairros b where b.cidade_id = v_cidade.id and b.nome_norm = v_bairro_norm;
+      end if;
+    end if;
+  end if;
+
+  return query select v_cidade.id, v_cidade.nome, v_cidade.uf, v_bairro.id, v_bairro.nome;
+end;
+$$;
+
+/* =========================
+   MESCLAGEM (painel administrativo)
+   A origem vira apelido do destino, as candidaturas passam para o destino e a
+   origem é removida.
+========================= */
+create or replace function mesclar_bairros(p_origem uuid, p_destino uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_origem bairros;
+  v_destino bairros;
+begin
+  if p_origem = p_destino then
+    raise exception 'mesma_localidade';
+  end if;
+
+  select * into v_origem from bairros where id = p_origem for update;
+  if not found then
+    raise exception 'localidade_nao_encontrada';
+  end if;
+  select * into v_destino from bairros where id = p_destino for update;
+  if not found then
+    raise exception 'localidade_nao_encontrada';
+  end if;
+
+  update candidaturas c
+     set bairro_id = v_destino.id,
+         bairro = v_destino.nome,
+         cidade_id = v_destino.cidade_id,
+         cidade = (select nome from cidades where id = v_destino.cidade_id)
+   where c.bairro_id = v_origem.id;
+
+  insert into bairro_aliases (bairro_id, alias_norm)
+  select v_destino.id, a.alias_norm
+    from (select alias_norm from bairro_aliases where bairro_id = v_origem.id
+          union select v_origem.nome_norm) a
+   where a.alias_norm <> v_destino.nome_norm
+  on conflict do nothing;
+
+  delete from bairros where id = v_origem.id;
+end;
+$$;
+
+create or replace function mesclar_cidades(p_origem uuid, p_destino uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_origem cidades;
+  v_destino cidades;
+  v_bairro bairros;
+  v_alvo uuid;
+begin
+  if p_origem = p_destino then
+    raise exception 'mesma_localidade';
+  end if;
+
+  select * into v_origem from cidades where id = p_origem for update;
+  if not found then
+    raise exception 'localidade_nao_encontrada';
+  end if;
+  select * into v_destino from cidades where id = p_destino for update;
+  if not found then
+    raise exception 'localidade_nao_encontrada';
+  end if;
+
+  -- Bairros homônimos são mesclados; os demais passam para a cidade de destino
+  for v_bairro in select * from bairros where cidade_id = v_origem.id loop
+    select id into v_alvo from bairros where cidade_id = v_destino.id and nome_norm = v_bairro.nome_norm;
+    if found then
+      perform mesclar_bairros(v_bairro.id, v_alvo);
+    else
+      update bairros set cidade_id = v_destino.id where id = v_bairro.id;
+    end if;
+  end loop;
+
+  update candidaturas c
+     set cidade_id = v_destino.id,
+         cidade = v_destino.nome
+   where c.cidade_id = v_origem.id;
+
+  insert into cidade_aliases (cidade_id, alias_norm)
+  select v_destino.id, a.alias_norm
+    from (select alias_norm from cidade_aliases where cidade_id = v_origem.id
+          union select v_origem.nome_norm) a
+   where a.alias_norm <> v_destino.nome_norm
+  on conflict do nothing;
+
+  delete from cidades where id = v_origem.id;
+end;
+$$;
+
+/* =========================
+   CANDIDATURAS SEM CIDADE ASSOCIADA
+   Resolve cada combinação distinta de (cidade, UF, bairro) informada.
+   Retorna a quantidade de candidaturas atualizadas.
+========================= */
+create or replace function renormalizar_localidades()
+returns integer
+language plpgsql
+as $$
+declare
+  v record;
+  r record;
+  v_total integer := 0;
+  v_linhas integer;
+begin
+  for v in
+    select distinct c.cidade_informada, c.uf, c.bairro_informado
+      from candidaturas c
+     where c.cidade_id is null and normalizar_localidade(c.cidade_informada) <> ''
+  loop
+    select * into r from resolver_localidade(v.cidade_informada, v.uf, v.bairro_informado);
+    if not found then
+      continue;
+    end if;
+
+    update candidaturas c
+       set cidade_id = r.cidade_id,
+           cidade = r.cidade,
+           bairro_id = r.bairro_id,
+           bairro = coalesce(r.bairro, c.bairro)
+     where c.cidade_id is null
+       and c.cidade_informada = v.cidade_informada
+       and c.uf is not distinct from v.uf
+       and c.bairro_informado is not distinct from v.bairro_informado;
+
+    get diagnostics v_linhas = row_count;
+    v_total := v_total + v_linhas;
+  end loop;
+
+  return v_total;
+end;
+$$;
+
+/* =========================
+   CANDIDATURAS EXISTENTES
+========================= */
+update candidaturas
+   set cidade_informada = cidade
+ where cidade_informada is null and cidade is not null;
+
+update candidaturas
+   set bairro_informado = bairro
+ where bairro_informado is null and bairro is not null;
+
+-- UF ausente: pela faixa do CEP ou pelo sufixo da cidade ("Arapiraca - AL")
+update candidaturas
+   set uf = coalesce(
+     uf_do_cep(cep),
+     upper(substring(cidade_informada from '(?i)[-/,]\s*(AC|AL|AM|AP|BA|CE|DF|ES|GO|MA|MG|MS|MT|PA|PB|PE|PI|PR|RJ|RN|RO|RR|RS|SC|SE|SP|TO)\s*$'))
+   )
+ where uf is null;
+
+select renormalizar_localidades();
@@ -0,0 +1,28 @@
+-- Resultado da inspeção do currículo no envio (verificacao-arquivo.js)
+alter table candidaturas
+  add column if not exists arquivo_status text not null default 'ok'
+    check (arquivo_status in ('ok', 'quarentena')),
+  -- alertas da inspeção (ex.: objeto_embutido, antivirus_indisponivel)
+  add column if not exists arquivo_alertas text[] not null default '{}',
+  add column if not exists arquivo_tipo text,
+  add column if not exists arquivo_sha256 text,
+  add column if not exists arquivo_verificado_em timestamptz,
+  add column if not exists arquivo_liberado_por uuid references usuarios (id),
+  add column if not exists arquivo_liberado_em timestamptz;
+
+create index if not exists candidaturas_quarentena_idx
+  on candidaturas (enviado_em desc) where arquivo_status = 'quarentena';
+
+-- Arquivos em quarentena não são lidos pela extração de texto até serem liberados
+create or replace function candidaturas_sem_texto(limite integer default 50)
+returns table (id uuid, arquivo_path text)
+language sql stable
+as $$
+  select c.id, c.arquivo_path
+  from candidaturas c
+  where c.arquivo_path is not null
+    and c.arquivo_status = 'ok'
+    and not exists (select 1 from candidaturas_texto t where t.candidatura_id = c.id)
+  order by c.enviado_em desc
+  limit limite
+$$;
@@ -0,0 +1,4 @@
+-- Currículos passam a ser baixados pela API (GET /api/admin/curriculo/:id/arquivo),
+-- com registro na auditoria (candidatura.curriculo_download). A URL assinada de
+-- 30 dias gravada no envio expirava sem aviso e deixava de ser usada.
+alter table candidaturas drop column if exists arquivo_url;
@@ -0,0 +1,124 @@
+-- Atualização da candidatura pelo próprio candidato (POST /api/candidato/candidaturas/:id/atualizar):
+-- troca do currículo mantendo as versões anteriores, correção de telefone/e-mail e histórico das alterações.
+
+-- Analista responsável pela candidatura (recebe o aviso das atualizações feitas pelo candidato)
+alter table candidaturas
+  add column if not exists responsavel_id uuid references usuarios (id) on delete set null,
+  -- data de envio do currículo atual (nula: o enviado com a candidatura, em enviado_em)
+  add column if not exists arquivo_enviado_em timestamptz,
+  add column if not exists atualizado_pelo_candidato_em timestamptz;
+
+create index if not exists candidaturas_responsavel_idx on candidaturas (responsavel_id);
+
+-- Versões anteriores do currículo (o atual continua em candidaturas.arquivo_*)
+create table if not exists candidatura_arquivos (
+  id uuid primary key default gen_random_uuid(),
+  candidatura_id uuid not null references candidaturas (id) on delete cascade,
+  versao integer not null,
+  arquivo_path text not null,
+  arquivo_tipo text,
+  arquivo_sha256 text,
+  arquivo_status text not null default 'ok',
+  arquivo_alertas text[] not null default '{}',
+  enviado_em timestamptz,
+  substituido_em timestamptz not null default now(),
+  unique (candidatura_id, versao)
+);
+
+-- Alterações feitas pelo candidato: { campo: { antes, depois } } e a versão do currículo substituída
+create table if not exists candidatura_alteracoes (
+  id uuid primary key default gen_random_uuid(),
+  candidatura_id uuid not null references candidaturas (id) on delete cascade,
+  campos jsonb not null default '{}',
+  arquivo_versao integer,
+  notificado_usuario_id uuid references usuarios (id) on delete set null,
+  criado_em timestamptz not null default now()
+);
+
+create index if not exists candidatura_alteracoes_candidatura_idx
+  on candidatura_alteracoes (candidatura_id, criado_em desc);
+
+/*
+ * Aplica a atualização na mesma transação: guarda o currículo atual como nova
+ * versão, grava o novo arquivo e os campos alterados e registra a alteração.
+ * p_campos: { telefone, email } (apenas os informados); p_arquivo: arquivo_path,
+ * arquivo_tipo, arquivo_sha256, arquivo_status e arquivo_alertas do novo currículo.
+ * Erros: candidatura_nao_encontrada, candidatura_encerrada, sem_alteracoes.
+ */
+create or replace function atualizar_candidatura_candidato(
+  p_candidatura_id uuid,
+  p_campos jsonb,
+  p_arquivo jsonb,
+  p_status_encerrados text[]
+)
+returns candidatura_alteracoes
+language plpgsql
+as $$
+declare
+  v_atual candidaturas;
+  v_campos jsonb := '{}';
+  v_campo text;
+  v_antes text;
+  v_versao integer;
+  v_alteracao candidatura_alteracoes;
+begin
+  select * into v_atual from candidaturas where id = p_candidatura_id for update;
+  if not found then
+    raise exception 'candidatura_nao_encontrada';
+  end if;
+  if v_atual.status = any (p_status_encerrados) then
+    raise exception 'candidatura_encerrada';
+  end if;
+
+  foreach v_campo in array array['telefone', 'email'] loop
+    if p_campos ? v_campo then
+      v_antes := to_jsonb(v_atual) ->> v_campo;
+      if v_antes is distinct from p_campos ->> v_campo then
+        v_campos := v_campos || jsonb_build_object(v_campo, jsonb_build_object('antes', v_antes, 'depois', p_campos ->> v_campo));
+      end if;
+    end if;
+  end loop;
+
+  if v_campos = '{}' and p_arquivo is null then
+    raise exception 'sem_alteracoes';
+  end if;
+
+  update candidaturas
+     set telefone = coalesce(v_campos -> 'telefone' ->> 'depois', telefone),
+         email = coalesce(v_campos -> 'email' ->> 'depois', email),
+         atualizado_pelo_candidato_em = now()
+   where id = p_candidatura_id;
+
+  if p_arquivo is not null then
+    select coalesce(max(versao), 0) + 1 into v_versao
+      from candidatura_arquivos where candidatura_id = p_candidatura_id;
+
+    insert into candidatura_arquivos
+      (candidatura_id, versao, arquivo_path, arquivo_tipo, arquivo_sha256, arquivo_status, arquivo_alertas, enviado_em)
+    values
+      (p_candidatura_id, v_versao, v_atual.arquivo_path, v_atual.arquivo_tipo, v_atual.arquivo_sha256,
+       v_atual.arquivo_status, v_atual.arquivo_alertas, coalesce(v_atual.arquivo_enviado_em, v_atual.enviado_em));
+
+    update candidaturas
+       set arquivo_path = p_arquivo ->> 'arquivo_path',
+           arquivo_tipo = p_arquivo ->> 'arquivo_tipo',
+           arquivo_sha256 = p_arquivo ->> 'arquivo_sha256',
+           arquivo_status = p_arquivo ->> 'arquivo_status',
+           arquivo_alertas = array(select jsonb_array_elements_text(p_arquivo -> 'arquivo_alertas')),
+           arquivo_verificado_em = now(),
+           arquivo_enviado_em = now(),
+           arquivo_liberado_por = null,
+           arquivo_liberado_em = null
+     where id = p_candidatura_id;
+
+    -- O texto da busca passa a ser o do novo currículo
+    delete from candidaturas_texto where candidatura_id = p_candidatura_id;
+  end if;
+
+  insert into candidatura_alteracoes (candidatura_id, campos, arquivo_versao)
+  values (p_candidatura_id, v_campos, v_versao)
+  returning * into v_alteracao;
+
+  return v_alteracao;
+end;
+$$;
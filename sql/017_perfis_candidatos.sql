@@ -0,0 +1,98 @@
+-- Perfil do candidato: reúne pelo CPF normalizado todas as candidaturas da mesma pessoa
+-- (GET /api/candidatos/:id) e serve de base ao banco de talentos (GET /api/candidatos).
+-- O perfil é derivado das candidaturas: sincronizar_candidato o recria a cada envio,
+-- atualização pelo candidato ou exclusão, e o remove quando não restam candidaturas.
+
+create table if not exists candidatos (
+  id uuid primary key default gen_random_uuid(),
+  cpf_norm text not null unique,
+  cpf text,
+  -- Contato mais recente (da última candidatura enviada ou atualizada pelo candidato)
+  nome text,
+  email text,
+  telefone text,
+  total_candidaturas integer not null default 0,
+  vagas text[] not null default '{}',
+  ultima_candidatura_id uuid references candidaturas (id) on delete set null,
+  primeira_candidatura_em timestamptz,
+  ultima_candidatura_em timestamptz,
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now()
+);
+
+alter table candidaturas
+  add column if not exists candidato_id uuid references candidatos (id) on delete set null;
+
+create index if not exists candidaturas_candidato_idx on candidaturas (candidato_id);
+create index if not exists candidatos_ultima_candidatura_idx on candidatos (ultima_candidatura_em desc);
+
+/*
+ * Recalcula o perfil do CPF a partir das candidaturas existentes e associa
+ * todas elas ao perfil. Sem candidaturas, o perfil é excluído (retorna null).
+ */
+create or replace function sincronizar_candidato(p_cpf_norm text)
+returns candidatos
+language plpgsql
+as $$
+declare
+  v_ultima candidaturas;
+  v_candidato candidatos;
+begin
+  select * into v_ultima
+    from candidaturas
+   where cpf_norm = p_cpf_norm
+   order by greatest(enviado_em, atualizado_pelo_candidato_em) desc
+   limit 1;
+
+  if not found then
+    delete from candidatos where cpf_norm = p_cpf_norm;
+    return null;
+  end if;
+
+  insert into candidatos as p
+    (cpf_norm, cpf, nome, email, telefone, total_candidaturas, vagas,
+     ultima_candidatura_id, primeira_candidatura_em, ultima_candidatura_em, atualizado_em)
+  select p_cpf_norm, v_ultima.cpf, v_ultima.nome, v_ultima.email, v_ultima.telefone,
+         count(*), array_agg(distinct c.vaga), v_ultima.id, min(c.enviado_em), max(c.enviado_em), now()
+    from candidaturas c
+   where c.cpf_norm = p_cpf_norm
+  on conflict (cpf_norm) do update
+     set cpf = excluded.cpf,
+         nome = excluded.nome,
+         email = excluded.email,
+         telefone = excluded.telefone,
+         total_candidaturas = excluded.total_candidaturas,
+         vagas = excluded.vagas,
+         ultima_candidatura_id = excluded.ultima_candidatura_id,
+         primeira_candidatura_em = excluded.primeira_candidatura_em,
+         ultima_candidatura_em = excluded.ultima_candidatura_em,
+         atualizado_em = now()
+  returning * into v_candidato;
+
+  update candidaturas
+     set candidato_id = v_candidato.id
+   where cpf_norm = p_cpf_norm
+     and candidato_id is distinct from v_candidato.id;
+
+  return v_candidato;
+end;
+$$;
+
+-- Recria todos os perfis (carga inicial e POST /api/candidatos/sincronizar); retorna quantos existem
+create or replace function sincronizar_candidatos()
+returns integer
+language plpgsql
+as $$
+declare
+  v_cpf text;
+begin
+  for v_cpf in select distinct cpf_norm from candidaturas where cpf_norm is not null loop
+    perform sincronizar_candidato(v_cpf);
+  end loop;
+
+  delete from candidatos p where not exists (select 1 from candidaturas c where c.cpf_norm = p.cpf_norm);
+  return (select count(*) from candidatos);
+end;
+$$;
+
+select sincronizar_candidatos();
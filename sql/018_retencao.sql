@@ -0,0 +1,64 @@
+-- Retenção configurável (POST /internal/cleanup e /api/retencao): regras por status e por vaga,
+-- arquivamento antes da exclusão definitiva, bloqueio legal por candidatura e o relatório de cada execução.
+
+-- Regras de retenção. status/vaga nulos valem para qualquer valor; a regra mais específica vence
+-- (status + vaga, depois vaga, depois status, depois a geral). Prazos nulos: nunca arquivar/excluir.
+create table if not exists retencao_regras (
+  id uuid primary key default gen_random_uuid(),
+  status text,
+  vaga text,
+  vaga_norm text generated always as (lower(trim(vaga))) stored,
+  -- dias sem movimentação (último status ou envio) até arquivar
+  dias_arquivar integer check (dias_arquivar is null or dias_arquivar >= 1),
+  -- dias arquivada até a exclusão definitiva
+  dias_excluir integer check (dias_excluir is null or dias_excluir >= 0),
+  ativo boolean not null default true,
+  observacao text,
+  criado_por uuid references usuarios (id) on delete set null,
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now()
+);
+
+create unique index if not exists retencao_regras_status_vaga_key
+  on retencao_regras (status, vaga_norm) nulls not distinct;
+
+-- Execuções da limpeza (simuladas ou não) e o relatório de cada uma, sem dados pessoais:
+-- relatorio = [{ candidatura_id, acao, status, vaga, referencia_em, regra_id, motivo }]
+create table if not exists retencao_execucoes (
+  id uuid primary key default gen_random_uuid(),
+  simulacao boolean not null default false,
+  origem text not null,
+  usuario_id uuid references usuarios (id) on delete set null,
+  iniciado_em timestamptz not null default now(),
+  concluido_em timestamptz,
+  arquivadas integer not null default 0,
+  excluidas integer not null default 0,
+  bloqueadas integer not null default 0,
+  falhas integer not null default 0,
+  relatorio jsonb not null default '[]',
+  erro text
+);
+
+create index if not exists retencao_execucoes_iniciado_idx on retencao_execucoes (iniciado_em desc);
+
+alter table candidaturas
+  -- Arquivada: fora da listagem e do controle de duplicidade, aguardando a exclusão definitiva
+  add column if not exists arquivado_em timestamptz,
+  add column if not exists arquivamento_motivo text,
+  add column if not exists arquivado_execucao_id uuid references retencao_execucoes (id) on delete set null,
+  -- Bloqueio legal: nunca arquivada nem excluída enquanto ativo
+  add column if not exists retencao_bloqueada boolean not null default false,
+  add column if not exists retencao_bloqueio_motivo text,
+  add column if not exists retencao_bloqueada_por uuid references usuarios (id) on delete set null,
+  add column if not exists retencao_bloqueada_em timestamptz;
+
+create index if not exists candidaturas_arquivado_idx on candidaturas (arquivado_em) where arquivado_em is not null;
+
+-- Uma candidatura ativa por CPF e vaga: as arquivadas não impedem um novo envio
+alter table candidaturas drop constraint if exists candidaturas_cpf_vaga_key;
+create unique index if not exists candidaturas_cpf_vaga_key
+  on candidaturas (cpf_norm, vaga_norm) where arquivado_em is null;
+
+-- Pedido de exclusão (LGPD) com candidaturas em bloqueio legal: o que ficou retido
+alter table solicitacoes_lgpd
+  add column if not exists candidaturas_retidas integer not null default 0;
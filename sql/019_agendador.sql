@@ -0,0 +1,94 @@
+-- Agendador interno (agendador.js): configuração persistida de cada tarefa periódica,
+-- histórico das execuções e a reserva que impede duas instâncias de rodarem a mesma tarefa.
+-- As tarefas em si são definidas no código; as linhas são criadas na inicialização.
+
+create table if not exists agendamentos (
+  chave text primary key,
+  ativo boolean not null default true,
+  intervalo_minutos integer not null check (intervalo_minutos between 1 and 43200),
+  proxima_execucao_em timestamptz not null default now(),
+  -- Reserva (lease): a instância que executa e até quando; expirada, outra instância pode assumir
+  bloqueado_por text,
+  bloqueado_ate timestamptz,
+  ultima_execucao_id uuid,
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now()
+);
+
+create table if not exists agendamento_execucoes (
+  id uuid primary key default gen_random_uuid(),
+  chave text not null references agendamentos (chave) on delete cascade,
+  origem text not null check (origem in ('agendada', 'manual')),
+  status text not null default 'executando' check (status in ('executando', 'sucesso', 'falhou')),
+  instancia text not null,
+  usuario_id uuid references usuarios (id) on delete set null,
+  iniciado_em timestamptz not null default now(),
+  concluido_em timestamptz,
+  resultado jsonb,
+  erro text
+);
+
+create index if not exists agendamento_execucoes_chave_idx on agendamento_execucoes (chave, iniciado_em desc);
+
+alter table agendamentos
+  drop constraint if exists agendamentos_ultima_execucao_id_fkey,
+  add constraint agendamentos_ultima_execucao_id_fkey
+    foreign key (ultima_execucao_id) references agendamento_execucoes (id) on delete set null;
+
+/*
+ * Reserva a tarefa para a instância por p_lock_segundos, se ninguém a tiver
+ * reservado (ou a reserva já expirou) e ela estiver vencida. p_forcar (execução
+ * manual) dispensa o vencimento e o ativo, mas não a reserva de outra instância.
+ * Retorna a linha reservada ou null.
+ */
+create or replace function reservar_agendamento(
+  p_chave text,
+  p_instancia text,
+  p_lock_segundos integer,
+  p_forcar boolean default false
+)
+returns agendamentos
+language plpgsql
+as $$
+declare
+  v_agendamento agendamentos;
+begin
+  update agendamentos
+     set bloqueado_por = p_instancia,
+         bloqueado_ate = now() + make_interval(secs => p_lock_segundos)
+   where chave = p_chave
+     and (bloqueado_ate is null or bloqueado_ate < now())
+     and (p_forcar or (ativo and proxima_execucao_em <= now()))
+  returning * into v_agendamento;
+
+  return v_agendamento;
+end;
+$$;
+
+/*
+ * Libera a reserva (somente se ainda for da instância) e registra a última
+ * execução. p_reagendar: a próxima execução passa a ser agora + intervalo;
+ * execuções manuais mantêm o horário já agendado.
+ */
+create or replace function concluir_agendamento(
+  p_chave text,
+  p_instancia text,
+  p_execucao_id uuid,
+  p_reagendar boolean
+)
+returns void
+language plpgsql
+as $$
+begin
+  update agendamentos
+     set bloqueado_por = null,
+         bloqueado_ate = null,
+         ultima_execucao_id = p_execucao_id,
+         proxima_execucao_em = case
+           when p_reagendar then now() + make_interval(mins => intervalo_minutos)
+           else proxima_execucao_em
+         end
+   where chave = p_chave
+     and bloqueado_por = p_instancia;
+end;
+$$;
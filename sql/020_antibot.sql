@@ -0,0 +1,22 @@
+-- Proteção antirrobô do formulário público (antibot.js): pontuação de spam gravada em cada
+-- candidatura, revisão pelos administradores e desafios de prova de trabalho já utilizados.
+
+alter table candidaturas
+  add column if not exists spam_pontuacao smallint not null default 0 check (spam_pontuacao between 0 and 100),
+  add column if not exists spam_sinais text[] not null default '{}',
+  add column if not exists spam_revisado_em timestamptz,
+  add column if not exists spam_revisado_por uuid references usuarios (id) on delete set null;
+
+-- Fila de revisão: suspeitas ainda não revisadas, das mais prováveis para as menos
+create index if not exists candidaturas_spam_pendentes_idx
+  on candidaturas (spam_pontuacao desc, enviado_em desc)
+  where spam_revisado_em is null and spam_pontuacao > 0;
+
+-- Cada desafio vale para um único envio; a linha sai depois que o desafio expira
+create table if not exists antibot_desafios_usados (
+  hash text primary key,
+  usado_em timestamptz not null default now(),
+  expira_em timestamptz not null
+);
+
+create index if not exists antibot_desafios_usados_expira_idx on antibot_desafios_usados (expira_em);
@@ -0,0 +1,20 @@
+-- Busca textual paginada: a listagem lê buscar_curriculos em lotes (.range) sem limite
+-- (limite null = todos), então a ordem precisa ser estável entre as páginas.
+create or replace function buscar_curriculos(termo text, limite integer default 200)
+returns table (id uuid, relevancia real, trecho text)
+language sql stable
+as $$
+  select
+    t.candidatura_id as id,
+    ts_rank_cd(t.tsv, q) as relevancia,
+    ts_headline(
+      'pt_unaccent',
+      replace(replace(replace(t.texto, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      q,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'
+    ) as trecho
+  from candidaturas_texto t, websearch_to_tsquery('pt_unaccent', termo) q
+  where t.tsv @@ q
+  order by relevancia desc, t.candidatura_id
+  limit limite
+$$;
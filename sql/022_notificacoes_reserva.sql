@@ -0,0 +1,7 @@
+-- Reserva das notificações em envio (notificacoes.js): uma instância que cai no meio do
+-- envio deixa a linha em 'enviando'; depois de NOTIFICACOES_RESERVA_MIN a fila a retoma.
+alter table notificacoes
+  add column if not exists reservado_em timestamptz;
+
+create index if not exists notificacoes_enviando_idx
+  on notificacoes (reservado_em) where status = 'enviando';
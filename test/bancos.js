@@ -0,0 +1,135 @@
+// test/bancos.js - Os dois backends de dados com a mesma interface, para os testes de paridade
+//   local     dados-local.js em memória (funções rpc reimplementadas em dados-local-esquema.js)
+//   postgres  PGlite com test/esquema-supabase.sql e todas as migrações de sql/, como no Supabase
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PGlite } from '@electric-sql/pglite';
+import { btree_gist } from '@electric-sql/pglite/contrib/btree_gist';
+import { pgcrypto } from '@electric-sql/pglite/contrib/pgcrypto';
+import { unaccent } from '@electric-sql/pglite/contrib/unaccent';
+import { criarBackendLocal } from '../dados-local.js';
+
+const RAIZ = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Datas como texto ISO e sem undefined, como chegam pelo supabase-js
+const comoJson = (valor) => (valor === undefined ? undefined : JSON.parse(JSON.stringify(valor)));
+const erroRpc = (error) => ({ message: error.message, code: error.code });
+
+/* =========================
+   INTERFACE
+   inserir(tabela, linha)  grava e devolve a linha completa (lança em caso de erro)
+   rpc(nome, parametros)   { data, error: { message, code } | null }, como o supabase-js
+   linhas(tabela)          todas as linhas (sem ordem garantida)
+========================= */
+
+export function criarBancoLocal() {
+  const { cliente } = criarBackendLocal({ dir: os.tmpdir(), persistir: false });
+  const supabase = cliente();
+
+  return {
+    async inserir(tabela, linha) {
+      const { data, error } = await supabase.from(tabela).insert(linha).select().single();
+      if (error) throw new Error(`${tabela}: ${error.message}`);
+      return data;
+    },
+    async rpc(nome, parametros = {}) {
+      const { data, error } = await supabase.rpc(nome, parametros);
+      return { data: comoJson(data), error: error && erroRpc(error) };
+    },
+    async linhas(tabela) {
+      const { data, error } = await supabase.from(tabela).select('*');
+      if (error) throw new Error(`${tabela}: ${error.message}`);
+      return data;
+    },
+    async encerrar() {}
+  };
+}
+
+/**
+ * Banco com as migrações aplicadas uma única vez; cada cenário roda em uma
+ * transação desfeita no fim (iniciar/encerrar) e cada rpc em um savepoint,
+ * como a transação de cada requisição do PostgREST.
+ */
+export async function criarPostgres() {
+  const db = await PGlite.create({ extensions: { btree_gist, pgcrypto, unaccent } });
+  await db.exec(fs.readFileSync(path.join(RAIZ, 'test', 'esquema-supabase.sql'), 'utf8'));
+
+  const migracoes = fs.readdirSync(path.join(RAIZ, 'sql')).filter((f) => f.endsWith('.sql')).sort();
+  for (const arquivo of migracoes) {
+    try {
+      await db.exec(fs.readFileSync(path.join(RAIZ, 'sql', arquivo), 'utf8'));
+    } catch (error) {
+      throw new Error(`sql/${arquivo}: ${error.message}`);
+    }
+  }
+  // Cidade semeada por sql/013: os dois bancos começam vazios
+  await db.exec('delete from cidades');
+
+  const retornos = new Map();
+  // Como o PostgREST devolve cada tipo de retorno (linha só com nulos: nenhuma linha, como o app lê)
+  async function formaRetorno(nome) {
+    if (!retornos.has(nome)) {
+      const { rows } = await db.query(
+        `select p.proretset as conjunto, t.typtype as tipo
+           from pg_proc p join pg_type t on t.oid = p.prorettype
+          where p.proname = $1`,
+        [nome]
+      );
+      if (!rows.length) throw new Error(`Função inexistente: ${nome}`);
+      retornos.set(nome, rows[0]);
+    }
+    return retornos.get(nome);
+  }
+
+  return {
+    async iniciar() {
+      await db.exec('begin');
+      return {
+        async inserir(tabela, linha) {
+          const colunas = Object.keys(linha);
+          const { rows } = await db.query(
+            `insert into ${tabela} (${colunas.join(', ')})
+             values (${colunas.map((_, i) => `$${i + 1}`).join(', ')})
+             returning *`,
+            colunas.map((c) => linha[c])
+          );
+          return comoJson(rows[0]);
+        },
+        async rpc(nome, parametros = {}) {
+          const { conjunto, tipo } = await formaRetorno(nome);
+          const nomes = Object.keys(parametros);
+          await db.exec('savepoint rpc');
+          try {
+            const { rows } = await db.query(
+              `select * from ${nome}(${nomes.map((p, i) => `${p} => $${i + 1}`).join(', ')})`,
+              nomes.map((p) => parametros[p])
+            );
+            await db.exec('release savepoint rpc');
+
+            const linhas = comoJson(rows);
+            if (conjunto) return { data: linhas, error: null };
+            if (tipo === 'p') return { data: null, error: null };
+            if (tipo === 'c') {
+              const [linha] = linhas;
+              return { data: Object.values(linha).some((v) => v != null) ? linha : null, error: null };
+            }
+            return { data: Object.values(linhas[0])[0], error: null };
+          } catch (error) {
+            await db.exec('rollback to savepoint rpc');
+            return { data: null, error: erroRpc(error) };
+          }
+        },
+        async linhas(tabela) {
+          const { rows } = await db.query(`select * from ${tabela}`);
+          return comoJson(rows);
+        },
+        async encerrar() {
+          await db.exec('rollback');
+        }
+      };
+    },
+    fechar: () => db.close()
+  };
+}
@@ -0,0 +1,70 @@
+-- Tabelas e papéis que já existiam no projeto Supabase antes de sql/001
+-- (criados pelo painel). Só as colunas usadas pela API; as migrações de sql/
+-- são aplicadas em seguida, na ordem, pelos testes de paridade.
+
+create role anon;
+create role authenticated;
+create role service_role;
+
+create extension if not exists pgcrypto;
+
+create table usuarios (
+  id uuid primary key default gen_random_uuid(),
+  auth_id uuid unique,
+  nome text,
+  email text unique,
+  cargo text,
+  funcao text,
+  nivel text,
+  ativo boolean not null default true,
+  criado_em timestamptz not null default now()
+);
+
+create table vagas (
+  id uuid primary key default gen_random_uuid(),
+  nome text not null,
+  ativa boolean not null default true,
+  criado_em timestamptz not null default now()
+);
+
+create table candidaturas (
+  id uuid primary key default gen_random_uuid(),
+  nome text,
+  cpf text,
+  telefone text,
+  email text,
+  cep text,
+  rua text,
+  cidade text,
+  bairro text,
+  transporte text,
+  vaga text,
+  arquivo_path text,
+  arquivo_url text,
+  enviado_em timestamptz not null default now(),
+  status text default 'Novo',
+  status_alterado_por uuid references usuarios (auth_id),
+  status_alterado_em timestamptz,
+  cpf_norm text generated always as (nullif(regexp_replace(coalesce(cpf, ''), '\D', '', 'g'), '')) stored,
+  vaga_norm text generated always as (lower(trim(vaga))) stored,
+  constraint candidaturas_cpf_vaga_key unique (cpf_norm, vaga_norm)
+);
+
+create table status_candidaturas (
+  id uuid primary key default gen_random_uuid(),
+  candidatura_id uuid references candidaturas (id),
+  usuario_id uuid references usuarios (id),
+  status text,
+  observacao text,
+  criado_em timestamptz not null default now()
+);
+
+create table comentarios (
+  id uuid primary key default gen_random_uuid(),
+  candidatura_id uuid references candidaturas (id),
+  usuario_id uuid references usuarios (id),
+  comentario text,
+  tipo text,
+  criado_em timestamptz not null default now(),
+  atualizado_em timestamptz not null default now()
+);
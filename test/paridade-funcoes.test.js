@@ -0,0 +1,406 @@
+// test/paridade-funcoes.test.js - As funções rpc de dados-local-esquema.js (FUNCOES) devem
+// responder como as de sql/*.sql. Cada cenário roda no Postgres (PGlite, referência) e no
+// backend local, e o resultado, sem os ids gerados, precisa ser o mesmo.
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { after, before, test } from 'node:test';
+import { sha256 } from '../utils.js';
+import { criarBancoLocal, criarPostgres } from './bancos.js';
+
+let postgres;
+before(async () => { postgres = await criarPostgres(); });
+after(() => postgres?.fechar());
+
+// O backend local não conhece as colunas: a que nunca foi gravada fica ausente em vez de null
+const ausenteComoNull = (valor) => JSON.parse(JSON.stringify(valor, (_, v) => (v === undefined ? null : v)) ?? 'null');
+
+function paridade(nome, cenario) {
+  test(nome, async () => {
+    const pg = await postgres.iniciar();
+    let esperado;
+    try {
+      esperado = await cenario(pg);
+    } finally {
+      await pg.encerrar();
+    }
+    assert.deepEqual(ausenteComoNull(await cenario(criarBancoLocal())), ausenteComoNull(esperado));
+  });
+}
+
+/* =========================
+   AUXILIARES
+========================= */
+const FUTURO = (dias) => new Date(Date.now() + dias * 86400000).toISOString();
+const PASSADO = (dias) => new Date(Date.now() - dias * 86400000).toISOString();
+
+async function rpc(banco, nome, parametros) {
+  const { data, error } = await banco.rpc(nome, parametros);
+  assert.equal(error, null, `${nome}: ${error?.message}`);
+  return data;
+}
+
+async function erroRpc(banco, nome, parametros) {
+  const { error } = await banco.rpc(nome, parametros);
+  return error?.message ?? null;
+}
+
+const candidatura = (banco, campos) => banco.inserir('candidaturas', {
+  cpf: '529.982.247-25', vaga: 'Caixa', status: 'Novo', enviado_em: '2026-01-10T12:00:00.000Z', ...campos
+});
+
+// Nome de cada id, para comparar relações sem os uuids gerados
+async function nomes(banco, tabela, rotulo = (l) => l.nome) {
+  return new Map((await banco.linhas(tabela)).map((l) => [l.id, rotulo(l)]));
+}
+
+const ordenar = (lista) => [...lista].sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+/* =========================
+   LOCALIDADES (sql/013_localidades.sql)
+========================= */
+paridade('resolver_localidade cria, reaproveita e desambigua cidades e bairros', async (banco) => {
+  const resolver = async (p_cidade, p_uf, p_bairro) =>
+    (await rpc(banco, 'resolver_localidade', { p_cidade, p_uf, p_bairro }))
+      .map(({ cidade, uf, bairro }) => ({ cidade, uf, bairro }));
+
+  const resultados = [
+    await resolver('ARAPIRACA - AL', 'al', 'CENTRO'),
+    await resolver('arapiraca', 'AL', 'centro '),
+    await resolver('Arapiraca/AL', null, 'BAIXA GRANDE'),
+    await resolver('SÃO JOSÉ DA LAJE', 'AL', ''),
+    await resolver('Arapiraca', 'SE', null),
+    await resolver('arapiraca', null, null),
+    await resolver('Arapiraca', null, 'Centro'),
+    await resolver('', 'AL', 'Centro')
+  ];
+
+  const [arapiraca] = (await banco.linhas('cidades')).filter((c) => c.uf === 'AL' && c.nome_norm === 'arapiraca');
+  await banco.inserir('cidade_aliases', { cidade_id: arapiraca.id, alias_norm: 'arapiraka' });
+  resultados.push(await resolver('Arapiraka', 'al', 'Centro'));
+
+  const cidades = await nomes(banco, 'cidades', (c) => `${c.nome}/${c.uf}`);
+  return {
+    resultados,
+    cidades: ordenar((await banco.linhas('cidades')).map(({ nome, uf, nome_norm, revisado }) => ({ nome, uf, nome_norm, revisado }))),
+    bairros: ordenar((await banco.linhas('bairros')).map((b) => ({ cidade: cidades.get(b.cidade_id), nome: b.nome, nome_norm: b.nome_norm })))
+  };
+});
+
+paridade('mesclar_cidades e mesclar_bairros movem candidaturas e guardam os apelidos', async (banco) => {
+  const local = async (p_cidade, p_bairro) =>
+    (await rpc(banco, 'resolver_localidade', { p_cidade, p_uf: 'AL', p_bairro }))[0];
+
+  const centro = await local('Arapiraca', 'Centro');
+  const baixa = await local('Arapiraca', 'Baixa Grande');
+  const centroTypo = await local('Arapiracca', 'Centro');
+  const primavera = await local('Arapiracca', 'Primavera');
+
+  for (const [nome, cpf, l] of [['Ana', '52998224725', centro], ['Bia', '11144477735', baixa], ['Caio', '39053344705', centroTypo], ['Duda', '71428793860', primavera]]) {
+    await candidatura(banco, { nome, cpf, cidade: l.cidade, bairro: l.bairro, cidade_id: l.cidade_id, bairro_id: l.bairro_id });
+  }
+
+  const erros = [
+    await erroRpc(banco, 'mesclar_bairros', { p_origem: baixa.bairro_id, p_destino: baixa.bairro_id }),
+    await erroRpc(banco, 'mesclar_cidades', { p_origem: randomUUID(), p_destino: centro.cidade_id })
+  ];
+  await rpc(banco, 'mesclar_bairros', { p_origem: baixa.bairro_id, p_destino: centro.bairro_id });
+  await rpc(banco, 'mesclar_cidades', { p_origem: centroTypo.cidade_id, p_destino: centro.cidade_id });
+  erros.push(await erroRpc(banco, 'mesclar_cidades', { p_origem: centroTypo.cidade_id, p_destino: centro.cidade_id }));
+
+  const cidades = await nomes(banco, 'cidades');
+  const bairros = await nomes(banco, 'bairros');
+  return {
+    erros,
+    candidaturas: ordenar((await banco.linhas('candidaturas')).map((c) => ({
+      nome: c.nome, cidade: c.cidade, bairro: c.bairro, cidade_id: cidades.get(c.cidade_id), bairro_id: bairros.get(c.bairro_id)
+    }))),
+    cidades: [...cidades.values()].sort(),
+    bairros: ordenar((await banco.linhas('bairros')).map((b) => [cidades.get(b.cidade_id), b.nome])),
+    cidade_aliases: ordenar((await banco.linhas('cidade_aliases')).map((a) => [cidades.get(a.cidade_id), a.alias_norm])),
+    bairro_aliases: ordenar((await banco.linhas('bairro_aliases')).map((a) => [bairros.get(a.bairro_id), a.alias_norm]))
+  };
+});
+
+paridade('renormalizar_localidades associa as candidaturas sem cidade', async (banco) => {
+  const centro = (await rpc(banco, 'resolver_localidade', { p_cidade: 'Arapiraca', p_uf: 'AL', p_bairro: 'Centro' }))[0];
+  const envios = [
+    ['Ana', '52998224725', { cidade_informada: 'ARAPIRACA', uf: 'AL', bairro_informado: 'centro', cidade: 'ARAPIRACA', bairro: 'centro' }],
+    ['Bia', '11144477735', { cidade_informada: 'ARAPIRACA', uf: 'AL', bairro_informado: 'centro', cidade: 'ARAPIRACA', bairro: 'centro' }],
+    ['Caio', '39053344705', { cidade_informada: 'lagoa da canoa', uf: 'AL', cidade: 'lagoa da canoa', bairro: 'Sítio' }],
+    ['Duda', '71428793860', { cidade_informada: ' - ', uf: 'AL', cidade: ' - ' }],
+    ['Enzo', '86288366757', { cidade_informada: 'Penedo', uf: 'AL', cidade: 'Arapiraca', bairro: 'Centro', cidade_id: centro.cidade_id, bairro_id: centro.bairro_id }]
+  ];
+  for (const [nome, cpf, campos] of envios) await candidatura(banco, { nome, cpf, ...campos });
+
+  const total = await rpc(banco, 'renormalizar_localidades', {});
+  const cidades = await nomes(banco, 'cidades');
+  const bairros = await nomes(banco, 'bairros');
+  return {
+    total,
+    candidaturas: ordenar((await banco.linhas('candidaturas')).map((c) => ({
+      nome: c.nome, cidade: c.cidade, bairro: c.bairro, cidade_id: cidades.get(c.cidade_id) ?? null, bairro_id: bairros.get(c.bairro_id) ?? null
+    })))
+  };
+});
+
+/* =========================
+   STATUS (sql/006_workflow_status.sql)
+========================= */
+paridade('alterar_status_candidatura grava o histórico e recusa status desatualizado', async (banco) => {
+  const usuario = await banco.inserir('usuarios', { auth_id: randomUUID(), nome: 'Lia', email: 'lia@example.com' });
+  const ana = await candidatura(banco, { nome: 'Ana' });
+  const bia = await candidatura(banco, { nome: 'Bia', cpf: '11144477735', status: null });
+
+  const alterar = (c, p_status_atual, p_status) => banco.rpc('alterar_status_candidatura', {
+    p_candidatura_id: c.id, p_status_atual, p_status, p_usuario_id: usuario.id, p_alterado_por: usuario.auth_id, p_observacao: `${p_status_atual} -> ${p_status}`
+  });
+
+  const historico = [];
+  for (const [c, atual, novo] of [[ana, 'Novo', 'Em análise'], [ana, 'Novo', 'Aprovado'], [bia, null, 'Novo'], [{ id: randomUUID() }, 'Novo', 'Em análise']]) {
+    const { data, error } = await alterar(c, atual, novo);
+    historico.push(error ? error.message : { status: data.status, observacao: data.observacao, usuario: data.usuario_id === usuario.id });
+  }
+
+  return {
+    historico,
+    candidaturas: ordenar((await banco.linhas('candidaturas')).map((c) => ({
+      nome: c.nome, status: c.status, alterado_por: c.status_alterado_por === usuario.auth_id, alterado_em: Boolean(c.status_alterado_em)
+    }))),
+    status_candidaturas: ordenar((await banco.linhas('status_candidaturas')).map((s) => [s.status, s.observacao]))
+  };
+});
+
+/* =========================
+   ENTREVISTAS (sql/007_entrevistas.sql)
+========================= */
+paridade('remarcar_entrevista só aceita horário futuro, ativo e da mesma vaga', async (banco) => {
+  const lider = await banco.inserir('usuarios', { auth_id: randomUUID(), nome: 'Lia', email: 'lia@example.com' });
+  const caixa = await banco.inserir('vagas', { nome: 'Caixa' });
+  const repositor = await banco.inserir('vagas', { nome: 'Repositor' });
+  const ana = await candidatura(banco, { nome: 'Ana' });
+
+  const horario = (local, vaga, dias, ativo = true) => banco.inserir('entrevista_horarios', {
+    vaga_id: vaga.id, entrevistador_id: lider.id, inicio: dias < 0 ? PASSADO(-dias) : FUTURO(dias), fim: FUTURO(dias + 0.01), local, ativo
+  });
+  const atual = await horario('atual', caixa, 1);
+  const novo = await horario('novo', caixa, 2);
+  const outraVaga = await horario('outra vaga', repositor, 3);
+  const passado = await horario('passado', caixa, -2);
+  const inativo = await horario('inativo', caixa, 4, false);
+
+  const entrevista = await banco.inserir('entrevistas', { horario_id: atual.id, candidatura_id: ana.id, status: 'agendada' });
+  const remarcar = (p_entrevista_id, p_horario_id) =>
+    banco.rpc('remarcar_entrevista', { p_entrevista_id, p_horario_id, p_motivo: 'Pedido da candidata', p_usuario_id: lider.id });
+
+  const erros = [];
+  for (const [e, h] of [[entrevista.id, outraVaga.id], [entrevista.id, passado.id], [entrevista.id, inativo.id], [randomUUID(), novo.id]]) {
+    erros.push((await remarcar(e, h)).error?.message);
+  }
+  const { data: nova } = await remarcar(entrevista.id, novo.id);
+  erros.push((await remarcar(entrevista.id, novo.id)).error?.message);
+
+  const horarios = await nomes(banco, 'entrevista_horarios', (h) => h.local);
+  const entrevistas = await banco.linhas('entrevistas');
+  return {
+    erros,
+    nova: entrevistas.some((e) => e.id === nova && e.remarcada_de === entrevista.id),
+    entrevistas: ordenar(entrevistas.map((e) => ({
+      horario: horarios.get(e.horario_id), status: e.status, motivo: e.motivo, sequencia: e.sequencia,
+      remarcada: Boolean(e.remarcada_de), agendado_por: e.agendado_por === lider.id ? 'Lia' : e.agendado_por
+    })))
+  };
+});
+
+/* =========================
+   AUDITORIA (sql/010_auditoria.sql)
+========================= */
+paridade('registrar_auditoria encadeia o hash das entradas', async (banco) => {
+  const ator = '7f1c2a3e-0000-4000-8000-000000000001';
+  const entradas = [
+    { criado_em: '2026-01-10T12:00:00.000Z', acao: 'candidatura.status', ator_tipo: 'usuario', ator_id: ator, ator_nome: 'Lia', alvo_tipo: 'candidatura', alvo_id: '42', ip: '10.0.0.0' },
+    { criado_em: '2026-01-10T12:05:00.000Z', acao: 'candidato.acesso', ator_tipo: 'candidato', alvo_tipo: 'candidato' },
+    { criado_em: '2026-01-10T12:10:00.000Z', acao: 'retencao.executar', ator_tipo: 'sistema' }
+  ];
+  const gravadas = [];
+  for (const entrada of entradas) {
+    const { seq, id, ...linha } = await rpc(banco, 'registrar_auditoria', { p_conteudo: JSON.stringify(entrada) });
+    gravadas.push(linha);
+  }
+
+  const [primeira, segunda] = gravadas;
+  assert.equal(primeira.hash, sha256(primeira.conteudo));
+  assert.equal(segunda.hash, sha256(primeira.hash + segunda.conteudo));
+  return gravadas;
+});
+
+/* =========================
+   ATUALIZAÇÃO PELO CANDIDATO (sql/016_atualizacao_candidatura.sql)
+========================= */
+paridade('atualizar_candidatura_candidato versiona o currículo e registra os campos alterados', async (banco) => {
+  const ana = await candidatura(banco, {
+    nome: 'Ana', telefone: '82999990000', email: 'ana@example.com',
+    arquivo_path: 'caixa/ana-1.pdf', arquivo_tipo: 'pdf', arquivo_sha256: 'h1'
+  });
+  await banco.inserir('candidaturas_texto', { candidatura_id: ana.id, texto: 'Currículo da Ana' });
+  const encerrada = await candidatura(banco, { nome: 'Bia', cpf: '11144477735', status: 'Contratado' });
+
+  const atualizar = (id, p_campos, p_arquivo = null) => banco.rpc('atualizar_candidatura_candidato', {
+    p_candidatura_id: id, p_campos, p_arquivo, p_status_encerrados: ['Contratado', 'Reprovado']
+  });
+  const arquivo = (n, status, alertas) => ({
+    arquivo_path: `caixa/ana-${n}.pdf`, arquivo_tipo: 'docx', arquivo_sha256: `h${n}`, arquivo_status: status, arquivo_alertas: alertas
+  });
+
+  const respostas = [];
+  for (const [id, campos, novoArquivo] of [
+    [ana.id, { telefone: '82999990000' }],
+    [randomUUID(), { telefone: '1' }],
+    [encerrada.id, { telefone: '1' }],
+    [ana.id, { telefone: '82988887777', email: 'ana@example.com' }],
+    [ana.id, {}, arquivo(2, 'quarentena', ['objeto_embutido'])],
+    [ana.id, { email: 'ana.souza@example.com' }, arquivo(3, 'ok', [])]
+  ]) {
+    const { data, error } = await atualizar(id, campos, novoArquivo);
+    respostas.push(error ? error.message : { campos: data.campos, arquivo_versao: data.arquivo_versao });
+  }
+
+  const [atual] = (await banco.linhas('candidaturas')).filter((c) => c.id === ana.id);
+  return {
+    respostas,
+    atual: {
+      telefone: atual.telefone, email: atual.email, arquivo_path: atual.arquivo_path, arquivo_tipo: atual.arquivo_tipo,
+      arquivo_status: atual.arquivo_status, arquivo_alertas: atual.arquivo_alertas,
+      datas: [atual.atualizado_pelo_candidato_em, atual.arquivo_enviado_em, atual.arquivo_verificado_em].every(Boolean)
+    },
+    versoes: ordenar((await banco.linhas('candidatura_arquivos')).map((v) => ({
+      versao: v.versao, arquivo_path: v.arquivo_path, arquivo_tipo: v.arquivo_tipo, arquivo_sha256: v.arquivo_sha256,
+      arquivo_status: v.arquivo_status, arquivo_alertas: v.arquivo_alertas, envio_original: v.enviado_em === ana.enviado_em
+    }))),
+    texto: (await banco.linhas('candidaturas_texto')).length
+  };
+});
+
+/* =========================
+   PERFIS (sql/017_perfis_candidatos.sql)
+========================= */
+paridade('sincronizar_candidato e sincronizar_candidatos recalculam os perfis', async (banco) => {
+  await candidatura(banco, {
+    nome: 'Ana', email: 'ana@example.com', telefone: '82999990000', vaga: 'Caixa',
+    enviado_em: '2026-01-01T10:00:00.000Z', atualizado_pelo_candidato_em: '2026-03-01T10:00:00.000Z'
+  });
+  await candidatura(banco, { nome: 'Ana Souza', email: 'ana.souza@example.com', telefone: '82911110000', vaga: 'Repositor', enviado_em: '2026-02-01T10:00:00.000Z' });
+  await candidatura(banco, { nome: 'Bia', cpf: '111.444.777-35', vaga: 'Caixa', enviado_em: '2026-01-15T10:00:00.000Z' });
+  await banco.inserir('candidatos', { cpf_norm: '39053344705', nome: 'Sem candidaturas' });
+
+  const perfil = (p) => p && {
+    cpf: p.cpf, nome: p.nome, email: p.email, telefone: p.telefone, total_candidaturas: p.total_candidaturas, vagas: p.vagas,
+    primeira_candidatura_em: p.primeira_candidatura_em, ultima_candidatura_em: p.ultima_candidatura_em
+  };
+
+  const ana = await rpc(banco, 'sincronizar_candidato', { p_cpf_norm: '52998224725' });
+  const semCandidaturas = await rpc(banco, 'sincronizar_candidato', { p_cpf_norm: '71428793860' });
+  const total = await rpc(banco, 'sincronizar_candidatos', {});
+
+  const candidaturas = await nomes(banco, 'candidaturas');
+  const candidatos = await banco.linhas('candidatos');
+  const perfis = new Map(candidatos.map((p) => [p.id, p.cpf_norm]));
+  return {
+    ana: { ...perfil(ana), ultima: candidaturas.get(ana.ultima_candidatura_id) },
+    semCandidaturas,
+    total,
+    candidatos: ordenar(candidatos.map((p) => ({ ...perfil(p), ultima: candidaturas.get(p.ultima_candidatura_id) }))),
+    vinculos: ordenar((await banco.linhas('candidaturas')).map((c) => [c.nome, perfis.get(c.candidato_id)]))
+  };
+});
+
+/* =========================
+   BUSCA E EXTRAÇÃO (sql/003, sql/014 e sql/021)
+========================= */
+paridade('buscar_curriculos encontra os termos sem acento e com "or"', async (banco) => {
+  const textos = [
+    ['Ana', '52998224725', 'Experiência como açougueiro e repositor de mercadorias.'],
+    ['Bia', '11144477735', 'Trabalhei como caixa e atendente. Açougueiro por dois anos, depois açougueiro chefe.'],
+    ['Caio', '39053344705', 'Operador de empilhadeira <b>certificado</b> & conferente.'],
+    ['Duda', '71428793860', null]
+  ];
+  for (const [nome, cpf, texto] of textos) {
+    const c = await candidatura(banco, { nome, cpf });
+    await banco.inserir('candidaturas_texto', { candidatura_id: c.id, texto });
+  }
+  const candidaturas = await nomes(banco, 'candidaturas');
+
+  const buscar = async (termo, limite) => {
+    const resultados = await rpc(banco, 'buscar_curriculos', limite ? { termo, limite } : { termo });
+    return { termo, limite, encontrados: resultados.map((r) => candidaturas.get(r.id)).sort() };
+  };
+  const [certificado] = await rpc(banco, 'buscar_curriculos', { termo: 'certificado' });
+
+  return {
+    buscas: [
+      await buscar('acougueiro'),
+      await buscar('AÇOUGUEIRO caixa'),
+      await buscar('caixa or empilhadeira'),
+      await buscar('padeiro'),
+      await buscar('acougueiro', 1)
+    ],
+    trechoEscapado: certificado.trecho.includes('&lt;b&gt;') && certificado.trecho.includes('&amp;'),
+    trechoDestacado: certificado.trecho.includes('<mark>certificado</mark>')
+  };
+});
+
+paridade('candidaturas_sem_texto lista os currículos pendentes, mais recentes primeiro', async (banco) => {
+  const processada = await candidatura(banco, { nome: 'Ana', arquivo_path: 'caixa/ana.pdf' });
+  await banco.inserir('candidaturas_texto', { candidatura_id: processada.id, texto: null });
+  await candidatura(banco, { nome: 'Bia', cpf: '11144477735', arquivo_path: 'caixa/bia.pdf', arquivo_status: 'quarentena' });
+  await candidatura(banco, { nome: 'Caio', cpf: '39053344705' });
+  await candidatura(banco, { nome: 'Duda', cpf: '71428793860', arquivo_path: 'caixa/duda.pdf', enviado_em: '2026-01-01T10:00:00.000Z' });
+  await candidatura(banco, { nome: 'Enzo', cpf: '86288366757', arquivo_path: 'caixa/enzo.pdf', enviado_em: '2026-02-01T10:00:00.000Z' });
+
+  const pendentes = async (parametros) => (await rpc(banco, 'candidaturas_sem_texto', parametros)).map((c) => c.arquivo_path);
+  return [await pendentes({}), await pendentes({ limite: 1 })];
+});
+
+/* =========================
+   AGENDADOR (sql/019_agendador.sql)
+========================= */
+paridade('reservar_agendamento e concluir_agendamento controlam a reserva entre instâncias', async (banco) => {
+  await banco.inserir('agendamentos', { chave: 'vencida', intervalo_minutos: 60, proxima_execucao_em: PASSADO(1) });
+  await banco.inserir('agendamentos', { chave: 'futura', intervalo_minutos: 60, proxima_execucao_em: FUTURO(1) });
+  await banco.inserir('agendamentos', { chave: 'inativa', ativo: false, intervalo_minutos: 60, proxima_execucao_em: PASSADO(1) });
+  await banco.inserir('agendamentos', {
+    chave: 'abandonada', intervalo_minutos: 60, proxima_execucao_em: PASSADO(1), bloqueado_por: 'caiu', bloqueado_ate: PASSADO(0.01)
+  });
+  const execucao = await banco.inserir('agendamento_execucoes', { chave: 'vencida', origem: 'agendada', instancia: 'A' });
+
+  const reservar = async (p_chave, p_instancia, p_forcar = false) =>
+    (await rpc(banco, 'reservar_agendamento', { p_chave, p_instancia, p_lock_segundos: 300, p_forcar }))?.bloqueado_por ?? null;
+  const concluir = (p_chave, p_instancia, p_reagendar) =>
+    rpc(banco, 'concluir_agendamento', { p_chave, p_instancia, p_execucao_id: execucao.id, p_reagendar });
+
+  const reservas = [
+    await reservar('vencida', 'A'),
+    await reservar('vencida', 'B'),
+    await reservar('vencida', 'B', true),
+    await concluir('vencida', 'B', true),
+    await concluir('vencida', 'A', true),
+    await reservar('vencida', 'B'),
+    await reservar('futura', 'A'),
+    await reservar('futura', 'A', true),
+    await concluir('futura', 'A', false),
+    await reservar('inativa', 'A'),
+    await reservar('inativa', 'A', true),
+    await reservar('abandonada', 'B'),
+    await reservar('inexistente', 'A', true)
+  ];
+
+  return {
+    reservas,
+    agendamentos: ordenar((await banco.linhas('agendamentos')).map((a) => ({
+      chave: a.chave,
+      bloqueado_por: a.bloqueado_por,
+      reservado: a.bloqueado_ate != null && new Date(a.bloqueado_ate) > new Date(),
+      ultima_execucao: a.ultima_execucao_id === execucao.id,
+      vencido: new Date(a.proxima_execucao_em) <= new Date()
+    })))
+  };
+});
@@ -0,0 +1,160 @@
+// triagem.js - Perguntas de triagem por vaga e avaliação das respostas
+import { nanoid } from 'nanoid';
+import { TIPO_PERGUNTA } from './constantes.js';
+
+const MAX_PERGUNTAS = 30;
+const MAX_OPCOES = 20;
+const MAX_RESPOSTA_TEXTO = 1000;
+
+const ID_VALIDO = /^[a-z0-9_-]{1,40}$/i;
+const COM_OPCOES = [TIPO_PERGUNTA.ESCOLHA_UNICA, TIPO_PERGUNTA.ESCOLHA_MULTIPLA];
+
+const numeroOuNull = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+
+/**
+ * Valida o questionário de uma vaga definido pelo admin.
+ * `eliminatoria` lista as respostas que reprovam o candidato na triagem
+ * (sim_nao e escolhas) ou, para `numero`, a faixa aceita { min, max }.
+ */
+export function validarPerguntas(perguntas) {
+  if (!Array.isArray(perguntas)) return { ok: false, message: 'Perguntas devem ser uma lista.' };
+  if (perguntas.length > MAX_PERGUNTAS) return { ok: false, message: `Máximo de ${MAX_PERGUNTAS} perguntas por vaga.` };
+
+  const ids = new Set();
+  const resultado = [];
+
+  for (const [i, p] of perguntas.entries()) {
+    const n = i + 1;
+    const id = p?.id ? String(p.id) : nanoid(8).replace(/[^a-z0-9_-]/gi, '_');
+    const texto = String(p?.texto || '').trim();
+    const tipo = p?.tipo;
+
+    if (!ID_VALIDO.test(id)) return { ok: false, message: `Pergunta ${n}: identificador inválido.` };
+    if (ids.has(id)) return { ok: false, message: `Pergunta ${n}: identificador repetido.` };
+    ids.add(id);
+    if (!texto || texto.length > 300) return { ok: false, message: `Pergunta ${n}: texto obrigatório (até 300 caracteres).` };
+    if (!Object.values(TIPO_PERGUNTA).includes(tipo)) {
+      return { ok: false, message: `Pergunta ${n}: tipo inválido. Use: ${Object.values(TIPO_PERGUNTA).join(', ')}.` };
+    }
+
+    const pergunta = { id, texto, tipo, obrigatoria: Boolean(p.obrigatoria) };
+
+    if (COM_OPCOES.includes(tipo)) {
+      const opcoes = [...new Set((Array.isArray(p.opcoes) ? p.opcoes : []).map((o) => String(o).trim()).filter(Boolean))];
+      if (opcoes.length < 2 || opcoes.length > MAX_OPCOES) {
+        return { ok: false, message: `Pergunta ${n}: informe entre 2 e ${MAX_OPCOES} opções.` };
+      }
+      pergunta.opcoes = opcoes;
+    }
+
+    if (tipo === TIPO_PERGUNTA.NUMERO) {
+      const min = numeroOuNull(p.min);
+      const max = numeroOuNull(p.max);
+      if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max)) || (min !== null && max !== null && min > max)) {
+        return { ok: false, message: `Pergunta ${n}: limites numéricos inválidos.` };
+      }
+      if (min !== null) pergunta.min = min;
+      if (max !== null) pergunta.max = max;
+    }
+
+    if (p.eliminatoria !== undefined && p.eliminatoria !== null) {
+      if (tipo === TIPO_PERGUNTA.TEXTO) {
+        return { ok: false, message: `Pergunta ${n}: perguntas de texto não podem ser eliminatórias.` };
+      }
+      if (tipo === TIPO_PERGUNTA.NUMERO) {
+        const min = numeroOuNull(p.eliminatoria.min);
+        const max = numeroOuNull(p.eliminatoria.max);
+        if ((min === null && max === null) || (min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) {
+          return { ok: false, message: `Pergunta ${n}: informe a faixa aceita (min/max) da eliminatória.` };
+        }
+        pergunta.eliminatoria = { ...(min !== null && { min }), ...(max !== null && { max }) };
+      } else {
+        const validas = tipo === TIPO_PERGUNTA.SIM_NAO ? ['sim', 'nao'] : pergunta.opcoes;
+        const valores = Array.isArray(p.eliminatoria) ? p.eliminatoria.map(String) : [];
+        if (!valores.length || valores.some((v) => !validas.includes(v))) {
+          return { ok: false, message: `Pergunta ${n}: respostas eliminatórias devem estar entre: ${validas.join(', ')}.` };
+        }
+        pergunta.eliminatoria = [...new Set(valores)];
+      }
+    }
+
+    resultado.push(pergunta);
+  }
+
+  return { ok: true, perguntas: resultado };
+}
+
+// Versão exibida no formulário público: sem as regras eliminatórias
+export const perguntasPublicas = (perguntas) =>
+  (perguntas || []).map(({ eliminatoria, ...p }) => p);
+
+function normalizarSimNao(v) {
+  const s = String(v).trim().toLowerCase();
+  if (v === true || ['sim', 's', 'true', '1'].includes(s)) return 'sim';
+  if (v === false || ['nao', 'não', 'n', 'false', '0'].includes(s)) return 'nao';
+  return undefined;
+}
+
+/**
+ * Valida as respostas enviadas no formulário contra o questionário da vaga.
+ * Retorna as respostas normalizadas, as etiquetas "pergunta=resposta" usadas nos
+ * filtros da listagem e o resultado da triagem (perguntas eliminatórias).
+ */
+export function avaliarRespostas(perguntas, respostasRaw) {
+  const respostas = {};
+  const tags = [];
+  const motivos = [];
+
+  for (const p of perguntas || []) {
+    const bruto = respostasRaw?.[p.id];
+    const ausente = bruto === undefined || bruto === null || bruto === '' || (Array.isArray(bruto) && !bruto.length);
+
+    if (ausente) {
+      if (p.obrigatoria) return { ok: false, message: `Responda a pergunta: "${p.texto}".` };
+      continue;
+    }
+
+    let valor;
+    switch (p.tipo) {
+      case TIPO_PERGUNTA.TEXTO:
+        valor = String(bruto).trim().slice(0, MAX_RESPOSTA_TEXTO);
+        break;
+      case TIPO_PERGUNTA.SIM_NAO:
+        valor = normalizarSimNao(bruto);
+        if (!valor) return { ok: false, message: `Resposta inválida para: "${p.texto}". Use sim ou não.` };
+        break;
+      case TIPO_PERGUNTA.ESCOLHA_UNICA:
+        valor = String(bruto);
+        if (!p.opcoes.includes(valor)) return { ok: false, message: `Opção inválida para: "${p.texto}".` };
+        break;
+      case TIPO_PERGUNTA.ESCOLHA_MULTIPLA:
+        valor = [...new Set((Array.isArray(bruto) ? bruto : [bruto]).map(String))];
+        if (valor.some((v) => !p.opcoes.includes(v))) return { ok: false, message: `Opção inválida para: "${p.texto}".` };
+        break;
+      case TIPO_PERGUNTA.NUMERO:
+        valor = Number(String(bruto).replace(',', '.'));
+        if (!Number.isFinite(valor)) return { ok: false, message: `Informe um número para: "${p.texto}".` };
+        if ((p.min !== undefined && valor < p.min) || (p.max !== undefined && valor > p.max)) {
+          return { ok: false, message: `Valor fora do intervalo permitido para: "${p.texto}".` };
+        }
+        break;
+      default:
+        continue;
+    }
+
+    respostas[p.id] = valor;
+    if (p.tipo !== TIPO_PERGUNTA.TEXTO) {
+      for (const v of [].concat(valor)) tags.push(`${p.id}=${v}`);
+    }
+
+    if (p.eliminatoria) {
+      const reprovou = p.tipo === TIPO_PERGUNTA.NUMERO
+        ? (p.eliminatoria.min !== undefined && valor < p.eliminatoria.min) ||
+          (p.eliminatoria.max !== undefined && valor > p.eliminatoria.max)
+        : [].concat(valor).some((v) => p.eliminatoria.includes(v));
+      if (reprovou) motivos.push(p.texto);
+    }
+  }
+
+  return { ok: true, respostas, tags, reprovada: motivos.length > 0, motivos };
+}
@@ -1,112 +1,16 @@
 // user-routes.js - Sistema completo migrado para Supabase Auth
 import 'dotenv/config';
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
+import { supabase, clienteSessao } from './dados.js';
+import { NIVEL_USUARIO, STATUS_CANDIDATURA } from './constantes.js';
+import { listarCandidaturas } from './candidaturas.js';
+import { authUser, authAdmin, authAnalista } from './auth.js';
+import { WORKFLOW, alterarStatus, transicoesDisponiveis } from './workflow-status.js';
+import { auditar } from './auditoria.js';
+import { limitarRequisicoes } from './limite-requisicoes.js';
 
 const userRouter = express.Router();
 
-// Supabase
-const supabase = createClient(process.env.SUPABASE_URL || '', process.env.SUPABASE_SERVICE_ROLE_KEY || '', {
-  auth: { persistSession: false },
-});
-
-/* =========================
-   CONSTANTES E CONFIGURAÇÕES
-========================= */
-const NIVEL_USUARIO = {
-  ADMIN: 'admin',
-  LIDER: 'lider', 
-  ANALISTA: 'analista'
-};
-
-const STATUS_CANDIDATURA = {
-  NOVO: 'Novo',
-  SELECIONADO: 'Selecionado',
-  NAO_ATENDEU: 'Não Atendeu a Ligação',
-  DESISTIU: 'Desistiu',
-  JA_TRABALHOU: 'Já trabalhou Aqui',
-  PASSOU_ENTREVISTA: 'Passou na Entrevista',
-  JA_TRABALHANDO: 'Já está trabalhando',
-  CONTRATADO: 'Contratado'
-};
-
-/* =========================
-   MIDDLEWARE DE AUTENTICAÇÃO SUPABASE
-========================= */
-async function authUser(req, res, next) {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Token de autenticação necessário.' });
-  }
-
-  const token = authHeader.substring(7);
-  
-  try {
-    // Verificar token com Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ message: 'Token inválido ou expirado.' });
-    }
-
-    // Buscar informações adicionais na tabela usuarios
-    const { data: usuario, error: userError } = await supabase
-      .from('usuarios')
-      .select('*')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (userError || !usuario) {
-      return res.status(401).json({ message: 'Usuário não encontrado no sistema.' });
-    }
-
-    // Verificar se usuário está ativo
-    if (!usuario.ativo) {
-      return res.status(401).json({ message: 'Usuário desativado. Contate o administrador.' });
-    }
-
-    req.user = {
-      id: usuario.id,
-      auth_id: user.id,
-      email: user.email,
-      nome: usuario.nome,
-      cargo: usuario.cargo,
-      funcao: usuario.funcao,
-      nivel: usuario.nivel
-    };
-    
-    next();
-  } catch (error) {
-    console.error('[AUTH MIDDLEWARE] Erro:', error);
-    return res.status(401).json({ message: 'Token inválido.' });
-  }
-}
-
-// Middleware para admin
-function authAdmin(req, res, next) {
-  if (!req.user || req.user.nivel !== NIVEL_USUARIO.ADMIN) {
-    return res.status(403).json({ message: 'Acesso restrito a administradores gerais.' });
-  }
-  next();
-}
-
-// Middleware para líder ou admin
-function authLider(req, res, next) {
-  if (!req.user || !([NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER].includes(req.user.nivel))) {
-    return res.status(403).json({ message: 'Acesso restrito a líderes e administradores.' });
-  }
-  next();
-}
-
-// Middleware para analista, líder ou admin
-function authAnalista(req, res, next) {
-  if (!req.user || !([NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER, NIVEL_USUARIO.ANALISTA].includes(req.user.nivel))) {
-    return res.status(403).json({ message: 'Acesso restrito.' });
-  }
-  next();
-}
-
 /* =========================
    UTILS
 ========================= */
@@ -117,7 +21,7 @@ const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next
 ========================= */
 
 // POST /api/users/login
-userRouter.post('/login', asyncRoute(async (req, res) => {
+userRouter.post('/login', limitarRequisicoes('login'), asyncRoute(async (req, res) => {
   const { email, password } = req.body;
 
   if (!email || !password) {
@@ -125,8 +29,8 @@ userRouter.post('/login', asyncRoute(async (req, res) => {
   }
 
   try {
-    // Fazer login via Supabase Auth
-    const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
+    // Fazer login via Supabase Auth (cliente próprio: a sessão não fica no cliente compartilhado)
+    const { data: authData, error: authError } = await clienteSessao().auth.signInWithPassword({
       email: email.toLowerCase(),
       password: password
     });
@@ -174,13 +78,14 @@ userRouter.post('/login', asyncRoute(async (req, res) => {
 }));
 
 // POST /api/users/logout
-userRouter.post('/logout', authUser, asyncRoute(async (req, res) => {
+userRouter.post('/logout', authUser, auditar('usuario.logout', 'usuario'), asyncRoute(async (req, res) => {
   try {
     const { error } = await supabase.auth.signOut();
     if (error) {
       console.error('[LOGOUT] Erro:', error);
     }
-    
+
+    res.locals.auditoria = { alvo_id: req.user.id };
     res.json({ ok: true, message: 'Logout realizado com sucesso.' });
   } catch (error) {
     console.error('[LOGOUT] Erro:', error);
@@ -203,7 +108,7 @@ userRouter.get('/me', authUser, asyncRoute(async (req, res) => {
 }));
 
 // PUT /api/users/change-password - Alterar senha
-userRouter.put('/change-password', authUser, asyncRoute(async (req, res) => {
+userRouter.put('/change-password', authUser, auditar('usuario.alterar_senha', 'usuario'), asyncRoute(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
   if (!currentPassword || !newPassword) {
@@ -215,8 +120,9 @@ userRouter.put('/change-password', authUser, asyncRoute(async (req, res) => {
   }
 
   try {
-    // Verificar a senha atual tentando fazer login
-    const { error: authError } = await supabase.auth.signInWithPassword({
+    // Verificar a senha atual tentando fazer login (a troca usa a sessão deste cliente)
+    const sessao = clienteSessao();
+    const { error: authError } = await sessao.auth.signInWithPassword({
       email: req.user.email,
       password: currentPassword
     });
@@ -226,7 +132,7 @@ userRouter.put('/change-password', authUser, asyncRoute(async (req, res) => {
     }
 
     // Atualizar senha no Supabase Auth
-    const { error: updateError } = await supabase.auth.updateUser({
+    const { error: updateError } = await sessao.auth.updateUser({
       password: newPassword
     });
 
@@ -234,6 +140,7 @@ userRouter.put('/change-password', authUser, asyncRoute(async (req, res) => {
       throw updateError;
     }
 
+    res.locals.auditoria = { alvo_id: req.user.id };
     res.json({ ok: true, message: 'Senha alterada com sucesso.' });
 
   } catch (error) {
@@ -247,7 +154,7 @@ userRouter.put('/change-password', authUser, asyncRoute(async (req, res) => {
 ========================= */
 
 // POST /api/users/sync - Sincronizar usuários do Supabase Auth
-userRouter.post('/sync', authUser, authAdmin, asyncRoute(async (req, res) => {
+userRouter.post('/sync', authUser, authAdmin, auditar('usuario.sincronizar', 'usuario'), asyncRoute(async (req, res) => {
   try {
     // Buscar todos os usuários do Supabase Auth
     const { data: authUsers, error: authError } = await supabase.auth.admin.listUsers();
@@ -301,6 +208,7 @@ userRouter.post('/sync', authUser, authAdmin, asyncRoute(async (req, res) => {
       }
     }
 
+    res.locals.auditoria = { detalhes: { synced, updated, erros: errors.length } };
     res.json({
       ok: true,
       message: `Sincronização concluída. ${synced} novos usuários, ${updated} atualizados.`,
@@ -323,12 +231,13 @@ userRouter.post('/sync', authUser, authAdmin, asyncRoute(async (req, res) => {
 userRouter.get('/status', authUser, asyncRoute(async (req, res) => {
   res.json({
     status: Object.values(STATUS_CANDIDATURA),
-    niveis: Object.values(NIVEL_USUARIO)
+    niveis: Object.values(NIVEL_USUARIO),
+    workflow: WORKFLOW
   });
 }));
 
 // GET /api/users/candidaturas/:id/status - Histórico de status de uma candidatura
-userRouter.get('/candidaturas/:id/status', authAnalista, asyncRoute(async (req, res) => {
+userRouter.get('/candidaturas/:id/status', authUser, authAnalista, asyncRoute(async (req, res) => {
   const { id } = req.params;
 
   const { data: historico, error } = await supabase
@@ -348,20 +257,40 @@ userRouter.get('/candidaturas/:id/status', authAnalista, asyncRoute(async (req,
   res.json(historico || []);
 }));
 
+// GET /api/users/candidaturas/:id/transicoes - Próximos status permitidos para o usuário logado
+userRouter.get('/candidaturas/:id/transicoes', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: candidatura, error } = await supabase
+    .from('candidaturas')
+    .select('id, status')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[STATUS] Erro ao buscar candidatura:', error);
+    return res.status(500).json({ message: 'Erro ao buscar candidatura.' });
+  }
+
+  if (!candidatura) {
+    return res.status(404).json({ message: 'Candidatura não encontrada.' });
+  }
+
+  res.json({
+    status_atual: candidatura.status,
+    transicoes: transicoesDisponiveis(candidatura.status, req.user.nivel)
+  });
+}));
+
 // PUT /api/users/candidaturas/:id/status - Alterar status da candidatura
-userRouter.put('/candidaturas/:id/status', authAnalista, asyncRoute(async (req, res) => {
+userRouter.put('/candidaturas/:id/status', authUser, authAnalista, auditar('candidatura.status', 'candidatura'), asyncRoute(async (req, res) => {
   const { id } = req.params;
-  const { status, observacao } = req.body;
+  const { status, observacao, notificar_candidato } = req.body;
 
   if (!status) {
     return res.status(400).json({ message: 'Status é obrigatório.' });
   }
 
-  // Validar status
-  if (!Object.values(STATUS_CANDIDATURA).includes(status)) {
-    return res.status(400).json({ message: 'Status inválido.' });
-  }
-
   try {
     // Verificar se a candidatura existe
     const { data: candidatura, error: candidaturaError } = await supabase
@@ -374,45 +303,45 @@ userRouter.put('/candidaturas/:id/status', authAnalista, asyncRoute(async (req,
       return res.status(404).json({ message: 'Candidatura não encontrada.' });
     }
 
-    // Registrar no histórico de status
+    // Validar a transição no fluxo e registrar histórico + status atual na mesma transação
+    const resultado = await alterarStatus(supabase, {
+      candidatura,
+      para: status,
+      ator: req.user,
+      observacao,
+      notificar: notificar_candidato === true
+    });
+
+    if (!resultado.ok) {
+      if (resultado.error) throw resultado.error;
+      return res.status(resultado.code).json({ message: resultado.message });
+    }
+
+    res.locals.auditoria = {
+      antes: { status: candidatura.status },
+      depois: { status, observacao: observacao || null },
+      detalhes: { notificar_candidato: notificar_candidato === true }
+    };
+
     const { data: novoStatus, error: statusError } = await supabase
       .from('status_candidaturas')
-      .insert([{
-        candidatura_id: id,
-        usuario_id: req.user.id,
-        status,
-        observacao: observacao || null,
-        criado_em: new Date().toISOString()
-      }])
       .select(`
         *,
         usuario:usuarios(nome, email, cargo, funcao, nivel)
       `)
+      .eq('id', resultado.historico.id)
       .single();
 
     if (statusError) {
       throw statusError;
     }
 
-    // Atualizar status atual na candidatura
-    const { error: updateError } = await supabase
-      .from('candidaturas')
-      .update({
-        status,
-        status_alterado_por: req.user.id,
-        status_alterado_em: new Date().toISOString()
-      })
-      .eq('id', id);
-
-    if (updateError) {
-      throw updateError;
-    }
-
     res.json({
       ok: true,
       message: 'Status atualizado com sucesso.',
       status: novoStatus,
-      candidatura_id: id
+      candidatura_id: id,
+      notificacao: resultado.notificacao
     });
 
   } catch (error) {
@@ -426,7 +355,7 @@ userRouter.put('/candidaturas/:id/status', authAnalista, asyncRoute(async (req,
 ========================= */
 
 // GET /api/users/comentarios/:candidaturaId - Listar comentários de uma candidatura
-userRouter.get('/comentarios/:candidaturaId', authAnalista, asyncRoute(async (req, res) => {
+userRouter.get('/comentarios/:candidaturaId', authUser, authAnalista, asyncRoute(async (req, res) => {
   const { candidaturaId } = req.params;
 
   const { data: comentarios, error } = await supabase
@@ -447,7 +376,7 @@ userRouter.get('/comentarios/:candidaturaId', authAnalista, asyncRoute(async (re
 }));
 
 // POST /api/users/comentarios - Criar comentário
-userRouter.post('/comentarios', authAnalista, asyncRoute(async (req, res) => {
+userRouter.post('/comentarios', authUser, authAnalista, auditar('comentario.criar', 'comentario'), asyncRoute(async (req, res) => {
   const { candidatura_id, comentario, tipo = 'observacao' } = req.body;
 
   if (!candidatura_id || !comentario) {
@@ -481,6 +410,7 @@ userRouter.post('/comentarios', authAnalista, asyncRoute(async (req, res) => {
       throw error;
     }
 
+    res.locals.auditoria = { alvo_id: data.id, depois: novoComentario };
     res.status(201).json(data);
 
   } catch (error) {
@@ -490,7 +420,7 @@ userRouter.post('/comentarios', authAnalista, asyncRoute(async (req, res) => {
 }));
 
 // PUT /api/users/comentarios/:id - Atualizar comentário
-userRouter.put('/comentarios/:id', authUser, asyncRoute(async (req, res) => {
+userRouter.put('/comentarios/:id', authUser, auditar('comentario.editar', 'comentario'), asyncRoute(async (req, res) => {
   const { id } = req.params;
   const { comentario } = req.body;
 
@@ -537,6 +467,7 @@ userRouter.put('/comentarios/:id', authUser, asyncRoute(async (req, res) => {
       throw error;
     }
 
+    res.locals.auditoria = { antes: comentarioExistente, depois: { comentario: data.comentario } };
     res.json(data);
 
   } catch (error) {
@@ -546,7 +477,7 @@ userRouter.put('/comentarios/:id', authUser, asyncRoute(async (req, res) => {
 }));
 
 // DELETE /api/users/comentarios/:id - Excluir comentário
-userRouter.delete('/comentarios/:id', authUser, asyncRoute(async (req, res) => {
+userRouter.delete('/comentarios/:id', authUser, auditar('comentario.excluir', 'comentario'), asyncRoute(async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -576,6 +507,7 @@ userRouter.delete('/comentarios/:id', authUser, asyncRoute(async (req, res) => {
       throw error;
     }
 
+    res.locals.auditoria = { antes: comentarioExistente };
     res.json({ ok: true, message: 'Comentário excluído com sucesso.' });
 
   } catch (error) {
@@ -589,37 +521,13 @@ userRouter.delete('/comentarios/:id', authUser, asyncRoute(async (req, res) => {
 ========================= */
 
 // GET /api/users/candidaturas - Listar candidaturas com filtros
-userRouter.get('/candidaturas', authAnalista, asyncRoute(async (req, res) => {
-  const { page = 1, limit = 20, vaga, cidade, transporte, data_inicio, data_fim, search, status } = req.query;
-  const offset = (page - 1) * limit;
-
-  let query = supabase
-    .from('candidaturas')
-    .select(`
-      *,
-      usuario_status:usuarios!status_alterado_por(nome, email, cargo, funcao, nivel)
-    `, { count: 'exact' })
-    .order('enviado_em', { ascending: false });
-
-  // Aplicar filtros
-  if (vaga && vaga !== 'todas') query = query.eq('vaga', vaga);
-  if (cidade && cidade !== 'todas') query = query.ilike('cidade', `%${cidade}%`);
-  if (transporte && transporte !== 'todos') query = query.eq('transporte', transporte);
-  if (status && status !== 'todos') query = query.eq('status', status);
-  if (search) {
-    query = query.or(`nome.ilike.%${search}%,email.ilike.%${search}%,cpf.ilike.%${search}%`);
-  }
-  
-  if (data_inicio) {
-    query = query.gte('enviado_em', new Date(data_inicio).toISOString());
-  }
-  if (data_fim) {
-    const endDate = new Date(data_fim);
-    endDate.setHours(23, 59, 59, 999);
-    query = query.lte('enviado_em', endDate.toISOString());
-  }
-
-  const { data, error, count } = await query.range(offset, offset + limit - 1);
+userRouter.get('/candidaturas', authUser, authAnalista, asyncRoute(async (req, res) => {
+  const { page = 1, limit = 20, vaga, cidade, transporte, data_inicio, data_fim, search, status, triagem, resposta } = req.query;
+  const { data, error, count } = await listarCandidaturas(
+    supabase,
+    { vaga, cidade, transporte, data_inicio, data_fim, search, status, triagem, resposta },
+    { page, limit, camposBusca: ['nome', 'email', 'cpf'] }
+  );
 
   if (error) {
     console.error('[USER CANDIDATURAS] Erro:', error);
@@ -635,7 +543,7 @@ userRouter.get('/candidaturas', authAnalista, asyncRoute(async (req, res) => {
 }));
 
 // GET /api/users/candidaturas/:id - Buscar candidatura específica
-userRouter.get('/candidaturas/:id', authAnalista, asyncRoute(async (req, res) => {
+userRouter.get('/candidaturas/:id', authUser, authAnalista, asyncRoute(async (req, res) => {
   const { id } = req.params;
 
   const { data, error } = await supabase
@@ -679,7 +587,7 @@ userRouter.get('/', authUser, authAdmin, asyncRoute(async (req, res) => {
 }));
 
 // POST /api/users - Criar usuário (apenas admin)
-userRouter.post('/', authUser, authAdmin, asyncRoute(async (req, res) => {
+userRouter.post('/', authUser, authAdmin, auditar('usuario.criar', 'usuario'), asyncRoute(async (req, res) => {
   const { nome, email, cargo, funcao, password, nivel = 'analista' } = req.body;
 
   if (!nome || !email || !cargo || !funcao || !password) {
@@ -733,6 +641,7 @@ userRouter.post('/', authUser, authAdmin, asyncRoute(async (req, res) => {
       throw error;
     }
 
+    res.locals.auditoria = { alvo_id: data.id, depois: data };
     res.status(201).json(data);
 
   } catch (error) {
@@ -742,15 +651,15 @@ userRouter.post('/', authUser, authAdmin, asyncRoute(async (req, res) => {
 }));
 
 // PUT /api/users/:id - Atualizar usuário (apenas admin)
-userRouter.put('/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
+userRouter.put('/:id', authUser, authAdmin, auditar('usuario.editar', 'usuario'), asyncRoute(async (req, res) => {
   const { id } = req.params;
   const { nome, email, cargo, funcao, nivel, ativo } = req.body;
 
   try {
-    // Buscar usuário para obter auth_id
+    // Buscar usuário para obter auth_id (e o estado anterior para a auditoria)
     const { data: usuario, error: fetchError } = await supabase
       .from('usuarios')
-      .select('auth_id, email')
+      .select('id, nome, email, cargo, funcao, nivel, ativo, auth_id')
       .eq('id', id)
       .single();
 
@@ -798,6 +707,7 @@ userRouter.put('/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
       throw error;
     }
 
+    res.locals.auditoria = { antes: usuario, depois: data };
     res.json(data);
 
   } catch (error) {
@@ -807,7 +717,7 @@ userRouter.put('/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
 }));
 
 // DELETE /api/users/:id - Excluir usuário (apenas admin)
-userRouter.delete('/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
+userRouter.delete('/:id', authUser, authAdmin, auditar('usuario.excluir', 'usuario'), asyncRoute(async (req, res) => {
   const { id } = req.params;
 
   // Não permitir excluir a si mesmo
@@ -816,10 +726,10 @@ userRouter.delete('/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
   }
 
   try {
-    // Buscar usuário para obter auth_id
+    // Buscar usuário para obter auth_id (e o estado anterior para a auditoria)
     const { data: usuario, error: fetchError } = await supabase
       .from('usuarios')
-      .select('auth_id')
+      .select('id, nome, email, cargo, funcao, nivel, ativo, auth_id')
       .eq('id', id)
       .single();
 
@@ -843,6 +753,7 @@ userRouter.delete('/:id', authUser, authAdmin, asyncRoute(async (req, res) => {
       throw error;
     }
 
+    res.locals.auditoria = { antes: usuario };
     res.json({ ok: true, message: 'Usuário excluído com sucesso.' });
 
   } catch (error) {
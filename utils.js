@@ -0,0 +1,153 @@
+// utils.js - Funções utilitárias compartilhadas entre servidor e rotas
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import { customAlphabet } from 'nanoid';
+import { UFS } from './constantes.js';
+
+/* =========================
+   CONFIG
+========================= */
+export const RETENTION_DAYS = Math.max(1, Number(process.env.RETENTION_DAYS || 90));
+
+// Proxies confiáveis (valor do "trust proxy" do Express): true/false, número de saltos ou
+// lista de endereços/sub-redes. O padrão só aceita X-Forwarded-For vindo da rede interna.
+const lerTrustProxy = (valor) => {
+  if (valor === 'true' || valor === 'false') return valor === 'true';
+  if (/^\d+$/.test(valor)) return Number(valor);
+  return valor;
+};
+export const TRUST_PROXY = lerTrustProxy(process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal');
+
+/* =========================
+   UTILS
+========================= */
+export const slugify = (s) =>
+  String(s || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9._-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+
+/* =========================
+   LOCALIDADES (cidades e bairros)
+   Mesmas regras das funções normalizar_localidade e nome_localidade (sql/013_localidades.sql)
+========================= */
+const SUFIXO_UF = new RegExp(`\\s*[-/,]\\s*(${UFS.join('|')})\\s*$`, 'i');
+
+// Chave de comparação: "ARAPIRACA - AL", "arapiraca-al" e "Arapiraca " -> "arapiraca"
+export const normalizarLocalidade = (s) =>
+  String(s ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(SUFIXO_UF, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Grafia para exibição: sem UF no fim e, se veio toda em maiúsculas/minúsculas, com iniciais maiúsculas
+export function nomeLocalidade(s) {
+  const limpo = String(s ?? '').replace(/\s+/g, ' ').trim().replace(SUFIXO_UF, '');
+  if (limpo !== limpo.toUpperCase() && limpo !== limpo.toLowerCase()) return limpo;
+  return limpo
+    .toLowerCase()
+    .replace(/(^|[^\p{L}\p{N}])(\p{L})/gu, (_, antes, letra) => antes + letra.toUpperCase())
+    // Duas passadas para partículas seguidas ("Barra de São Miguel", "Poço das Trincheiras")
+    .replace(/ (Da|De|Do|Das|Dos|E) /g, (m) => m.toLowerCase())
+    .replace(/ (Da|De|Do|Das|Dos|E) /g, (m) => m.toLowerCase());
+}
+
+export const toBR = (d) => new Date(d).toLocaleDateString('pt-BR');
+export const addDays = (d, days) => new Date(new Date(d).getTime() + days * 86400000);
+export const clean = (s, max = 200) => String(s ?? '').trim().slice(0, max);
+export const escaparHtml = (s) =>
+  String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+export const isEmail = (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || '').toLowerCase());
+export const normalizarCpf = (s) => String(s || '').replace(/\D/g, '').slice(0, 11);
+
+export function isCPF(cpfRaw) {
+  const cpf = String(cpfRaw || '').replace(/\D/g, '');
+  if (!cpf || cpf.length !== 11) return false;
+  if (/^(\d)\1+$/.test(cpf)) return false;
+  const dv = (base) => {
+    let sum = 0;
+    for (let i = 0; i < base.length; i++) sum += Number(base[i]) * (base.length + 1 - i);
+    const mod = sum % 11;
+    return mod < 2 ? 0 : 11 - mod;
+  };
+  const d1 = dv(cpf.slice(0, 9));
+  const d2 = dv(cpf.slice(0, 9) + d1);
+  return cpf.endsWith(`${d1}${d2}`);
+}
+
+// Prazo de reenvio: mesma regra usada na verificação de duplicidade do /api/enviar
+export function calcularReenvio(enviadoEm) {
+  const enviado = new Date(enviadoEm);
+  const diffDays = Math.floor((Date.now() - enviado.getTime()) / 86400000);
+  return {
+    enviado,
+    daysLeft: Math.max(0, RETENTION_DAYS - diffDays),
+    reapplyDate: addDays(enviado, RETENTION_DAYS),
+  };
+}
+
+export const sha256 = (s) => crypto.createHash('sha256').update(String(s ?? '')).digest('hex');
+export const hmacSha256 = (segredo, s) => crypto.createHmac('sha256', segredo).update(String(s ?? '')).digest('hex');
+
+// Código de acompanhamento entregue ao candidato (sem caracteres ambíguos como 0/O e 1/I)
+const gerarCodigo = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 10);
+export const gerarCodigoAcompanhamento = () => gerarCodigo();
+
+// Apenas o hash do código é persistido no banco
+export const hashCodigo = (codigo) =>
+  sha256(String(codigo || '').toUpperCase().replace(/[^A-Z0-9]/g, ''));
+
+// Código de verificação de uso único enviado por e-mail (6 dígitos)
+export const gerarCodigoVerificacao = customAlphabet('0123456789', 6);
+
+// IP de origem: o Express só considera o X-Forwarded-For dos proxies em TRUST_PROXY
+export const ipCliente = (req) => req.ip || req.socket?.remoteAddress || 'local';
+
+export const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+/* =========================
+   PROVEDORES
+   Registro de implementações trocáveis (geocodificador, CEP, antivírus, conversor,
+   limite de requisições, CAPTCHA). registrar(nome, fabrica) adiciona ou substitui
+   uma fábrica; obter() cria uma única vez a escolhida na configuração, como
+   { nome, ...padrao, ...fabrica() }. Se a criação falhar, `aoFalhar(error)` pode
+   devolver o substituto (guardado no lugar dela); sem ele, o erro é lançado.
+========================= */
+export function criarRegistro(descricao, escolhido, padrao = {}) {
+  const fabricas = new Map();
+  let instancia = null;
+  let criada = false;
+
+  const criar = (nome) => {
+    const fabrica = fabricas.get(nome);
+    if (!fabrica) throw new Error(`${descricao} desconhecido: "${nome}".`);
+    return { nome, ...padrao, ...fabrica() };
+  };
+
+  return {
+    registrar(nome, fabrica) {
+      fabricas.set(nome, fabrica);
+      if (nome === escolhido || instancia?.nome === nome) criada = false;
+    },
+    // Nova instância, fora do cache (ex.: reserva em memória)
+    criar,
+    obter(aoFalhar) {
+      if (!criada) {
+        try {
+          instancia = criar(escolhido);
+        } catch (error) {
+          if (!aoFalhar) throw error;
+          instancia = aoFalhar(error);
+        }
+        criada = true;
+      }
+      return instancia;
+    }
+  };
+}
@@ -0,0 +1,104 @@
+// vagas.js - Modelo de vaga: validação e regras de publicação
+import { TURNO_VAGA } from './constantes.js';
+import { perguntasPublicas } from './triagem.js';
+
+// Campos expostos no formulário público (GET /api/vagas)
+export const CAMPOS_PUBLICOS_VAGA =
+  'id, nome, descricao, requisitos, salario_min, salario_max, turno, carga_horaria, quantidade_vagas, local, publicar_em, encerrar_em, perguntas';
+
+const TEXTOS = { nome: 180, descricao: 5000, requisitos: 5000, local: 180 };
+
+const vazio = (v) => v === undefined || v === null || v === '';
+
+/**
+ * Valida e normaliza os campos de uma vaga.
+ * `atual` é o registro existente (PUT): os campos ausentes no corpo mantêm o valor
+ * atual e as regras entre campos (faixa salarial, período) consideram o resultado final.
+ * Retorna { ok, message } ou { ok, vaga } somente com os campos enviados.
+ */
+export function validarVaga(body, atual = null) {
+  const vaga = {};
+  const enviado = (k) => body[k] !== undefined;
+
+  for (const [campo, max] of Object.entries(TEXTOS)) {
+    if (!enviado(campo)) continue;
+    const valor = vazio(body[campo]) ? null : String(body[campo]).trim();
+    if (valor && valor.length > max) {
+      return { ok: false, message: `O campo ${campo} excede ${max} caracteres.` };
+    }
+    vaga[campo] = valor;
+  }
+
+  if (!atual && !vaga.nome) return { ok: false, message: 'Nome da vaga é obrigatório.' };
+  if (atual && enviado('nome') && !vaga.nome) return { ok: false, message: 'Nome da vaga não pode ficar vazio.' };
+
+  if (enviado('ativa')) {
+    if (typeof body.ativa !== 'boolean') return { ok: false, message: 'O campo ativa deve ser verdadeiro ou falso.' };
+    vaga.ativa = body.ativa;
+  }
+
+  if (enviado('turno')) {
+    if (!vazio(body.turno) && !Object.values(TURNO_VAGA).includes(body.turno)) {
+      return { ok: false, message: `Turno inválido. Use: ${Object.values(TURNO_VAGA).join(', ')}.` };
+    }
+    vaga.turno = vazio(body.turno) ? null : body.turno;
+  }
+
+  const inteiros = {
+    carga_horaria: { min: 1, max: 60, nome: 'Carga horária semanal' },
+    quantidade_vagas: { min: 1, max: 1000, nome: 'Quantidade de vagas' },
+  };
+  for (const [campo, regra] of Object.entries(inteiros)) {
+    if (!enviado(campo)) continue;
+    if (vazio(body[campo])) { vaga[campo] = null; continue; }
+    const n = Number(body[campo]);
+    if (!Number.isInteger(n) || n < regra.min || n > regra.max) {
+      return { ok: false, message: `${regra.nome} deve ser um número inteiro entre ${regra.min} e ${regra.max}.` };
+    }
+    vaga[campo] = n;
+  }
+
+  for (const campo of ['salario_min', 'salario_max']) {
+    if (!enviado(campo)) continue;
+    if (vazio(body[campo])) { vaga[campo] = null; continue; }
+    const n = Number(body[campo]);
+    if (!Number.isFinite(n) || n < 0) {
+      return { ok: false, message: 'Faixa salarial deve conter valores numéricos positivos.' };
+    }
+    vaga[campo] = Math.round(n * 100) / 100;
+  }
+
+  for (const campo of ['publicar_em', 'encerrar_em']) {
+    if (!enviado(campo)) continue;
+    if (vazio(body[campo])) { vaga[campo] = null; continue; }
+    const d = new Date(body[campo]);
+    if (Number.isNaN(d.getTime())) {
+      return { ok: false, message: `Data inválida em ${campo}.` };
+    }
+    vaga[campo] = d.toISOString();
+  }
+
+  if (atual && !Object.keys(vaga).length) return { ok: false, message: 'Informe ao menos um campo da vaga para atualizar.' };
+
+  const final = { ...(atual || {}), ...vaga };
+  if (final.salario_min != null && final.salario_max != null && Number(final.salario_min) > Number(final.salario_max)) {
+    return { ok: false, message: 'O salário mínimo não pode ser maior que o salário máximo.' };
+  }
+  if (final.publicar_em && final.encerrar_em && new Date(final.publicar_em) >= new Date(final.encerrar_em)) {
+    return { ok: false, message: 'A data de encerramento deve ser posterior à data de publicação.' };
+  }
+
+  return { ok: true, vaga };
+}
+
+// Restringe a consulta às vagas ativas dentro do período de publicação
+export function filtrarVagasPublicadas(query) {
+  const agora = new Date().toISOString();
+  return query
+    .eq('ativa', true)
+    .or(`publicar_em.is.null,publicar_em.lte.${agora}`)
+    .or(`encerrar_em.is.null,encerrar_em.gt.${agora}`);
+}
+
+// Vaga como exibida no formulário público (perguntas sem as regras eliminatórias)
+export const vagaPublica = (vaga) => ({ ...vaga, perguntas: perguntasPublicas(vaga.perguntas) });
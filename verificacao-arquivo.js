@@ -0,0 +1,299 @@
+// verificacao-arquivo.js - Inspeção dos currículos enviados: tipo real, conteúdo ativo e antivírus
+import 'dotenv/config';
+import net from 'node:net';
+import zlib from 'node:zlib';
+import { abrirOle } from './ole.js';
+import { criarRegistro, sha256 } from './utils.js';
+
+/* =========================
+   CONSTANTES E CONFIGURAÇÕES
+========================= */
+export const TIPOS_CURRICULO = {
+  pdf: { mime: 'application/pdf', extensao: 'pdf' },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensao: 'docx' },
+  doc: { mime: 'application/msword', extensao: 'doc' }
+};
+
+// ok = liberado; quarentena = guardado em PREFIXO_QUARENTENA e bloqueado para download até revisão
+export const STATUS_ARQUIVO = {
+  OK: 'ok',
+  QUARENTENA: 'quarentena'
+};
+
+export const PREFIXO_QUARENTENA = 'quarentena/';
+
+/**
+ * Alertas da inspeção. `rejeitar` recusa o envio; os demais colocam o arquivo em quarentena.
+ * A mensagem é a exibida ao candidato quando o arquivo é recusado.
+ */
+export const ALERTAS_ARQUIVO = {
+  macro: { rejeitar: true, mensagem: 'O documento contém macros. Salve-o como PDF ou DOCX sem macros e envie novamente.' },
+  pdf_javascript: { rejeitar: true, mensagem: 'O PDF contém scripts (JavaScript). Gere o PDF novamente, sem formulários interativos, e envie outra vez.' },
+  pdf_acao_externa: { rejeitar: true, mensagem: 'O PDF tenta abrir programas ou arquivos externos. Gere o PDF novamente e envie outra vez.' },
+  virus: { rejeitar: true, mensagem: 'O arquivo foi identificado como malicioso pelo antivírus e não pode ser aceito.' },
+  objeto_embutido: { rejeitar: false },
+  referencia_externa: { rejeitar: false },
+  pdf_arquivo_embutido: { rejeitar: false },
+  pdf_conteudo_interativo: { rejeitar: false },
+  antivirus_indisponivel: { rejeitar: false },
+  // Só na reanálise da quarentena: o arquivo guardado seria recusado em um novo envio
+  recusaria_envio: { rejeitar: false }
+};
+
+const ANTIVIRUS = process.env.ANTIVIRUS || 'nenhum';
+
+// Limites contra arquivos compactados maliciosos (zip bomb)
+const MAX_ENTRADAS_ZIP = 2000;
+const MAX_DESCOMPACTADO = 50 * 1024 * 1024;
+
+const MSG_TIPO_INVALIDO = 'O conteúdo do arquivo não corresponde a um PDF, DOC ou DOCX. Envie o currículo em um desses formatos.';
+const MSG_CORROMPIDO = 'Não foi possível ler o arquivo. Ele pode estar corrompido; gere-o novamente e envie outra vez.';
+const MSG_PROTEGIDO = 'O arquivo está protegido por senha. Remova a senha e envie novamente.';
+
+/* =========================
+   ZIP (DOCX)
+========================= */
+
+// Entradas do diretório central: { nome, metodo, comprimido, tamanho, offset }
+function listarZip(buffer) {
+  let fim = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { fim = i; break; }
+  }
+  if (fim < 0) throw new Error('zip sem diretório central');
+
+  const total = buffer.readUInt16LE(fim + 10);
+  if (total > MAX_ENTRADAS_ZIP) throw new Error('zip com entradas demais');
+
+  const entradas = [];
+  let pos = buffer.readUInt32LE(fim + 16);
+  for (let n = 0; n < total; n++) {
+    if (buffer.readUInt32LE(pos) !== 0x02014b50) throw new Error('diretório central inválido');
+    const tamanhoNome = buffer.readUInt16LE(pos + 28);
+    entradas.push({
+      nome: buffer.toString('utf8', pos + 46, pos + 46 + tamanhoNome),
+      criptografado: Boolean(buffer.readUInt16LE(pos + 8) & 1),
+      metodo: buffer.readUInt16LE(pos + 10),
+      comprimido: buffer.readUInt32LE(pos + 20),
+      tamanho: buffer.readUInt32LE(pos + 24),
+      offset: buffer.readUInt32LE(pos + 42)
+    });
+    pos += 46 + tamanhoNome + buffer.readUInt16LE(pos + 30) + buffer.readUInt16LE(pos + 32);
+  }
+
+  if (entradas.reduce((soma, e) => soma + e.tamanho, 0) > MAX_DESCOMPACTADO) throw new Error('zip grande demais');
+  return entradas;
+}
+
+function lerEntradaZip(buffer, entrada) {
+  const pos = entrada.offset;
+  if (buffer.readUInt32LE(pos) !== 0x04034b50) throw new Error('entrada zip inválida');
+  const inicio = pos + 30 + buffer.readUInt16LE(pos + 26) + buffer.readUInt16LE(pos + 28);
+  const dados = buffer.subarray(inicio, inicio + entrada.comprimido);
+
+  if (entrada.metodo === 0) return dados;
+  if (entrada.metodo === 8) return zlib.inflateRawSync(dados, { maxOutputLength: MAX_DESCOMPACTADO });
+  throw new Error(`compressão zip ${entrada.metodo} não suportada`);
+}
+
+// Relacionamentos externos que o Word busca ao abrir o documento (hiperlinks são permitidos)
+const RELACAO_EXTERNA_PERIGOSA = /Type="[^"]*\/(attachedTemplate|oleObject|frame|subDocument)"[^>]*TargetMode="External"|TargetMode="External"[^>]*Type="[^"]*\/(attachedTemplate|oleObject|frame|subDocument)"/i;
+
+function inspecionarDocx(buffer, entradas) {
+  const alertas = new Set();
+  const ler = (entrada) => lerEntradaZip(buffer, entrada).toString('utf8');
+
+  for (const entrada of entradas) {
+    const nome = entrada.nome.toLowerCase();
+    if (/(^|\/)vba(project\.bin|data\.xml)$/.test(nome)) alertas.add('macro');
+    if (/^word\/(embeddings|activex)\//.test(nome)) alertas.add('objeto_embutido');
+    if (nome === '[content_types].xml' && /macroEnabled/i.test(ler(entrada))) alertas.add('macro');
+    if (nome.endsWith('.rels') && RELACAO_EXTERNA_PERIGOSA.test(ler(entrada))) alertas.add('referencia_externa');
+  }
+
+  return [...alertas];
+}
+
+/* =========================
+   OLE2 (DOC)
+========================= */
+
+// Entradas do arquivo composto (ole.js) que indicam macros ou objetos embutidos
+function inspecionarDoc(nomes) {
+  const alertas = new Set();
+  for (const nome of nomes) {
+    if (['Macros', '_VBA_PROJECT', 'VBA', '_VBA_PROJECT_CUR'].includes(nome)) alertas.add('macro');
+    // Objetos OLE ficam em ObjectPool/_<id>; pacotes embutidos em Ole10Native
+    if (/^_\d{6,}$/.test(nome) || nome.endsWith('Ole10Native')) alertas.add('objeto_embutido');
+  }
+  return [...alertas];
+}
+
+/* =========================
+   PDF
+========================= */
+const PDF_ALERTAS = [
+  { padrao: /\/(JavaScript|JS)(?![A-Za-z0-9])/, alerta: 'pdf_javascript' },
+  { padrao: /\/(Launch|GoToE)(?![A-Za-z0-9])/, alerta: 'pdf_acao_externa' },
+  { padrao: /\/(EmbeddedFiles?)(?![A-Za-z0-9])/, alerta: 'pdf_arquivo_embutido' },
+  { padrao: /\/(RichMedia|XFA|SubmitForm|ImportData)(?![A-Za-z0-9])/, alerta: 'pdf_conteudo_interativo' }
+];
+
+// Nomes PDF podem vir escapados (/J#61vaScript)
+const decodificarNomes = (texto) =>
+  texto.replace(/\/[^\s/[\]<>(){}%]+/g, (nome) => nome.replace(/#([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))));
+
+function inspecionarPdf(buffer) {
+  const texto = buffer.toString('latin1');
+  const trechos = [texto];
+
+  // Dicionários dentro de object streams comprimidos
+  for (const m of texto.matchAll(/\/Type\s*\/ObjStm[^]*?stream\r?\n/g)) {
+    const inicio = m.index + m[0].length;
+    const fim = texto.indexOf('endstream', inicio);
+    if (fim < 0) continue;
+    try {
+      trechos.push(zlib.inflateSync(buffer.subarray(inicio, fim), { maxOutputLength: MAX_DESCOMPACTADO }).toString('latin1'));
+    } catch { /* stream sem Flate ou truncado: fica só a análise do texto bruto */ }
+  }
+
+  const alertas = new Set();
+  for (const trecho of trechos.map(decodificarNomes)) {
+    for (const { padrao, alerta } of PDF_ALERTAS) {
+      if (padrao.test(trecho)) alertas.add(alerta);
+    }
+  }
+  return [...alertas];
+}
+
+/* =========================
+   TIPO REAL (magic bytes)
+========================= */
+const ASSINATURA_OLE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+/**
+ * Identifica o formato pelo conteúdo e devolve { tipo, alertas } ou { erro }.
+ */
+function analisarConteudo(buffer) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return { tipo: 'pdf', alertas: inspecionarPdf(buffer) };
+  }
+
+  if (buffer.readUInt32LE(0) === 0x04034b50) {
+    const entradas = listarZip(buffer);
+    const nomes = new Set(entradas.map((e) => e.nome));
+    if (!nomes.has('[Content_Types].xml') || !nomes.has('word/document.xml')) return { erro: MSG_TIPO_INVALIDO };
+    if (entradas.some((e) => e.criptografado)) return { erro: MSG_PROTEGIDO };
+    return { tipo: 'docx', alertas: inspecionarDocx(buffer, entradas) };
+  }
+
+  if (buffer.subarray(0, 8).equals(ASSINATURA_OLE)) {
+    const { nomes } = abrirOle(buffer);
+    // DOCX protegido por senha é um arquivo composto com o pacote criptografado
+    if (nomes.includes('EncryptedPackage')) return { erro: MSG_PROTEGIDO };
+    if (!nomes.includes('WordDocument')) return { erro: MSG_TIPO_INVALIDO };
+    return { tipo: 'doc', alertas: inspecionarDoc(nomes) };
+  }
+
+  return { erro: MSG_TIPO_INVALIDO };
+}
+
+/* =========================
+   ANTIVÍRUS
+   examinar(buffer) devolve { infectado, ameaca }. Falhas de conexão devem
+   lançar erro: o arquivo vai para a quarentena até ser reanalisado.
+========================= */
+const antivirusRegistrados = criarRegistro('Antivírus', ANTIVIRUS);
+
+export const registrarAntivirus = antivirusRegistrados.registrar;
+
+// null quando não há antivírus configurado (ANTIVIRUS=nenhum)
+export const antivirus = () => (ANTIVIRUS === 'nenhum' ? null : antivirusRegistrados.obter());
+
+// Daemon do ClamAV (clamd) pelo comando INSTREAM, via CLAMAV_SOCKET ou CLAMAV_HOST/CLAMAV_PORT
+registrarAntivirus('clamav', () => {
+  const destino = process.env.CLAMAV_SOCKET
+    ? { path: process.env.CLAMAV_SOCKET }
+    : { host: process.env.CLAMAV_HOST || '127.0.0.1', port: Number(process.env.CLAMAV_PORT || 3310) };
+  const timeout = Number(process.env.CLAMAV_TIMEOUT_MS || 30000);
+
+  return {
+    examinar(buffer) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection(destino);
+        const partes = [];
+        socket.setTimeout(timeout, () => socket.destroy(new Error('tempo esgotado no clamd')));
+        socket.on('error', reject);
+        socket.on('data', (parte) => partes.push(parte));
+        socket.on('end', () => {
+          const resposta = Buffer.concat(partes).toString().replace(/\0/g, '').trim();
+          const encontrado = resposta.match(/^stream: (.+) FOUND$/);
+          if (encontrado) return resolve({ infectado: true, ameaca: encontrado[1] });
+          if (resposta === 'stream: OK') return resolve({ infectado: false, ameaca: null });
+          reject(new Error(`clamd: ${resposta || 'sem resposta'}`));
+        });
+
+        socket.on('connect', () => {
+          socket.write('zINSTREAM\0');
+          for (let i = 0; i < buffer.length; i += 64 * 1024) {
+            const pedaco = buffer.subarray(i, i + 64 * 1024);
+            const tamanho = Buffer.alloc(4);
+            tamanho.writeUInt32BE(pedaco.length);
+            socket.write(Buffer.concat([tamanho, pedaco]));
+          }
+          socket.end(Buffer.alloc(4));
+        });
+      });
+    }
+  };
+});
+
+/* =========================
+   INSPEÇÃO
+========================= */
+
+/**
+ * Inspeciona o arquivo enviado. Retorna:
+ *   { ok: false, message, alertas, sha256 } - arquivo recusado
+ *   { ok: true, tipo, mime, extensao, status, alertas, sha256, antivirus }
+ * status = quarentena quando há alertas que não justificam recusa (objetos
+ * embutidos, referências externas, antivírus indisponível).
+ */
+export async function inspecionarArquivo(buffer) {
+  const hash = sha256(buffer);
+
+  let analise;
+  try {
+    analise = analisarConteudo(buffer);
+  } catch (error) {
+    console.warn('[VERIFICACAO ARQUIVO] Falha ao ler arquivo:', error.message);
+    analise = { erro: MSG_CORROMPIDO };
+  }
+  if (analise.erro) return { ok: false, message: analise.erro, alertas: [], sha256: hash };
+
+  const alertas = [...analise.alertas];
+  const scanner = antivirus();
+  if (scanner) {
+    try {
+      const { infectado, ameaca } = await scanner.examinar(buffer);
+      if (infectado) alertas.push('virus');
+      if (ameaca) console.warn(`[VERIFICACAO ARQUIVO] ${scanner.nome} detectou ${ameaca} (${hash})`);
+    } catch (error) {
+      console.warn(`[VERIFICACAO ARQUIVO] Antivírus ${scanner.nome} indisponível:`, error.message);
+      alertas.push('antivirus_indisponivel');
+    }
+  }
+
+  const recusa = alertas.find((a) => ALERTAS_ARQUIVO[a]?.rejeitar);
+  if (recusa) return { ok: false, message: ALERTAS_ARQUIVO[recusa].mensagem, alertas, sha256: hash };
+
+  return {
+    ok: true,
+    tipo: analise.tipo,
+    ...TIPOS_CURRICULO[analise.tipo],
+    status: alertas.length ? STATUS_ARQUIVO.QUARENTENA : STATUS_ARQUIVO.OK,
+    alertas,
+    sha256: hash,
+    antivirus: scanner?.nome || null
+  };
+}
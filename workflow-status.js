@@ -0,0 +1,152 @@
+// workflow-status.js - Fluxo de status das candidaturas (fonte única das transições)
+import 'dotenv/config';
+import fs from 'node:fs';
+import { NIVEL_USUARIO, STATUS_CANDIDATURA } from './constantes.js';
+import { EVENTO, enfileirarNotificacao } from './notificacoes.js';
+
+// Ator usado quando o próprio candidato altera o status pelo portal
+export const ATOR_CANDIDATO = 'candidato';
+
+const S = STATUS_CANDIDATURA;
+const EQUIPE = [NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER, NIVEL_USUARIO.ANALISTA];
+const GESTAO = [NIVEL_USUARIO.ADMIN, NIVEL_USUARIO.LIDER];
+
+/**
+ * Transições permitidas: de quais status, para qual status, quem pode executar
+ * e quais campos são obrigatórios. Pode ser substituído por um arquivo JSON
+ * com a mesma estrutura apontado por STATUS_WORKFLOW_PATH.
+ */
+export const WORKFLOW_PADRAO = [
+  { de: [S.NOVO], para: S.SELECIONADO, niveis: EQUIPE },
+  { de: [S.NOVO, S.SELECIONADO], para: S.NAO_ATENDEU, niveis: EQUIPE },
+  { de: [S.NAO_ATENDEU], para: S.SELECIONADO, niveis: EQUIPE },
+  { de: [S.NOVO], para: S.JA_TRABALHOU, niveis: EQUIPE },
+  { de: [S.JA_TRABALHOU], para: S.SELECIONADO, niveis: GESTAO, obrigatorios: ['observacao'] },
+  { de: [S.SELECIONADO], para: S.PASSOU_ENTREVISTA, niveis: EQUIPE },
+  { de: [S.PASSOU_ENTREVISTA], para: S.CONTRATADO, niveis: GESTAO },
+  { de: [S.NOVO, S.SELECIONADO, S.NAO_ATENDEU, S.PASSOU_ENTREVISTA], para: S.JA_TRABALHANDO, niveis: EQUIPE },
+  {
+    de: [S.NOVO, S.SELECIONADO, S.NAO_ATENDEU, S.PASSOU_ENTREVISTA, S.JA_TRABALHOU],
+    para: S.DESISTIU,
+    niveis: [...EQUIPE, ATOR_CANDIDATO],
+    obrigatorios: ['observacao']
+  },
+  { de: [S.CONTRATADO], para: S.DESISTIU, niveis: GESTAO, obrigatorios: ['observacao'] },
+  // Reabertura de candidaturas encerradas
+  { de: [S.DESISTIU, S.JA_TRABALHANDO], para: S.NOVO, niveis: GESTAO, obrigatorios: ['observacao'] }
+];
+
+const CAMPOS_OBRIGATORIOS = ['observacao'];
+
+function validarDefinicao(transicoes) {
+  const status = Object.values(STATUS_CANDIDATURA);
+  const atores = [...Object.values(NIVEL_USUARIO), ATOR_CANDIDATO];
+
+  if (!Array.isArray(transicoes) || !transicoes.length) throw new Error('o fluxo deve ser uma lista de transições');
+  transicoes.forEach((t, i) => {
+    const erro = (msg) => new Error(`transição ${i + 1}: ${msg}`);
+    if (!Array.isArray(t.de) || !t.de.length || t.de.some((s) => !status.includes(s))) throw erro('"de" contém status inválido');
+    if (!status.includes(t.para)) throw erro('"para" contém status inválido');
+    if (!Array.isArray(t.niveis) || !t.niveis.length || t.niveis.some((n) => !atores.includes(n))) throw erro('"niveis" inválidos');
+    if ((t.obrigatorios || []).some((c) => !CAMPOS_OBRIGATORIOS.includes(c))) throw erro('"obrigatorios" inválidos');
+  });
+  return transicoes;
+}
+
+function carregarWorkflow() {
+  const caminho = process.env.STATUS_WORKFLOW_PATH;
+  if (!caminho) return WORKFLOW_PADRAO;
+
+  try {
+    const transicoes = validarDefinicao(JSON.parse(fs.readFileSync(caminho, 'utf8')));
+    console.log(`[WORKFLOW] Fluxo de status carregado de ${caminho}`);
+    return transicoes;
+  } catch (error) {
+    console.error(`[WORKFLOW] Fluxo inválido em ${caminho}, usando o padrão:`, error.message);
+    return WORKFLOW_PADRAO;
+  }
+}
+
+export const WORKFLOW = carregarWorkflow();
+
+// Candidaturas antigas podem não ter status gravado
+const statusAtual = (candidatura) => candidatura.status || STATUS_CANDIDATURA.NOVO;
+
+// Próximos status possíveis a partir do status atual para o nível informado
+export function transicoesDisponiveis(status, nivel) {
+  return WORKFLOW
+    .filter((t) => t.de.includes(status || STATUS_CANDIDATURA.NOVO) && t.niveis.includes(nivel))
+    .map((t) => ({ status: t.para, obrigatorios: t.obrigatorios || [] }));
+}
+
+/**
+ * Verifica se a mudança é permitida pelo fluxo.
+ * Retorna { ok: true } ou { ok: false, code, message } com o HTTP status adequado.
+ */
+export function validarTransicao({ de, para, nivel, observacao }) {
+  if (!Object.values(STATUS_CANDIDATURA).includes(para)) {
+    return { ok: false, code: 400, message: 'Status inválido.' };
+  }
+
+  if (de === para) {
+    return { ok: false, code: 409, message: `A candidatura já está com o status "${para}".` };
+  }
+
+  const candidatas = WORKFLOW.filter((t) => t.para === para && t.de.includes(de));
+  if (!candidatas.length) {
+    return { ok: false, code: 409, message: `Não é permitido alterar o status de "${de}" para "${para}".` };
+  }
+
+  const transicao = candidatas.find((t) => t.niveis.includes(nivel));
+  if (!transicao) {
+    return { ok: false, code: 403, message: `Seu nível de acesso não permite alterar o status para "${para}".` };
+  }
+
+  if ((transicao.obrigatorios || []).includes('observacao') && !String(observacao || '').trim()) {
+    return { ok: false, code: 400, message: `A observação é obrigatória para o status "${para}".` };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Aplica a mudança de status validando o fluxo e grava o histórico na mesma
+ * transação (função alterar_status_candidatura no banco). Se outra pessoa
+ * alterou o status no meio tempo, devolve conflito em vez de sobrescrever.
+ * Com notificar=true o candidato recebe um e-mail (a candidatura precisa trazer nome, email e vaga).
+ */
+export async function alterarStatus(supabase, { candidatura, para, ator, observacao = null, notificar = false }) {
+  const de = statusAtual(candidatura);
+  const valid = validarTransicao({ de, para, nivel: ator.nivel, observacao });
+  if (!valid.ok) return valid;
+
+  // Histórico referencia usuarios.id; candidaturas.status_alterado_por guarda o auth_id
+  const { data, error } = await supabase.rpc('alterar_status_candidatura', {
+    p_candidatura_id: candidatura.id,
+    p_status_atual: candidatura.status ?? null,
+    p_status: para,
+    p_usuario_id: ator.id ?? null,
+    p_alterado_por: ator.auth_id ?? null,
+    p_observacao: String(observacao || '').trim() || null
+  });
+
+  if (error) {
+    if (String(error.message).includes('status_conflito')) {
+      return { ok: false, code: 409, message: 'O status desta candidatura foi alterado por outra pessoa. Atualize a página e tente novamente.' };
+    }
+    return { ok: false, code: 500, error, message: 'Erro ao atualizar status da candidatura.' };
+  }
+
+  let notificacao = null;
+  if (notificar) {
+    // Falha ao notificar não desfaz a mudança de status
+    try {
+      notificacao = await enfileirarNotificacao(supabase, { evento: EVENTO.STATUS_ALTERADO, candidatura, status: para });
+    } catch (err) {
+      console.error('[WORKFLOW] Erro ao enfileirar notificação:', err);
+      notificacao = { ok: false, motivo: 'erro' };
+    }
+  }
+
+  return { ok: true, historico: data, notificacao };
+}